@@ -9,21 +9,32 @@ import React, {
     useRef,
     useState,
 } from "react";
-import { ApiError, Auth, Games, Help, StoryLogs, onApiActivity, LocalAI } from "./api";
+import { ApiError, Auth, Games, Help, StoryLogs, Templates, onApiActivity, onGameConflict, LocalAI, getFieldErrors } from "./api";
 
 import useRealtimeConnection from "./hooks/useRealtimeConnection";
 import useBattleLogger from "./hooks/useBattleLogger";
+import useChatUnread from "./hooks/useChatUnread";
 import MathField from "./components/MathField";
 import WorldSkillsTab from "./components/WorldSkillsTab";
 import { GearTab, ItemsTab } from "./components/ItemsGearTabs";
 import DemonTab from "./components/DemonTab";
+import ChatTab from "./components/ChatTab";
+import DiceRollsTab from "./components/DiceRollsTab";
+import MessageMarkdown from "./components/MessageMarkdown";
 import DemonImage from "./components/DemonImage";
 import MapTab from "./components/battleMap/MapTab";
 import NavigationSidebar from "./components/NavigationSidebar";
-import { MAP_DEFAULT_SETTINGS, mapReadBoolean, describePlayerName } from "./components/battleMap/mapShared";
+import {
+    HEALTH_BAR_OPTIONS,
+    MAP_DEFAULT_SETTINGS,
+    describePlayerName,
+    mapReadBoolean,
+    mapReadHealthBars,
+} from "./components/battleMap/mapShared";
 import { buildNavigation } from "./constants/navigation";
 import { BATTLE_MATH_REFERENCE } from "./constants/referenceContent";
 import ServerManagementTab from "./components/ServerManagementTab";
+import AccountSettings from "./components/AccountSettings";
 import {
     ABILITY_DEFS,
     ABILITY_KEY_SET,
@@ -61,6 +72,17 @@ import { deepClone, normalizeCharacter, normalizeSkills } from "./utils/characte
 import { get } from "./utils/object";
 import { getMainMenuTrack, getTrackById } from "./utils/music";
 import { idsMatch, normalizeId } from "./utils/ids";
+import {
+    ASSIGNABLE_ROLES,
+    ROLE_CO_DM,
+    ROLE_DM,
+    ROLE_LABELS,
+    ROLE_PLAYER,
+    ROLE_SPECTATOR,
+    getGameRole,
+    isPartyPlayer,
+    normalizeRole,
+} from "./utils/roles";
 import { buildKeybindManifest, installGlobalKeybindManifest } from "./utils/keybinds";
 import { COMBAT_SKILL_LIBRARY, findCombatSkillById, findCombatSkillByName } from "@shared/combatSkills.js";
 import RealtimeContext from "./contexts/RealtimeContext";
@@ -408,6 +430,8 @@ const AVAILABLE_TAB_KEYS = new Set([
     "gear",
     "combatSkills",
     "worldSkills",
+    "rolls",
+    "chat",
     "demons",
     "storyLogs",
     "help",
@@ -415,6 +439,13 @@ const AVAILABLE_TAB_KEYS = new Set([
     "serverManagement",
 ]);
 
+const ROLE_SUMMARIES = {
+    [ROLE_DM]: "Share quick links, manage characters, and keep your table organized.",
+    [ROLE_CO_DM]: "Run combat, manage the battle map, and hand out loot alongside your DM.",
+    [ROLE_PLAYER]: "Track your hero, review the party, and stay aligned with your DM.",
+    [ROLE_SPECTATOR]: "Follow the battle map, story log, and party from the sidelines.",
+};
+
 function isServerAdminClient(user) {
     if (!user) return false;
     if (user.isAdmin) return true;
@@ -791,7 +822,7 @@ export default function App() {
         }
 
         const players = (active.players || []).filter(
-            (p) => (p?.role || "").toLowerCase() !== "dm"
+            (p) => isPartyPlayer(p)
         );
         if (players.length === 0) {
             if (dmSheetPlayerId !== null) setDmSheetPlayerId(null);
@@ -856,14 +887,15 @@ export default function App() {
 
         const applyStateForGame = (gameData) => {
             if (!gameData) return;
-            const isDM = idsMatch(gameData.dmId, me.id);
+            const role = getGameRole(gameData, me.id);
+            const isDM = role === ROLE_DM;
             const nav = buildNavigation({
-                role: isDM ? "dm" : "player",
+                role,
                 isServerAdmin: isServerAdminClient(me),
                 availableKeys: AVAILABLE_TAB_KEYS,
             });
             const allowedTabs = new Set(nav.map((item) => item.key));
-            const fallbackTab = isDM ? "overview" : "sheet";
+            const fallbackTab = nav[0]?.key || "sheet";
             const desiredTab = link.tab && allowedTabs.has(link.tab) ? link.tab : fallbackTab;
             setTab((prev) => (prev === desiredTab ? prev : desiredTab));
 
@@ -878,7 +910,7 @@ export default function App() {
                 }
                 if (!targetPlayerId && Array.isArray(gameData.players)) {
                     const first = gameData.players.find(
-                        (p) => p && (p.role || "").toLowerCase() !== "dm" && p.userId
+                        (p) => isPartyPlayer(p) && p.userId
                     );
                     targetPlayerId = normalizeId(first?.userId) ?? first?.userId ?? null;
                 }
@@ -940,7 +972,7 @@ export default function App() {
                     setActive(normalizedFull);
                     if (idsMatch(normalizedFull.dmId, me.id)) {
                         const firstPlayer = (full.players || []).find(
-                            (p) => (p?.role || "").toLowerCase() !== "dm"
+                            (p) => isPartyPlayer(p)
                         );
                         const normalizedFirstId = normalizeId(firstPlayer?.userId);
                         setDmSheetPlayerId(normalizedFirstId ?? firstPlayer?.userId ?? null);
@@ -1118,15 +1150,66 @@ function InviteButton({ gameId }) {
 }
 
 // ---------- Auth ----------
+function formatRetryDelay(seconds) {
+    const value = Number(seconds);
+    if (!Number.isFinite(value) || value <= 0) return "a moment";
+    if (value < 60) return `${Math.ceil(value)} second${Math.ceil(value) === 1 ? "" : "s"}`;
+    const minutes = Math.ceil(value / 60);
+    return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+function describeAuthError(err) {
+    const details = err?.details && typeof err.details === "object" ? err.details : {};
+    switch (err?.message) {
+        case "too_many_attempts":
+            return `Too many attempts. Try again in ${formatRetryDelay(details.retryAfter)}.`;
+        case "invalid credentials": {
+            const remaining = Number(details.remainingAttempts);
+            if (Number.isFinite(remaining) && remaining <= 3) {
+                return `Invalid username or password. ${remaining} attempt${remaining === 1 ? "" : "s"} left before a temporary lockout.`;
+            }
+            return "Invalid username or password.";
+        }
+        case "invalid_reset_token":
+            return "That reset code is invalid or has expired.";
+        case "user_banned":
+            return "This account has been banned.";
+        case "user_exists":
+            return "That username is already taken.";
+        case "email_exists":
+            return "That email is already registered.";
+        default:
+            return err?.message || "Something went wrong.";
+    }
+}
+
 function AuthView({ onAuthed }) {
     const [username, setUser] = useState("");
     const [password, setPass] = useState("");
     const [email, setEmail] = useState("");
     const [confirmPassword, setConfirmPassword] = useState("");
+    const [resetToken, setResetToken] = useState("");
     const [mode, setMode] = useState("login");
     const [busy, setBusy] = useState(false);
+    const [error, setError] = useState("");
 
     const go = async () => {
+        setError("");
+        if (mode === "reset") {
+            if (!resetToken.trim()) return alert("Enter the reset code from your server admin");
+            if (!password || !confirmPassword) return alert("Enter and confirm a new password");
+            if (password !== confirmPassword) return alert("Passwords do not match");
+            try {
+                setBusy(true);
+                await Auth.resetPassword(resetToken.trim(), password, confirmPassword);
+                onAuthed();
+            } catch (e) {
+                setError(describeAuthError(e));
+            } finally {
+                setBusy(false);
+            }
+            return;
+        }
         if (!username || !password) return alert("Enter username & password");
         if (mode === "register") {
             if (!email) return alert("Enter email");
@@ -1139,7 +1222,7 @@ function AuthView({ onAuthed }) {
             else await Auth.register(username, password, email, confirmPassword);
             onAuthed();
         } catch (e) {
-            alert(e.message);
+            setError(describeAuthError(e));
         } finally {
             setBusy(false);
         }
@@ -1148,28 +1231,48 @@ function AuthView({ onAuthed }) {
     const onKey = (e) => e.key === "Enter" && go();
 
     const toggleMode = () => {
+        setError("");
         setMode((prev) => {
             const next = prev === "login" ? "register" : "login";
             if (next === "login") {
                 setEmail("");
                 setConfirmPassword("");
+                setResetToken("");
             }
             return next;
         });
     };
 
+    const toggleReset = () => {
+        setError("");
+        setMode((prev) => (prev === "reset" ? "login" : "reset"));
+        setPass("");
+        setConfirmPassword("");
+        setResetToken("");
+    };
+
     return (
         <Center>
             <div className="card auth-card" style={{ minWidth: 360 }}>
                 <HatLogo size={72} className="auth-card__logo" />
-                <h2>{mode === "login" ? "Login" : "Create Account"}</h2>
+                <h2>{mode === "login" ? "Login" : mode === "reset" ? "Reset Password" : "Create Account"}</h2>
                 <div className="col">
-                    <input
-                        placeholder="Username"
-                        value={username}
-                        onChange={(e) => setUser(e.target.value)}
-                        onKeyDown={onKey}
-                    />
+                    {mode === "reset" ? (
+                        <input
+                            placeholder="Reset code"
+                            value={resetToken}
+                            onChange={(e) => setResetToken(e.target.value)}
+                            onKeyDown={onKey}
+                            autoComplete="off"
+                        />
+                    ) : (
+                        <input
+                            placeholder="Username"
+                            value={username}
+                            onChange={(e) => setUser(e.target.value)}
+                            onKeyDown={onKey}
+                        />
+                    )}
                     {mode === "register" && (
                         <input
                             placeholder="Email"
@@ -1180,13 +1283,13 @@ function AuthView({ onAuthed }) {
                         />
                     )}
                     <input
-                        placeholder="Password"
+                        placeholder={mode === "reset" ? "New Password" : "Password"}
                         type="password"
                         value={password}
                         onChange={(e) => setPass(e.target.value)}
                         onKeyDown={onKey}
                     />
-                    {mode === "register" && (
+                    {(mode === "register" || mode === "reset") && (
                         <input
                             placeholder="Confirm Password"
                             type="password"
@@ -1195,15 +1298,25 @@ function AuthView({ onAuthed }) {
                             onKeyDown={onKey}
                         />
                     )}
+                    {error && (
+                        <div className="text-error text-small" role="alert">
+                            {error}
+                        </div>
+                    )}
                     <button className="btn" onClick={go} disabled={busy}>
-                        {busy ? "…" : mode === "login" ? "Login" : "Register"}
+                        {busy ? "…" : mode === "login" ? "Login" : mode === "reset" ? "Set Password" : "Register"}
                     </button>
-                    <button
-                        className="btn"
-                        onClick={toggleMode}
-                        disabled={busy}
-                    >
-                        {mode === "login" ? "Need an account?" : "Have an account?"}
+                    {mode !== "reset" && (
+                        <button
+                            className="btn"
+                            onClick={toggleMode}
+                            disabled={busy}
+                        >
+                            {mode === "login" ? "Need an account?" : "Have an account?"}
+                        </button>
+                    )}
+                    <button className="btn ghost" onClick={toggleReset} disabled={busy}>
+                        {mode === "reset" ? "Back to login" : "Have a reset code?"}
                     </button>
                 </div>
             </div>
@@ -1226,9 +1339,145 @@ function HatLogo({ size = 56, className = "" }) {
 }
 
 // ---------- Home ----------
-function Home({ me, games, onOpen, onCreate, onDelete }) {
+function describeTemplateSummary(summary) {
+    const parts = [];
+    const add = (count, singular, plural) => {
+        if (count > 0) parts.push(`${count} ${count === 1 ? singular : plural}`);
+    };
+    add(summary?.items, "item", "items");
+    add(summary?.gear, "gear piece", "gear pieces");
+    add(summary?.worldSkills, "world skill", "world skills");
+    add(summary?.combatSkills, "combat skill", "combat skills");
+    add(summary?.fusionOverrides, "fusion override", "fusion overrides");
+    add(summary?.maps, "saved map", "saved maps");
+    return parts.length > 0 ? parts.join(" · ") : "No custom content";
+}
+
+function TemplateGallery({ me, selectedId, onSelect }) {
+    const [templates, setTemplates] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+    const isAdmin = isServerAdminClient(me);
+
+    const load = useCallback(async () => {
+        try {
+            setLoading(true);
+            const list = await Templates.list();
+            setTemplates(Array.isArray(list) ? list : []);
+        } catch (err) {
+            console.warn("Failed to load templates", err);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const handleDelete = async (template) => {
+        if (!confirm(`Delete the template "${template.name}"? Games created from it are not affected.`)) return;
+        try {
+            setBusyId(template.id);
+            await Templates.delete(template.id);
+            if (selectedId === template.id) onSelect(null);
+            await load();
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleToggleGlobal = async (template) => {
+        try {
+            setBusyId(template.id);
+            await Templates.setGlobal(template.id, !template.global);
+            await load();
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    if (loading && templates.length === 0) {
+        return <span className="text-muted text-small">Loading templates…</span>;
+    }
+
+    return (
+        <div className="template-gallery" role="radiogroup" aria-label="Campaign template">
+            <button
+                type="button"
+                role="radio"
+                aria-checked={!selectedId}
+                className={`template-card${!selectedId ? " is-selected" : ""}`}
+                onClick={() => onSelect(null)}
+            >
+                <strong>Blank campaign</strong>
+                <span className="text-muted text-small">Start from the default skills with nothing custom.</span>
+            </button>
+            {templates.map((template) => {
+                const isOwner = idsMatch(template.ownerId, me?.id);
+                const selected = selectedId === template.id;
+                return (
+                    <div
+                        key={template.id}
+                        role="radio"
+                        tabIndex={0}
+                        aria-checked={selected}
+                        className={`template-card${selected ? " is-selected" : ""}`}
+                        onClick={() => onSelect(template.id)}
+                        onKeyDown={(e) => {
+                            if (e.key === "Enter" || e.key === " ") {
+                                e.preventDefault();
+                                onSelect(template.id);
+                            }
+                        }}
+                    >
+                        <div className="row" style={{ justifyContent: "space-between", gap: 8 }}>
+                            <strong>{template.name}</strong>
+                            {template.global && <span className="pill success">Published</span>}
+                        </div>
+                        {template.description && <span className="text-small">{template.description}</span>}
+                        <span className="text-muted text-small">{describeTemplateSummary(template.summary)}</span>
+                        {(isOwner || isAdmin) && (
+                            <div className="row" style={{ gap: 8, justifyContent: "flex-end" }} onClick={(e) => e.stopPropagation()}>
+                                {isAdmin && (
+                                    <button
+                                        type="button"
+                                        className="btn ghost btn-small"
+                                        disabled={busyId === template.id}
+                                        onClick={() => handleToggleGlobal(template)}
+                                    >
+                                        {template.global ? "Unpublish" : "Publish to all DMs"}
+                                    </button>
+                                )}
+                                <button
+                                    type="button"
+                                    className="btn danger btn-small"
+                                    disabled={busyId === template.id}
+                                    onClick={() => handleDelete(template)}
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+function Home({ me, games, onOpen, onCreate, onDelete, onImport }) {
     const [name, setName] = useState("My Campaign");
+    const [templateId, setTemplateId] = useState(null);
     const [busy, setBusy] = useState(false);
+    const [importFile, setImportFile] = useState(null);
+    const [importing, setImporting] = useState(false);
+    const [showAccount, setShowAccount] = useState(false);
+    const importInputRef = useRef(null);
     const gameList = useMemo(() => {
         if (Array.isArray(games)) return games;
         if (games && Array.isArray(games.items)) return games.items;
@@ -1287,86 +1536,147 @@ function Home({ me, games, onOpen, onCreate, onDelete }) {
                         <h2>Welcome, {displayName}</h2>
                     </div>
                 </div>
-                <button
-                    className="btn"
-                    onClick={async () => {
-                        try {
-                            await Auth.logout();
-                            location.reload();
-                        } catch (e) {
-                            alert(e.message);
-                        }
-                    }}
-                >
-                    Logout
-                </button>
-            </header>
-
-            <div className="card">
-                <h3>Your Games</h3>
-                <div className="list">
-                    {gameList.length === 0 && <div>No games yet.</div>}
-                    {gameList.map((g) => {
-                        const isOwner = idsMatch(g.dmId, me.id);
-                        return (
-                            <div
-                                key={g.id}
-                                className="row"
-                                style={{ justifyContent: "space-between", alignItems: "center", gap: 12 }}
-                            >
-                                <div>
-                                    <b>{g.name}</b>{" "}
-                                    <span className="pill">{(g.players?.length ?? 0)} members</span>
-                                </div>
-                                <div className="row" style={{ gap: 8 }}>
-                                    <button className="btn" onClick={() => onOpen(g)}>Open</button>
-                                    {isOwner && (
-                                        <button
-                                            className="btn danger"
-                                            onClick={() => onDelete?.(g)}
-                                        >
-                                            Delete
-                                        </button>
-                                    )}
-                                </div>
-                            </div>
-                        );
-                    })}
-                </div>
-            </div>
-
-            <div className="card">
-                <h3>Start a New Game (DM)</h3>
-                <div className="row">
-                    <input
-                        placeholder="Campaign name"
-                        value={name}
-                        onChange={(e) => setName(e.target.value)}
-                    />
+                <div className="row" style={{ gap: 8 }}>
+                    <button className="btn ghost" onClick={() => setShowAccount((prev) => !prev)}>
+                        {showAccount ? "Back to games" : "Account"}
+                    </button>
                     <button
                         className="btn"
-                        disabled={!name.trim() || busy}
                         onClick={async () => {
                             try {
-                                setBusy(true);
-                                await onCreate(name.trim());
-                                alert("Game created");
+                                await Auth.logout();
+                                location.reload();
                             } catch (e) {
                                 alert(e.message);
-                            } finally {
-                                setBusy(false);
                             }
                         }}
                     >
-                        {busy ? "…" : "Create"}
+                        Logout
                     </button>
                 </div>
-            </div>
+            </header>
 
-            <div className="card">
-                <h3>Join by Invite Code</h3>
-                <JoinByCode onJoined={() => location.reload()} />
-            </div>
+            {showAccount ? (
+                <AccountSettings me={me} games={gameList} onClose={() => setShowAccount(false)} />
+            ) : (
+                <>
+                    <div className="card">
+                        <h3>Your Games</h3>
+                        <div className="list">
+                            {gameList.length === 0 && <div>No games yet.</div>}
+                            {gameList.map((g) => {
+                                const isOwner = idsMatch(g.dmId, me.id);
+                                return (
+                                    <div
+                                        key={g.id}
+                                        className="row"
+                                        style={{ justifyContent: "space-between", alignItems: "center", gap: 12 }}
+                                    >
+                                        <div>
+                                            <b>{g.name}</b>{" "}
+                                            <span className="pill">{(g.players?.length ?? 0)} members</span>
+                                        </div>
+                                        <div className="row" style={{ gap: 8 }}>
+                                            <button className="btn" onClick={() => onOpen(g)}>Open</button>
+                                            {isOwner && (
+                                                <button
+                                                    className="btn danger"
+                                                    onClick={() => onDelete?.(g)}
+                                                >
+                                                    Delete
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+
+                    <div className="card">
+                        <h3>Start a New Game (DM)</h3>
+                        <div className="row">
+                            <input
+                                placeholder="Campaign name"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                            />
+                            <button
+                                className="btn"
+                                disabled={!name.trim() || busy}
+                                onClick={async () => {
+                                    try {
+                                        setBusy(true);
+                                        await onCreate(name.trim(), templateId);
+                                        setTemplateId(null);
+                                        alert("Game created");
+                                    } catch (e) {
+                                        alert(e.message);
+                                    } finally {
+                                        setBusy(false);
+                                    }
+                                }}
+                            >
+                                {busy ? "…" : "Create"}
+                            </button>
+                        </div>
+                        <h4 style={{ marginBottom: 4 }}>Start from</h4>
+                        <TemplateGallery me={me} selectedId={templateId} onSelect={setTemplateId} />
+                    </div>
+
+                    {typeof onImport === "function" && (
+                        <div className="card">
+                            <h3>Import a Campaign</h3>
+                            <p className="text-muted text-small" style={{ marginTop: -4 }}>
+                                Upload a campaign bundle exported from another server. You become its DM; each other
+                                player gets an invite code that hands them their character.
+                            </p>
+                            <div className="row">
+                                <input
+                                    ref={importInputRef}
+                                    type="file"
+                                    accept=".gz,.json,application/gzip,application/json"
+                                    onChange={(e) => setImportFile(e.target.files?.[0] || null)}
+                                />
+                                <button
+                                    className="btn"
+                                    disabled={!importFile || importing}
+                                    onClick={async () => {
+                                        try {
+                                            setImporting(true);
+                                            const result = await onImport(importFile);
+                                            const unmatched = Array.isArray(result?.unmatchedPlayers)
+                                                ? result.unmatchedPlayers
+                                                : [];
+                                            const slots = unmatched
+                                                .filter((entry) => entry?.inviteCode)
+                                                .map((entry) => `${entry.username || "Player"}: ${entry.inviteCode}`);
+                                            alert(
+                                                slots.length > 0
+                                                    ? `Campaign imported. Send each player the invite code for their character:\n${slots.join("\n")}`
+                                                    : "Campaign imported"
+                                            );
+                                            setImportFile(null);
+                                            if (importInputRef.current) importInputRef.current.value = "";
+                                        } catch (e) {
+                                            alert(e.message);
+                                        } finally {
+                                            setImporting(false);
+                                        }
+                                    }}
+                                >
+                                    {importing ? "Importing…" : "Import"}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="card">
+                        <h3>Join by Invite Code</h3>
+                        <JoinByCode onJoined={() => location.reload()} />
+                    </div>
+                </>
+            )}
         </div>
     );
 }
@@ -1393,7 +1703,7 @@ function AuthenticatedApp({
                     setActive(normalizedFull);
                     if (idsMatch(normalizedFull.dmId, me.id)) {
                         const firstPlayer = (normalizedFull.players || []).find(
-                            (p) => (p?.role || "").toLowerCase() !== "dm"
+                            (p) => isPartyPlayer(p)
                         );
                         const normalizedFirstId = normalizeId(firstPlayer?.userId);
                         setDmSheetPlayerId(normalizedFirstId ?? firstPlayer?.userId ?? null);
@@ -1402,9 +1712,14 @@ function AuthenticatedApp({
                     }
                     setTab(idsMatch(normalizedFull.dmId, me.id) ? "overview" : "sheet");
                 }}
-                onCreate={async (name) => {
-                    await Games.create(name);
+                onCreate={async (name, templateId) => {
+                    await Games.create(name, templateId);
+                    setGames(normalizeGameList(await Games.list()));
+                }}
+                onImport={async (file) => {
+                    const result = await Games.importBundle(file);
                     setGames(normalizeGameList(await Games.list()));
+                    return result;
                 }}
                 onDelete={async (game) => {
                     if (!confirm(`Delete the game "${game.name}"? This cannot be undone.`)) return;
@@ -1444,7 +1759,8 @@ function GameView({
     dmSheetPlayerId,
     setDmSheetPlayerId,
 }) {
-    const isDM = idsMatch(game.dmId, me.id);
+    const role = getGameRole(game, me.id);
+    const isDM = role === ROLE_DM;
     const [apiBusy, setApiBusy] = useState(false);
     const [refreshBusy, setRefreshBusy] = useState(false);
     const initialDesktop = typeof window === "undefined" ? true : window.innerWidth >= 960;
@@ -1482,11 +1798,11 @@ function GameView({
     const navItems = useMemo(
         () =>
             buildNavigation({
-                role: isDM ? "dm" : "player",
+                role,
                 isServerAdmin: showServerManagement,
                 availableKeys: AVAILABLE_TAB_KEYS,
             }),
-        [isDM, showServerManagement]
+        [role, showServerManagement]
     );
 
     const keybindManifest = useMemo(() => buildKeybindManifest(navItems), [navItems]);
@@ -1689,6 +2005,10 @@ function GameView({
                         }}
                     />
                 );
+            case "rolls":
+                return <DiceRollsTab game={game} me={me} />;
+            case "chat":
+                return <ChatTab game={game} me={me} unread={chatUnread} />;
             case "storyLogs":
                 return <StoryLogsTab game={game} me={me} />;
             case "help":
@@ -1765,7 +2085,7 @@ function GameView({
     const campaignPlayers = useMemo(
         () =>
             (game.players || []).filter(
-                (p) => (p?.role || "").toLowerCase() !== "dm"
+                (p) => isPartyPlayer(p)
             ),
         [game.players]
     );
@@ -1806,7 +2126,10 @@ function GameView({
     const demonCount = Array.isArray(game.demons) ? game.demons.length : 0;
 
     const headerPills = useMemo(() => {
-        if (isDM) {
+        if (role === ROLE_SPECTATOR) {
+            return [{ label: "Spectating" }, { label: `Players ${campaignPlayers.length}` }];
+        }
+        if (isDM || role === ROLE_CO_DM) {
             return [
                 { label: `Players ${campaignPlayers.length}` },
                 { label: `Demons ${demonCount}` },
@@ -1837,7 +2160,7 @@ function GameView({
             tone,
         });
         return pills;
-    }, [campaignPlayers.length, demonCount, isDM, myEntry]);
+    }, [campaignPlayers.length, demonCount, isDM, myEntry, role]);
 
     const handleLogout = useCallback(async () => {
         try {
@@ -1861,6 +2184,16 @@ function GameView({
         return normalizedFull;
     }, [game?.id, setActive]);
 
+    // A save that lost a race answers 409; the caller shows its message and
+    // the game is refetched so the next attempt starts from the latest state.
+    useEffect(
+        () =>
+            onGameConflict(() => {
+                refreshGameData().catch((err) => console.warn("Failed to reload game after a conflict", err));
+            }),
+        [refreshGameData]
+    );
+
     const handleRefresh = useCallback(async () => {
         if (!game?.id) return;
         try {
@@ -1918,12 +2251,22 @@ function GameView({
         return () => window.removeEventListener("keydown", handler);
     }, [handleRefresh, navItems, setTab]);
 
+    const applyGamePatch = useCallback((patched) => setActive(normalizeGameRecord(patched)), [setActive]);
+
     const realtime = useRealtimeConnection({
         gameId: game.id,
+        game,
         refreshGame: refreshGameData,
+        onGamePatch: applyGamePatch,
         onGameDeleted: handleGameDeleted,
     });
 
+    const chatUnread = useChatUnread({ gameId: game.id, userId: me.id, realtime });
+    const sidebarItems = useMemo(
+        () => navItems.map((item) => (item.key === "chat" ? { ...item, unread: chatUnread.total } : item)),
+        [chatUnread.total, navItems]
+    );
+
     const syncMusic = realtime.syncMusic;
     const musicControls = useContext(MusicContext);
     const playTrack = musicControls?.playTrack;
@@ -2009,13 +2352,11 @@ function GameView({
                         <div className="sidebar__header">
                             <div className="sidebar__header-main">
                                 <span className="sidebar__mode">
-                                    {isDM ? "Dungeon Master Mode" : "Player Mode"}
+                                    {isDM ? "Dungeon Master" : ROLE_LABELS[role]} Mode
                                 </span>
                                 <h2 className="sidebar__title">{game.name}</h2>
                                 <p className="sidebar__summary">
-                                    {isDM
-                                        ? "Share quick links, manage characters, and keep your table organized."
-                                        : "Track your hero, review the party, and stay aligned with your DM."}
+                                    {ROLE_SUMMARIES[role] || ROLE_SUMMARIES[ROLE_PLAYER]}
                                 </p>
                             </div>
                             <button
@@ -2029,7 +2370,7 @@ function GameView({
                             </button>
                         </div>
                         <NavigationSidebar
-                            items={navItems}
+                            items={sidebarItems}
                             activeKey={tab}
                             onSelect={handleSelectNav}
                         />
@@ -2140,7 +2481,7 @@ function GameView({
                                         <HatLogo size={56} className="header-leading__logo" />
                                         <div className="header-leading__text">
                                             <span className="eyebrow">
-                                                {isDM ? "Dungeon Master" : "Player"} View
+                                                {isDM ? "Dungeon Master" : ROLE_LABELS[role]} View
                                             </span>
                                             <h1>{activeNav?.label || ""}</h1>
                                             {activeNav?.description && (
@@ -2175,7 +2516,7 @@ function GameView({
                                         </span>
                                     ))}
                                 </div>
-                                {!isDM && (
+                                {role === ROLE_PLAYER && (
                                     <div className="header-metrics">
                                         <div className="header-metric">
                                             <span className="text-muted text-small">Account</span>
@@ -2205,6 +2546,7 @@ function GameView({
                 </div>
                 <PersonaPromptCenter realtime={realtime} />
                 <TradeOverlay game={game} me={me} realtime={realtime} />
+                <OwnershipTransferPrompt game={game} me={me} realtime={realtime} />
             </div>
         </RealtimeContext.Provider>
     );
@@ -2332,7 +2674,7 @@ function DMOverview({ game, onInspectPlayer }) {
     const players = useMemo(
         () =>
             (game.players || []).filter(
-                (p) => (p?.role || "").toLowerCase() !== "dm"
+                (p) => isPartyPlayer(p)
             ),
         [game.players]
     );
@@ -3062,7 +3404,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
     const isDM = idsMatch(game.dmId, me.id);
     const worldSkills = useMemo(() => normalizeWorldSkillDefs(game.worldSkills), [game.worldSkills]);
     const selectablePlayers = useMemo(
-        () => (game.players || []).filter((p) => (p?.role || "").toLowerCase() !== "dm"),
+        () => (game.players || []).filter((p) => isPartyPlayer(p)),
         [game.players]
     );
     const selectedPlayerId = isDM
@@ -3089,6 +3431,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
     const [backgroundError, setBackgroundError] = useState("");
     const [backgroundSuggestion, setBackgroundSuggestion] = useState(null);
     const [saving, setSaving] = useState(false);
+    const [fieldErrors, setFieldErrors] = useState({});
     const [showWizard, setShowWizard] = useState(false);
     const [playerSortMode, setPlayerSortMode] = useState("name");
     const playerCollator = useMemo(
@@ -3111,6 +3454,10 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
         }
     }, [slotCharacter, setPortraitError]);
 
+    useEffect(() => {
+        setFieldErrors({});
+    }, [game.id, selectedPlayerId]);
+
     useEffect(() => {
         setImageError("");
         setImagePromptPreview("");
@@ -3621,8 +3968,10 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                         ? { userId: selectedPlayerId, character: next }
                         : next;
                 await onSave(request);
+                setFieldErrors({});
             } catch (error) {
                 console.error(error);
+                setFieldErrors(getFieldErrors(error));
                 alert(error?.message || "Failed to save character");
             } finally {
                 setSaving(false);
@@ -3641,7 +3990,9 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                 onChange={(e) => set(path, e.target.value)}
                 disabled={disableInputs || props.disabled}
                 autoComplete="off"
+                aria-invalid={fieldErrors[path] ? true : undefined}
             />
+            {fieldErrors[path] && <span className="text-error text-small">{fieldErrors[path]}</span>}
         </label>
     );
 
@@ -3660,6 +4011,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                     </option>
                 ))}
             </select>
+            {fieldErrors[path] && <span className="text-error text-small">{fieldErrors[path]}</span>}
         </label>
     );
 
@@ -4072,6 +4424,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                         label="Level"
                                         value={get(ch, "resources.level")}
                                         onCommit={(val) => set("resources.level", clampNonNegative(val))}
+                                        error={fieldErrors["resources.level"]}
                                         className="math-inline"
                                         disabled={disableInputs}
                                     />
@@ -4079,6 +4432,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                         label="EXP"
                                         value={get(ch, "resources.exp")}
                                         onCommit={(val) => set("resources.exp", clampNonNegative(val))}
+                                        error={fieldErrors["resources.exp"]}
                                         className="math-inline"
                                         disabled={disableInputs}
                                     />
@@ -4086,6 +4440,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                         label="HP"
                                         value={hp}
                                         onCommit={(val) => set("resources.hp", clampNonNegative(val))}
+                                        error={fieldErrors["resources.hp"]}
                                         className="math-inline"
                                         disabled={disableInputs}
                                     />
@@ -4093,6 +4448,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                         label="Max HP"
                                         value={maxHP}
                                         onCommit={(val) => set("resources.maxHP", clampNonNegative(val))}
+                                        error={fieldErrors["resources.maxHP"]}
                                         className="math-inline"
                                         disabled={disableInputs}
                                     />
@@ -4113,6 +4469,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                                 label="TP"
                                                 value={tp}
                                                 onCommit={(val) => set("resources.tp", clampNonNegative(val))}
+                                                error={fieldErrors["resources.tp"]}
                                                 className="math-inline"
                                                 disabled={disableInputs}
                                             />
@@ -4120,6 +4477,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                                 label="Max TP"
                                                 value={maxTP}
                                                 onCommit={(val) => set("resources.maxTP", clampNonNegative(val))}
+                                                error={fieldErrors["resources.maxTP"]}
                                                 className="math-inline"
                                                 disabled={disableInputs}
                                             />
@@ -4130,6 +4488,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                                 label="MP"
                                                 value={mp}
                                                 onCommit={(val) => set("resources.mp", clampNonNegative(val))}
+                                                error={fieldErrors["resources.mp"]}
                                                 className="math-inline"
                                                 disabled={disableInputs}
                                             />
@@ -4137,6 +4496,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                                 label="Max MP"
                                                 value={maxMP}
                                                 onCommit={(val) => set("resources.maxMP", clampNonNegative(val))}
+                                                error={fieldErrors["resources.maxMP"]}
                                                 className="math-inline"
                                                 disabled={disableInputs}
                                             />
@@ -4146,6 +4506,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                         label="SP (earned)"
                                         value={get(ch, "resources.sp")}
                                         onCommit={(val) => set("resources.sp", clampNonNegative(val))}
+                                        error={fieldErrors["resources.sp"]}
                                         className="math-inline"
                                         disabled={disableInputs}
                                     />
@@ -4153,6 +4514,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                         label="Macca"
                                         value={get(ch, "resources.macca")}
                                         onCommit={(val) => set("resources.macca", clampNonNegative(val))}
+                                        error={fieldErrors["resources.macca"]}
                                         className="math-inline"
                                         disabled={disableInputs}
                                     />
@@ -4160,6 +4522,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                         label="Initiative bonus"
                                         value={get(ch, "resources.initiative")}
                                         onCommit={(val) => set("resources.initiative", Number(val))}
+                                        error={fieldErrors["resources.initiative"]}
                                         className="math-inline"
                                         disabled={disableInputs}
                                     />
@@ -4241,6 +4604,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                                 label="Score"
                                                 value={ability.score}
                                                 onCommit={(val) => set(`stats.${ability.key}`, Number(val))}
+                                                error={fieldErrors[`stats.${ability.key}`]}
                                                 disabled={disableInputs}
                                             />
                                             <div className="ability-card__mod">
@@ -4275,7 +4639,9 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
                                             ? { userId: selectedPlayerId, character: ch }
                                             : ch;
                                     await onSave(payload);
+                                    setFieldErrors({});
                                 } catch (e) {
+                                    setFieldErrors(getFieldErrors(e));
                                     alert(e.message);
                                 } finally {
                                     setSaving(false);
@@ -4303,6 +4669,7 @@ function Sheet({ me, game, onSave, targetUserId, onChangePlayer }) {
 }
 
 function PlayerSetupWizard({ open, onClose, onApply, baseCharacter, playerName, worldSkills }) {
+    const realtime = useContext(RealtimeContext);
     const steps = useMemo(
         () => [
             {
@@ -4353,6 +4720,8 @@ function PlayerSetupWizard({ open, onClose, onApply, baseCharacter, playerName,
     const [resources, setResources] = useState(initial.resources);
     const [skills, setSkills] = useState(initial.skills);
     const [rolled, setRolled] = useState([]);
+    const [rollingStats, setRollingStats] = useState(false);
+    const [rollError, setRollError] = useState("");
     const [applying, setApplying] = useState(false);
     const [conceptPromptIndex, setConceptPromptIndex] = useState(() =>
         promptCount ? Math.floor(Math.random() * promptCount) : 0
@@ -4494,20 +4863,28 @@ function PlayerSetupWizard({ open, onClose, onApply, baseCharacter, playerName,
         });
     }, []);
 
+    // Each score is one hit of a multi-hit roll, so the six values come back
+    // from the server in order.
+    const rollDice = realtime?.rollDice;
     const rollStats = useCallback(
-        (mode) => {
-            const values = [];
-            for (let i = 0; i < 6; i++) {
-                if (mode === "alt") {
-                    values.push(Math.floor(Math.random() * 12) + 1 + 4);
-                } else {
-                    values.push(Math.floor(Math.random() * 20) + 1);
-                }
+        async (mode) => {
+            if (typeof rollDice !== "function") return;
+            setRollingStats(true);
+            setRollError("");
+            try {
+                const roll = await rollDice({
+                    notation: mode === "alt" ? "6x(1d12+4)" : "6x1d20",
+                    label: `Ability scores for ${playerName?.trim() || "a new character"}`,
+                });
+                setRolled(roll.hits);
+                assignValuesToAbilities(roll.hits);
+            } catch (err) {
+                setRollError(err.message === "not_connected" ? "Reconnect to the table to roll." : err.message);
+            } finally {
+                setRollingStats(false);
             }
-            setRolled(values);
-            assignValuesToAbilities(values);
         },
-        [assignValuesToAbilities]
+        [assignValuesToAbilities, playerName, rollDice]
     );
 
     const autoFillResources = useCallback(() => {
@@ -4721,11 +5098,17 @@ function PlayerSetupWizard({ open, onClose, onApply, baseCharacter, playerName,
             <p>
                 Roll six ability points using 6d20. The brave can try multiple sets and pick their
                 favourite, or use the alternate 6d12+4 method for a flatter 5–16 spread. Even numbers
-                bump your modifier; odds are for gear prerequisites.
+                bump your modifier; odds are for gear prerequisites. Every set is rolled by the server
+                and shows up in the roll log.
             </p>
             <div className="wizard-roller">
-                <button type="button" className="btn" onClick={() => rollStats("d20")}>Roll 6d20</button>
-                <button type="button" className="btn" onClick={() => rollStats("alt")}>Roll 6d12 + 4</button>
+                <button type="button" className="btn" onClick={() => rollStats("d20")} disabled={rollingStats}>
+                    Roll 6d20
+                </button>
+                <button type="button" className="btn" onClick={() => rollStats("alt")} disabled={rollingStats}>
+                    Roll 6d12 + 4
+                </button>
+                {rollError && <span className="text-error text-small">{rollError}</span>}
                 {rolled.length > 0 && (
                     <div className="wizard-rolled" role="status">
                         <span>Latest roll: {rolled.join(", ")}</span>
@@ -5221,7 +5604,7 @@ function Party({ game, selectedPlayerId, onSelectPlayer, mode = "player", curren
     const players = useMemo(
         () =>
             (game.players || []).filter(
-                (entry) => (entry?.role || "").toLowerCase() !== "dm"
+                (entry) => isPartyPlayer(entry)
             ),
         [game.players]
     );
@@ -6156,7 +6539,7 @@ function StoryLogsTab({ game, me }) {
             const impersonation = playerLabels
                 .filter(
                     ({ player }) =>
-                        player?.userId && (player.role || '').toLowerCase() !== 'dm'
+                        player?.userId && isPartyPlayer(player)
                 )
                 .map(({ player, label }) => ({
                     value: `player:${player.userId}`,
@@ -6189,7 +6572,8 @@ function StoryLogsTab({ game, me }) {
     }, [personaOptions]);
 
     const trimmedMessage = message.trim();
-    const canPost = isDM || (!!config.allowPlayerPosts && personaOptions.length > 0);
+    const isSpectator = getGameRole(game, me.id) === ROLE_SPECTATOR;
+    const canPost = isDM || (!isSpectator && !!config.allowPlayerPosts && personaOptions.length > 0);
     const composerHint = useMemo(() => {
         if (!config.webhookConfigured) {
             return 'Connect a Discord webhook in Campaign Settings to enable posting.';
@@ -6552,225 +6936,86 @@ function StoryLogsTab({ game, me }) {
     );
 }
 
-const INLINE_PATTERN =
-    /(\[([^\]]+)\]\(([^)]+)\)|\*\*([^*]+)\*\*|__([^_]+)__|~~([^~]+)~~|`([^`]+)`|\*(?!\s)([^*]+?)\*(?!\s)|_(?!\s)([^_]+?)_(?!\s))/g;
-
-function sanitizeLinkHref(raw) {
-    if (typeof raw !== 'string') return null;
-    const trimmed = raw.trim();
-    if (/^https?:\/\//i.test(trimmed)) return trimmed;
-    if (/^mailto:/i.test(trimmed)) return trimmed;
-    if (/^discord:/i.test(trimmed)) return trimmed;
-    return null;
-}
+const OWNERSHIP_TRANSFER_ERRORS = {
+    not_found: "This handoff was cancelled or has expired.",
+    forbidden: "This handoff is meant for someone else.",
+    not_connected: "You're offline. Reconnect and try again.",
+};
 
-function renderInlineSegments(text, keyPrefix) {
-    if (!text) return [];
-    const nodes = [];
-    let remaining = text;
-    let index = 0;
-
-    while (remaining.length > 0) {
-        INLINE_PATTERN.lastIndex = 0;
-        const match = INLINE_PATTERN.exec(remaining);
-        if (!match || match.index === undefined) {
-            if (remaining) nodes.push(remaining);
-            break;
-        }
-        if (match.index > 0) {
-            nodes.push(remaining.slice(0, match.index));
-        }
-        const full = match[0];
-        if (match[2] !== undefined) {
-            const href = sanitizeLinkHref(match[3]);
-            if (href) {
-                nodes.push(
-                    <a
-                        key={`${keyPrefix}-link-${index}`}
-                        href={href}
-                        target="_blank"
-                        rel="noreferrer noopener"
-                    >
-                        {renderInlineSegments(match[2], `${keyPrefix}-link-${index}`)}
-                    </a>
-                );
-            } else {
-                nodes.push(match[2]);
-            }
-        } else if (match[4] !== undefined) {
-            nodes.push(
-                <strong key={`${keyPrefix}-strong-${index}`}>
-                    {renderInlineSegments(match[4], `${keyPrefix}-strong-${index}`)}
-                </strong>
-            );
-        } else if (match[5] !== undefined) {
-            nodes.push(
-                <strong key={`${keyPrefix}-strongu-${index}`}>
-                    {renderInlineSegments(match[5], `${keyPrefix}-strongu-${index}`)}
-                </strong>
-            );
-        } else if (match[6] !== undefined) {
-            nodes.push(
-                <del key={`${keyPrefix}-del-${index}`}>
-                    {renderInlineSegments(match[6], `${keyPrefix}-del-${index}`)}
-                </del>
-            );
-        } else if (match[7] !== undefined) {
-            nodes.push(
-                <code key={`${keyPrefix}-code-${index}`}>{match[7]}</code>
-            );
-        } else if (match[8] !== undefined) {
-            nodes.push(
-                <em key={`${keyPrefix}-em-${index}`}>
-                    {renderInlineSegments(match[8], `${keyPrefix}-em-${index}`)}
-                </em>
-            );
-        } else if (match[9] !== undefined) {
-            nodes.push(
-                <em key={`${keyPrefix}-emu-${index}`}>
-                    {renderInlineSegments(match[9], `${keyPrefix}-emu-${index}`)}
-                </em>
-            );
-        } else {
-            nodes.push(full);
-        }
-        remaining = remaining.slice(match.index + full.length);
-        index += 1;
-    }
+function OwnershipTransferPrompt({ game, me, realtime }) {
+    const transfer = game?.ownershipTransfer || null;
+    const status = realtime?.ownershipTransferStatus || null;
+    const respond = realtime?.respondOwnershipTransfer;
+    const [busy, setBusy] = useState(false);
+    const [dismissedId, setDismissedId] = useState(null);
+    useEffect(() => {
+        setBusy(false);
+    }, [transfer?.id, status]);
 
-    return nodes;
-}
+    if (!transfer || !idsMatch(transfer.toId, me?.id) || dismissedId === transfer.id) return null;
 
-function renderInlineWithBreaks(text, keyPrefix) {
-    const lines = text.split('\n');
-    return lines.flatMap((line, idx) => {
-        const parts = renderInlineSegments(line, `${keyPrefix}-${idx}`);
-        if (idx === lines.length - 1) {
-            return parts;
-        }
-        return [
-            <React.Fragment key={`${keyPrefix}-frag-${idx}`}>{parts}</React.Fragment>,
-            <br key={`${keyPrefix}-br-${idx}`} />,
-        ];
-    });
-}
+    const formerDm = (game.players || []).find((p) => idsMatch(p?.userId, transfer.fromId));
+    const formerDmName = formerDm?.username || "The DM";
+    const error = status?.transferId === transfer.id && status.status === "error"
+        ? OWNERSHIP_TRANSFER_ERRORS[status.error] || status.error
+        : null;
 
-function parseMarkdownBlocks(raw) {
-    if (!raw) return [];
-    const source = String(raw).replace(/\r\n?/g, '\n');
-    const lines = source.split('\n');
-    const blocks = [];
-    let index = 0;
-
-    while (index < lines.length) {
-        const line = lines[index];
-        if (line.startsWith('```')) {
-            const language = line.slice(3).trim();
-            index += 1;
-            const codeLines = [];
-            while (index < lines.length && !lines[index].startsWith('```')) {
-                codeLines.push(lines[index]);
-                index += 1;
-            }
-            if (index < lines.length && lines[index].startsWith('```')) {
-                index += 1;
-            }
-            blocks.push({ type: 'code', language, content: codeLines.join('\n') });
-            continue;
-        }
-
-        const chunkLines = [];
-        while (index < lines.length && !lines[index].startsWith('```')) {
-            chunkLines.push(lines[index]);
-            index += 1;
-        }
-        const chunk = chunkLines.join('\n');
-        const segments = chunk.split(/\n{2,}/);
-        for (const segment of segments) {
-            const trimmed = segment.trim();
-            if (!trimmed) continue;
-            const segLines = trimmed.split('\n');
-            const allTrimmed = segLines.map((ln) => ln.trim());
-            const isQuote = allTrimmed.every((ln) => ln === '' || ln.startsWith('>'));
-            if (isQuote) {
-                const cleaned = segLines
-                    .map((ln) => ln.replace(/^>\s?/, '').trim())
-                    .join('\n')
-                    .split(/\n{2,}/)
-                    .map((entry) => entry.trim())
-                    .filter(Boolean);
-                if (cleaned.length > 0) {
-                    blocks.push({ type: 'quote', lines: cleaned });
-                }
-                continue;
-            }
-            const isBullet = allTrimmed.every((ln) => ln === '' || /^[-*]\s+/.test(ln));
-            if (isBullet) {
-                const items = segLines
-                    .map((ln) => ln.replace(/^[-*]\s+/, '').trim())
-                    .filter(Boolean);
-                if (items.length > 0) {
-                    blocks.push({ type: 'list', ordered: false, items });
-                }
-                continue;
-            }
-            const isOrdered = allTrimmed.every((ln) => ln === '' || /^\d+\.\s+/.test(ln));
-            if (isOrdered) {
-                const items = segLines
-                    .map((ln) => ln.replace(/^\d+\.\s+/, '').trim())
-                    .filter(Boolean);
-                if (items.length > 0) {
-                    blocks.push({ type: 'list', ordered: true, items });
-                }
-                continue;
-            }
-            blocks.push({ type: 'paragraph', content: trimmed });
+    const handleRespond = (accept) => {
+        if (typeof respond !== "function") return;
+        setBusy(true);
+        try {
+            respond(transfer.id, accept);
+        } catch (err) {
+            setBusy(false);
+            alert(OWNERSHIP_TRANSFER_ERRORS[err.message] || err.message);
         }
-    }
-
-    return blocks;
-}
-
-function MessageMarkdown({ content }) {
-    const blocks = useMemo(() => parseMarkdownBlocks(content), [content]);
-    if (blocks.length === 0) return null;
+    };
 
     return (
-        <div className="story-logs__markdown">
-            {blocks.map((block, index) => {
-                const key = `md-block-${index}`;
-                if (block.type === 'code') {
-                    return (
-                        <pre key={key} data-language={block.language || undefined}>
-                            <code>{block.content}</code>
-                        </pre>
-                    );
-                }
-                if (block.type === 'quote') {
-                    return (
-                        <blockquote key={key}>
-                            {block.lines.map((line, idx) => (
-                                <p key={`${key}-line-${idx}`}>{renderInlineWithBreaks(line, `${key}-line-${idx}`)}</p>
-                            ))}
-                        </blockquote>
-                    );
-                }
-                if (block.type === 'list') {
-                    const Tag = block.ordered ? 'ol' : 'ul';
-                    return (
-                        <Tag key={key}>
-                            {block.items.map((item, itemIndex) => (
-                                <li key={`${key}-item-${itemIndex}`}>
-                                    {renderInlineWithBreaks(item, `${key}-item-${itemIndex}`)}
-                                </li>
-                            ))}
-                        </Tag>
-                    );
-                }
-                return (
-                    <p key={key}>{renderInlineWithBreaks(block.content, `${key}-paragraph`)}</p>
-                );
-            })}
+        <div className="persona-overlay" role="presentation">
+            <div className="persona-modal" role="dialog" aria-modal="true" aria-labelledby="ownership-modal-title">
+                <header className="persona-modal__header">
+                    <div>
+                        <h3 id="ownership-modal-title">{formerDmName} wants you to take over as DM</h3>
+                        <p className="text-muted text-small">Campaign: {game.name}</p>
+                    </div>
+                    {transfer.expiresAt && (
+                        <span className="persona-modal__timer">
+                            Until {new Date(transfer.expiresAt).toLocaleString()}
+                        </span>
+                    )}
+                </header>
+                <div className="persona-modal__body">
+                    <ul className="text-small">
+                        <li>
+                            You become the DM and {formerDmName} stays on as a player
+                            {transfer.formerDmCharacter === "fresh"
+                                ? " with an empty character slot."
+                                : " with their current character."}
+                        </li>
+                        <li>
+                            Story webhook:{" "}
+                            {transfer.handOverWebhook ? "handed over to you." : "cleared; set up your own under Settings → Story Tools."}
+                        </li>
+                        <li>
+                            Discord bot token:{" "}
+                            {transfer.handOverBotToken ? "handed over to you." : "cleared; the server's shared bot is used unless you add one."}
+                        </li>
+                    </ul>
+                    {error && <p className="text-small" style={{ color: "var(--danger)" }}>{error}</p>}
+                </div>
+                <div className="persona-modal__actions">
+                    <button type="button" className="btn ghost" onClick={() => setDismissedId(transfer.id)} disabled={busy}>
+                        Later
+                    </button>
+                    <button type="button" className="btn ghost" onClick={() => handleRespond(false)} disabled={busy}>
+                        Decline
+                    </button>
+                    <button type="button" className="btn" onClick={() => handleRespond(true)} disabled={busy}>
+                        Become DM
+                    </button>
+                </div>
+            </div>
         </div>
     );
 }
@@ -7688,7 +7933,7 @@ function CombatSkillsTab({ game, me, onUpdate }) {
     }, []);
 
     const playerOptions = useMemo(() => {
-        const players = (game.players || []).filter((p) => (p?.role || "").toLowerCase() !== "dm");
+        const players = (game.players || []).filter((p) => isPartyPlayer(p));
         return players
             .filter((p) => isDM || p.userId === me.id)
             .map((p) => {
@@ -8410,6 +8655,7 @@ function CombatSkillReferencePanel({ reference = BATTLE_MATH_REFERENCE }) {
 }
 
 function CombatSkillCalculator({ skill, playerOptions }) {
+    const realtime = useContext(RealtimeContext);
     const tierInfo = COMBAT_TIER_INFO[skill.tier] || COMBAT_TIER_INFO.WEAK;
     const options = useMemo(
         () => [{ value: "", label: "Manual entry", mods: {} }, ...playerOptions],
@@ -8419,6 +8665,8 @@ function CombatSkillCalculator({ skill, playerOptions }) {
     const [modInput, setModInput] = useState("");
     const [modIsManual, setModIsManual] = useState(false);
     const [rollInput, setRollInput] = useState("");
+    const [serverRoll, setServerRoll] = useState(null);
+    const [rolling, setRolling] = useState(false);
     const [bonusInput, setBonusInput] = useState("");
     const [buffInput, setBuffInput] = useState("1");
     const [critical, setCritical] = useState(false);
@@ -8471,10 +8719,26 @@ function CombatSkillCalculator({ skill, playerOptions }) {
     const resultTotal = damage ? damage.total : "—";
     const modDisplay = manualModRaw === "" ? autoMod : abilityMod;
 
+    const handleServerRoll = async () => {
+        if (!realtime?.rollDice || rolling) return;
+        setRolling(true);
+        try {
+            const who = selected?.value ? ` (${selected.label})` : "";
+            const roll = await realtime.rollDice({ notation: tierInfo.dice, label: `${skill.label} damage${who}` });
+            setRollInput(String(roll.total));
+            setServerRoll(roll);
+        } catch (err) {
+            alert(err.message === "not_connected" ? "Not connected to the table." : err.message);
+        } finally {
+            setRolling(false);
+        }
+    };
+
     const handleReset = () => {
         setModInput("");
         setModIsManual(false);
         setRollInput("");
+        setServerRoll(null);
         setBonusInput("");
         setBuffInput("1");
         setCritical(false);
@@ -8518,13 +8782,27 @@ function CombatSkillCalculator({ skill, playerOptions }) {
                 </label>
                 <label className="col text-small">
                     Roll total ({tierInfo.dice})
-                    <input
-                        type="number"
-                        value={rollInput}
-                        placeholder={`Roll ${tierInfo.dice}`}
-                        onChange={(e) => setRollInput(e.target.value)}
-                        className={rollValid ? undefined : "input-error"}
-                    />
+                    <div className="row" style={{ gap: 6 }}>
+                        <input
+                            type="number"
+                            value={rollInput}
+                            placeholder={`Roll ${tierInfo.dice}`}
+                            onChange={(e) => {
+                                setRollInput(e.target.value);
+                                setServerRoll(null);
+                            }}
+                            className={rollValid ? undefined : "input-error"}
+                        />
+                        <button
+                            type="button"
+                            className="btn btn-small"
+                            onClick={handleServerRoll}
+                            disabled={rolling || !realtime?.connected}
+                            title="Roll on the server and record it in the roll log"
+                        >
+                            {rolling ? "Rolling…" : "Roll"}
+                        </button>
+                    </div>
                 </label>
             </div>
             <div className="row wrap" style={{ gap: 12 }}>
@@ -8557,7 +8835,9 @@ function CombatSkillCalculator({ skill, playerOptions }) {
             <div className="combat-calculator__result">
                 <div className="combat-calculator__total">{resultTotal}</div>
                 <div className="text-small text-muted">
-                    Ask the acting player to roll {tierInfo.dice}. Enter the total above, then round up the result.
+                    {serverRoll
+                        ? `Server rolled ${tierInfo.dice}: ${serverRoll.dice[0]?.results.join(", ") ?? serverRoll.total} (in the roll log).`
+                        : `Roll ${tierInfo.dice} on the server, or enter a table roll above. The result is rounded up.`}
                 </div>
                 {damage && (
                     <div className="text-small text-muted">
@@ -9037,6 +9317,614 @@ const PERMISSION_DEFAULTS = PERMISSION_OPTIONS.reduce((acc, option) => {
     return acc;
 }, {});
 
+const HISTORY_PAGE_SIZE = 20;
+
+function describeHistoryReason(reason) {
+    if (typeof reason !== "string" || !reason) return "Update";
+    return reason
+        .split(":")
+        .map((part) => part.replace(/([a-z])([A-Z])/g, "$1 $2"))
+        .join(" › ");
+}
+
+const INVITE_EXPIRY_OPTIONS = [
+    { value: "", label: "Never" },
+    { value: "1", label: "1 hour" },
+    { value: "24", label: "1 day" },
+    { value: "168", label: "7 days" },
+    { value: "720", label: "30 days" },
+];
+
+const INVITE_STATUS_LABELS = {
+    active: "Active",
+    expired: "Expired",
+    exhausted: "Used up",
+    revoked: "Revoked",
+};
+
+function InvitesPanel({ game, onGameRefresh }) {
+    const [form, setForm] = useState({ role: ROLE_PLAYER, expiresInHours: "", maxUses: "" });
+    const [busy, setBusy] = useState(false);
+    const [revokingCode, setRevokingCode] = useState(null);
+    const [copiedCode, setCopiedCode] = useState(null);
+    const [showInactive, setShowInactive] = useState(false);
+    const invites = useMemo(() => {
+        const list = Array.isArray(game.invites) ? game.invites : [];
+        return [...list].sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+    }, [game.invites]);
+    const visibleInvites = showInactive ? invites : invites.filter((invite) => invite.status === "active");
+    const hiddenCount = invites.length - invites.filter((invite) => invite.status === "active").length;
+
+    const handleCreate = async () => {
+        const maxUses = form.maxUses.trim() ? Number(form.maxUses) : null;
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+            alert("Max uses must be a whole number of at least 1.");
+            return;
+        }
+        try {
+            setBusy(true);
+            await Games.invite(game.id, {
+                role: form.role,
+                expiresInHours: form.expiresInHours ? Number(form.expiresInHours) : null,
+                maxUses,
+            });
+            setForm((prev) => ({ ...prev, maxUses: "" }));
+            await onGameRefresh?.();
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRevoke = async (code) => {
+        if (!confirm(`Revoke invite ${code}? Nobody else will be able to join with it.`)) return;
+        try {
+            setRevokingCode(code);
+            await Games.revokeInvite(game.id, code);
+            await onGameRefresh?.();
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setRevokingCode(null);
+        }
+    };
+
+    const handleCopy = async (invite) => {
+        try {
+            await navigator.clipboard.writeText(`${window.location.origin}${invite.joinUrl}`);
+            setCopiedCode(invite.code);
+        } catch (err) {
+            console.warn("Clipboard API failed", err);
+        }
+    };
+
+    return (
+        <>
+            <h3>Invites</h3>
+            <p className="text-muted text-small" style={{ marginTop: -4 }}>
+                Create codes that expire, stop after a number of joins, or bring people in as co-DMs or spectators.
+                Revoked and expired codes stay listed so you can see who used them.
+            </p>
+            <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "flex-end" }}>
+                <label className="field">
+                    <span className="field__label">Joins as</span>
+                    <select
+                        value={form.role}
+                        onChange={(e) => setForm((prev) => ({ ...prev, role: e.target.value }))}
+                        disabled={busy}
+                    >
+                        {ASSIGNABLE_ROLES.map((value) => (
+                            <option key={value} value={value}>
+                                {ROLE_LABELS[value]}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="field">
+                    <span className="field__label">Expires after</span>
+                    <select
+                        value={form.expiresInHours}
+                        onChange={(e) => setForm((prev) => ({ ...prev, expiresInHours: e.target.value }))}
+                        disabled={busy}
+                    >
+                        {INVITE_EXPIRY_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>
+                                {option.label}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="field">
+                    <span className="field__label">Max uses</span>
+                    <input
+                        type="number"
+                        min={1}
+                        placeholder="Unlimited"
+                        value={form.maxUses}
+                        onChange={(e) => setForm((prev) => ({ ...prev, maxUses: e.target.value }))}
+                        disabled={busy}
+                        style={{ width: 110 }}
+                    />
+                </label>
+                <button type="button" className="btn" onClick={handleCreate} disabled={busy}>
+                    {busy ? "Creating…" : "Create invite"}
+                </button>
+            </div>
+
+            <div className="list" style={{ marginTop: 12 }}>
+                {visibleInvites.length === 0 && (
+                    <span className="text-muted text-small">No active invite codes.</span>
+                )}
+                {visibleInvites.map((invite) => {
+                    const details = [
+                        ROLE_LABELS[invite.role] || ROLE_LABELS[ROLE_PLAYER],
+                        invite.maxUses ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`,
+                        invite.expiresAt
+                            ? `${invite.status === "expired" ? "expired" : "expires"} ${new Date(invite.expiresAt).toLocaleString()}`
+                            : "no expiry",
+                    ];
+                    return (
+                        <div key={invite.code} className="row" style={{ justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+                            <div className="col" style={{ gap: 2 }}>
+                                <div className="row" style={{ gap: 8 }}>
+                                    <code>{invite.code}</code>
+                                    <span className={`pill ${invite.status === "active" ? "success" : "warn"}`}>
+                                        {INVITE_STATUS_LABELS[invite.status] || invite.status}
+                                    </span>
+                                </div>
+                                <span className="text-muted text-small">{details.join(" · ")}</span>
+                            </div>
+                            {invite.status === "active" && (
+                                <div className="row" style={{ gap: 8 }}>
+                                    <button type="button" className="btn ghost btn-small" onClick={() => handleCopy(invite)}>
+                                        {copiedCode === invite.code ? "Copied" : "Copy link"}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn danger btn-small"
+                                        onClick={() => handleRevoke(invite.code)}
+                                        disabled={revokingCode === invite.code}
+                                    >
+                                        {revokingCode === invite.code ? "…" : "Revoke"}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+            {hiddenCount > 0 && (
+                <button
+                    type="button"
+                    className="btn ghost btn-small"
+                    style={{ marginTop: 8 }}
+                    onClick={() => setShowInactive((prev) => !prev)}
+                >
+                    {showInactive ? "Hide inactive codes" : `Show ${hiddenCount} inactive code${hiddenCount === 1 ? "" : "s"}`}
+                </button>
+            )}
+        </>
+    );
+}
+
+function OwnershipTransferPanel({ game, onGameRefresh }) {
+    const realtime = useContext(RealtimeContext);
+    const story = useMemo(() => normalizeStorySettings(game.story), [game.story]);
+    const candidates = useMemo(
+        () => (game.players || []).filter((p) => p?.userId && !idsMatch(p.userId, game.dmId)),
+        [game.dmId, game.players]
+    );
+    const [form, setForm] = useState({
+        userId: "",
+        formerDmCharacter: "keep",
+        handOverWebhook: false,
+        handOverBotToken: false,
+    });
+    const [busy, setBusy] = useState(false);
+    const pending = game.ownershipTransfer || null;
+    const lastStatus = realtime?.ownershipTransferStatus || null;
+    const nominee = pending ? candidates.find((p) => idsMatch(p.userId, pending.toId)) : null;
+    const describe = (player) => player?.character?.name?.trim() || player?.username || "Member";
+
+    const handleNominate = async () => {
+        const target = candidates.find((p) => idsMatch(p.userId, form.userId));
+        if (!target) return;
+        if (!confirm(`Offer ${describe(target)} the DM seat? You become a player once they accept.`)) return;
+        try {
+            setBusy(true);
+            await Games.transferOwnership(game.id, form);
+            await onGameRefresh?.();
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCancel = async () => {
+        try {
+            setBusy(true);
+            await Games.cancelOwnershipTransfer(game.id);
+            await onGameRefresh?.();
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <>
+            <h3>Transfer ownership</h3>
+            <p className="text-muted text-small" style={{ marginTop: -4 }}>
+                Hand the campaign to another member for the next arc. They accept from their own screen; until then
+                nothing changes. Afterwards you stay in the campaign as a player.
+            </p>
+            {pending ? (
+                <div className="col" style={{ gap: 8 }}>
+                    <span>
+                        Waiting for <strong>{describe(nominee)}</strong> to accept. The offer expires{" "}
+                        {new Date(pending.expiresAt).toLocaleString()}.
+                    </span>
+                    <div className="row" style={{ justifyContent: "flex-end" }}>
+                        <button type="button" className="btn ghost" onClick={handleCancel} disabled={busy}>
+                            Cancel offer
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <div className="col" style={{ gap: 10 }}>
+                    {lastStatus?.status === "declined" && (
+                        <span className="text-muted text-small">Your last offer was declined.</span>
+                    )}
+                    <label className="field">
+                        <span className="field__label">New DM</span>
+                        <select
+                            value={form.userId}
+                            onChange={(e) => setForm((prev) => ({ ...prev, userId: e.target.value }))}
+                            disabled={busy || candidates.length === 0}
+                        >
+                            <option value="">{candidates.length === 0 ? "No other members yet" : "Choose a member"}</option>
+                            {candidates.map((player) => (
+                                <option key={player.userId} value={player.userId}>
+                                    {describe(player)}
+                                    {player.username ? ` (@${player.username})` : ""}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="field">
+                        <span className="field__label">Your character afterwards</span>
+                        <select
+                            value={form.formerDmCharacter}
+                            onChange={(e) => setForm((prev) => ({ ...prev, formerDmCharacter: e.target.value }))}
+                            disabled={busy}
+                        >
+                            <option value="keep">Keep my existing character, if any</option>
+                            <option value="fresh">Start with an empty character slot</option>
+                        </select>
+                    </label>
+                    {story.webhookConfigured && (
+                        <label className="perm-toggle">
+                            <input
+                                type="checkbox"
+                                checked={form.handOverWebhook}
+                                onChange={(e) => setForm((prev) => ({ ...prev, handOverWebhook: e.target.checked }))}
+                                disabled={busy}
+                            />
+                            <div className="perm-toggle__text">
+                                <span className="perm-toggle__label">Hand over the story webhook</span>
+                                <span className="text-muted text-small">Otherwise it is cleared and the new DM sets their own.</span>
+                            </div>
+                        </label>
+                    )}
+                    {story.botToken && (
+                        <label className="perm-toggle">
+                            <input
+                                type="checkbox"
+                                checked={form.handOverBotToken}
+                                onChange={(e) => setForm((prev) => ({ ...prev, handOverBotToken: e.target.checked }))}
+                                disabled={busy}
+                            />
+                            <div className="perm-toggle__text">
+                                <span className="perm-toggle__label">Hand over the Discord bot token</span>
+                                <span className="text-muted text-small">
+                                    Otherwise it is cleared; the new DM will be able to read it if you hand it over.
+                                </span>
+                            </div>
+                        </label>
+                    )}
+                    <div className="row" style={{ justifyContent: "flex-end" }}>
+                        <button type="button" className="btn" onClick={handleNominate} disabled={busy || !form.userId}>
+                            {busy ? "Sending…" : "Offer DM seat"}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+}
+
+function SaveTemplatePanel({ game }) {
+    const [form, setForm] = useState(() => ({ name: `${game.name || "Campaign"} template`, description: "" }));
+    const [saving, setSaving] = useState(false);
+    const [savedName, setSavedName] = useState(null);
+
+    const handleSave = async () => {
+        try {
+            setSaving(true);
+            const template = await Games.saveAsTemplate(game.id, {
+                name: form.name.trim(),
+                description: form.description.trim(),
+            });
+            setSavedName(template?.name || form.name.trim());
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <>
+            <h3 style={{ marginTop: 24 }}>Save as template</h3>
+            <p className="text-muted text-small" style={{ marginTop: -4 }}>
+                Reuse this campaign&apos;s custom items and gear, world skills, your combat skills, fusion chart overrides
+                and saved maps when you start a new game. Players, characters, demons and story settings are not copied.
+            </p>
+            <div className="col" style={{ gap: 8 }}>
+                <input
+                    value={form.name}
+                    maxLength={100}
+                    aria-label="Template name"
+                    onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                />
+                <textarea
+                    rows={2}
+                    value={form.description}
+                    maxLength={500}
+                    placeholder="What is this template for? (optional)"
+                    onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+                />
+                <div className="row" style={{ justifyContent: "space-between", alignItems: "center" }}>
+                    <span className="text-muted text-small">
+                        {savedName ? `Saved "${savedName}". Pick it under Start a New Game.` : ""}
+                    </span>
+                    <button type="button" className="btn" disabled={saving || !form.name.trim()} onClick={handleSave}>
+                        {saving ? "Saving…" : "Save template"}
+                    </button>
+                </div>
+            </div>
+        </>
+    );
+}
+
+function ShareLinkPanel({ game, onGameRefresh }) {
+    const [busy, setBusy] = useState(false);
+    const [copied, setCopied] = useState(false);
+    const share = game.share || null;
+    const shareUrl = share?.url && typeof window !== "undefined" ? `${window.location.origin}${share.url}` : "";
+
+    useEffect(() => {
+        setCopied(false);
+    }, [shareUrl]);
+
+    const handleCreate = async () => {
+        if (share && !confirm("Create a new link? The current link will stop working.")) return;
+        try {
+            setBusy(true);
+            await Games.createShareLink(game.id);
+            await onGameRefresh?.();
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRevoke = async () => {
+        if (!confirm("Revoke the share link? Anyone watching through it is disconnected.")) return;
+        try {
+            setBusy(true);
+            await Games.revokeShareLink(game.id);
+            await onGameRefresh?.();
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(shareUrl);
+            setCopied(true);
+        } catch (err) {
+            console.warn("Clipboard API failed", err);
+        }
+    };
+
+    return (
+        <>
+            <h3>Public share link</h3>
+            <p className="text-muted text-small" style={{ marginTop: -4 }}>
+                A read-only view for streams and spectators without an account. It shows the battle map, combat
+                order, party HP and the current music. Hidden token details, the battle log, saved maps and story
+                settings stay private.
+            </p>
+            {share ? (
+                <div className="col" style={{ gap: 8 }}>
+                    <input
+                        readOnly
+                        value={shareUrl}
+                        aria-label="Share link"
+                        onFocus={(e) => e.target.select()}
+                    />
+                    {share.createdAt && (
+                        <span className="text-muted text-small">
+                            Created {new Date(share.createdAt).toLocaleString()}
+                        </span>
+                    )}
+                    <div className="row" style={{ gap: 8, justifyContent: "flex-end" }}>
+                        <button type="button" className="btn ghost" onClick={handleCopy} disabled={busy}>
+                            {copied ? "Copied" : "Copy link"}
+                        </button>
+                        <button type="button" className="btn ghost" onClick={handleCreate} disabled={busy}>
+                            New link
+                        </button>
+                        <button type="button" className="btn danger" onClick={handleRevoke} disabled={busy}>
+                            Revoke
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <div className="row" style={{ justifyContent: "flex-end" }}>
+                    <button type="button" className="btn" onClick={handleCreate} disabled={busy}>
+                        {busy ? "Creating…" : "Create share link"}
+                    </button>
+                </div>
+            )}
+        </>
+    );
+}
+
+function GameHistoryPanel({ game, onGameRefresh }) {
+    const [page, setPage] = useState(1);
+    const [data, setData] = useState({ items: [], total: 0 });
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+    const [revertingId, setRevertingId] = useState(null);
+    const timeFormatter = useMemo(
+        () => new Intl.DateTimeFormat(undefined, { dateStyle: "medium", timeStyle: "short" }),
+        []
+    );
+    const playerNames = useMemo(() => {
+        const map = new Map();
+        for (const player of game.players || []) {
+            if (!player?.userId) continue;
+            const name = player.character?.name || player.username || "Player";
+            map.set(player.userId, name);
+        }
+        return map;
+    }, [game.players]);
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        setError("");
+        try {
+            const result = await Games.history.list(game.id, { page, size: HISTORY_PAGE_SIZE });
+            setData({
+                items: Array.isArray(result?.items) ? result.items : [],
+                total: Number(result?.total) || 0,
+            });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [game.id, page]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const pageCount = Math.max(1, Math.ceil(data.total / HISTORY_PAGE_SIZE));
+
+    const handleRevert = async (entry) => {
+        if (!confirm(`Revert "${describeHistoryReason(entry.reason)}"? Later changes are kept.`)) return;
+        try {
+            setRevertingId(entry.id);
+            await Games.history.revert(game.id, entry.id);
+            if (typeof onGameRefresh === "function") {
+                await onGameRefresh();
+            }
+            await load();
+        } catch (err) {
+            if (err.message === "revert_conflict") {
+                alert("This change was modified again afterwards and can no longer be reverted on its own.");
+            } else {
+                alert(err.message);
+            }
+        } finally {
+            setRevertingId(null);
+        }
+    };
+
+    return (
+        <>
+            <h3>Change history</h3>
+            <p className="text-muted text-small" style={{ marginTop: -4 }}>
+                Every saved change to the campaign, newest first. Revert a single change to undo it without
+                touching anything that happened since.
+            </p>
+            {error && <div className="text-error text-small">{error}</div>}
+            <div className="list" style={{ marginTop: 12 }}>
+                {!loading && data.items.length === 0 && (
+                    <div className="text-muted text-small">No changes recorded yet.</div>
+                )}
+                {data.items.map((entry) => {
+                    const actor = entry.actorId ? playerNames.get(entry.actorId) || "Former member" : "System";
+                    const when = entry.createdAt ? timeFormatter.format(new Date(entry.createdAt)) : "";
+                    return (
+                        <div
+                            key={entry.id}
+                            className="row"
+                            style={{ justifyContent: "space-between", alignItems: "center", gap: 12 }}
+                        >
+                            <div className="stack" style={{ gap: 2 }}>
+                                <div>
+                                    <b>{describeHistoryReason(entry.reason)}</b>{" "}
+                                    <span className="pill">v{entry.version}</span>
+                                    {entry.revertOf && <span className="pill">revert</span>}
+                                    {entry.revertedAt && <span className="pill">reverted</span>}
+                                </div>
+                                <span className="text-muted text-small">
+                                    {actor}
+                                    {when ? ` · ${when}` : ""} · {entry.operationCount} field
+                                    {entry.operationCount === 1 ? "" : "s"}
+                                </span>
+                                {entry.paths?.length > 0 && (
+                                    <span className="text-muted text-small">{entry.paths.join(", ")}</span>
+                                )}
+                            </div>
+                            <button
+                                type="button"
+                                className="btn btn-small"
+                                disabled={!!entry.revertedAt || revertingId === entry.id}
+                                onClick={() => handleRevert(entry)}
+                            >
+                                {revertingId === entry.id ? "Reverting…" : "Revert"}
+                            </button>
+                        </div>
+                    );
+                })}
+            </div>
+            <div className="row" style={{ justifyContent: "space-between", alignItems: "center", marginTop: 12 }}>
+                <button
+                    type="button"
+                    className="btn btn-small"
+                    disabled={loading || page <= 1}
+                    onClick={() => setPage((current) => Math.max(1, current - 1))}
+                >
+                    Newer
+                </button>
+                <span className="text-muted text-small">
+                    {loading ? "Loading…" : `Page ${page} of ${pageCount}`}
+                </span>
+                <button
+                    type="button"
+                    className="btn btn-small"
+                    disabled={loading || page >= pageCount}
+                    onClick={() => setPage((current) => current + 1)}
+                >
+                    Older
+                </button>
+            </div>
+        </>
+    );
+}
+
 function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh }) {
     const [perms, setPerms] = useState(() => ({
         ...PERMISSION_DEFAULTS,
@@ -9056,6 +9944,7 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
             game.map?.settings?.allowPlayerTokenMoves,
             MAP_DEFAULT_SETTINGS.allowPlayerTokenMoves,
         ),
+        healthBars: mapReadHealthBars(game.map?.settings?.healthBars),
         paused: mapReadBoolean(game.map?.paused),
     }));
     const [mapSaving, setMapSaving] = useState(false);
@@ -9084,6 +9973,7 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
                 game.map?.settings?.allowPlayerTokenMoves,
                 MAP_DEFAULT_SETTINGS.allowPlayerTokenMoves,
             ),
+            healthBars: mapReadHealthBars(game.map?.settings?.healthBars),
             paused: mapReadBoolean(game.map?.paused),
         });
     }, [
@@ -9091,15 +9981,17 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
         game.map?.paused,
         game.map?.settings?.allowPlayerDrawing,
         game.map?.settings?.allowPlayerTokenMoves,
+        game.map?.settings?.healthBars,
     ]);
 
     const removablePlayers = useMemo(
         () =>
             (game.players || []).filter(
-                (p) => (p?.role || "").toLowerCase() !== "dm"
+                (p) => p?.userId && normalizeRole(p.role) !== ROLE_DM && !idsMatch(p.userId, game.dmId)
             ),
-        [game.players]
+        [game.dmId, game.players]
     );
+    const [roleSavingId, setRoleSavingId] = useState(null);
 
     const isDM = idsMatch(game.dmId, me?.id);
     const canKick = isDM && typeof onKickPlayer === "function";
@@ -9137,6 +10029,7 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
                         updated.settings?.allowPlayerTokenMoves,
                         MAP_DEFAULT_SETTINGS.allowPlayerTokenMoves,
                     ),
+                    healthBars: mapReadHealthBars(updated.settings?.healthBars),
                     paused: mapReadBoolean(updated.paused),
                 };
                 setMapSettings(resolvedSettings);
@@ -9152,6 +10045,11 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
                     summary.push(`${enabled ? "Enabled" : "Disabled"} player token moves`);
                     changeDetails.allowPlayerTokenMoves = enabled;
                 }
+                if (Object.prototype.hasOwnProperty.call(changes, "healthBars")) {
+                    const option = HEALTH_BAR_OPTIONS.find((entry) => entry.value === changes.healthBars);
+                    summary.push(`Health bars visible to ${(option?.label || changes.healthBars).toLowerCase()}`);
+                    changeDetails.healthBars = changes.healthBars;
+                }
                 if (Object.prototype.hasOwnProperty.call(changes, "paused")) {
                     const paused = !!changes.paused;
                     summary.push(paused ? "Paused the battle map" : "Resumed the battle map");
@@ -9193,6 +10091,28 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
         }
     }, [game.id, isDM, logBattle, onGameRefresh]);
 
+    const [exporting, setExporting] = useState(false);
+    const handleExport = useCallback(async () => {
+        if (!isDM) return;
+        try {
+            setExporting(true);
+            const blob = await Games.exportBundle(game.id);
+            const slug = (game.name || "campaign").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = `${slug || "campaign"}.campaign.json.gz`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setExporting(false);
+        }
+    }, [game.id, game.name, isDM]);
+
     const navSections = useMemo(() => {
         const sections = [
             { key: "permissions", label: "Permissions" },
@@ -9200,9 +10120,14 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
             { key: "story", label: "Story Tools" },
         ];
         if (canKick) sections.push({ key: "members", label: "Members" });
+        if (isDM) sections.push({ key: "invites", label: "Invites" });
+        if (isDM) sections.push({ key: "share", label: "Share Link" });
+        if (isDM) sections.push({ key: "history", label: "History" });
+        if (isDM) sections.push({ key: "ownership", label: "Ownership" });
+        if (isDM) sections.push({ key: "export", label: "Export" });
         if (canDelete) sections.push({ key: "danger", label: "Danger Zone" });
         return sections;
-    }, [canKick, canDelete]);
+    }, [canKick, canDelete, isDM]);
 
     const [activeSection, setActiveSection] = useState(() => navSections[0]?.key || "permissions");
 
@@ -9312,6 +10237,23 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
                             </span>
                         </div>
                     </label>
+                    <label className="field">
+                        <span className="field__label">Health bars</span>
+                        <select
+                            value={mapSettings.healthBars}
+                            disabled={!isDM || mapSaving}
+                            onChange={(event) => applyMapSettings({ healthBars: event.target.value })}
+                        >
+                            {HEALTH_BAR_OPTIONS.map((option) => (
+                                <option key={option.value} value={option.value}>
+                                    {option.label}
+                                </option>
+                            ))}
+                        </select>
+                        <span className="text-muted text-small">
+                            Who sees HP, MP and TP bars on map tokens. The DM and co-DMs always do.
+                        </span>
+                    </label>
                     <label className={`perm-toggle${!isDM ? " is-readonly" : ""}`}>
                         <input
                             type="checkbox"
@@ -9583,7 +10525,9 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
             <>
                 <h3>Campaign members</h3>
                 <p style={{ color: "var(--muted)", marginTop: -4 }}>
-                    Remove players from the campaign if they should no longer have access.
+                    Choose what each member can do, or remove them from the campaign if they should no
+                    longer have access. Co-DMs can run the map and combat and hand out items; spectators
+                    can watch but not act.
                 </p>
                 <div className="list">
                     {removablePlayers.length === 0 ? (
@@ -9602,6 +10546,7 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
                             if (charClass) subtitleParts.push(charClass);
                             const subtitle = subtitleParts.join(" · ");
                             const isBusy = removingId === player.userId;
+                            const playerRole = normalizeRole(player.role);
 
                             return (
                                 <div
@@ -9619,38 +10564,64 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
                                             <span className="text-muted text-small">{subtitle}</span>
                                         )}
                                     </div>
-                                    <button
-                                        type="button"
-                                        className="btn danger btn-small"
-                                        disabled={removingId !== null}
-                                        onClick={async () => {
-                                            if (!canKick || typeof onKickPlayer !== "function") {
-                                                return;
-                                            }
-                                            if (!player?.userId) return;
-                                            const confirmName =
-                                                player.character?.name?.trim() ||
-                                                player.username ||
-                                                "this player";
-                                            if (
-                                                !confirm(
-                                                    `Remove ${confirmName} from the campaign? They will lose access to this game.`
-                                                )
-                                            ) {
-                                                return;
-                                            }
-                                            try {
-                                                setRemovingId(player.userId);
-                                                await onKickPlayer(player.userId);
-                                            } catch (e) {
-                                                alert(e.message);
-                                            } finally {
-                                                setRemovingId(null);
-                                            }
-                                        }}
-                                    >
-                                        {isBusy ? "Removing…" : "Remove"}
-                                    </button>
+                                    <div className="row" style={{ gap: 8, alignItems: "center" }}>
+                                        <select
+                                            aria-label={`Role for ${name}`}
+                                            value={playerRole}
+                                            disabled={roleSavingId !== null}
+                                            onChange={async (e) => {
+                                                const nextRole = e.target.value;
+                                                if (nextRole === playerRole) return;
+                                                try {
+                                                    setRoleSavingId(player.userId);
+                                                    await Games.setPlayerRole(game.id, player.userId, nextRole);
+                                                    await onGameRefresh?.();
+                                                } catch (err) {
+                                                    alert(err.message);
+                                                } finally {
+                                                    setRoleSavingId(null);
+                                                }
+                                            }}
+                                        >
+                                            {ASSIGNABLE_ROLES.map((value) => (
+                                                <option key={value} value={value}>
+                                                    {ROLE_LABELS[value]}
+                                                </option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            type="button"
+                                            className="btn danger btn-small"
+                                            disabled={removingId !== null}
+                                            onClick={async () => {
+                                                if (!canKick || typeof onKickPlayer !== "function") {
+                                                    return;
+                                                }
+                                                if (!player?.userId) return;
+                                                const confirmName =
+                                                    player.character?.name?.trim() ||
+                                                    player.username ||
+                                                    "this player";
+                                                if (
+                                                    !confirm(
+                                                        `Remove ${confirmName} from the campaign? They will lose access to this game.`
+                                                    )
+                                                ) {
+                                                    return;
+                                                }
+                                                try {
+                                                    setRemovingId(player.userId);
+                                                    await onKickPlayer(player.userId);
+                                                } catch (e) {
+                                                    alert(e.message);
+                                                } finally {
+                                                    setRemovingId(null);
+                                                }
+                                            }}
+                                        >
+                                            {isBusy ? "Removing…" : "Remove"}
+                                        </button>
+                                    </div>
                                 </div>
                             );
                         })
@@ -9658,6 +10629,31 @@ function SettingsTab({ game, onUpdate, me, onDelete, onKickPlayer, onGameRefresh
                 </div>
             </>
         );
+    } else if (activeSection === "invites" && isDM) {
+        sectionContent = <InvitesPanel game={game} onGameRefresh={onGameRefresh} />;
+    } else if (activeSection === "share" && isDM) {
+        sectionContent = <ShareLinkPanel game={game} onGameRefresh={onGameRefresh} />;
+    } else if (activeSection === "ownership" && isDM) {
+        sectionContent = <OwnershipTransferPanel game={game} onGameRefresh={onGameRefresh} />;
+    } else if (activeSection === "history" && isDM) {
+        sectionContent = <GameHistoryPanel game={game} onGameRefresh={onGameRefresh} />;
+    } else if (activeSection === "export" && isDM) {
+        sectionContent = (
+            <>
+                <h3>Export campaign</h3>
+                <p className="text-muted text-small" style={{ marginTop: -4 }}>
+                    Download the whole campaign — characters, demons, custom items and gear, skills, fusion chart,
+                    saved maps, and uploaded music — as a single bundle you can archive or import on another server.
+                    Discord webhook and bot token are left out.
+                </p>
+                <div className="row" style={{ justifyContent: "flex-end", marginTop: 12 }}>
+                    <button className="btn" disabled={exporting} onClick={handleExport}>
+                        {exporting ? "Preparing…" : "Download bundle"}
+                    </button>
+                </div>
+                <SaveTemplatePanel game={game} />
+            </>
+        );
     } else if (activeSection === "danger" && canDelete) {
         sectionContent = (
             <>
@@ -2,7 +2,7 @@
 /**
  * AntiMatter Zone • Web API Utilities
  * - Safe JSON parsing (falls back to text/blob)
- * - Normalized ApiError with status/code/details
+ * - Normalized ApiError with status/code/details (and per-field validation messages)
  * - Timeout via AbortController
  * - Optional retries with exponential backoff for idempotent requests (GET/HEAD)
  * - Credentials included by default (cookie-based auth), optional Bearer hook
@@ -10,12 +10,13 @@
  * - Tiny in-memory cache (opt-in per request)
  */
 
-/** @typedef {{ status:number, code?:string, message:string, details?:any, url?:string }} ApiErrorShape */
+/** @typedef {{ status:number, code?:string, message:string, details?:any, fields?:Record<string,string>, url?:string }} ApiErrorShape */
 
 export class ApiError extends Error {
     /** @type {number} */ status;
     /** @type {string|undefined} */ code;
     /** @type {any} */ details;
+    /** @type {Record<string,string>|undefined} */ fields;
     /** @type {string|undefined} */ url;
 
     /**
@@ -27,16 +28,49 @@ export class ApiError extends Error {
         this.status = shape.status;
         this.code = shape.code;
         this.details = shape.details;
+        this.fields = shape.fields;
         this.url = shape.url;
     }
 }
 
+/**
+ * Field-level validation messages from an `invalid_fields` response, keyed by
+ * the dotted path of the offending input (e.g. `resources.maxHP`).
+ *
+ * @param {unknown} err
+ * @returns {Record<string,string>}
+ */
+export function getFieldErrors(err) {
+    return err instanceof ApiError && err.fields ? err.fields : {};
+}
+
+function summarizeFieldErrors(fields) {
+    const entries = Object.entries(fields);
+    const [path, message] = entries[0];
+    const more = entries.length > 1 ? ` (+${entries.length - 1} more)` : '';
+    return `${path}: ${message}${more}`;
+}
+
 /** Simple TTL cache */
 const _cache = new Map();
 // Track active API requests for UI effects
 const _activityListeners = new Set();
 let _activeCount = 0;
 
+/** Error code of the 409 a save answers with when the game changed underneath it. */
+export const GAME_VERSION_CONFLICT = 'game_version_conflict';
+const _conflictListeners = new Set();
+
+/**
+ * Subscribe to game version conflicts from any request, e.g. to refetch the
+ * game the failed edit was based on.
+ * @param {(err: ApiError) => void} fn
+ */
+export function onGameConflict(fn) {
+    _conflictListeners.add(fn);
+    return () => _conflictListeners.delete(fn);
+}
+
 export function onApiActivity(fn) {
     _activityListeners.add(fn);
     fn(_activeCount > 0);
@@ -122,6 +156,7 @@ function buildQuery(q) {
  * @property {number} [timeoutMs] - default 12_000
  * @property {(init: RequestInit) => string | undefined} [getBearer] - return token to add as Authorization: Bearer <token>
  * @property {(err: ApiError) => void} [onUnauthorized] - invoked on 401
+ * @property {(err: ApiError) => void} [onConflict] - invoked on a 409 game version conflict
  */
 
 /**
@@ -185,6 +220,7 @@ export function createApi({
                               timeoutMs = 12_000,
                               getBearer,
                               onUnauthorized,
+                              onConflict,
                           } = /** @type {CreateApiOptions} */ ({})) {
 
     /**
@@ -313,6 +349,10 @@ export function createApi({
                         shape.message = payload.message || payload.error || shape.message;
                         shape.code = payload.code || shape.code;
                         shape.details = payload.details ?? payload;
+                        if (payload.fields && typeof payload.fields === 'object' && Object.keys(payload.fields).length > 0) {
+                            shape.fields = payload.fields;
+                            if (!payload.message) shape.message = summarizeFieldErrors(payload.fields);
+                        }
                     } else if (typeof payload === 'string') {
                         shape.message = payload || shape.message;
                     }
@@ -325,6 +365,13 @@ export function createApi({
                             console.error(e);
                         }
                     }
+                    if (err.status === 409 && err.code === GAME_VERSION_CONFLICT && typeof onConflict === 'function') {
+                        try {
+                            onConflict(err);
+                        } catch (e) {
+                            console.error(e);
+                        }
+                    }
                     throw err;
                 }
 
@@ -501,6 +548,9 @@ export const apiClient = createApi({
         // e.g., dispatch logout, redirect, or toast
         // console.warn('Unauthorized');
     },
+    onConflict: (err) => {
+        for (const fn of _conflictListeners) fn(err);
+    },
 });
 
 // Back-compat shim for your existing code that called `api(path, opts)`
@@ -524,12 +574,31 @@ export const Auth = {
         body: { username, password, email, confirmPassword },
         noRetry: true,
     }),
+    resetPassword: (token, password, confirmPassword) => api('/api/auth/password-reset', {
+        method: 'POST',
+        body: { token, password, confirmPassword },
+        noRetry: true,
+    }),
     logout: () => api('/api/auth/logout', { method: 'POST', noRetry: true }),
 };
 
+export const Account = {
+    sessions: {
+        list: () => api('/api/account/sessions'),
+        revoke: (id) => api(`/api/account/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+        revokeOthers: () => api('/api/account/sessions/revoke-others', { method: 'POST', noRetry: true }),
+    },
+    tokens: {
+        list: () => api('/api/account/tokens'),
+        create: (payload) => api('/api/account/tokens', { method: 'POST', body: payload, noRetry: true }),
+        revoke: (id) => api(`/api/account/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+    },
+};
+
 export const Games = {
     list: (query) => api('/api/games', { query }),
-    create: (name) => api('/api/games', { method: 'POST', body: { name } }),
+    create: (name, templateId) =>
+        api('/api/games', { method: 'POST', body: templateId ? { name, templateId } : { name } }),
     get: (id) => api(`/api/games/${encodeURIComponent(id)}`),
     music: {
         library: (id) => api(`/api/games/${encodeURIComponent(id)}/music/library`),
@@ -546,7 +615,96 @@ export const Games = {
                 method: 'DELETE',
             }),
     },
-    invite: (id) => api(`/api/games/${encodeURIComponent(id)}/invites`, { method: 'POST' }),
+    /**
+     * Create an invite code (DM only). Without options the code never expires,
+     * has no usage cap and makes joiners players.
+     * @param {string} id
+     * @param {{ role?: 'player' | 'co-dm' | 'spectator', expiresInHours?: number | null, maxUses?: number | null }} [options]
+     */
+    invite: (id, options = {}) =>
+        api(`/api/games/${encodeURIComponent(id)}/invites`, { method: 'POST', body: options }),
+    listInvites: (id) => api(`/api/games/${encodeURIComponent(id)}/invites`),
+    revokeInvite: (id, code) =>
+        api(`/api/games/${encodeURIComponent(id)}/invites/${encodeURIComponent(code)}`, { method: 'DELETE' }),
+    /**
+     * Nominate a member as the next DM (DM only). The nominee accepts over the
+     * realtime channel; see `respondOwnershipTransfer` in useRealtimeConnection.
+     * @param {string} id
+     * @param {{ userId: string, formerDmCharacter?: 'keep' | 'fresh', handOverWebhook?: boolean, handOverBotToken?: boolean }} body
+     */
+    transferOwnership: (id, body) => api(`/api/games/${encodeURIComponent(id)}/transfer`, { method: 'POST', body }),
+    cancelOwnershipTransfer: (id) => api(`/api/games/${encodeURIComponent(id)}/transfer`, { method: 'DELETE' }),
+    /**
+     * Save the game's reusable content as a template (DM only).
+     * @param {string} id
+     * @param {{ name: string, description?: string }} body
+     */
+    saveAsTemplate: (id, body) => api(`/api/games/${encodeURIComponent(id)}/templates`, { method: 'POST', body }),
+    createShareLink: (id) => api(`/api/games/${encodeURIComponent(id)}/share`, { method: 'POST' }),
+    revokeShareLink: (id) => api(`/api/games/${encodeURIComponent(id)}/share`, { method: 'DELETE' }),
+    history: {
+        /**
+         * Page through recorded changes, newest first (DM only).
+         * @param {string} id
+         * @param {{ page?: number, size?: number }} [query]
+         * @returns {Promise<{ items: any[], total: number, page: number, size: number }>}
+         */
+        list: (id, query) => api(`/api/games/${encodeURIComponent(id)}/history`, { query }),
+        get: (id, changeId) =>
+            api(`/api/games/${encodeURIComponent(id)}/history/${encodeURIComponent(changeId)}`),
+        revert: (id, changeId) =>
+            api(`/api/games/${encodeURIComponent(id)}/history/${encodeURIComponent(changeId)}/revert`, {
+                method: 'POST',
+                noRetry: true,
+            }),
+    },
+    /**
+     * Page through the roll log, newest first. Rolls themselves are made
+     * with `rollDice` from useRealtimeConnection.
+     * @param {string} id
+     * @param {{ page?: number, size?: number }} [query]
+     * @returns {Promise<{ items: any[], total: number, page: number, size: number }>}
+     */
+    rolls: (id, query) => api(`/api/games/${encodeURIComponent(id)}/rolls`, { query }),
+    chat: {
+        /**
+         * Page back through a chat thread (`party`, `ooc` or `whisper:<userId>`).
+         * Messages come back oldest first; pass the first one's `createdAt` as
+         * `before` to load older ones. Send with `sendChat` from useRealtimeConnection.
+         * @param {string} id
+         * @param {{ thread?: string, before?: string, limit?: number }} [query]
+         * @returns {Promise<{ items: any[], hasMore: boolean }>}
+         */
+        list: (id, query) => api(`/api/games/${encodeURIComponent(id)}/chat`, { query }),
+        unread: (id) => api(`/api/games/${encodeURIComponent(id)}/chat/unread`),
+        markRead: (id, thread) =>
+            api(`/api/games/${encodeURIComponent(id)}/chat/read`, { method: 'POST', body: { thread } }),
+    },
+    /**
+     * Download a gzipped campaign bundle (DM only).
+     * @param {string} id
+     * @returns {Promise<Blob>}
+     */
+    exportBundle: (id) =>
+        api(`/api/games/${encodeURIComponent(id)}/export`, {
+            expect: 'blob',
+            timeoutMs: 120_000,
+            noRetry: true,
+        }),
+    /**
+     * Import a campaign bundle as a new game owned by the current user.
+     * @param {File|Blob} file
+     */
+    importBundle: (file) => {
+        const form = new FormData();
+        form.append('file', file);
+        return api('/api/games/import', {
+            method: 'POST',
+            body: form,
+            timeoutMs: 120_000,
+            noRetry: true,
+        });
+    },
     delete: (id) => api(`/api/games/${encodeURIComponent(id)}`, { method: 'DELETE' }),
     joinByCode: (code) => api(`/api/games/join/${encodeURIComponent(code)}`, { method: 'POST' }),
     setPerms: (id, perms) => api(`/api/games/${encodeURIComponent(id)}/permissions`, { method: 'PUT', body: perms }),
@@ -601,6 +759,11 @@ export const Games = {
             { method: 'POST' },
         ),
     removePlayer: (id, playerId) => api(`/api/games/${encodeURIComponent(id)}/players/${encodeURIComponent(playerId)}`, { method: 'DELETE' }),
+    setPlayerRole: (id, playerId, role) =>
+        api(`/api/games/${encodeURIComponent(id)}/players/${encodeURIComponent(playerId)}/role`, {
+            method: 'PUT',
+            body: { role },
+        }),
     addPlayerGearBag: (id, playerId, item) =>
         api(`/api/games/${encodeURIComponent(id)}/players/${encodeURIComponent(playerId)}/gear/bag`, {
             method: 'POST',
@@ -705,6 +868,29 @@ export const Games = {
             body: payload,
             quiet: true,
         }),
+    rollInitiative: (id, payload) =>
+        api(`/api/games/${encodeURIComponent(id)}/map/combat/initiative`, {
+            method: 'POST',
+            body: payload,
+            quiet: true,
+        }),
+    addCombatant: (id, payload) =>
+        api(`/api/games/${encodeURIComponent(id)}/map/combat/entries`, {
+            method: 'POST',
+            body: payload,
+            quiet: true,
+        }),
+    updateCombatant: (id, entryId, action) =>
+        api(`/api/games/${encodeURIComponent(id)}/map/combat/entries/${encodeURIComponent(entryId)}`, {
+            method: 'PUT',
+            body: { action },
+            quiet: true,
+        }),
+    removeCombatant: (id, entryId) =>
+        api(`/api/games/${encodeURIComponent(id)}/map/combat/entries/${encodeURIComponent(entryId)}`, {
+            method: 'DELETE',
+            quiet: true,
+        }),
     endCombat: (id) =>
         api(`/api/games/${encodeURIComponent(id)}/map/combat/end`, {
             method: 'POST',
@@ -722,6 +908,40 @@ export const Games = {
             body: payload,
             quiet: true,
         }),
+    adjustTokenPool: (id, tokenId, { pool, amount, mode }) =>
+        api(`/api/games/${encodeURIComponent(id)}/map/tokens/${encodeURIComponent(tokenId)}/pools`, {
+            method: 'POST',
+            body: { pool, amount, mode },
+            quiet: true,
+        }),
+    resolveAttack: (id, payload) =>
+        api(`/api/games/${encodeURIComponent(id)}/map/combat/attack`, {
+            method: 'POST',
+            body: payload,
+            quiet: true,
+        }),
+    applyTokenAilment: (id, tokenId, payload) =>
+        api(`/api/games/${encodeURIComponent(id)}/map/tokens/${encodeURIComponent(tokenId)}/ailments`, {
+            method: 'POST',
+            body: payload,
+            quiet: true,
+        }),
+    cureTokenAilment: (id, tokenId, ailmentId) =>
+        api(
+            `/api/games/${encodeURIComponent(id)}/map/tokens/${encodeURIComponent(tokenId)}/ailments/${encodeURIComponent(ailmentId)}`,
+            { method: 'DELETE', quiet: true },
+        ),
+    applyTokenBuff: (id, tokenId, payload) =>
+        api(`/api/games/${encodeURIComponent(id)}/map/tokens/${encodeURIComponent(tokenId)}/buffs`, {
+            method: 'POST',
+            body: payload,
+            quiet: true,
+        }),
+    clearTokenBuff: (id, tokenId, stat) =>
+        api(`/api/games/${encodeURIComponent(id)}/map/tokens/${encodeURIComponent(tokenId)}/buffs/${encodeURIComponent(stat)}`, {
+            method: 'DELETE',
+            quiet: true,
+        }),
     deleteMapToken: (id, tokenId) =>
         api(`/api/games/${encodeURIComponent(id)}/map/tokens/${encodeURIComponent(tokenId)}`, {
             method: 'DELETE',
@@ -758,6 +978,13 @@ export const ServerAdmin = {
         update: (id, payload) =>
             api(`/api/admin/users/${encodeURIComponent(id)}`, { method: 'PATCH', body: payload }),
         delete: (id) => api(`/api/admin/users/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+        issuePasswordReset: (id) =>
+            api(`/api/admin/users/${encodeURIComponent(id)}/password-reset`, { method: 'POST', noRetry: true }),
+        cancelPasswordReset: (id) =>
+            api(`/api/admin/users/${encodeURIComponent(id)}/password-reset`, { method: 'DELETE' }),
+        unlock: (id) => api(`/api/admin/users/${encodeURIComponent(id)}/unlock`, { method: 'POST' }),
+        revokeSessions: (id) =>
+            api(`/api/admin/users/${encodeURIComponent(id)}/sessions/revoke`, { method: 'POST', noRetry: true }),
     },
     games: {
         list: () => api('/api/admin/games'),
@@ -770,6 +997,15 @@ export const ServerAdmin = {
         setDungeonMaster: (gameId, dmId) =>
             api(`/api/admin/games/${encodeURIComponent(gameId)}`, { method: 'PATCH', body: { dmId } }),
     },
+    snapshots: {
+        list: (gameId) => api('/api/admin/snapshots', { query: gameId ? { gameId } : undefined }),
+        create: (gameId) =>
+            api('/api/admin/snapshots', { method: 'POST', body: gameId ? { gameId } : {}, timeoutMs: 60_000 }),
+        diff: (id) => api(`/api/admin/snapshots/${encodeURIComponent(id)}/diff`),
+        restore: (id) =>
+            api(`/api/admin/snapshots/${encodeURIComponent(id)}/restore`, { method: 'POST', noRetry: true }),
+        delete: (id) => api(`/api/admin/snapshots/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+    },
     demons: {
         list: () => api('/api/admin/demons'),
         update: (id, payload) =>
@@ -797,6 +1033,17 @@ export const Items = {
     premade: () => api('/api/items/premade', { cache: 10_000 }),
 };
 
+export const Templates = {
+    list: () => api('/api/templates'),
+    delete: (id) => api(`/api/templates/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+    /** Publish a template to every DM on the server, or withdraw it (server admins). */
+    setGlobal: (id, global) => api(`/api/admin/templates/${encodeURIComponent(id)}`, { method: 'PUT', body: { global } }),
+};
+
+export const Share = {
+    get: (token) => api(`/api/share/${encodeURIComponent(token)}`),
+};
+
 export const Help = {
     docs: () => api('/api/help/docs', { cache: 10_000 }),
     getDoc: (filename) =>
@@ -0,0 +1,357 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Account } from "../api";
+
+function formatError(err) {
+    if (!err) return "";
+    if (typeof err === "string") return err;
+    return err?.message || "Unexpected error";
+}
+
+function formatTimestamp(value, fallback = "Never") {
+    if (!value) return fallback;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? fallback : date.toLocaleString();
+}
+
+function describeUserAgent(userAgent) {
+    if (!userAgent) return "Unknown device";
+    const browser =
+        /Edg\//.test(userAgent) ? "Edge"
+            : /Firefox\//.test(userAgent) ? "Firefox"
+                : /Chrome\//.test(userAgent) ? "Chrome"
+                    : /Safari\//.test(userAgent) ? "Safari"
+                        : null;
+    const os =
+        /Windows/.test(userAgent) ? "Windows"
+            : /Android/.test(userAgent) ? "Android"
+                : /iPhone|iPad/.test(userAgent) ? "iOS"
+                    : /Mac OS X/.test(userAgent) ? "macOS"
+                        : /Linux/.test(userAgent) ? "Linux"
+                            : null;
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || userAgent.slice(0, 60);
+}
+
+function SessionsPanel() {
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState("");
+    const [sessions, setSessions] = useState([]);
+    const [busy, setBusy] = useState(false);
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        setError("");
+        try {
+            const list = await Account.sessions.list();
+            setSessions(Array.isArray(list) ? list : []);
+        } catch (err) {
+            setError(formatError(err));
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const handleRevoke = async (session) => {
+        try {
+            setBusy(true);
+            await Account.sessions.revoke(session.id);
+            setSessions((prev) => prev.filter((item) => item.id !== session.id));
+        } catch (err) {
+            alert(formatError(err));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRevokeOthers = async () => {
+        if (!window.confirm("Sign out every other device?")) return;
+        try {
+            setBusy(true);
+            await Account.sessions.revokeOthers();
+            setSessions((prev) => prev.filter((item) => item.current));
+        } catch (err) {
+            alert(formatError(err));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const hasOthers = sessions.some((session) => !session.current);
+
+    return (
+        <div className="card">
+            <div className="row" style={{ justifyContent: "space-between", alignItems: "center" }}>
+                <h3 style={{ margin: 0 }}>Active sessions</h3>
+                <div className="row" style={{ gap: 8 }}>
+                    <button
+                        type="button"
+                        className="btn danger btn-small"
+                        onClick={handleRevokeOthers}
+                        disabled={busy || !hasOthers}
+                    >
+                        Sign out other devices
+                    </button>
+                    <button type="button" className="btn ghost btn-small" onClick={load} disabled={loading}>
+                        {loading ? "Loading…" : "Refresh"}
+                    </button>
+                </div>
+            </div>
+            {error && <div className="alert warn">{error}</div>}
+            <div className="list" style={{ marginTop: 12 }}>
+                {!loading && sessions.length === 0 && <div className="text-muted">No active sessions.</div>}
+                {sessions.map((session) => (
+                    <div
+                        key={session.id}
+                        className="row"
+                        style={{ justifyContent: "space-between", alignItems: "center", gap: 12 }}
+                    >
+                        <div>
+                            <b title={session.userAgent || undefined}>{describeUserAgent(session.userAgent)}</b>{" "}
+                            {session.current && <span className="pill">This device</span>}
+                            <div className="text-muted text-small">
+                                {session.ip || "Unknown IP"} · Last seen {formatTimestamp(session.lastSeenAt, "—")} ·
+                                Signed in {formatTimestamp(session.createdAt, "—")}
+                            </div>
+                        </div>
+                        {!session.current && (
+                            <button
+                                type="button"
+                                className="btn danger btn-small"
+                                onClick={() => handleRevoke(session)}
+                                disabled={busy}
+                            >
+                                Sign out
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+const EMPTY_TOKEN_DRAFT = { name: "", readOnly: false, scoped: false, gameIds: [], expiresInDays: "" };
+
+function ApiTokensPanel({ games }) {
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState("");
+    const [tokens, setTokens] = useState([]);
+    const [draft, setDraft] = useState(EMPTY_TOKEN_DRAFT);
+    const [creating, setCreating] = useState(false);
+    const [created, setCreated] = useState(null);
+
+    const gameNames = useMemo(() => {
+        const map = new Map();
+        for (const game of Array.isArray(games) ? games : []) {
+            if (game?.id) map.set(game.id, game.name || game.id);
+        }
+        return map;
+    }, [games]);
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        setError("");
+        try {
+            const list = await Account.tokens.list();
+            setTokens(Array.isArray(list) ? list : []);
+        } catch (err) {
+            setError(formatError(err));
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const toggleGame = (gameId) => {
+        setDraft((prev) => ({
+            ...prev,
+            gameIds: prev.gameIds.includes(gameId)
+                ? prev.gameIds.filter((id) => id !== gameId)
+                : [...prev.gameIds, gameId],
+        }));
+    };
+
+    const handleCreate = async () => {
+        const name = draft.name.trim();
+        if (!name) return;
+        if (draft.scoped && draft.gameIds.length === 0) {
+            alert("Pick at least one game or turn off game scoping.");
+            return;
+        }
+        try {
+            setCreating(true);
+            const result = await Account.tokens.create({
+                name,
+                readOnly: draft.readOnly,
+                gameIds: draft.scoped ? draft.gameIds : null,
+                expiresInDays: draft.expiresInDays === "" ? null : Number(draft.expiresInDays),
+            });
+            setCreated(result);
+            setDraft(EMPTY_TOKEN_DRAFT);
+            setTokens((prev) => [result.record, ...prev]);
+        } catch (err) {
+            alert(formatError(err));
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleRevoke = async (token) => {
+        if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working immediately.`)) return;
+        try {
+            await Account.tokens.revoke(token.id);
+            setTokens((prev) => prev.filter((item) => item.id !== token.id));
+            if (created?.record?.id === token.id) setCreated(null);
+        } catch (err) {
+            alert(formatError(err));
+        }
+    };
+
+    return (
+        <div className="card">
+            <div className="row" style={{ justifyContent: "space-between", alignItems: "center" }}>
+                <h3 style={{ margin: 0 }}>API tokens</h3>
+                <button type="button" className="btn ghost btn-small" onClick={load} disabled={loading}>
+                    {loading ? "Loading…" : "Refresh"}
+                </button>
+            </div>
+            <p className="text-muted text-small">
+                Send a token as <code>Authorization: Bearer &lt;token&gt;</code> to call the REST API from scripts.
+                Tokens act as you, but cannot reach account or server admin routes.
+            </p>
+
+            <div className="col" style={{ gap: 8 }}>
+                <div className="row" style={{ gap: 8, flexWrap: "wrap" }}>
+                    <input
+                        placeholder="Token name (e.g. prep script)"
+                        value={draft.name}
+                        maxLength={64}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+                    />
+                    <input
+                        type="number"
+                        min={1}
+                        placeholder="Expires in days (optional)"
+                        value={draft.expiresInDays}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, expiresInDays: e.target.value }))}
+                    />
+                </div>
+                <label className="row" style={{ alignItems: "center", gap: 8 }}>
+                    <input
+                        type="checkbox"
+                        checked={draft.readOnly}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, readOnly: e.target.checked }))}
+                    />
+                    <span>Read-only (GET requests only)</span>
+                </label>
+                <label className="row" style={{ alignItems: "center", gap: 8 }}>
+                    <input
+                        type="checkbox"
+                        checked={draft.scoped}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, scoped: e.target.checked }))}
+                    />
+                    <span>Limit to specific games</span>
+                </label>
+                {draft.scoped && (
+                    <div className="col" style={{ gap: 4, paddingLeft: 24 }}>
+                        {gameNames.size === 0 && <span className="text-muted text-small">You are not in any games.</span>}
+                        {Array.from(gameNames.entries()).map(([id, name]) => (
+                            <label key={id} className="row" style={{ alignItems: "center", gap: 8 }}>
+                                <input
+                                    type="checkbox"
+                                    checked={draft.gameIds.includes(id)}
+                                    onChange={() => toggleGame(id)}
+                                />
+                                <span>{name}</span>
+                            </label>
+                        ))}
+                    </div>
+                )}
+                <div>
+                    <button
+                        type="button"
+                        className="btn"
+                        onClick={handleCreate}
+                        disabled={creating || !draft.name.trim()}
+                    >
+                        {creating ? "Creating…" : "Create token"}
+                    </button>
+                </div>
+            </div>
+
+            {created && (
+                <div className="card" style={{ padding: 12, gap: 4, marginTop: 12 }}>
+                    <div>
+                        New token: <code style={{ userSelect: "all", wordBreak: "break-all" }}>{created.token}</code>
+                    </div>
+                    <div className="text-muted text-small">Copy it now. It will not be shown again.</div>
+                    <div>
+                        <button type="button" className="btn ghost btn-small" onClick={() => setCreated(null)}>
+                            Done
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {error && <div className="alert warn">{error}</div>}
+            <div className="list" style={{ marginTop: 12 }}>
+                {!loading && tokens.length === 0 && <div className="text-muted">No tokens yet.</div>}
+                {tokens.map((token) => (
+                    <div
+                        key={token.id}
+                        className="row"
+                        style={{ justifyContent: "space-between", alignItems: "center", gap: 12 }}
+                    >
+                        <div>
+                            <b>{token.name}</b> <code>{token.prefix}…</code>{" "}
+                            {token.readOnly && <span className="pill">Read-only</span>}{" "}
+                            {Array.isArray(token.gameIds) && (
+                                <span className="pill" title={token.gameIds.map((id) => gameNames.get(id) || id).join(", ")}>
+                                    {token.gameIds.length} game{token.gameIds.length === 1 ? "" : "s"}
+                                </span>
+                            )}
+                            <div className="text-muted text-small">
+                                Created {formatTimestamp(token.createdAt, "—")} · Last used {formatTimestamp(token.lastUsedAt)}
+                                {token.lastUsedIp ? ` from ${token.lastUsedIp}` : ""}
+                                {token.expiresAt ? ` · Expires ${formatTimestamp(token.expiresAt)}` : ""}
+                            </div>
+                        </div>
+                        <button type="button" className="btn danger btn-small" onClick={() => handleRevoke(token)}>
+                            Revoke
+                        </button>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default function AccountSettings({ me, games, onClose }) {
+    return (
+        <div className="col" style={{ gap: 16 }}>
+            <div className="row" style={{ justifyContent: "space-between", alignItems: "center" }}>
+                <div>
+                    <h3 style={{ margin: 0 }}>Account settings</h3>
+                    <span className="text-muted text-small">
+                        {me?.username}
+                        {me?.email ? ` · ${me.email}` : ""}
+                    </span>
+                </div>
+                {typeof onClose === "function" && (
+                    <button type="button" className="btn ghost" onClick={onClose}>
+                        Back
+                    </button>
+                )}
+            </div>
+            <SessionsPanel />
+            <ApiTokensPanel games={games} />
+        </div>
+    );
+}
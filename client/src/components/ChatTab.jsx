@@ -0,0 +1,237 @@
+import React, { useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+
+import { MAX_CHAT_MESSAGE_LENGTH, chatThreadFor, whisperThread } from "@shared/chat.js";
+
+import { Games } from "../api";
+import RealtimeContext from "../contexts/RealtimeContext";
+import { idsMatch } from "../utils/ids";
+import { ROLE_LABELS, canRunTable, getGameRole } from "../utils/roles";
+import { describePlayerName } from "./battleMap/mapShared";
+import MessageMarkdown from "./MessageMarkdown";
+
+const CHAT_PAGE_SIZE = 50;
+
+const CHAT_ERRORS = {
+    not_connected: "You're offline. Reconnect and try again.",
+    message_too_long: `Messages are limited to ${MAX_CHAT_MESSAGE_LENGTH} characters.`,
+    rate_limited: "Slow down a little before sending more.",
+    invalid_recipient: "That person is no longer in the campaign.",
+    forbidden: "Only the DM and co-DMs can post here.",
+};
+
+/**
+ * Party chat: the shared channel, the DM table's out-of-character channel
+ * and private whispers. Messages travel over the realtime socket and are
+ * stored on the server, so older ones page in from the API.
+ */
+export default function ChatTab({ game, me, unread }) {
+    const realtime = useContext(RealtimeContext);
+    const [thread, setThread] = useState("party");
+    const [messages, setMessages] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+    const [draft, setDraft] = useState("");
+    const [sending, setSending] = useState(false);
+    const listRef = useRef(null);
+    const stickToBottomRef = useRef(true);
+    const setOpenThread = unread?.setOpenThread;
+    const isTable = canRunTable(game, me.id);
+
+    const members = useMemo(() => {
+        const map = new Map();
+        for (const player of game.players || []) {
+            if (!player?.userId || map.has(player.userId)) continue;
+            map.set(player.userId, {
+                userId: player.userId,
+                name: idsMatch(player.userId, game.dmId) ? player.username || "DM" : describePlayerName(player),
+                role: getGameRole(game, player.userId),
+            });
+        }
+        return map;
+    }, [game]);
+
+    const threads = useMemo(() => {
+        const list = [{ key: "party", label: "Party", hint: "Everyone at the table" }];
+        if (isTable) list.push({ key: "ooc", label: "DM table", hint: "Out of character · DM and co-DMs" });
+        for (const member of members.values()) {
+            if (idsMatch(member.userId, me.id)) continue;
+            list.push({
+                key: whisperThread(member.userId),
+                label: member.name,
+                hint: `Whisper · ${ROLE_LABELS[member.role] || "Player"}`,
+            });
+        }
+        return list;
+    }, [isTable, me.id, members]);
+
+    useEffect(() => {
+        if (!threads.some((entry) => entry.key === thread)) setThread("party");
+    }, [thread, threads]);
+
+    useEffect(() => {
+        if (typeof setOpenThread !== "function") return undefined;
+        setOpenThread(thread);
+        return () => setOpenThread(null);
+    }, [setOpenThread, thread]);
+
+    useEffect(() => {
+        let cancelled = false;
+        setMessages([]);
+        setHasMore(false);
+        setError("");
+        setLoading(true);
+        stickToBottomRef.current = true;
+        Games.chat
+            .list(game.id, { thread, limit: CHAT_PAGE_SIZE })
+            .then((result) => {
+                if (cancelled) return;
+                setMessages(Array.isArray(result?.items) ? result.items : []);
+                setHasMore(!!result?.hasMore);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.message);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [game.id, thread]);
+
+    useEffect(() => {
+        if (!realtime?.subscribeChat) return undefined;
+        return realtime.subscribeChat((message) => {
+            if (chatThreadFor(message, me.id) !== thread) return;
+            setMessages((prev) => (prev.some((entry) => entry.id === message.id) ? prev : [...prev, message]));
+        });
+    }, [me.id, realtime, thread]);
+
+    useEffect(() => {
+        const list = listRef.current;
+        if (list && stickToBottomRef.current) list.scrollTop = list.scrollHeight;
+    }, [messages]);
+
+    const loadOlder = useCallback(async () => {
+        const oldest = messages[0];
+        if (!oldest || loading) return;
+        setLoading(true);
+        stickToBottomRef.current = false;
+        try {
+            const result = await Games.chat.list(game.id, { thread, before: oldest.createdAt, limit: CHAT_PAGE_SIZE });
+            const older = Array.isArray(result?.items) ? result.items : [];
+            setMessages((prev) => [...older, ...prev]);
+            setHasMore(!!result?.hasMore);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [game.id, loading, messages, thread]);
+
+    const send = async () => {
+        const body = draft.trim();
+        if (!body || sending || !realtime?.sendChat) return;
+        setSending(true);
+        setError("");
+        stickToBottomRef.current = true;
+        try {
+            await realtime.sendChat(thread, body);
+            setDraft("");
+        } catch (err) {
+            setError(CHAT_ERRORS[err.message] || err.message);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const active = threads.find((entry) => entry.key === thread) || threads[0];
+    const describeSender = (senderId) => {
+        if (idsMatch(senderId, me.id)) return "You";
+        return members.get(senderId)?.name || "Former member";
+    };
+
+    return (
+        <div className="party-chat">
+            <nav className="party-chat__threads card" aria-label="Chat threads">
+                {threads.map((entry) => {
+                    const count = unread?.threads?.[entry.key] || 0;
+                    return (
+                        <button
+                            key={entry.key}
+                            type="button"
+                            className={`party-chat__thread${entry.key === thread ? " is-active" : ""}`}
+                            onClick={() => setThread(entry.key)}
+                            aria-pressed={entry.key === thread}
+                        >
+                            <span className="party-chat__thread-text">
+                                <strong>{entry.label}</strong>
+                                <span className="text-muted text-small">{entry.hint}</span>
+                            </span>
+                            {count > 0 && <span className="pill warn">{count}</span>}
+                        </button>
+                    );
+                })}
+            </nav>
+            <section className="party-chat__pane card">
+                <header className="party-chat__header">
+                    <h3>{active.label}</h3>
+                    <span className="text-muted text-small">{active.hint}</span>
+                </header>
+                <div className="party-chat__messages" ref={listRef}>
+                    {hasMore && (
+                        <button type="button" className="btn ghost btn-small" onClick={loadOlder} disabled={loading}>
+                            {loading ? "Loading…" : "Load older messages"}
+                        </button>
+                    )}
+                    {!loading && messages.length === 0 && (
+                        <p className="text-muted text-small">No messages yet. Say hello!</p>
+                    )}
+                    {messages.map((message) => (
+                        <article key={message.id} className="party-chat__message">
+                            <div className="story-logs__message-meta">
+                                <span className="story-logs__author">{describeSender(message.senderId)}</span>
+                                {message.createdAt && (
+                                    <span className="story-logs__timestamp">
+                                        {new Date(message.createdAt).toLocaleString()}
+                                    </span>
+                                )}
+                            </div>
+                            <MessageMarkdown content={message.body} />
+                        </article>
+                    ))}
+                </div>
+                <form
+                    className="party-chat__composer"
+                    onSubmit={(event) => {
+                        event.preventDefault();
+                        void send();
+                    }}
+                >
+                    <textarea
+                        value={draft}
+                        rows={3}
+                        maxLength={MAX_CHAT_MESSAGE_LENGTH}
+                        placeholder={thread.startsWith("whisper:") ? `Whisper to ${active.label}…` : "Message the table… (Markdown works)"}
+                        onChange={(event) => setDraft(event.target.value)}
+                        onKeyDown={(event) => {
+                            if (event.key === "Enter" && !event.shiftKey) {
+                                event.preventDefault();
+                                void send();
+                            }
+                        }}
+                    />
+                    <div className="row" style={{ justifyContent: "space-between", alignItems: "center" }}>
+                        <span className="text-muted text-small">
+                            {error ? <span className="text-error">{error}</span> : "Enter to send · Shift+Enter for a new line"}
+                        </span>
+                        <button type="submit" className="btn btn-small" disabled={sending || !draft.trim() || !realtime?.connected}>
+                            {sending ? "Sending…" : "Send"}
+                        </button>
+                    </div>
+                </form>
+            </section>
+        </div>
+    );
+}
@@ -1,6 +1,6 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 
-import { ApiError, Games, Personas } from "../api";
+import { ApiError, Games, Personas, getFieldErrors } from "../api";
 import DemonImage from "./DemonImage";
 import {
     ABILITY_DEFS,
@@ -1043,6 +1043,7 @@ function DemonTab({ game, me, onUpdate }) {
         return source && typeof source === "object" ? source : EMPTY_OBJECT;
     }, [editing, selected]);
     const [busySave, setBusySave] = useState(false);
+    const [fieldErrors, setFieldErrors] = useState(EMPTY_OBJECT);
     const [busySearch, setBusySearch] = useState(false);
     const [busyDelete, setBusyDelete] = useState(null);
     const [demonSortMode, setDemonSortMode] = useState("name");
@@ -1087,6 +1088,7 @@ function DemonTab({ game, me, onUpdate }) {
         setImage("");
         setSelected(null);
         setEditing(null);
+        setFieldErrors(EMPTY_OBJECT);
     }, []);
 
     useEffect(() => {
@@ -1121,12 +1123,16 @@ function DemonTab({ game, me, onUpdate }) {
             await onUpdate();
             resetForm();
         } catch (e) {
+            setFieldErrors(getFieldErrors(e));
             alert(e.message);
         } finally {
             setBusySave(false);
         }
     };
 
+    const fieldError = (path) =>
+        fieldErrors[path] ? <span className="text-error text-small">{fieldErrors[path]}</span> : null;
+
     const remove = async (id) => {
         if (!isDM) return;
         if (!confirm("Remove this demon from the pool?")) return;
@@ -1636,14 +1642,17 @@ function DemonTab({ game, me, onUpdate }) {
                     <label className="field demon-editor__field">
                         <span className="field__label">Name</span>
                         <input placeholder="Name" value={name} onChange={(event) => setName(event.target.value)} />
+                        {fieldError("name")}
                     </label>
                     <label className="field demon-editor__field">
                         <span className="field__label">Arcana</span>
                         <input placeholder="Arcana" value={arcana} onChange={(event) => setArc(event.target.value)} />
+                        {fieldError("arcana")}
                     </label>
                     <label className="field demon-editor__field">
                         <span className="field__label">Alignment</span>
                         <input placeholder="Alignment" value={align} onChange={(event) => setAlign(event.target.value)} />
+                        {fieldError("alignment")}
                     </label>
                 </div>
                 <div className="demon-editor__row">
@@ -1655,6 +1664,7 @@ function DemonTab({ game, me, onUpdate }) {
                             value={level}
                             onChange={(event) => setLevel(Number(event.target.value || 0))}
                         />
+                        {fieldError("level")}
                     </label>
                     <label className="field demon-editor__field demon-editor__field--wide">
                         <span className="field__label">Image URL</span>
@@ -1664,6 +1674,7 @@ function DemonTab({ game, me, onUpdate }) {
                             value={image}
                             onChange={(event) => setImage(event.target.value)}
                         />
+                        {fieldError("image")}
                     </label>
                 </div>
             </div>
@@ -1688,6 +1699,7 @@ function DemonTab({ game, me, onUpdate }) {
                                     }
                                 />
                                 <span className="text-small text-muted">Mod {formatModifier(mod)}</span>
+                                {fieldError(`stats.${ability.key}`)}
                             </label>
                         );
                     })}
@@ -1724,6 +1736,7 @@ function DemonTab({ game, me, onUpdate }) {
                     <label className="field demon-editor__field">
                         <span className="field__label">Notes</span>
                         <textarea rows={3} value={notes} onChange={(event) => setNotes(event.target.value)} />
+                        {fieldError("notes")}
                     </label>
                 </div>
             </div>
@@ -0,0 +1,288 @@
+import React, { useCallback, useContext, useEffect, useMemo, useState } from "react";
+
+import { DiceNotationError, describeDiceRoll, parseDiceNotation } from "@shared/dice.js";
+
+import { Games } from "../api";
+import { ABILITY_DEFS } from "../constants/gameData";
+import RealtimeContext from "../contexts/RealtimeContext";
+import { idsMatch } from "../utils/ids";
+
+const ROLL_PAGE_SIZE = 25;
+
+const QUICK_ROLLS = [
+    { notation: "1d20", label: "Check" },
+    { notation: "1d20+ACC-EVA", label: "Accuracy" },
+    { notation: "2d8+MOD*2", label: "Medium skill" },
+    { notation: "4d6kh3", label: "Stat (4d6 keep 3)" },
+    { notation: "4x2d6+STR", label: "Ninja Katana" },
+];
+
+const VISIBILITY_OPTIONS = [
+    { value: "public", label: "Everyone" },
+    { value: "dm", label: "DM only" },
+    { value: "self", label: "Only me" },
+];
+
+const VISIBILITY_PILLS = {
+    dm: { label: "DM only", tone: "warn" },
+    self: { label: "Private", tone: "light" },
+};
+
+/**
+ * Dice roller and the game's roll log. Every roll is made by the server and
+ * recorded there, so results can't be typed in after the fact.
+ */
+export default function DiceRollsTab({ game, me }) {
+    const realtime = useContext(RealtimeContext);
+    const [form, setForm] = useState({ notation: "1d20", label: "", ability: "", visibility: "public", acc: "", eva: "" });
+    const [rolling, setRolling] = useState(false);
+    const [rollError, setRollError] = useState("");
+    const [page, setPage] = useState(1);
+    const [data, setData] = useState({ items: [], total: 0 });
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState("");
+    const timeFormatter = useMemo(
+        () => new Intl.DateTimeFormat(undefined, { timeStyle: "short" }),
+        []
+    );
+    const playerNames = useMemo(() => {
+        const map = new Map();
+        for (const player of game.players || []) {
+            if (!player?.userId) continue;
+            map.set(player.userId, player.character?.name || player.username || "Player");
+        }
+        return map;
+    }, [game.players]);
+
+    const parsed = useMemo(() => {
+        try {
+            return { value: parseDiceNotation(form.notation), error: "" };
+        } catch (err) {
+            return { value: null, error: err instanceof DiceNotationError ? err.message : "Invalid roll" };
+        }
+    }, [form.notation]);
+    const usesVariable = (name) => !!parsed.value?.variables.includes(name);
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        setError("");
+        try {
+            const result = await Games.rolls(game.id, { page, size: ROLL_PAGE_SIZE });
+            setData({
+                items: Array.isArray(result?.items) ? result.items : [],
+                total: Number(result?.total) || 0,
+            });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [game.id, page]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    // New rolls arrive live; only the first page shows them.
+    useEffect(() => {
+        if (!realtime?.subscribeDiceRolls || page !== 1) return undefined;
+        return realtime.subscribeDiceRolls((roll) => {
+            setData((prev) => {
+                if (prev.items.some((entry) => entry.id === roll.id)) return prev;
+                return { items: [roll, ...prev.items].slice(0, ROLL_PAGE_SIZE), total: prev.total + 1 };
+            });
+        });
+    }, [page, realtime]);
+
+    const submitRoll = async () => {
+        if (!realtime?.rollDice || rolling) return;
+        const variables = {};
+        if (form.acc !== "" && Number.isFinite(Number(form.acc))) variables.ACC = Number(form.acc);
+        if (form.eva !== "" && Number.isFinite(Number(form.eva))) variables.EVA = Number(form.eva);
+        setRolling(true);
+        setRollError("");
+        try {
+            await realtime.rollDice({
+                notation: form.notation,
+                label: form.label,
+                visibility: form.visibility,
+                ability: form.ability || undefined,
+                variables,
+            });
+        } catch (err) {
+            setRollError(err.message === "not_connected" ? "Not connected to the table." : err.message);
+        } finally {
+            setRolling(false);
+        }
+    };
+
+    const pageCount = Math.max(1, Math.ceil(data.total / ROLL_PAGE_SIZE));
+
+    return (
+        <div className="stack" style={{ gap: 16 }}>
+            <div className="card">
+                <h3>Roll dice</h3>
+                <p className="text-muted text-small" style={{ marginTop: -4 }}>
+                    Rolls are made by the server and land in the log below. STR, DEX, CON, INT, WIS, CHA and LVL come
+                    from your sheet; MOD is the ability picked here. Use <code>4x2d6</code> for multi-hit weapons and{" "}
+                    <code>4d6kh3</code> to keep the highest dice.
+                </p>
+                <form
+                    className="row"
+                    style={{ gap: 12, flexWrap: "wrap", alignItems: "flex-end" }}
+                    onSubmit={(event) => {
+                        event.preventDefault();
+                        void submitRoll();
+                    }}
+                >
+                    <label className="field">
+                        <span className="field__label">Notation</span>
+                        <input
+                            value={form.notation}
+                            onChange={(event) => setForm((prev) => ({ ...prev, notation: event.target.value }))}
+                            placeholder="2d8+MOD*2"
+                        />
+                    </label>
+                    <label className="field">
+                        <span className="field__label">Label</span>
+                        <input
+                            value={form.label}
+                            onChange={(event) => setForm((prev) => ({ ...prev, label: event.target.value }))}
+                            placeholder="e.g. Agi on the Pixie"
+                        />
+                    </label>
+                    <label className="field">
+                        <span className="field__label">MOD</span>
+                        <select
+                            value={form.ability}
+                            onChange={(event) => setForm((prev) => ({ ...prev, ability: event.target.value }))}
+                        >
+                            <option value="">None</option>
+                            {ABILITY_DEFS.map((ability) => (
+                                <option key={ability.key} value={ability.key}>
+                                    {ability.key}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    {usesVariable("ACC") && (
+                        <label className="field">
+                            <span className="field__label">ACC</span>
+                            <input
+                                type="number"
+                                value={form.acc}
+                                onChange={(event) => setForm((prev) => ({ ...prev, acc: event.target.value }))}
+                            />
+                        </label>
+                    )}
+                    {usesVariable("EVA") && (
+                        <label className="field">
+                            <span className="field__label">EVA</span>
+                            <input
+                                type="number"
+                                value={form.eva}
+                                onChange={(event) => setForm((prev) => ({ ...prev, eva: event.target.value }))}
+                            />
+                        </label>
+                    )}
+                    <label className="field">
+                        <span className="field__label">Visible to</span>
+                        <select
+                            value={form.visibility}
+                            onChange={(event) => setForm((prev) => ({ ...prev, visibility: event.target.value }))}
+                        >
+                            {VISIBILITY_OPTIONS.map((option) => (
+                                <option key={option.value} value={option.value}>
+                                    {option.label}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <button type="submit" className="btn" disabled={rolling || !parsed.value || !realtime?.connected}>
+                        {rolling ? "Rolling…" : "Roll"}
+                    </button>
+                </form>
+                {(parsed.error || rollError) && (
+                    <div className="text-error text-small" style={{ marginTop: 8 }}>
+                        {parsed.error || rollError}
+                    </div>
+                )}
+                <div className="row" style={{ gap: 8, flexWrap: "wrap", marginTop: 12 }}>
+                    {QUICK_ROLLS.map((quick) => (
+                        <button
+                            key={quick.notation}
+                            type="button"
+                            className="btn ghost btn-small"
+                            onClick={() => setForm((prev) => ({ ...prev, notation: quick.notation, label: quick.label }))}
+                        >
+                            {quick.notation}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="card">
+                <h3>Roll log</h3>
+                {error && <div className="text-error text-small">{error}</div>}
+                <div className="list" style={{ marginTop: 12 }}>
+                    {!loading && data.items.length === 0 && (
+                        <div className="text-muted text-small">Nobody has rolled yet.</div>
+                    )}
+                    {data.items.map((roll) => {
+                        const who = idsMatch(roll.userId, game.dmId)
+                            ? "DM"
+                            : playerNames.get(roll.userId) || roll.userName || "Former member";
+                        const when = roll.createdAt ? timeFormatter.format(new Date(roll.createdAt)) : "";
+                        const visibility = VISIBILITY_PILLS[roll.visibility];
+                        return (
+                            <div
+                                key={roll.id}
+                                className="row"
+                                style={{ justifyContent: "space-between", alignItems: "center", gap: 12 }}
+                            >
+                                <div className="stack" style={{ gap: 2 }}>
+                                    <div>
+                                        <b>{who}</b>
+                                        {idsMatch(roll.userId, me.id) && <span className="text-muted"> (you)</span>}
+                                        {roll.label ? ` · ${roll.label}` : ""}{" "}
+                                        {visibility && <span className={`pill ${visibility.tone}`}>{visibility.label}</span>}
+                                        {roll.critical && <span className="pill success">Critical</span>}
+                                        {roll.fumble && <span className="pill danger">Critical miss</span>}
+                                    </div>
+                                    <span className="text-muted text-small">
+                                        <code>{roll.notation}</code> · {describeDiceRoll(roll)}
+                                        {when ? ` · ${when}` : ""}
+                                    </span>
+                                    {roll.hits.length > 1 && (
+                                        <span className="text-muted text-small">Hits: {roll.hits.join(" / ")}</span>
+                                    )}
+                                </div>
+                                <strong style={{ fontSize: "1.5rem" }}>{roll.total}</strong>
+                            </div>
+                        );
+                    })}
+                </div>
+                <div className="row" style={{ justifyContent: "space-between", alignItems: "center", marginTop: 12 }}>
+                    <button
+                        type="button"
+                        className="btn btn-small"
+                        disabled={loading || page <= 1}
+                        onClick={() => setPage((current) => Math.max(1, current - 1))}
+                    >
+                        Newer
+                    </button>
+                    <span className="text-muted text-small">
+                        {loading ? "Loading…" : `Page ${page} of ${pageCount}`}
+                    </span>
+                    <button
+                        type="button"
+                        className="btn btn-small"
+                        disabled={loading || page >= pageCount}
+                        onClick={() => setPage((current) => current + 1)}
+                    >
+                        Older
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,6 +1,6 @@
 import React, { useCallback, useEffect, useMemo, useState, useId, useRef } from "react";
 
-import { Games, Items } from "../api";
+import { Games, Items, getFieldErrors } from "../api";
 import MathField from "./MathField";
 import {
     formatHealingEffect,
@@ -8,7 +8,7 @@ import {
     isConsumableType,
     isGearCategory,
 } from "../utils/items";
-import { idsMatch } from "../utils/ids";
+import { canRunTable, isPartyPlayer } from "../utils/roles";
 
 const INVENTORY_SORT_OPTIONS = [
     { value: "name", label: "Name" },
@@ -343,11 +343,32 @@ function EffectEditor({ title = "Trigger effects", effects, onChange, disabled }
     );
 }
 
+/**
+ * Server validation messages for a form, matched by exact path or, for list
+ * fields such as `effects`, by prefix.
+ */
+function FieldErrors({ errors, paths }) {
+    const messages = Object.entries(errors || {}).filter(([path]) =>
+        paths.some((key) => path === key || path.startsWith(`${key}.`)),
+    );
+    if (messages.length === 0) return null;
+    return (
+        <div className="col" style={{ gap: 2, marginTop: 4 }}>
+            {messages.map(([path, message]) => (
+                <span key={path} className="text-error text-small">
+                    {path}: {message}
+                </span>
+            ))}
+        </div>
+    );
+}
+
 function ItemsTab({ game, me, onUpdate, realtime }) {
     const [premade, setPremade] = useState([]);
     const [form, setForm] = useState({ name: "", type: "", desc: "", libraryItemId: "", tags: [], effects: [] });
     const [editing, setEditing] = useState(null);
     const [busySave, setBusySave] = useState(false);
+    const [fieldErrors, setFieldErrors] = useState({});
     const [busyRow, setBusyRow] = useState(null);
     const [busyRowAction, setBusyRowAction] = useState(null);
     const [selectedPlayerId, setSelectedPlayerId] = useState("");
@@ -356,7 +377,7 @@ function ItemsTab({ game, me, onUpdate, realtime }) {
     const [sortMode, setSortMode] = useState(INVENTORY_SORT_OPTIONS[0]?.value || "name");
     const [favoritesOnly, setFavoritesOnly] = useState(false);
 
-    const isDM = idsMatch(game.dmId, me.id);
+    const isDM = canRunTable(game, me.id);
     const canEdit = isDM || game.permissions?.canEditItems;
 
     const { favorites, toggleFavorite, isFavorite, clearMissing } = useItemFavorites(game.id, me.id);
@@ -373,6 +394,7 @@ function ItemsTab({ game, me, onUpdate, realtime }) {
     const resetForm = useCallback(() => {
         setEditing(null);
         setForm({ name: "", type: "", desc: "", libraryItemId: "", tags: [], effects: [] });
+        setFieldErrors({});
     }, []);
 
     const applyLibraryToForm = useCallback(
@@ -455,6 +477,7 @@ function ItemsTab({ game, me, onUpdate, realtime }) {
                 await onUpdate?.();
                 resetForm();
             } catch (e) {
+                setFieldErrors(getFieldErrors(e));
                 alert(e.message);
             } finally {
                 setBusySave(false);
@@ -524,7 +547,7 @@ function ItemsTab({ game, me, onUpdate, realtime }) {
     const libraryGear = [...customGear, ...gearList];
 
     const canManageGear = isDM || game.permissions?.canEditGear;
-    const players = (game.players || []).filter((p) => (p?.role || "").toLowerCase() !== "dm");
+    const players = (game.players || []).filter((p) => isPartyPlayer(p));
 
     const playerOptions = useMemo(
         () =>
@@ -620,6 +643,7 @@ function ItemsTab({ game, me, onUpdate, realtime }) {
                             style={{ flex: 2, minWidth: 220 }}
                         />
                     </div>
+                    <FieldErrors errors={fieldErrors} paths={["name", "type", "desc", "libraryItemId"]} />
                     <div className="row" style={{ gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
                         <select
                             value={form.libraryItemId}
@@ -660,6 +684,7 @@ function ItemsTab({ game, me, onUpdate, realtime }) {
                         onChange={(next) => setForm((prev) => ({ ...prev, effects: next }))}
                         disabled={!canEdit || busySave}
                     />
+                    <FieldErrors errors={fieldErrors} paths={["tags", "effects"]} />
                     {formLinked ? (
                         <div className="text-muted text-small" style={{ marginTop: -4 }}>
                             Linked to <b>{formLinked.name}</b>
@@ -2804,7 +2829,7 @@ function GearTab({ game, me, onUpdate }) {
     const [selectedPlayerId, setSelectedPlayerId] = useState("");
     const [giveBusyId, setGiveBusyId] = useState(null);
 
-    const isDM = idsMatch(game.dmId, me.id);
+    const isDM = canRunTable(game, me.id);
     const canEdit = isDM || game.permissions?.canEditGear;
 
     const resetForm = useCallback(() => {
@@ -2866,7 +2891,7 @@ function GearTab({ game, me, onUpdate }) {
     const gearList = premade.filter((it) => isGearCategory(it.type));
     const customGear = Array.isArray(game.gear?.custom) ? game.gear.custom : [];
     const players = (game.players || []).filter(
-        (p) => (p?.role || "").toLowerCase() !== "dm"
+        (p) => isPartyPlayer(p)
     );
 
     const playerOptions = useMemo(
@@ -1,6 +1,6 @@
 import React, { useCallback, useEffect, useState } from "react";
 
-function MathField({ label, value, onCommit, className, disabled = false }) {
+function MathField({ label, value, onCommit, className, disabled = false, error: externalError = null }) {
     const [draft, setDraft] = useState(formatNumber(value));
     const [dirty, setDirty] = useState(false);
     const [error, setError] = useState(null);
@@ -39,6 +39,7 @@ function MathField({ label, value, onCommit, className, disabled = false }) {
     }, [dirty, draft, onCommit]);
 
     const containerClass = className ? `col ${className}` : "col";
+    const shownError = error || (dirty ? null : externalError);
 
     return (
         <div className={containerClass}>
@@ -46,7 +47,7 @@ function MathField({ label, value, onCommit, className, disabled = false }) {
             <input
                 type="text"
                 value={draft}
-                className={error ? "input-error" : undefined}
+                className={shownError ? "input-error" : undefined}
                 onChange={(e) => {
                     setDraft(e.target.value);
                     setDirty(true);
@@ -66,10 +67,10 @@ function MathField({ label, value, onCommit, className, disabled = false }) {
                 autoComplete="off"
                 autoCapitalize="off"
                 title="Supports +, -, ×, ÷, and parentheses"
-                aria-invalid={error ? true : undefined}
+                aria-invalid={shownError ? true : undefined}
                 disabled={disabled}
             />
-            {error && <span className="text-error text-small">{error}</span>}
+            {shownError && <span className="text-error text-small">{shownError}</span>}
         </div>
     );
 }
@@ -0,0 +1,229 @@
+import React, { useMemo } from "react";
+
+// A small Markdown subset shared by Discord story logs and party chat:
+// paragraphs, quotes, lists, fenced code and inline emphasis/links.
+
+const INLINE_PATTERN =
+    /(\[([^\]]+)\]\(([^)]+)\)|\*\*([^*]+)\*\*|__([^_]+)__|~~([^~]+)~~|`([^`]+)`|\*(?!\s)([^*]+?)\*(?!\s)|_(?!\s)([^_]+?)_(?!\s))/g;
+
+function sanitizeLinkHref(raw) {
+    if (typeof raw !== 'string') return null;
+    const trimmed = raw.trim();
+    if (/^https?:\/\//i.test(trimmed)) return trimmed;
+    if (/^mailto:/i.test(trimmed)) return trimmed;
+    if (/^discord:/i.test(trimmed)) return trimmed;
+    return null;
+}
+
+function renderInlineSegments(text, keyPrefix) {
+    if (!text) return [];
+    const nodes = [];
+    let remaining = text;
+    let index = 0;
+
+    while (remaining.length > 0) {
+        INLINE_PATTERN.lastIndex = 0;
+        const match = INLINE_PATTERN.exec(remaining);
+        if (!match || match.index === undefined) {
+            if (remaining) nodes.push(remaining);
+            break;
+        }
+        if (match.index > 0) {
+            nodes.push(remaining.slice(0, match.index));
+        }
+        const full = match[0];
+        if (match[2] !== undefined) {
+            const href = sanitizeLinkHref(match[3]);
+            if (href) {
+                nodes.push(
+                    <a
+                        key={`${keyPrefix}-link-${index}`}
+                        href={href}
+                        target="_blank"
+                        rel="noreferrer noopener"
+                    >
+                        {renderInlineSegments(match[2], `${keyPrefix}-link-${index}`)}
+                    </a>
+                );
+            } else {
+                nodes.push(match[2]);
+            }
+        } else if (match[4] !== undefined) {
+            nodes.push(
+                <strong key={`${keyPrefix}-strong-${index}`}>
+                    {renderInlineSegments(match[4], `${keyPrefix}-strong-${index}`)}
+                </strong>
+            );
+        } else if (match[5] !== undefined) {
+            nodes.push(
+                <strong key={`${keyPrefix}-strongu-${index}`}>
+                    {renderInlineSegments(match[5], `${keyPrefix}-strongu-${index}`)}
+                </strong>
+            );
+        } else if (match[6] !== undefined) {
+            nodes.push(
+                <del key={`${keyPrefix}-del-${index}`}>
+                    {renderInlineSegments(match[6], `${keyPrefix}-del-${index}`)}
+                </del>
+            );
+        } else if (match[7] !== undefined) {
+            nodes.push(
+                <code key={`${keyPrefix}-code-${index}`}>{match[7]}</code>
+            );
+        } else if (match[8] !== undefined) {
+            nodes.push(
+                <em key={`${keyPrefix}-em-${index}`}>
+                    {renderInlineSegments(match[8], `${keyPrefix}-em-${index}`)}
+                </em>
+            );
+        } else if (match[9] !== undefined) {
+            nodes.push(
+                <em key={`${keyPrefix}-emu-${index}`}>
+                    {renderInlineSegments(match[9], `${keyPrefix}-emu-${index}`)}
+                </em>
+            );
+        } else {
+            nodes.push(full);
+        }
+        remaining = remaining.slice(match.index + full.length);
+        index += 1;
+    }
+
+    return nodes;
+}
+
+function renderInlineWithBreaks(text, keyPrefix) {
+    const lines = text.split('\n');
+    return lines.flatMap((line, idx) => {
+        const parts = renderInlineSegments(line, `${keyPrefix}-${idx}`);
+        if (idx === lines.length - 1) {
+            return parts;
+        }
+        return [
+            <React.Fragment key={`${keyPrefix}-frag-${idx}`}>{parts}</React.Fragment>,
+            <br key={`${keyPrefix}-br-${idx}`} />,
+        ];
+    });
+}
+
+function parseMarkdownBlocks(raw) {
+    if (!raw) return [];
+    const source = String(raw).replace(/\r\n?/g, '\n');
+    const lines = source.split('\n');
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+        if (line.startsWith('```')) {
+            const language = line.slice(3).trim();
+            index += 1;
+            const codeLines = [];
+            while (index < lines.length && !lines[index].startsWith('```')) {
+                codeLines.push(lines[index]);
+                index += 1;
+            }
+            if (index < lines.length && lines[index].startsWith('```')) {
+                index += 1;
+            }
+            blocks.push({ type: 'code', language, content: codeLines.join('\n') });
+            continue;
+        }
+
+        const chunkLines = [];
+        while (index < lines.length && !lines[index].startsWith('```')) {
+            chunkLines.push(lines[index]);
+            index += 1;
+        }
+        const chunk = chunkLines.join('\n');
+        const segments = chunk.split(/\n{2,}/);
+        for (const segment of segments) {
+            const trimmed = segment.trim();
+            if (!trimmed) continue;
+            const segLines = trimmed.split('\n');
+            const allTrimmed = segLines.map((ln) => ln.trim());
+            const isQuote = allTrimmed.every((ln) => ln === '' || ln.startsWith('>'));
+            if (isQuote) {
+                const cleaned = segLines
+                    .map((ln) => ln.replace(/^>\s?/, '').trim())
+                    .join('\n')
+                    .split(/\n{2,}/)
+                    .map((entry) => entry.trim())
+                    .filter(Boolean);
+                if (cleaned.length > 0) {
+                    blocks.push({ type: 'quote', lines: cleaned });
+                }
+                continue;
+            }
+            const isBullet = allTrimmed.every((ln) => ln === '' || /^[-*]\s+/.test(ln));
+            if (isBullet) {
+                const items = segLines
+                    .map((ln) => ln.replace(/^[-*]\s+/, '').trim())
+                    .filter(Boolean);
+                if (items.length > 0) {
+                    blocks.push({ type: 'list', ordered: false, items });
+                }
+                continue;
+            }
+            const isOrdered = allTrimmed.every((ln) => ln === '' || /^\d+\.\s+/.test(ln));
+            if (isOrdered) {
+                const items = segLines
+                    .map((ln) => ln.replace(/^\d+\.\s+/, '').trim())
+                    .filter(Boolean);
+                if (items.length > 0) {
+                    blocks.push({ type: 'list', ordered: true, items });
+                }
+                continue;
+            }
+            blocks.push({ type: 'paragraph', content: trimmed });
+        }
+    }
+
+    return blocks;
+}
+
+function MessageMarkdown({ content }) {
+    const blocks = useMemo(() => parseMarkdownBlocks(content), [content]);
+    if (blocks.length === 0) return null;
+
+    return (
+        <div className="story-logs__markdown">
+            {blocks.map((block, index) => {
+                const key = `md-block-${index}`;
+                if (block.type === 'code') {
+                    return (
+                        <pre key={key} data-language={block.language || undefined}>
+                            <code>{block.content}</code>
+                        </pre>
+                    );
+                }
+                if (block.type === 'quote') {
+                    return (
+                        <blockquote key={key}>
+                            {block.lines.map((line, idx) => (
+                                <p key={`${key}-line-${idx}`}>{renderInlineWithBreaks(line, `${key}-line-${idx}`)}</p>
+                            ))}
+                        </blockquote>
+                    );
+                }
+                if (block.type === 'list') {
+                    const Tag = block.ordered ? 'ol' : 'ul';
+                    return (
+                        <Tag key={key}>
+                            {block.items.map((item, itemIndex) => (
+                                <li key={`${key}-item-${itemIndex}`}>
+                                    {renderInlineWithBreaks(item, `${key}-item-${itemIndex}`)}
+                                </li>
+                            ))}
+                        </Tag>
+                    );
+                }
+                return (
+                    <p key={key}>{renderInlineWithBreaks(block.content, `${key}-paragraph`)}</p>
+                );
+            })}
+        </div>
+    );
+}
+
+export default MessageMarkdown;
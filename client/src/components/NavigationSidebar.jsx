@@ -25,6 +25,7 @@ function NavigationSidebar({ items, activeKey, onSelect }) {
                     if (!item || !item.key) return null;
                     const isActive = item.key === activeKey;
                     const badge = getBadgeLabel(item.label);
+                    const unread = Number(item.unread) || 0;
                     const handleClick = () => {
                         if (typeof onSelect === "function") {
                             onSelect(item.key);
@@ -40,9 +41,13 @@ function NavigationSidebar({ items, activeKey, onSelect }) {
                                 aria-pressed={isActive}
                                 aria-current={isActive ? "page" : undefined}
                             >
-                                <span className="nav-drawer__badge" aria-hidden>{badge}</span>
+                                <span className="nav-drawer__badge" aria-hidden>
+                                    {badge}
+                                    {unread > 0 && <span className="nav-drawer__unread">{unread > 99 ? "99+" : unread}</span>}
+                                </span>
                                 <span className="nav-drawer__text">
                                     <span className="nav-drawer__label">{item.label}</span>
+                                    {unread > 0 && <span className="sr-only">{`${unread} unread`}</span>}
                                     {item.description && (
                                         <span className="nav-drawer__desc">{item.description}</span>
                                     )}
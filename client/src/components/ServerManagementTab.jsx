@@ -87,6 +87,7 @@ function UsersAdminPanel({ onChanged }) {
     const [error, setError] = useState("");
     const [users, setUsers] = useState([]);
     const [drafts, setDrafts] = useState({});
+    const [issuedResets, setIssuedResets] = useState({});
 
     const load = useCallback(async () => {
         setLoading(true);
@@ -162,8 +163,65 @@ function UsersAdminPanel({ onChanged }) {
         }
     };
 
+    const handleIssueReset = async (user) => {
+        const pending = !!user.passwordResetExpiresAt;
+        const prompt = pending
+            ? `Issue a new reset code for "${user.username}"? The previous code stops working.`
+            : `Issue a one-time password reset code for "${user.username}"?`;
+        if (!window.confirm(prompt)) return;
+        try {
+            const result = await ServerAdmin.users.issuePasswordReset(user.id);
+            setIssuedResets((prev) => ({ ...prev, [user.id]: result }));
+            setUsers((prev) =>
+                prev.map((item) =>
+                    item.id === user.id ? { ...item, passwordResetExpiresAt: result.expiresAt } : item
+                )
+            );
+        } catch (err) {
+            alert(formatError(err));
+        }
+    };
+
+    const handleCancelReset = async (user) => {
+        try {
+            await ServerAdmin.users.cancelPasswordReset(user.id);
+            setIssuedResets((prev) => {
+                const next = { ...prev };
+                delete next[user.id];
+                return next;
+            });
+            setUsers((prev) =>
+                prev.map((item) => (item.id === user.id ? { ...item, passwordResetExpiresAt: null } : item))
+            );
+        } catch (err) {
+            alert(formatError(err));
+        }
+    };
+
+    const handleRevokeSessions = async (user) => {
+        if (!window.confirm(`Sign "${user.username}" out of every device? Their open connections close immediately.`)) {
+            return;
+        }
+        try {
+            await ServerAdmin.users.revokeSessions(user.id);
+            setUsers((prev) => prev.map((item) => (item.id === user.id ? { ...item, activeSessions: 0 } : item)));
+        } catch (err) {
+            alert(formatError(err));
+        }
+    };
+
+    const handleUnlock = async (user) => {
+        try {
+            await ServerAdmin.users.unlock(user.id);
+            setUsers((prev) => prev.map((item) => (item.id === user.id ? { ...item, loginLockedUntil: null } : item)));
+        } catch (err) {
+            alert(formatError(err));
+        }
+    };
+
     const renderUser = (user) => {
         const draft = getDraft(user);
+        const issuedReset = issuedResets[user.id];
         const originalEmail = user.email || "";
         const dirty =
             draft.username.trim() !== (user.username || "") ||
@@ -178,6 +236,17 @@ function UsersAdminPanel({ onChanged }) {
                         <span className="text-muted">{user.email}</span>
                     )}
                     {user.banned && <span className="pill danger">Banned</span>}
+                    {user.activeSessions > 0 && (
+                        <span className="pill">
+                            {user.activeSessions} session{user.activeSessions === 1 ? "" : "s"}
+                        </span>
+                    )}
+                    {user.passwordResetExpiresAt && <span className="pill">Reset pending</span>}
+                    {user.loginLockedUntil && (
+                        <span className="pill warn" title="Too many failed logins">
+                            Locked until {new Date(user.loginLockedUntil).toLocaleTimeString()}
+                        </span>
+                    )}
                 </div>
                 <div className="grid" style={{ gap: 12 }}>
                     <label className="col">
@@ -231,15 +300,57 @@ function UsersAdminPanel({ onChanged }) {
                     >
                         Delete
                     </button>
+                    <button type="button" className="btn ghost" onClick={() => handleIssueReset(user)}>
+                        Issue reset code
+                    </button>
+                    {user.passwordResetExpiresAt && (
+                        <button type="button" className="btn ghost" onClick={() => handleCancelReset(user)}>
+                            Cancel reset
+                        </button>
+                    )}
+                    <button
+                        type="button"
+                        className="btn ghost"
+                        onClick={() => handleRevokeSessions(user)}
+                        disabled={!user.activeSessions}
+                    >
+                        Sign out everywhere
+                    </button>
+                    {user.loginLockedUntil && (
+                        <button type="button" className="btn ghost" onClick={() => handleUnlock(user)}>
+                            Unlock
+                        </button>
+                    )}
                 </div>
+                {issuedReset && (
+                    <div className="card" style={{ padding: 12, gap: 4 }}>
+                        <div>
+                            Reset code: <code style={{ userSelect: "all" }}>{issuedReset.token}</code>
+                        </div>
+                        <div className="text-muted text-small">
+                            Share this code privately. It works once, from the login screen&apos;s “Have a reset
+                            code?” option, until {new Date(issuedReset.expiresAt).toLocaleString()}. It will not be
+                            shown again.
+                        </div>
+                    </div>
+                )}
             </div>
         );
     };
 
+    const lockedCount = users.filter((user) => user.loginLockedUntil).length;
+
     return (
         <div className="col" style={{ gap: 16 }}>
             <div className="row" style={{ justifyContent: "space-between", alignItems: "center" }}>
-                <h2 style={{ margin: 0 }}>User Directory</h2>
+                <h2 style={{ margin: 0 }}>
+                    User Directory
+                    {lockedCount > 0 && (
+                        <span className="pill warn" style={{ marginLeft: 8 }}>
+                            {lockedCount} locked
+                        </span>
+                    )}
+                </h2>
                 <button type="button" className="btn ghost" onClick={load} disabled={loading}>
                     {loading ? "Loading…" : "Refresh"}
                 </button>
@@ -413,6 +524,232 @@ function GamesAdminPanel({ activeGameId, onGameDeleted, onRefreshGames, onRefres
     );
 }
 
+const SNAPSHOT_TRIGGER_LABELS = {
+    scheduled: "Scheduled",
+    manual: "Manual",
+    "pre-restore": "Before restore",
+};
+
+function formatSnapshotTime(value) {
+    if (!value) return "—";
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? "—" : date.toLocaleString();
+}
+
+function previewJson(value) {
+    if (value === undefined) return "—";
+    const text = JSON.stringify(value);
+    return text.length > 120 ? `${text.slice(0, 117)}…` : text;
+}
+
+function GameSnapshotsPanel({ activeGameId, onRefreshGames, onRefreshActiveGame }) {
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState("");
+    const [schedule, setSchedule] = useState(null);
+    const [snapshots, setSnapshots] = useState([]);
+    const [gameFilter, setGameFilter] = useState("");
+    const [busyId, setBusyId] = useState(null);
+    const [diff, setDiff] = useState(null);
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        setError("");
+        try {
+            const result = await ServerAdmin.snapshots.list();
+            setSchedule(result?.schedule || null);
+            setSnapshots(Array.isArray(result?.snapshots) ? result.snapshots : []);
+        } catch (err) {
+            setError(formatError(err));
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const gameOptions = useMemo(() => {
+        const map = new Map();
+        for (const snapshot of snapshots) {
+            if (!map.has(snapshot.gameId)) map.set(snapshot.gameId, snapshot.gameName || snapshot.gameId);
+        }
+        return Array.from(map.entries()).map(([id, name]) => ({ id, name }));
+    }, [snapshots]);
+
+    const visible = useMemo(
+        () => (gameFilter ? snapshots.filter((snapshot) => snapshot.gameId === gameFilter) : snapshots),
+        [gameFilter, snapshots]
+    );
+
+    const handleSnapshotNow = async () => {
+        try {
+            setBusyId("run");
+            await ServerAdmin.snapshots.create(gameFilter || undefined);
+            await load();
+        } catch (err) {
+            alert(formatError(err));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDiff = async (snapshot) => {
+        if (diff?.snapshot?.id === snapshot.id) {
+            setDiff(null);
+            return;
+        }
+        try {
+            setBusyId(snapshot.id);
+            setDiff(await ServerAdmin.snapshots.diff(snapshot.id));
+        } catch (err) {
+            alert(formatError(err));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleRestore = async (snapshot) => {
+        const label = `${snapshot.gameName || snapshot.gameId} from ${formatSnapshotTime(snapshot.createdAt)}`;
+        if (!window.confirm(`Restore ${label}? The current state is snapshotted first.`)) return;
+        try {
+            setBusyId(snapshot.id);
+            await ServerAdmin.snapshots.restore(snapshot.id);
+            if (snapshot.gameId === activeGameId && typeof onRefreshActiveGame === "function") {
+                await onRefreshActiveGame();
+            }
+            if (typeof onRefreshGames === "function") await onRefreshGames();
+            setDiff(null);
+            await load();
+        } catch (err) {
+            alert(formatError(err));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDelete = async (snapshot) => {
+        if (!window.confirm("Delete this snapshot?")) return;
+        try {
+            setBusyId(snapshot.id);
+            await ServerAdmin.snapshots.delete(snapshot.id);
+            if (diff?.snapshot?.id === snapshot.id) setDiff(null);
+            await load();
+        } catch (err) {
+            alert(formatError(err));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="col" style={{ gap: 16 }}>
+            <div className="row" style={{ justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+                <h2 style={{ margin: 0 }}>Snapshots</h2>
+                <div className="row" style={{ gap: 8, alignItems: "center" }}>
+                    <select value={gameFilter} onChange={(e) => setGameFilter(e.target.value)}>
+                        <option value="">All games</option>
+                        {gameOptions.map((option) => (
+                            <option key={option.id} value={option.id}>
+                                {option.name}
+                            </option>
+                        ))}
+                    </select>
+                    <button type="button" className="btn" onClick={handleSnapshotNow} disabled={busyId === "run"}>
+                        {busyId === "run" ? "Snapshotting…" : gameFilter ? "Snapshot game now" : "Snapshot all now"}
+                    </button>
+                    <button type="button" className="btn ghost" onClick={load} disabled={loading}>
+                        {loading ? "Loading…" : "Refresh"}
+                    </button>
+                </div>
+            </div>
+            {schedule && (
+                <p className="text-muted text-small" style={{ margin: 0 }}>
+                    {schedule.intervalMinutes > 0
+                        ? `Automatic snapshots every ${schedule.intervalMinutes} min · next ${formatSnapshotTime(schedule.nextRunAt)}`
+                        : "Automatic snapshots are disabled"}
+                    {` · keeps ${schedule.retentionCount} per game`}
+                    {schedule.retentionDays > 0 ? ` for up to ${schedule.retentionDays} days` : ""}. Uploaded music
+                    files are not part of snapshots.
+                </p>
+            )}
+            {error && <div className="alert warn">{error}</div>}
+            {loading && snapshots.length === 0 ? (
+                <div className="text-muted">Loading snapshots…</div>
+            ) : visible.length === 0 ? (
+                <div className="text-muted">No snapshots yet.</div>
+            ) : (
+                <div className="col" style={{ gap: 8 }}>
+                    {visible.map((snapshot) => (
+                        <div key={snapshot.id} className="card" style={{ padding: 12, gap: 8 }}>
+                            <div className="row" style={{ justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+                                <div>
+                                    <b>{snapshot.gameName || snapshot.gameId}</b>{" "}
+                                    <span className="pill">{SNAPSHOT_TRIGGER_LABELS[snapshot.trigger] || snapshot.trigger}</span>{" "}
+                                    <span className="pill">v{snapshot.version}</span>
+                                    <div className="text-muted text-small">{formatSnapshotTime(snapshot.createdAt)}</div>
+                                </div>
+                                <div className="row" style={{ gap: 8 }}>
+                                    <button
+                                        type="button"
+                                        className="btn ghost btn-small"
+                                        onClick={() => handleDiff(snapshot)}
+                                        disabled={busyId === snapshot.id}
+                                    >
+                                        {diff?.snapshot?.id === snapshot.id ? "Hide diff" : "Diff"}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn btn-small"
+                                        onClick={() => handleRestore(snapshot)}
+                                        disabled={busyId === snapshot.id}
+                                    >
+                                        Restore
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn danger btn-small"
+                                        onClick={() => handleDelete(snapshot)}
+                                        disabled={busyId === snapshot.id}
+                                    >
+                                        Delete
+                                    </button>
+                                </div>
+                            </div>
+                            {diff?.snapshot?.id === snapshot.id && (
+                                <div className="col" style={{ gap: 4 }}>
+                                    {!diff.current?.exists ? (
+                                        <div className="text-muted text-small">
+                                            This game no longer exists. Restoring recreates it.
+                                        </div>
+                                    ) : diff.total === 0 ? (
+                                        <div className="text-muted text-small">No differences from the current game.</div>
+                                    ) : (
+                                        <>
+                                            <div className="text-muted text-small">
+                                                {diff.total} change{diff.total === 1 ? "" : "s"} since this snapshot
+                                                {diff.total > diff.changes.length ? ` (showing ${diff.changes.length})` : ""}:
+                                            </div>
+                                            {diff.changes.map((change, index) => (
+                                                <div key={`${change.path}-${index}`} className="text-small">
+                                                    <code>{change.op}</code> <code>{change.path || "/"}</code>{" "}
+                                                    <span className="text-muted">
+                                                        {previewJson(change.before)} → {previewJson(change.after)}
+                                                    </span>
+                                                </div>
+                                            ))}
+                                        </>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
 function createDemonDraft(demon) {
     if (!demon) {
         return {
@@ -1803,12 +2140,19 @@ export default function ServerManagementTab({ activeGameId, onGameDeleted, onRef
                 return <UsersAdminPanel onChanged={onRefreshGames} />;
             case "games":
                 return (
-                    <GamesAdminPanel
-                        activeGameId={activeGameId}
-                        onGameDeleted={onGameDeleted}
-                        onRefreshGames={onRefreshGames}
-                        onRefreshActiveGame={onRefreshActiveGame}
-                    />
+                    <div className="col" style={{ gap: 24 }}>
+                        <GamesAdminPanel
+                            activeGameId={activeGameId}
+                            onGameDeleted={onGameDeleted}
+                            onRefreshGames={onRefreshGames}
+                            onRefreshActiveGame={onRefreshActiveGame}
+                        />
+                        <GameSnapshotsPanel
+                            activeGameId={activeGameId}
+                            onRefreshGames={onRefreshGames}
+                            onRefreshActiveGame={onRefreshActiveGame}
+                        />
+                    </div>
                 );
             case "items":
                 return <ItemsAdminPanel />;
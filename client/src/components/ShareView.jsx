@@ -0,0 +1,320 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Share, resolveRealtimeUrl } from "../api";
+import CombatTimeline from "./battleMap/CombatTimeline";
+import { buildCombatTimeline } from "./battleMap/mapShared";
+
+// Matches the server's close code for share links that were revoked or replaced.
+const SHARE_REVOKED_CLOSE_CODE = 4002;
+
+/**
+ * Load a shared game and keep it current over the share-link websocket.
+ * @param {string} token
+ * @returns {{ game: any, status: "loading" | "live" | "reconnecting" | "unavailable" }}
+ */
+function useSharedGame(token) {
+    const [game, setGame] = useState(null);
+    const [status, setStatus] = useState("loading");
+
+    useEffect(() => {
+        let cancelled = false;
+        let socket = null;
+        let retry = null;
+
+        const connect = () => {
+            if (cancelled) return;
+            socket = new WebSocket(resolveRealtimeUrl(`/ws?share=${encodeURIComponent(token)}`));
+            socket.onmessage = (event) => {
+                try {
+                    const msg = JSON.parse(event.data);
+                    if (msg?.type === "share:state" && msg.game) {
+                        setGame(msg.game);
+                        setStatus("live");
+                    }
+                } catch (err) {
+                    console.error("Failed to parse share message", err);
+                }
+            };
+            socket.onclose = (event) => {
+                if (cancelled) return;
+                socket = null;
+                if (event?.code === SHARE_REVOKED_CLOSE_CODE) {
+                    setStatus("unavailable");
+                    return;
+                }
+                setStatus("reconnecting");
+                retry = window.setTimeout(load, 2000);
+            };
+            socket.onerror = () => socket?.close();
+        };
+
+        // Fetching first tells a revoked link apart from a dropped connection.
+        const load = async () => {
+            if (cancelled) return;
+            try {
+                const data = await Share.get(token);
+                if (cancelled) return;
+                setGame(data);
+                setStatus("live");
+                connect();
+            } catch (err) {
+                if (cancelled) return;
+                if (err?.status === 404) {
+                    setStatus("unavailable");
+                    return;
+                }
+                setStatus("reconnecting");
+                retry = window.setTimeout(load, 5000);
+            }
+        };
+
+        load();
+        return () => {
+            cancelled = true;
+            if (retry) clearTimeout(retry);
+            socket?.close();
+        };
+    }, [token]);
+
+    return { game, status };
+}
+
+function SharedMapBoard({ map }) {
+    const boardRef = useRef(null);
+    const canvasRef = useRef(null);
+    const [boardSize, setBoardSize] = useState({ width: 0, height: 0 });
+    const background = map.background || {};
+
+    useEffect(() => {
+        const board = boardRef.current;
+        if (!board || typeof ResizeObserver === "undefined") return undefined;
+        const observer = new ResizeObserver((entries) => {
+            for (const entry of entries) {
+                setBoardSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+            }
+        });
+        observer.observe(board);
+        setBoardSize({ width: board.clientWidth, height: board.clientHeight });
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const { width, height } = boardSize;
+        if (!canvas || !width || !height) return;
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = Math.floor(width * dpr);
+        canvas.height = Math.floor(height * dpr);
+        const ctx = canvas.getContext("2d");
+        if (!ctx) return;
+        ctx.save();
+        ctx.scale(dpr, dpr);
+        ctx.clearRect(0, 0, width, height);
+        for (const stroke of map.strokes || []) {
+            if (!stroke || !Array.isArray(stroke.points) || stroke.points.length < 2) continue;
+            ctx.beginPath();
+            ctx.globalCompositeOperation = stroke.mode === "erase" ? "destination-out" : "source-over";
+            ctx.strokeStyle = stroke.mode === "erase" ? "rgba(0, 0, 0, 1)" : stroke.color;
+            ctx.lineWidth = stroke.size || 3;
+            ctx.lineJoin = "round";
+            ctx.lineCap = "round";
+            ctx.moveTo(stroke.points[0].x * width, stroke.points[0].y * height);
+            for (const point of stroke.points.slice(1)) {
+                ctx.lineTo(point.x * width, point.y * height);
+            }
+            ctx.stroke();
+        }
+        ctx.restore();
+    }, [boardSize, map.strokes]);
+
+    return (
+        <div className="map-board-wrapper">
+            <div
+                className="map-board card"
+                ref={boardRef}
+                style={background.color ? { "--map-board-color": background.color } : undefined}
+            >
+                <div className="map-board__background" style={{ pointerEvents: "none" }}>
+                    {background.url && (
+                        <img
+                            src={background.url}
+                            alt=""
+                            className="map-board__background-image"
+                            style={{
+                                left: `${background.x * 100}%`,
+                                top: `${background.y * 100}%`,
+                                width: `${background.scale * 100}%`,
+                                opacity: background.opacity,
+                                transform: `translate(-50%, -50%) rotate(${background.rotation}deg)`,
+                            }}
+                            draggable={false}
+                        />
+                    )}
+                </div>
+                <canvas ref={canvasRef} className="map-board__canvas" style={{ pointerEvents: "none" }} />
+                <div className="map-board__shapes" style={{ pointerEvents: "none" }}>
+                    {(map.shapes || []).map((shape) => {
+                        const style = {
+                            left: `${shape.x * 100}%`,
+                            top: `${shape.y * 100}%`,
+                            width: `${Math.max(shape.width * 100, 1)}%`,
+                            height: `${Math.max(shape.height * 100, 1)}%`,
+                            transform: `translate(-50%, -50%) rotate(${shape.rotation}deg)`,
+                        };
+                        return (
+                            <div key={shape.id} className={`map-shape map-shape--${shape.type}`} style={style}>
+                                {shape.type === "image" ? (
+                                    shape.url && <img src={shape.url} alt="" className="map-shape__image" draggable={false} />
+                                ) : (
+                                    <div
+                                        className="map-shape__surface"
+                                        style={{
+                                            background: shape.type === "line" ? shape.stroke : shape.fill,
+                                            opacity: shape.opacity,
+                                            borderColor: shape.stroke,
+                                            borderWidth: shape.type === "line" ? 0 : `${shape.strokeWidth}px`,
+                                            borderStyle: shape.type === "line" ? "none" : "solid",
+                                        }}
+                                    />
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+                <div className="map-board__tokens">
+                    {(map.tokens || []).map((token) => (
+                        <div
+                            key={token.id}
+                            className={`map-token map-token--${token.kind}`}
+                            style={{ left: `${token.x * 100}%`, top: `${token.y * 100}%`, background: token.color }}
+                            title={token.label}
+                        >
+                            <span className="map-token__inner">
+                                <span className="map-token__label">{(token.label || "").slice(0, 2).toUpperCase()}</span>
+                            </span>
+                            {token.tooltip && <span className="map-token__tooltip">{token.tooltip}</span>}
+                        </div>
+                    ))}
+                </div>
+                {map.paused && (
+                    <div className="map-board__overlay">
+                        <div className="map-board__overlay-content">
+                            <span className="pill warn">Updates paused</span>
+                            <p>The DM is preparing the battlefield.</p>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function SharedPartyPanel({ party }) {
+    if (!Array.isArray(party) || party.length === 0) return null;
+    return (
+        <div className="card share-view__party">
+            <h3>Party</h3>
+            <div className="list">
+                {party.map((member) => {
+                    const ratio = member.maxHP > 0 ? Math.max(0, Math.min(1, member.hp / member.maxHP)) : 0;
+                    let tone = "success";
+                    if (member.hp <= 0) tone = "danger";
+                    else if (ratio < 0.35) tone = "warn";
+                    return (
+                        <div key={member.userId} className="share-view__member">
+                            <div className="row" style={{ justifyContent: "space-between" }}>
+                                <strong>{member.name}</strong>
+                                <span className="text-small">
+                                    {member.maxHP > 0 ? `${member.hp}/${member.maxHP}` : member.hp} HP
+                                </span>
+                            </div>
+                            <div className={`share-view__hp share-view__hp--${tone}`}>
+                                <div className="share-view__hp-fill" style={{ width: `${ratio * 100}%` }} />
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+function SharedMusicPanel({ music }) {
+    const audioRef = useRef(null);
+
+    useEffect(() => {
+        const audio = audioRef.current;
+        if (!audio) return;
+        if (!music?.playing || !music.src) {
+            audio.pause();
+            return;
+        }
+        if (Math.abs(audio.currentTime - (music.position || 0)) > 2) {
+            audio.currentTime = music.position || 0;
+        }
+        audio.play().catch(() => {
+            // Autoplay may be blocked until the viewer interacts with the page.
+        });
+    }, [music?.playing, music?.position, music?.src]);
+
+    if (!music?.src) return null;
+    return (
+        <div className="card share-view__music">
+            <h3>Now playing</h3>
+            <div>
+                <strong>{music.title}</strong>
+                {music.info && <div className="text-muted text-small">{music.info}</div>}
+            </div>
+            <audio ref={audioRef} src={music.src} loop={music.loop} controls />
+        </div>
+    );
+}
+
+export default function ShareView({ token }) {
+    const { game, status } = useSharedGame(token);
+    const timeline = useMemo(() => buildCombatTimeline(game?.map?.combat), [game?.map?.combat]);
+
+    useEffect(() => {
+        if (game?.name) document.title = `${game.name} · Live table`;
+    }, [game?.name]);
+
+    if (status === "unavailable") {
+        return (
+            <div className="share-view share-view--empty">
+                <div className="card">
+                    <h2>Share link unavailable</h2>
+                    <p className="text-muted">This link was revoked or never existed. Ask the DM for a new one.</p>
+                </div>
+            </div>
+        );
+    }
+    if (!game) {
+        return (
+            <div className="share-view share-view--empty">
+                <span className="text-muted">Loading shared table…</span>
+            </div>
+        );
+    }
+
+    const combat = game.map?.combat || {};
+    return (
+        <div className="share-view">
+            <header className="share-view__header">
+                <h1>{game.name}</h1>
+                <div className="row" style={{ gap: 8 }}>
+                    {combat.active && <span className="pill">Round {combat.round}</span>}
+                    <span className={`pill ${status === "live" ? "success" : "warn"}`}>
+                        {status === "live" ? "Live" : "Reconnecting…"}
+                    </span>
+                </div>
+            </header>
+            {timeline.length > 0 && <CombatTimeline entries={timeline} />}
+            <div className="share-view__layout">
+                <SharedMapBoard map={game.map || {}} />
+                <aside className="share-view__sidebar">
+                    <SharedPartyPanel party={game.party} />
+                    <SharedMusicPanel music={game.music} />
+                </aside>
+            </div>
+        </div>
+    );
+}
@@ -21,6 +21,7 @@ import { WORLD_SKILL_REFERENCE } from "../constants/referenceContent";
 import { get } from "../utils/object";
 import { deepClone, normalizeCharacter, normalizeSkills } from "../utils/character";
 import { idsMatch } from "../utils/ids";
+import { isPartyPlayer } from "../utils/roles";
 
 import MathField from "./MathField";
 import { createEmptySkillViewPrefs, sanitizeSkillViewPrefs } from "../utils/skillViewPrefs";
@@ -314,7 +315,7 @@ function WorldSkillsTab({ game, me, onUpdate }) {
     const players = useMemo(
         () =>
             (game.players || []).filter(
-                (p) => (p?.role || "").toLowerCase() !== "dm"
+                (p) => isPartyPlayer(p)
             ),
         [game.players]
     );
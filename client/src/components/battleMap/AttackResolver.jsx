@@ -0,0 +1,147 @@
+import { useEffect, useMemo, useState } from 'react';
+import { AFFINITIES, DEFAULT_HIT_TARGET, skillElement } from '@shared/combatMath.js';
+import { COMBAT_SKILL_LIBRARY } from '@shared/combatSkills.js';
+
+const ATTACK_SKILLS = COMBAT_SKILL_LIBRARY.filter((skill) => skillElement(skill));
+
+const MODIFIER_FIELDS = [
+    { key: 'acc', label: 'ACC', title: "Attacker's weapon accuracy (Magic Accuracy for spells)" },
+    { key: 'eva', label: 'EVA', title: "Target's evasion (Magic Evasion for spells)" },
+    { key: 'atk', label: 'ATK', title: "Attacker's weapon attack bonus" },
+    { key: 'def', label: 'DEF', title: "Target's defense" },
+    { key: 'attackerDef', label: 'Own DEF', title: "Attacker's defense, used when the attack is reflected" },
+];
+
+function emptyModifiers() {
+    return Object.fromEntries(MODIFIER_FIELDS.map((field) => [field.key, '']));
+}
+
+/**
+ * DM form for resolving a skill from the library against a token: the server
+ * rolls accuracy and damage, applies the target's affinity and writes the
+ * outcome to the battle log.
+ */
+export default function AttackResolver({ tokens, currentTokenId, onResolve }) {
+    const [attackerId, setAttackerId] = useState(currentTokenId || '');
+    const [skillId, setSkillId] = useState(ATTACK_SKILLS[0]?.id || '');
+    const [targetId, setTargetId] = useState('');
+    const [modifiers, setModifiers] = useState(emptyModifiers);
+    const [hitTarget, setHitTarget] = useState(String(DEFAULT_HIT_TARGET));
+    const [affinity, setAffinity] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [result, setResult] = useState('');
+
+    useEffect(() => {
+        if (currentTokenId) setAttackerId(currentTokenId);
+    }, [currentTokenId]);
+
+    const targets = useMemo(() => tokens.filter((token) => token.id !== attackerId), [attackerId, tokens]);
+    const modifiersValid = MODIFIER_FIELDS.every((field) => {
+        const raw = modifiers[field.key].trim();
+        return raw === '' || Number.isInteger(Number(raw));
+    });
+    const hitTargetValue = Number(hitTarget);
+    const valid =
+        !!attackerId &&
+        !!skillId &&
+        targets.some((token) => token.id === targetId) &&
+        modifiersValid &&
+        Number.isInteger(hitTargetValue) &&
+        hitTargetValue >= 1;
+
+    const submit = async (event) => {
+        event.preventDefault();
+        if (!valid || busy) return;
+        const payload = { attackerId, skillId, targetId, hitTarget: hitTargetValue };
+        for (const field of MODIFIER_FIELDS) {
+            const raw = modifiers[field.key].trim();
+            if (raw !== '') payload[field.key] = Number(raw);
+        }
+        if (affinity) payload.affinity = affinity;
+        setBusy(true);
+        try {
+            const message = await onResolve(payload);
+            if (message) setResult(message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (tokens.length < 2) return null;
+
+    return (
+        <form className="map-attack" onSubmit={submit}>
+            <span className="map-attack__title">Resolve an attack</span>
+            <div className="map-combat-card__inputs">
+                <label className="field">
+                    <span className="field__label">Attacker</span>
+                    <select value={attackerId} onChange={(event) => setAttackerId(event.target.value)}>
+                        <option value="">Choose…</option>
+                        {tokens.map((token) => (
+                            <option key={token.id} value={token.id}>
+                                {token.label}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="field">
+                    <span className="field__label">Skill</span>
+                    <select value={skillId} onChange={(event) => setSkillId(event.target.value)}>
+                        {ATTACK_SKILLS.map((skill) => (
+                            <option key={skill.id} value={skill.id}>
+                                {skill.label} ({skill.source.section})
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="field">
+                    <span className="field__label">Target</span>
+                    <select value={targetId} onChange={(event) => setTargetId(event.target.value)}>
+                        <option value="">Choose…</option>
+                        {targets.map((token) => (
+                            <option key={token.id} value={token.id}>
+                                {token.label}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <div className="map-combat-card__inputs">
+                {MODIFIER_FIELDS.map((field) => (
+                    <label key={field.key} className="field map-attack__number" title={field.title}>
+                        <span className="field__label">{field.label}</span>
+                        <input
+                            type="number"
+                            value={modifiers[field.key]}
+                            placeholder="0"
+                            onChange={(event) =>
+                                setModifiers((prev) => ({ ...prev, [field.key]: event.target.value }))
+                            }
+                        />
+                    </label>
+                ))}
+                <label className="field map-attack__number" title="The number 1d20 + ACC - EVA has to reach">
+                    <span className="field__label">Hit on</span>
+                    <input type="number" min="1" value={hitTarget} onChange={(event) => setHitTarget(event.target.value)} />
+                </label>
+                <label className="field">
+                    <span className="field__label">Affinity</span>
+                    <select value={affinity} onChange={(event) => setAffinity(event.target.value)}>
+                        <option value="">From the target</option>
+                        {AFFINITIES.map((value) => (
+                            <option key={value} value={value}>
+                                {value[0].toUpperCase() + value.slice(1)}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <div className="map-combat-card__actions">
+                <button type="submit" className="btn btn-small" disabled={!valid || busy}>
+                    {busy ? 'Rolling…' : 'Resolve attack'}
+                </button>
+            </div>
+            {result && <p className="map-attack__result text-small">{result}</p>}
+        </form>
+    );
+}
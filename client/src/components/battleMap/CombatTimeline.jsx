@@ -0,0 +1,38 @@
+import ConditionBadges from './ConditionBadges';
+
+export default function CombatTimeline({ entries, ariaLabel = 'Turn order timeline', renderActions }) {
+    if (!Array.isArray(entries) || entries.length === 0) return null;
+    return (
+        <div className="map-combat-timeline" role="list" aria-label={ariaLabel}>
+            {entries.map((entry) => {
+                const className = [
+                    'map-combat-timeline__entry',
+                    entry.isCurrent ? 'is-current' : '',
+                    entry.isComplete ? 'is-complete' : '',
+                    entry.statusLabel ? 'is-waiting' : '',
+                ]
+                    .filter(Boolean)
+                    .join(' ');
+                return (
+                    <div key={entry.id} role="listitem" className={className}>
+                        <span className="map-combat-timeline__step">{entry.position}</span>
+                        <span className="map-combat-timeline__label">{entry.label}</span>
+                        {entry.firstStrike ? (
+                            <span className="map-combat-timeline__meta">First strike</span>
+                        ) : (
+                            entry.initiative !== null &&
+                            entry.initiative !== undefined && (
+                                <span className="map-combat-timeline__meta" title="Initiative">
+                                    {entry.initiative}
+                                </span>
+                            )
+                        )}
+                        {entry.statusLabel && <span className="map-combat-timeline__meta">{entry.statusLabel}</span>}
+                        <ConditionBadges ailments={entry.ailments} buffs={entry.buffs} />
+                        {typeof renderActions === 'function' && renderActions(entry)}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
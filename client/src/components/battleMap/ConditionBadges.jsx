@@ -0,0 +1,43 @@
+import { findAilment } from '@shared/ailments.js';
+import { BUFF_STAT_LABELS, BUFF_STEP, formatBuffStage } from '@shared/buffs.js';
+
+/**
+ * Short condition badges for a token, used on map tokens and in the turn
+ * order: its ailments (PSN, SLP, ...) and its buff/debuff stages (ATK+2).
+ * Hovering a badge shows what it does.
+ */
+export default function ConditionBadges({ ailments, buffs, className = '' }) {
+    const ailmentList = Array.isArray(ailments) ? ailments : [];
+    const buffList = buffs && typeof buffs === 'object' ? Object.entries(buffs) : [];
+    if (ailmentList.length === 0 && buffList.length === 0) return null;
+    const turnsLeft = (count) => `${count} turn${count === 1 ? '' : 's'} left`;
+    return (
+        <span className={['condition-badges', className].filter(Boolean).join(' ')}>
+            {ailmentList.map((entry) => {
+                const ailment = findAilment(entry.id);
+                if (!ailment) return null;
+                const stacks = entry.stacks > 0 ? ` · ${entry.stacks} stack${entry.stacks === 1 ? '' : 's'}` : '';
+                return (
+                    <span
+                        key={entry.id}
+                        className={`condition-badge condition-badge--${entry.id}`}
+                        title={`${ailment.label}: ${ailment.summary} (${turnsLeft(entry.remaining)}${stacks})`}
+                    >
+                        {ailment.badge}
+                    </span>
+                );
+            })}
+            {buffList.map(([stat, entry]) => (
+                <span
+                    key={stat}
+                    className={`condition-badge condition-badge--${entry.stage > 0 ? 'buff' : 'debuff'}`}
+                    title={`${formatBuffStage(stat, entry.stage)} (${Math.round(entry.stage * BUFF_STEP * 100)}%, ${turnsLeft(entry.remaining)})`}
+                >
+                    {BUFF_STAT_LABELS[stat].split('/')[0]}
+                    {entry.stage > 0 ? '+' : ''}
+                    {entry.stage}
+                </span>
+            ))}
+        </span>
+    );
+}
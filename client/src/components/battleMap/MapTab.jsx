@@ -1,10 +1,24 @@
 import { useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { AILMENTS, describeSkillAilments, findAilment, normalizeAilments } from "@shared/ailments.js";
+import { BUFF_STATS, BUFF_STAT_LABELS, describeSkillBuffs, formatBuffStage, normalizeBuffs } from "@shared/buffs.js";
+import { COMBAT_POOLS, estimateCombatPools, normalizeCombatPools } from "@shared/combatPools.js";
+import { COMBAT_SKILL_LIBRARY } from "@shared/combatSkills.js";
 import { Games, StoryLogs } from "../../api";
 import useBattleLogger from "../../hooks/useBattleLogger";
 import RealtimeContext from "../../contexts/RealtimeContext";
 import DemonImage from "../DemonImage";
-import { MAP_DEFAULT_SETTINGS, mapReadBoolean, describePlayerName } from "./mapShared";
+import ConditionBadges from "./ConditionBadges";
+import AttackResolver from "./AttackResolver";
+import CombatTimeline from "./CombatTimeline";
+import {
+    MAP_DEFAULT_SETTINGS,
+    buildCombatTimeline,
+    mapReadBoolean,
+    mapReadHealthBars,
+    describePlayerName,
+} from "./mapShared";
 import { idsMatch } from "../../utils/ids";
+import { canRunTable, isPartyPlayer } from "../../utils/roles";
 
 const MAP_BRUSH_COLORS = ['#f97316', '#38bdf8', '#a855f7', '#22c55e', '#f472b6'];
 const MAP_BRUSH_STORAGE_KEY = 'battlemap.brushPalette';
@@ -59,6 +73,12 @@ function loadStoredTokenTooltipPreference() {
     }
 }
 const MAP_ENEMY_DEFAULT_COLOR = '#ef4444';
+const TOKEN_POOL_META = Object.freeze([
+    { key: 'hp', maxKey: 'maxHP', label: 'HP' },
+    { key: 'mp', maxKey: 'maxMP', label: 'MP' },
+    { key: 'tp', maxKey: 'maxTP', label: 'TP' },
+]);
+const COMBAT_TOKEN_KINDS = new Set(['player', 'demon', 'enemy']);
 const MAP_MAX_POINTS_PER_STROKE = 600;
 const MAP_DEFAULT_BACKGROUND = Object.freeze({
     url: '',
@@ -476,6 +496,14 @@ function createEnemyDetails() {
     };
 }
 
+function createEnemyPoolDraft(pools = null) {
+    const draft = {};
+    for (const meta of TOKEN_POOL_META) {
+        draft[meta.maxKey] = pools && pools[meta.maxKey] > 0 ? String(pools[meta.maxKey]) : '';
+    }
+    return draft;
+}
+
 function createEnemyFormState() {
     return {
         id: null,
@@ -483,9 +511,27 @@ function createEnemyFormState() {
         color: MAP_ENEMY_DEFAULT_COLOR,
         showTooltip: true,
         details: createEnemyDetails(),
+        pools: createEnemyPoolDraft(),
     };
 }
 
+/**
+ * Resources payload for an enemy token. New tokens start at full; edits keep
+ * the current values (the server clamps them to the new maximums). Returns
+ * null when every maximum is blank, which stops tracking.
+ */
+function buildEnemyPoolsPayload(draft, current = null) {
+    const out = {};
+    let found = false;
+    for (const meta of TOKEN_POOL_META) {
+        const max = Math.max(0, Math.round(Number(draft?.[meta.maxKey]) || 0));
+        if (max > 0) found = true;
+        out[meta.maxKey] = max;
+        out[meta.key] = current && current[meta.maxKey] > 0 ? current[meta.key] : max;
+    }
+    return found ? out : null;
+}
+
 function createPlayerTokenConfig(overrides = {}) {
     return {
         showClass: overrides.showClass !== undefined ? !!overrides.showClass : true,
@@ -907,6 +953,300 @@ function EnemyTooltipCard({ info, label, actions = null }) {
     );
 }
 
+function describeTokenPools(pools) {
+    if (!pools) return '';
+    return TOKEN_POOL_META.filter((meta) => pools[meta.maxKey] > 0)
+        .map((meta) => `${meta.label} ${pools[meta.key]}/${pools[meta.maxKey]}`)
+        .join(' · ');
+}
+
+function TokenPoolBars({ pools }) {
+    const bars = TOKEN_POOL_META.filter((meta) => pools && pools[meta.maxKey] > 0);
+    if (bars.length === 0) return null;
+    const summary = describeTokenPools(pools);
+    return (
+        <span className="map-token__pools" role="img" aria-label={summary}>
+            {bars.map((meta) => (
+                <span key={meta.key} className={`map-token__pool map-token__pool--${meta.key}`}>
+                    <span style={{ width: `${Math.min(100, (pools[meta.key] / pools[meta.maxKey]) * 100)}%` }} />
+                </span>
+            ))}
+        </span>
+    );
+}
+
+/**
+ * DM controls for a token's HP/MP/TP. Player and demon tokens write through to
+ * the linked character; the server records each change in the battle log.
+ */
+function TokenPoolControls({ token, onAdjust, onTrack }) {
+    const [pool, setPool] = useState('hp');
+    const [amount, setAmount] = useState('');
+    const [busy, setBusy] = useState(false);
+    const pools = token.pools;
+    if (!pools) {
+        if (token.kind === 'player') {
+            return <p className="text-small text-muted">Fill in HP on this character&apos;s sheet to track it here.</p>;
+        }
+        return (
+            <div className="map-token-pools">
+                <span className="text-small text-muted">This token has no HP, MP or TP yet.</span>
+                <button type="button" className="btn ghost btn-small" onClick={() => onTrack(token)}>
+                    Track HP/MP/TP
+                </button>
+            </div>
+        );
+    }
+    const value = Math.round(Number(amount));
+    const valid = Number.isFinite(value) && value > 0;
+    const submit = async (mode) => {
+        if (!valid || busy) return;
+        setBusy(true);
+        try {
+            if (await onAdjust(token, { pool, amount: value, mode })) setAmount('');
+        } finally {
+            setBusy(false);
+        }
+    };
+    return (
+        <div className="map-token-pools">
+            <span className="map-token-pools__summary">{describeTokenPools(pools) || 'No pools set'}</span>
+            <div className="map-token-pools__controls">
+                <select value={pool} onChange={(event) => setPool(event.target.value)} aria-label="Pool">
+                    {COMBAT_POOLS.map((key) => (
+                        <option key={key} value={key}>
+                            {key.toUpperCase()}
+                        </option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    min="1"
+                    value={amount}
+                    onChange={(event) => setAmount(event.target.value)}
+                    placeholder="Amount"
+                    aria-label="Amount"
+                />
+                <button type="button" className="btn btn-small" disabled={!valid || busy} onClick={() => submit('damage')}>
+                    Damage
+                </button>
+                <button type="button" className="btn ghost btn-small" disabled={!valid || busy} onClick={() => submit('heal')}>
+                    Heal
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// Skills that inflict or cure an ailment, for the DM's ailment picker.
+const AILMENT_SKILLS = COMBAT_SKILL_LIBRARY.filter((skill) => describeSkillAilments(skill));
+
+/**
+ * DM controls for a token's ailments: apply one directly or roll a skill's
+ * chance against the token, and cure what it has. The caster defaults to
+ * whoever is taking their turn.
+ */
+function TokenAilmentControls({ token, casters, onApply, onCure }) {
+    const [source, setSource] = useState('ailment');
+    const [ailmentId, setAilmentId] = useState(AILMENTS[0].id);
+    const [skillId, setSkillId] = useState(AILMENT_SKILLS[0]?.id || '');
+    const [casterId, setCasterId] = useState('');
+    const [duration, setDuration] = useState('');
+    const [weak, setWeak] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const skillInfo = source === 'skill' ? describeSkillAilments(AILMENT_SKILLS.find((skill) => skill.id === skillId)) : null;
+    const durationValue = duration === '' ? null : Math.round(Number(duration));
+    const durationValid = durationValue === null || (Number.isFinite(durationValue) && durationValue >= 1 && durationValue <= 99);
+    const submit = async () => {
+        if (busy || !durationValid) return;
+        const payload = source === 'skill' ? { skillId } : { ailmentId };
+        if (casterId) payload.sourceTokenId = casterId;
+        if (durationValue !== null) payload.duration = durationValue;
+        if (skillInfo?.kind === 'element' && weak) payload.weak = true;
+        setBusy(true);
+        try {
+            if (await onApply(token, payload)) setDuration('');
+        } finally {
+            setBusy(false);
+        }
+    };
+    return (
+        <div className="map-token-ailments">
+            {token.ailments.length > 0 ? (
+                <ul className="map-token-ailments__list">
+                    {token.ailments.map((entry) => (
+                        <li key={entry.id}>
+                            <span>
+                                {findAilment(entry.id)?.label} · {entry.remaining} turn{entry.remaining === 1 ? '' : 's'}
+                                {entry.stacks > 0 ? ` · ${entry.stacks} stack${entry.stacks === 1 ? '' : 's'}` : ''}
+                            </span>
+                            <button
+                                type="button"
+                                className="btn ghost btn-small"
+                                onClick={() => onCure(token, entry.id)}
+                                aria-label={`Cure ${findAilment(entry.id)?.label}`}
+                            >
+                                ×
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <span className="text-small text-muted">No ailments.</span>
+            )}
+            <div className="map-token-ailments__controls">
+                <select value={source} onChange={(event) => setSource(event.target.value)} aria-label="Apply from">
+                    <option value="ailment">Ailment</option>
+                    <option value="skill">Skill</option>
+                </select>
+                {source === 'skill' ? (
+                    <select value={skillId} onChange={(event) => setSkillId(event.target.value)} aria-label="Skill">
+                        {AILMENT_SKILLS.map((skill) => (
+                            <option key={skill.id} value={skill.id}>
+                                {skill.label}
+                            </option>
+                        ))}
+                    </select>
+                ) : (
+                    <select value={ailmentId} onChange={(event) => setAilmentId(event.target.value)} aria-label="Ailment">
+                        {AILMENTS.map((ailment) => (
+                            <option key={ailment.id} value={ailment.id}>
+                                {ailment.label}
+                            </option>
+                        ))}
+                    </select>
+                )}
+                <select value={casterId} onChange={(event) => setCasterId(event.target.value)} aria-label="Caster">
+                    <option value="">Caster: current turn</option>
+                    {casters.map((caster) => (
+                        <option key={caster.id} value={caster.id}>
+                            {caster.label}
+                        </option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    min="1"
+                    max="99"
+                    value={duration}
+                    onChange={(event) => setDuration(event.target.value)}
+                    placeholder="Turns"
+                    aria-label="Duration in turns"
+                    title="Leave empty for 2 + the caster's WIS/2 turns"
+                />
+                {skillInfo?.kind === 'element' && (
+                    <label className="perm-toggle">
+                        <input type="checkbox" checked={weak} onChange={(event) => setWeak(event.target.checked)} />
+                        <span className="perm-toggle__text">Target is weak</span>
+                    </label>
+                )}
+                <button type="button" className="btn btn-small" disabled={busy || !durationValid} onClick={submit}>
+                    {source === 'skill' ? 'Roll' : 'Apply'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+const BUFF_SKILLS = COMBAT_SKILL_LIBRARY.filter((skill) => describeSkillBuffs(skill));
+
+/**
+ * DM controls for a token's ATK/DEF/ACC stages: cast a -kaja/-nda skill on
+ * it, or nudge one stat by hand, and clear stages. Attacks read the stages
+ * when they resolve.
+ */
+function TokenBuffControls({ token, casters, onApply, onClear }) {
+    const [source, setSource] = useState('skill');
+    const [skillId, setSkillId] = useState(BUFF_SKILLS[0]?.id || '');
+    const [stat, setStat] = useState(BUFF_STATS[0]);
+    const [stages, setStages] = useState('1');
+    const [casterId, setCasterId] = useState('');
+    const [busy, setBusy] = useState(false);
+    const entries = Object.entries(token.buffs);
+    const stagesValue = Number(stages);
+    const valid = source === 'skill' ? !!skillId : Number.isInteger(stagesValue) && stagesValue !== 0;
+    const submit = async () => {
+        if (!valid || busy) return;
+        const payload = source === 'skill' ? { skillId } : { stat, stages: stagesValue };
+        if (casterId) payload.sourceTokenId = casterId;
+        setBusy(true);
+        try {
+            await onApply(token, payload);
+        } finally {
+            setBusy(false);
+        }
+    };
+    return (
+        <div className="map-token-ailments">
+            {entries.length > 0 ? (
+                <ul className="map-token-ailments__list">
+                    {entries.map(([key, entry]) => (
+                        <li key={key}>
+                            <span>
+                                {formatBuffStage(key, entry.stage)} · {entry.remaining} turn{entry.remaining === 1 ? '' : 's'}
+                            </span>
+                            <button
+                                type="button"
+                                className="btn ghost btn-small"
+                                onClick={() => onClear(token, key)}
+                                aria-label={`Clear ${BUFF_STAT_LABELS[key]}`}
+                            >
+                                ×
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <span className="text-small text-muted">No buffs or debuffs.</span>
+            )}
+            <div className="map-token-ailments__controls">
+                <select value={source} onChange={(event) => setSource(event.target.value)} aria-label="Change from">
+                    <option value="skill">Skill</option>
+                    <option value="manual">By hand</option>
+                </select>
+                {source === 'skill' ? (
+                    <select value={skillId} onChange={(event) => setSkillId(event.target.value)} aria-label="Buff skill">
+                        {BUFF_SKILLS.map((skill) => (
+                            <option key={skill.id} value={skill.id}>
+                                {skill.label}
+                            </option>
+                        ))}
+                    </select>
+                ) : (
+                    <>
+                        <select value={stat} onChange={(event) => setStat(event.target.value)} aria-label="Stat">
+                            {BUFF_STATS.map((key) => (
+                                <option key={key} value={key}>
+                                    {BUFF_STAT_LABELS[key]}
+                                </option>
+                            ))}
+                        </select>
+                        <input
+                            type="number"
+                            min="-3"
+                            max="3"
+                            value={stages}
+                            onChange={(event) => setStages(event.target.value)}
+                            aria-label="Stages"
+                        />
+                    </>
+                )}
+                <select value={casterId} onChange={(event) => setCasterId(event.target.value)} aria-label="Caster">
+                    <option value="">Caster: current turn</option>
+                    {casters.map((caster) => (
+                        <option key={caster.id} value={caster.id}>
+                            {caster.label}
+                        </option>
+                    ))}
+                </select>
+                <button type="button" className="btn btn-small" disabled={!valid || busy} onClick={submit}>
+                    Apply
+                </button>
+            </div>
+        </div>
+    );
+}
+
 function NpcOverlay({ token, onClose, isDM }) {
     if (!token || !token.meta) return null;
     const meta = token.meta;
@@ -1095,6 +1435,30 @@ function EnemyTokenWorkshop({
                     </button>
                 </div>
             </fieldset>
+            <fieldset className="map-enemy-form__section">
+                <legend>HP / MP / TP</legend>
+                <p className="text-small text-muted">
+                    Importing a demon estimates these from its level and stats. Leave them blank to skip tracking.
+                </p>
+                <div className="map-enemy-form__controls map-enemy-form__controls--wrap">
+                    {TOKEN_POOL_META.map((meta) => (
+                        <label key={meta.key} className="map-enemy-form__pool">
+                            <span className="text-small">Max {meta.label}</span>
+                            <input
+                                type="number"
+                                min="0"
+                                value={enemyForm.pools[meta.maxKey]}
+                                onChange={(event) =>
+                                    setEnemyForm((prev) => ({
+                                        ...prev,
+                                        pools: { ...prev.pools, [meta.maxKey]: event.target.value },
+                                    }))
+                                }
+                            />
+                        </label>
+                    ))}
+                </div>
+            </fieldset>
             <fieldset className="map-enemy-form__section">
                 <legend>Tooltip details</legend>
                 <div className="map-enemy-form__detail">
@@ -1350,6 +1714,9 @@ function normalizeClientMapToken(token) {
         y: mapClamp01(token.y),
         ownerId: typeof token.ownerId === 'string' ? token.ownerId : null,
         image,
+        pools: normalizeCombatPools(token.resources),
+        ailments: normalizeAilments(token.ailments),
+        buffs: normalizeBuffs(token.buffs),
         ...(meta ? { meta } : {}),
         ...(enemyInfo ? { enemyInfo } : {}),
     };
@@ -1436,34 +1803,12 @@ function normalizeMapLibrary(list) {
 const DEFAULT_CLIENT_COMBAT = {
     active: false,
     order: [],
+    entries: [],
     turn: 0,
     round: 0,
     lastUpdatedAt: null,
 };
 
-function CombatTimeline({ entries, ariaLabel = 'Turn order timeline' }) {
-    if (!Array.isArray(entries) || entries.length === 0) return null;
-    return (
-        <div className="map-combat-timeline" role="list" aria-label={ariaLabel}>
-            {entries.map((entry) => {
-                const className = [
-                    'map-combat-timeline__entry',
-                    entry.isCurrent ? 'is-current' : '',
-                    entry.isComplete ? 'is-complete' : '',
-                ]
-                    .filter(Boolean)
-                    .join(' ');
-                return (
-                    <div key={entry.id} role="listitem" className={className}>
-                        <span className="map-combat-timeline__step">{entry.position}</span>
-                        <span className="map-combat-timeline__label">{entry.label}</span>
-                    </div>
-                );
-            })}
-        </div>
-    );
-}
-
 function resolveBattleLogActorName(actorId, playerMap, me, dmId) {
     if (!actorId) return 'System';
     if (me?.id && actorId === me.id) return 'You';
@@ -1548,10 +1893,26 @@ function normalizeClientCombatState(state) {
     const turn = Number.isFinite(turnRaw) && turnRaw > 0 ? Math.round(turnRaw) : active ? 1 : 0;
     const round = Number.isFinite(roundRaw) && roundRaw > 0 ? Math.round(roundRaw) : active ? 1 : 0;
     const lastUpdatedAt = typeof state.lastUpdatedAt === 'string' ? state.lastUpdatedAt : null;
+    const entries = Array.isArray(state.entries)
+        ? state.entries
+              .filter((entry) => entry && typeof entry.id === 'string' && typeof entry.label === 'string')
+              .map((entry) => ({
+                  id: entry.id,
+                  tokenId: typeof entry.tokenId === 'string' ? entry.tokenId : null,
+                  label: entry.label,
+                  initiative: Number.isFinite(entry.initiative) ? entry.initiative : null,
+                  roll: Number.isFinite(entry.roll) ? entry.roll : null,
+                  dexMod: Number(entry.dexMod) || 0,
+                  bonus: Number(entry.bonus) || 0,
+                  firstStrike: !!entry.firstStrike,
+                  status: typeof entry.status === 'string' ? entry.status : 'ready',
+              }))
+              .slice(0, 32)
+        : [];
     if (!active) {
-        return { ...DEFAULT_CLIENT_COMBAT, order };
+        return { ...DEFAULT_CLIENT_COMBAT, order, entries };
     }
-    return { active: true, order, turn, round, lastUpdatedAt };
+    return { active: true, order, entries, turn, round, lastUpdatedAt };
 }
 
 function normalizeClientBattleLogEntry(entry) {
@@ -1628,6 +1989,7 @@ function normalizeClientMapState(map) {
                 map.settings?.allowPlayerTokenMoves,
                 MAP_DEFAULT_SETTINGS.allowPlayerTokenMoves,
             ),
+            healthBars: mapReadHealthBars(map.settings?.healthBars),
         },
         paused: mapReadBoolean(map.paused),
         background: normalizeClientMapBackground(map.background),
@@ -1665,7 +2027,9 @@ function describeDemonTooltip(demon) {
 }
 
 export default function MapTab({ game, me }) {
-    const isDM = idsMatch(game.dmId, me.id);
+    // Co-DMs get the full DM board; only the owning DM speaks as the DM persona.
+    const isDM = canRunTable(game, me.id);
+    const isGameOwner = idsMatch(game.dmId, me.id);
     const realtime = useContext(RealtimeContext);
     const logBattle = useBattleLogger(game.id);
     const sidebarTabs = useMemo(
@@ -1790,6 +2154,8 @@ export default function MapTab({ game, me }) {
             if (!normalized) return;
             setMapState((prev) => {
                 if (!prev) return prev;
+                // Entries the server writes also arrive with the game update.
+                if ((prev.battleLog || []).some((item) => item.id === normalized.id)) return prev;
                 const nextLog = (prev.battleLog || []).concat(normalized);
                 const trimmed =
                     nextLog.length > MAP_BATTLE_LOG_LIMIT
@@ -1861,6 +2227,8 @@ export default function MapTab({ game, me }) {
     const [combatTurnDraft, setCombatTurnDraft] = useState(() => (combatState.turn || 1).toString());
     const [combatBusy, setCombatBusy] = useState(false);
     const [combatNotice, setCombatNotice] = useState(null);
+    const [firstStrikeChoice, setFirstStrikeChoice] = useState('');
+    const [combatJoinChoice, setCombatJoinChoice] = useState('');
     const resetEnemyForm = useCallback(() => {
         setEnemyForm(createEnemyFormState());
         setEnemyDemonChoice('');
@@ -1976,25 +2344,25 @@ export default function MapTab({ game, me }) {
     const canvasPointerEvents = isBackgroundTool || isShapeTool ? 'none' : 'auto';
     const combatOrderPreview = combatState.order.join(' → ');
     const combatTimeline = useMemo(() => {
-        const order = Array.isArray(combatState.order) ? combatState.order : [];
-        if (order.length === 0) return [];
-        const activeIndex = combatState.active
-            ? Math.max(0, Math.min(order.length - 1, Math.round(combatState.turn || 1) - 1))
-            : -1;
-        return order.map((rawLabel, index) => {
-            const label = typeof rawLabel === 'string' && rawLabel.trim() ? rawLabel.trim() : `Entry ${index + 1}`;
-            const safeId = `${label.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'entry'}-${index}`;
-            return {
-                id: `active-${safeId}`,
-                label,
-                position: index + 1,
-                isCurrent: activeIndex === index,
-                isComplete: activeIndex !== -1 && index < activeIndex,
-            };
+        const tokensById = new Map(mapState.tokens.map((token) => [token.id, token]));
+        return buildCombatTimeline(combatState).map((entry) => {
+            const token = entry.tokenId ? tokensById.get(entry.tokenId) : null;
+            return token ? { ...entry, ailments: token.ailments, buffs: token.buffs } : entry;
         });
-    }, [combatState.active, combatState.order, combatState.turn]);
+    }, [combatState, mapState.tokens]);
+    const combatTokens = useMemo(
+        () => mapState.tokens.filter((token) => COMBAT_TOKEN_KINDS.has(token.kind)),
+        [mapState.tokens]
+    );
+    const combatJoinCandidates = useMemo(() => {
+        const joined = new Set(combatState.entries.map((entry) => entry.tokenId).filter(Boolean));
+        return combatTokens.filter((token) => !joined.has(token.id));
+    }, [combatState.entries, combatTokens]);
     const combatTimelineDraft = useMemo(() => {
         if (!combatOrderDraft) return [];
+        if (combatOrderDraft === combatOrderString && combatState.entries.length > 0) {
+            return buildCombatTimeline(combatState, 'draft');
+        }
         const lines = combatOrderDraft
             .split(/\r?\n/)
             .map((line) => line.trim())
@@ -2010,7 +2378,7 @@ export default function MapTab({ game, me }) {
                 isComplete: false,
             };
         });
-    }, [combatOrderDraft]);
+    }, [combatOrderDraft, combatOrderString, combatState]);
 
     useEffect(() => {
         if (!canDraw && (tool === 'draw' || tool === 'erase')) {
@@ -2057,7 +2425,7 @@ export default function MapTab({ game, me }) {
         if (Array.isArray(game.players)) {
             for (const player of game.players) {
                 if (!player || !player.userId) continue;
-                if ((player.role || '').toLowerCase() === 'dm') continue;
+                if (!isPartyPlayer(player)) continue;
                 options.push({
                     id: player.userId,
                     label:
@@ -2288,7 +2656,7 @@ export default function MapTab({ game, me }) {
                 (player) =>
                     player &&
                     player.userId &&
-                    (player.role || '').toLowerCase() !== 'dm' &&
+                    isPartyPlayer(player) &&
                     !taken.has(player.userId)
             )
             .map((player) => ({
@@ -2913,9 +3281,11 @@ export default function MapTab({ game, me }) {
                 }
             }
             if (enemyForm.id) {
+                const existing = mapState.tokens.find((entry) => entry.id === enemyForm.id);
                 const response = await Games.updateMapToken(game.id, enemyForm.id, {
                     ...payload,
                     tooltip: payload.tooltip ?? '',
+                    resources: buildEnemyPoolsPayload(enemyForm.pools, existing?.pools),
                 });
                 const normalized = normalizeClientMapToken(response);
                 if (normalized) {
@@ -2931,7 +3301,8 @@ export default function MapTab({ game, me }) {
                     });
                 }
             } else {
-                const response = await Games.addMapToken(game.id, payload);
+                const resources = buildEnemyPoolsPayload(enemyForm.pools);
+                const response = await Games.addMapToken(game.id, resources ? { ...payload, resources } : payload);
                 const normalized = normalizeClientMapToken(response);
                 if (normalized) {
                     setMapState((prev) => ({
@@ -2950,7 +3321,7 @@ export default function MapTab({ game, me }) {
         } catch (err) {
             alert(err.message);
         }
-    }, [enemyForm, game.id, logBattle, resetEnemyForm]);
+    }, [enemyForm, game.id, logBattle, mapState.tokens, resetEnemyForm]);
 
     const handleSubmitNpcToken = useCallback(async () => {
         const metaPayload = buildNpcTokenMeta(npcForm);
@@ -3291,6 +3662,7 @@ export default function MapTab({ game, me }) {
                 color: token.color || MAP_ENEMY_DEFAULT_COLOR,
                 showTooltip: token.showTooltip,
                 details,
+                pools: createEnemyPoolDraft(token.pools),
             });
             setEnemyDemonChoice(details.demonId || '');
             setSidebarTab('tokens');
@@ -3300,6 +3672,161 @@ export default function MapTab({ game, me }) {
         [isDM]
     );
 
+    const handleAdjustTokenPool = useCallback(
+        async (token, { pool, amount, mode }) => {
+            if (!isDM || !token) return false;
+            try {
+                const response = await Games.adjustTokenPool(game.id, token.id, { pool, amount, mode });
+                const normalized = normalizeClientMapToken(response?.token);
+                const entry = normalizeClientBattleLogEntry(response?.entry);
+                setMapState((prev) => ({
+                    ...prev,
+                    tokens: normalized
+                        ? prev.tokens.map((item) =>
+                              item.id === normalized.id
+                                  ? { ...item, pools: normalized.pools, ailments: normalized.ailments }
+                                  : item
+                          )
+                        : prev.tokens,
+                    battleLog:
+                        entry && !(prev.battleLog || []).some((item) => item.id === entry.id)
+                            ? (prev.battleLog || []).concat(entry).slice(-MAP_BATTLE_LOG_LIMIT)
+                            : prev.battleLog,
+                }));
+                return true;
+            } catch (err) {
+                alert(err.message);
+                return false;
+            }
+        },
+        [game.id, isDM]
+    );
+
+    const applyConditionResponse = useCallback((response) => {
+        const normalized = normalizeClientMapToken(response?.token);
+        const entry = normalizeClientBattleLogEntry(response?.entry);
+        setMapState((prev) => ({
+            ...prev,
+            tokens: normalized
+                ? prev.tokens.map((item) =>
+                      item.id === normalized.id
+                          ? { ...item, ailments: normalized.ailments, buffs: normalized.buffs }
+                          : item
+                  )
+                : prev.tokens,
+            battleLog:
+                entry && !(prev.battleLog || []).some((item) => item.id === entry.id)
+                    ? (prev.battleLog || []).concat(entry).slice(-MAP_BATTLE_LOG_LIMIT)
+                    : prev.battleLog,
+        }));
+    }, []);
+
+    const handleApplyTokenAilment = useCallback(
+        async (token, payload) => {
+            if (!isDM || !token) return false;
+            try {
+                applyConditionResponse(await Games.applyTokenAilment(game.id, token.id, payload));
+                return true;
+            } catch (err) {
+                alert(err.message);
+                return false;
+            }
+        },
+        [applyConditionResponse, game.id, isDM]
+    );
+
+    const handleResolveAttack = useCallback(
+        async (payload) => {
+            if (!isDM) return null;
+            try {
+                const response = await Games.resolveAttack(game.id, payload);
+                const normalized = normalizeClientMapToken(response?.token);
+                const entry = normalizeClientBattleLogEntry(response?.entry);
+                setMapState((prev) => ({
+                    ...prev,
+                    tokens: normalized
+                        ? prev.tokens.map((item) =>
+                              item.id === normalized.id
+                                  ? { ...item, pools: normalized.pools, ailments: normalized.ailments, buffs: normalized.buffs }
+                                  : item
+                          )
+                        : prev.tokens,
+                    battleLog:
+                        entry && !(prev.battleLog || []).some((item) => item.id === entry.id)
+                            ? (prev.battleLog || []).concat(entry).slice(-MAP_BATTLE_LOG_LIMIT)
+                            : prev.battleLog,
+                }));
+                return entry?.message || null;
+            } catch (err) {
+                alert(err.message);
+                return null;
+            }
+        },
+        [game.id, isDM]
+    );
+
+    const handleCureTokenAilment = useCallback(
+        async (token, ailmentId) => {
+            if (!isDM || !token) return;
+            try {
+                applyConditionResponse(await Games.cureTokenAilment(game.id, token.id, ailmentId));
+            } catch (err) {
+                alert(err.message);
+            }
+        },
+        [applyConditionResponse, game.id, isDM]
+    );
+
+    const handleApplyTokenBuff = useCallback(
+        async (token, payload) => {
+            if (!isDM || !token) return false;
+            try {
+                applyConditionResponse(await Games.applyTokenBuff(game.id, token.id, payload));
+                return true;
+            } catch (err) {
+                alert(err.message);
+                return false;
+            }
+        },
+        [applyConditionResponse, game.id, isDM]
+    );
+
+    const handleClearTokenBuff = useCallback(
+        async (token, stat) => {
+            if (!isDM || !token) return;
+            try {
+                applyConditionResponse(await Games.clearTokenBuff(game.id, token.id, stat));
+            } catch (err) {
+                alert(err.message);
+            }
+        },
+        [applyConditionResponse, game.id, isDM]
+    );
+
+    const handleTrackTokenPools = useCallback(
+        async (token) => {
+            if (!isDM || !token) return;
+            try {
+                const response = await Games.updateMapToken(game.id, token.id, {
+                    resources: estimateCombatPools({ level: 1 }),
+                });
+                const normalized = normalizeClientMapToken(response);
+                if (!normalized) return;
+                setMapState((prev) => ({
+                    ...prev,
+                    tokens: prev.tokens.map((item) => (item.id === normalized.id ? { ...item, pools: normalized.pools } : item)),
+                }));
+                logBattle('map:token:update', `Started tracking HP/MP/TP for ${normalized.label}`, {
+                    tokenId: normalized.id,
+                    kind: normalized.kind,
+                });
+            } catch (err) {
+                alert(err.message);
+            }
+        },
+        [game.id, isDM, logBattle]
+    );
+
     const handleEditNpcToken = useCallback(
         (token) => {
             if (!isDM || !token || token.kind !== 'npc') return;
@@ -3344,6 +3871,7 @@ export default function MapTab({ game, me }) {
         if (!demon) return;
         const statsText = describeDemonEnemyStats(demon);
         const description = clampText(demon.description, 280);
+        const pools = estimateCombatPools({ level: demon.level, mods: demon.mods, stats: demon.stats });
         setEnemyForm((prev) => {
             const nextName = demon.name || prev.details.name || prev.label || 'Enemy';
             const nextStats = statsText || prev.details.stats;
@@ -3363,6 +3891,7 @@ export default function MapTab({ game, me }) {
                     showStats: !!nextStats,
                     showNotes: !!nextNotes,
                 },
+                pools: createEnemyPoolDraft(pools),
             };
         });
         setEnemyDemonChoice('');
@@ -3370,7 +3899,7 @@ export default function MapTab({ game, me }) {
 
     const handleShareMapToStory = useCallback(
         async () => {
-            if (!isDM) return;
+            if (!isGameOwner) return;
             if (!storyConfigured) {
                 alert('Connect a story log webhook in Campaign Settings to share battle maps.');
                 return;
@@ -3389,7 +3918,7 @@ export default function MapTab({ game, me }) {
                 alert(err.message);
             }
         },
-        [game.id, isDM, mapState.background?.url, mapState.tokens, storyConfigured]
+        [game.id, isGameOwner, mapState.background?.url, mapState.tokens, storyConfigured]
     );
 
     const handleSaveMap = useCallback(async () => {
@@ -3593,11 +4122,13 @@ export default function MapTab({ game, me }) {
         const roundValue = Math.max(1, Math.round(Number(combatRoundDraft) || 1));
         const turnValueRaw = Math.max(1, Math.round(Number(combatTurnDraft) || 1));
         const turnValue = Math.min(turnValueRaw, order.length);
+        // An untouched draft keeps the rolled, token-linked entries as they are.
+        const orderEdited = order.join('\n') !== combatState.order.join('\n');
         try {
             setCombatBusy(true);
             setCombatNotice(null);
             const response = await Games.startCombat(game.id, {
-                order,
+                ...(orderEdited ? { order } : {}),
                 round: roundValue,
                 turn: turnValue,
             });
@@ -3613,14 +4144,14 @@ export default function MapTab({ game, me }) {
         } finally {
             setCombatBusy(false);
         }
-    }, [combatOrderDraft, combatRoundDraft, combatTurnDraft, game.id, isDM, logBattle, parseCombatOrderInput]);
+    }, [combatOrderDraft, combatRoundDraft, combatState.order, combatTurnDraft, game.id, isDM, logBattle, parseCombatOrderInput]);
 
     const handleNextCombatTurn = useCallback(async () => {
         if (!isDM || !combatState.active) return;
         try {
             setCombatBusy(true);
             setCombatNotice(null);
-            const response = await Games.nextCombatTurn(game.id, { order: combatState.order });
+            const response = await Games.nextCombatTurn(game.id, {});
             const nextState = normalizeClientCombatState(response);
             setMapState((prev) => ({ ...prev, combat: nextState }));
             setCombatNotice({ type: 'success', message: 'Advanced to next turn.' });
@@ -3638,7 +4169,119 @@ export default function MapTab({ game, me }) {
         } finally {
             setCombatBusy(false);
         }
-    }, [combatState.active, combatState.order, game.id, isDM, logBattle]);
+    }, [combatState.active, game.id, isDM, logBattle]);
+
+    const handleRollInitiative = useCallback(async () => {
+        if (!isDM || combatState.active) return;
+        try {
+            setCombatBusy(true);
+            setCombatNotice(null);
+            const response = await Games.rollInitiative(game.id, {
+                ...(firstStrikeChoice ? { firstStrikeTokenId: firstStrikeChoice } : {}),
+            });
+            const nextState = normalizeClientCombatState(response);
+            setMapState((prev) => ({ ...prev, combat: nextState }));
+            setCombatNotice({ type: 'success', message: 'Initiative rolled.' });
+            const summary = nextState.entries
+                .map((entry) => (entry.firstStrike ? `${entry.label} (first strike)` : entry.initiative !== null ? `${entry.label} ${entry.initiative}` : entry.label))
+                .join(', ');
+            logBattle('map:combat:initiative', `Rolled initiative: ${summary}`, {
+                entries: nextState.entries.map(({ label, initiative, roll, dexMod, bonus, firstStrike }) => ({
+                    label,
+                    initiative,
+                    roll,
+                    dexMod,
+                    bonus,
+                    firstStrike,
+                })),
+            });
+        } catch (err) {
+            setCombatNotice({
+                type: 'error',
+                message: err.message === 'no_combatants' ? 'Place player, demon or enemy tokens first.' : err.message || 'Failed to roll initiative.',
+            });
+        } finally {
+            setCombatBusy(false);
+        }
+    }, [combatState.active, firstStrikeChoice, game.id, isDM, logBattle]);
+
+    const handleJoinCombat = useCallback(async () => {
+        if (!isDM || !combatJoinChoice) return;
+        try {
+            setCombatBusy(true);
+            setCombatNotice(null);
+            const response = await Games.addCombatant(game.id, { tokenId: combatJoinChoice });
+            const nextState = normalizeClientCombatState(response);
+            setMapState((prev) => ({ ...prev, combat: nextState }));
+            setCombatJoinChoice('');
+            const joined = nextState.entries.find((entry) => entry.tokenId === combatJoinChoice);
+            if (joined) {
+                logBattle('map:combat:join', `${joined.label} joined combat (initiative ${joined.initiative ?? '—'}).`, {
+                    label: joined.label,
+                    initiative: joined.initiative,
+                });
+            }
+        } catch (err) {
+            setCombatNotice({ type: 'error', message: err.message || 'Failed to add combatant.' });
+        } finally {
+            setCombatBusy(false);
+        }
+    }, [combatJoinChoice, game.id, isDM, logBattle]);
+
+    const handleCombatEntryAction = useCallback(async (entry, action) => {
+        if (!entry?.entryId) return;
+        try {
+            setCombatBusy(true);
+            setCombatNotice(null);
+            const response =
+                action === 'remove'
+                    ? await Games.removeCombatant(game.id, entry.entryId)
+                    : await Games.updateCombatant(game.id, entry.entryId, action);
+            setMapState((prev) => ({ ...prev, combat: normalizeClientCombatState(response) }));
+            const verbs = { delay: 'delays their turn', hold: 'holds their action', act: 'acts now', remove: 'left combat' };
+            logBattle(`map:combat:${action}`, `${entry.label} ${verbs[action] || action}.`, { label: entry.label });
+        } catch (err) {
+            setCombatNotice({ type: 'error', message: err.message || 'Failed to update the turn order.' });
+        } finally {
+            setCombatBusy(false);
+        }
+    }, [game.id, logBattle]);
+
+    const renderCombatEntryActions = (entry) => {
+        if (!combatState.active || !entry.entryId) return null;
+        const token = entry.tokenId ? mapState.tokens.find((item) => item.id === entry.tokenId) : null;
+        const canControl = isDM || (!!token?.ownerId && token.ownerId === me.id);
+        if (!canControl) return null;
+        const actions = [];
+        if (entry.isCurrent && entry.status === 'ready') {
+            actions.push({ action: 'delay', label: 'Delay', title: 'Skip this turn until they choose to act' });
+            actions.push({ action: 'hold', label: 'Hold', title: 'Ready an action; it lapses when their turn comes round' });
+        }
+        if (entry.status !== 'ready') {
+            actions.push({ action: 'act', label: 'Act now', title: 'Take the current turn' });
+        }
+        if (isDM) {
+            actions.push({ action: 'remove', label: '×', title: 'Remove from combat' });
+        }
+        if (actions.length === 0) return null;
+        return (
+            <span className="map-combat-timeline__actions">
+                {actions.map((item) => (
+                    <button
+                        key={item.action}
+                        type="button"
+                        className="map-combat-timeline__action"
+                        title={item.title}
+                        aria-label={`${item.title}: ${entry.label}`}
+                        onClick={() => handleCombatEntryAction(entry, item.action)}
+                        disabled={combatBusy}
+                    >
+                        {item.label}
+                    </button>
+                ))}
+            </span>
+        );
+    };
 
     const handleEndCombat = useCallback(async () => {
         if (!isDM || !combatState.active) return;
@@ -3647,7 +4290,14 @@ export default function MapTab({ game, me }) {
             setCombatNotice(null);
             const response = await Games.endCombat(game.id);
             const nextState = normalizeClientCombatState(response);
-            setMapState((prev) => ({ ...prev, combat: nextState }));
+            // The server clears every token's buff stages when combat ends.
+            setMapState((prev) => ({
+                ...prev,
+                combat: nextState,
+                tokens: prev.tokens.map((token) =>
+                    Object.keys(token.buffs || {}).length > 0 ? { ...token, buffs: {} } : token
+                ),
+            }));
             setCombatNotice({ type: 'success', message: 'Combat ended.' });
             logBattle('map:combat:end', 'Ended combat encounter.', {
                 previousRound: combatState.round,
@@ -3785,7 +4435,7 @@ export default function MapTab({ game, me }) {
                                 {mapState.paused ? 'Resume sharing' : 'Pause updates'}
                             </button>
                         )}
-                        {isDM && (
+                        {isGameOwner && (
                             <button
                                 type="button"
                                 className="btn btn-small secondary"
@@ -3831,7 +4481,7 @@ export default function MapTab({ game, me }) {
                                         </>
                                     ) : (
                                         <span className="text-small">
-                                            Plan initiative order and start combat.
+                                            Roll initiative for the tokens on the map, or type the order by hand.
                                         </span>
                                     )}
                                 </div>
@@ -3839,6 +4489,7 @@ export default function MapTab({ game, me }) {
                                     <CombatTimeline
                                         entries={combatTimeline}
                                         ariaLabel="Active turn order"
+                                        renderActions={renderCombatEntryActions}
                                     />
                                 )}
                                 {!combatState.active && combatTimelineDraft.length > 0 && (
@@ -3850,6 +4501,32 @@ export default function MapTab({ game, me }) {
                                 <div className="map-combat-card__form">
                                     {!combatState.active ? (
                                         <>
+                                            <div className="map-combat-card__inputs">
+                                                <label className="field" style={{ minWidth: 200 }}>
+                                                    <span className="field__label">First strike</span>
+                                                    <select
+                                                        value={firstStrikeChoice}
+                                                        onChange={(event) => setFirstStrikeChoice(event.target.value)}
+                                                        disabled={combatBusy}
+                                                    >
+                                                        <option value="">Nobody</option>
+                                                        {combatTokens.map((token) => (
+                                                            <option key={token.id} value={token.id}>
+                                                                {token.label}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                </label>
+                                                <button
+                                                    type="button"
+                                                    className="btn btn-small secondary"
+                                                    onClick={handleRollInitiative}
+                                                    disabled={combatBusy || combatTokens.length === 0}
+                                                    title="1d20 + DEX + initiative bonus for every player, demon and enemy token"
+                                                >
+                                                    Roll Initiative
+                                                </button>
+                                            </div>
                                             <label className="field" style={{ width: '100%' }}>
                                                 <span className="field__label">Initiative order</span>
                                                 <textarea
@@ -3909,6 +4586,31 @@ export default function MapTab({ game, me }) {
                                             >
                                                 End Combat
                                             </button>
+                                            {combatJoinCandidates.length > 0 && (
+                                                <>
+                                                    <select
+                                                        value={combatJoinChoice}
+                                                        onChange={(event) => setCombatJoinChoice(event.target.value)}
+                                                        disabled={combatBusy}
+                                                        aria-label="Token to add to combat"
+                                                    >
+                                                        <option value="">Add a token…</option>
+                                                        {combatJoinCandidates.map((token) => (
+                                                            <option key={token.id} value={token.id}>
+                                                                {token.label}
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                    <button
+                                                        type="button"
+                                                        className="btn btn-small secondary"
+                                                        onClick={handleJoinCombat}
+                                                        disabled={combatBusy || !combatJoinChoice}
+                                                    >
+                                                        Join Combat
+                                                    </button>
+                                                </>
+                                            )}
                                         </div>
                                     )}
                                     {combatNotice && (
@@ -3921,6 +4623,13 @@ export default function MapTab({ game, me }) {
                                         </div>
                                     )}
                                 </div>
+                                {combatState.active && (
+                                    <AttackResolver
+                                        tokens={combatTokens}
+                                        currentTokenId={combatState.entries[combatState.turn - 1]?.tokenId || ''}
+                                        onResolve={handleResolveAttack}
+                                    />
+                                )}
                             </div>
                         ) : combatState.active ? (
                             <div className="map-combat-card map-combat-card--readonly">
@@ -3935,8 +4644,12 @@ export default function MapTab({ game, me }) {
                                     <CombatTimeline
                                         entries={combatTimeline}
                                         ariaLabel="Active turn order"
+                                        renderActions={renderCombatEntryActions}
                                     />
                                 )}
+                                {combatNotice?.type === 'error' && (
+                                    <div className="map-combat-card__notice text-error">{combatNotice.message}</div>
+                                )}
                             </div>
                         ) : null}
                     </div>
@@ -4219,13 +4932,14 @@ export default function MapTab({ game, me }) {
                             const showTooltip = tokenTooltipsEnabled && !!tooltipContent;
                             const tooltipClass = `map-token__tooltip${tooltipIsCard ? ' map-token__tooltip--card' : ''}`;
                             const initials = label.slice(0, 2).toUpperCase();
+                            const isDown = !!token.pools && token.pools.maxHP > 0 && token.pools.hp === 0;
                             return (
                                 <button
                                     key={token.id}
                                     type="button"
                                     className={`map-token map-token--${token.kind}${hasPortrait ? ' map-token--has-portrait' : ''}${
                                         canDrag ? ' is-draggable' : ''
-                                    }`}
+                                    }${isDown ? ' is-down' : ''}`}
                                     style={{ left: `${display.x * 100}%`, top: `${display.y * 100}%`, background: token.color }}
                                     onPointerDown={(event) => handleTokenPointerDown(token, event)}
                                     onPointerMove={(event) => handleTokenPointerMove(token, event)}
@@ -4240,6 +4954,8 @@ export default function MapTab({ game, me }) {
                                         )}
                                         <span className="map-token__label">{initials}</span>
                                     </span>
+                                    <TokenPoolBars pools={token.pools} />
+                                    <ConditionBadges ailments={token.ailments} buffs={token.buffs} className="map-token__conditions" />
                                     {showTooltip && <span className={tooltipClass}>{tooltipContent}</span>}
                                 </button>
                             );
@@ -4380,6 +5096,32 @@ export default function MapTab({ game, me }) {
                                             isDM={isDM}
                                         />
                                     )}
+                                    {COMBAT_TOKEN_KINDS.has(selectedDmToken.kind) && (
+                                        <TokenPoolControls
+                                            key={selectedDmToken.id}
+                                            token={selectedDmToken}
+                                            onAdjust={handleAdjustTokenPool}
+                                            onTrack={handleTrackTokenPools}
+                                        />
+                                    )}
+                                    {COMBAT_TOKEN_KINDS.has(selectedDmToken.kind) && (
+                                        <TokenAilmentControls
+                                            key={`ailments-${selectedDmToken.id}`}
+                                            token={selectedDmToken}
+                                            casters={combatTokens.filter((item) => item.id !== selectedDmToken.id)}
+                                            onApply={handleApplyTokenAilment}
+                                            onCure={handleCureTokenAilment}
+                                        />
+                                    )}
+                                    {COMBAT_TOKEN_KINDS.has(selectedDmToken.kind) && (
+                                        <TokenBuffControls
+                                            key={`buffs-${selectedDmToken.id}`}
+                                            token={selectedDmToken}
+                                            casters={combatTokens.filter((item) => item.id !== selectedDmToken.id)}
+                                            onApply={handleApplyTokenBuff}
+                                            onClear={handleClearTokenBuff}
+                                        />
+                                    )}
                                     <div className="map-dm-tokens__actions">
                                         <label className="perm-toggle">
                                             <input
@@ -1,8 +1,21 @@
+import { DEFAULT_HEALTH_BAR_VISIBILITY, HEALTH_BAR_VISIBILITY } from "@shared/combatPools.js";
+
 const MAP_DEFAULT_SETTINGS = Object.freeze({
     allowPlayerDrawing: true,
     allowPlayerTokenMoves: true,
+    healthBars: DEFAULT_HEALTH_BAR_VISIBILITY,
 });
 
+const HEALTH_BAR_OPTIONS = Object.freeze([
+    { value: "table", label: "DM and co-DMs only" },
+    { value: "party", label: "Everyone, for party tokens" },
+    { value: "all", label: "Everyone, for every token" },
+]);
+
+function mapReadHealthBars(value) {
+    return HEALTH_BAR_VISIBILITY.includes(value) ? value : DEFAULT_HEALTH_BAR_VISIBILITY;
+}
+
 function mapReadBoolean(value, fallback = false) {
     if (typeof value === "boolean") return value;
     if (typeof value === "number") return value !== 0;
@@ -25,4 +38,52 @@ function describePlayerName(player) {
     return "Player";
 }
 
-export { MAP_DEFAULT_SETTINGS, mapReadBoolean, describePlayerName };
+const COMBAT_STATUS_LABELS = Object.freeze({
+    delayed: "Delaying",
+    held: "Holding",
+});
+
+/**
+ * Turn-order entries for the combat timeline. `combat.turn` is 1-based and
+ * only marks a current entry while combat is active. Token-linked entries
+ * carry their initiative and delay/hold status; older games only have labels.
+ * @param {{ active?: boolean, turn?: number, order?: string[], entries?: any[] }} combat
+ * @param {string} [idPrefix]
+ */
+function buildCombatTimeline(combat, idPrefix = "active") {
+    const entries = Array.isArray(combat?.entries) && combat.entries.length > 0
+        ? combat.entries
+        : (Array.isArray(combat?.order) ? combat.order : []).map((label) => ({ label }));
+    if (entries.length === 0) return [];
+    const activeIndex = combat.active
+        ? Math.max(0, Math.min(entries.length - 1, Math.round(combat.turn || 1) - 1))
+        : -1;
+    return entries.map((entry, index) => {
+        const rawLabel = entry?.label;
+        const label = typeof rawLabel === "string" && rawLabel.trim() ? rawLabel.trim() : `Entry ${index + 1}`;
+        const safeId = `${label.toLowerCase().replace(/[^a-z0-9]+/g, "-") || "entry"}-${index}`;
+        const status = typeof entry?.status === "string" ? entry.status : "ready";
+        return {
+            id: `${idPrefix}-${safeId}`,
+            entryId: typeof entry?.id === "string" ? entry.id : null,
+            tokenId: typeof entry?.tokenId === "string" ? entry.tokenId : null,
+            label,
+            position: index + 1,
+            initiative: Number.isFinite(entry?.initiative) ? entry.initiative : null,
+            firstStrike: !!entry?.firstStrike,
+            status,
+            statusLabel: COMBAT_STATUS_LABELS[status] || "",
+            isCurrent: activeIndex === index,
+            isComplete: activeIndex !== -1 && index < activeIndex,
+        };
+    });
+}
+
+export {
+    HEALTH_BAR_OPTIONS,
+    MAP_DEFAULT_SETTINGS,
+    buildCombatTimeline,
+    mapReadBoolean,
+    mapReadHealthBars,
+    describePlayerName,
+};
@@ -3,6 +3,9 @@ import {
     DEFAULT_WORLD_SKILL_DEFS,
     DEFAULT_WORLD_SKILLS as SHARED_WORLD_SKILLS,
 } from "@shared/worldSkills.js";
+import { COMBAT_TIER_INFO, computeCombatSkillDamage } from "@shared/combatMath.js";
+
+export { COMBAT_TIER_INFO, computeCombatSkillDamage };
 
 export const ABILITY_DEFS = [
     {
@@ -92,12 +95,6 @@ export const COMBAT_TIER_LABELS = {
     HEAVY: "Heavy",
     SEVERE: "Severe",
 };
-export const COMBAT_TIER_INFO = {
-    WEAK: { label: "Weak", dice: "1d6", modMultiplier: 1 },
-    MEDIUM: { label: "Medium", dice: "2d8", modMultiplier: 2 },
-    HEAVY: { label: "Heavy", dice: "3d12", modMultiplier: 3 },
-    SEVERE: { label: "Severe", dice: "4d20", modMultiplier: 4 },
-};
 
 export const COMBAT_CATEGORY_OPTIONS = [
     { value: "physical", label: "Physical" },
@@ -623,34 +620,6 @@ export function normalizeCombatSkillDefs(raw) {
     return normalized;
 }
 
-export function computeCombatSkillDamage({ tier, abilityMod, roll, bonus = 0, buff = 1, critical = false }) {
-    const info = COMBAT_TIER_INFO[tier] || COMBAT_TIER_INFO.WEAK;
-    const rollValue = Number(roll);
-    const abilityValue = Number(abilityMod);
-    const bonusValue = Number(bonus);
-    let buffValue = Number(buff);
-    if (!Number.isFinite(rollValue) || !Number.isFinite(abilityValue) || !Number.isFinite(bonusValue)) {
-        return null;
-    }
-    if (!Number.isFinite(buffValue) || buffValue <= 0) {
-        buffValue = 1;
-    }
-    const abilityContribution = abilityValue * info.modMultiplier;
-    const base = rollValue + abilityContribution + bonusValue;
-    const critMultiplier = critical ? 1.75 : 1;
-    const preBuff = base * critMultiplier;
-    const total = Math.ceil(preBuff * buffValue);
-    return {
-        total,
-        baseRoll: rollValue,
-        abilityContribution,
-        bonus: bonusValue,
-        critMultiplier,
-        buffMultiplier: buffValue,
-        preBuff,
-    };
-}
-
 export const SAVE_DEFS = [
     { key: "fortitude", label: "Fortitude", ability: "CON" },
     { key: "reflex", label: "Reflex", ability: "DEX" },
@@ -1,8 +1,14 @@
-const ROLE_DM = "dm";
-const ROLE_PLAYER = "player";
+import { ROLE_CO_DM, ROLE_DM, ROLE_PLAYER, ROLE_SPECTATOR, normalizeRole } from "../utils/roles";
 
 const FALLBACK_ROLE_LABEL_ORDER = [ROLE_DM, ROLE_PLAYER, "default"];
 
+// Co-DMs reuse the DM wording and spectators the player wording unless an
+// item spells out its own copy for them.
+const ROLE_COPY_FALLBACK = {
+    [ROLE_CO_DM]: ROLE_DM,
+    [ROLE_SPECTATOR]: ROLE_PLAYER,
+};
+
 const NAV_ITEMS = [
     {
         key: "overview",
@@ -14,7 +20,7 @@ const NAV_ITEMS = [
     },
     {
         key: "map",
-        roles: [ROLE_DM, ROLE_PLAYER],
+        roles: [ROLE_DM, ROLE_PLAYER, ROLE_CO_DM, ROLE_SPECTATOR],
         label: {
             [ROLE_DM]: "Battle Map",
             [ROLE_PLAYER]: "Battle Map",
@@ -22,6 +28,7 @@ const NAV_ITEMS = [
         description: {
             [ROLE_DM]: "Sketch encounters and track tokens",
             [ROLE_PLAYER]: "Follow encounters in real time",
+            [ROLE_CO_DM]: "Run encounters alongside the DM",
         },
     },
     {
@@ -38,7 +45,7 @@ const NAV_ITEMS = [
     },
     {
         key: "party",
-        roles: [ROLE_DM, ROLE_PLAYER],
+        roles: [ROLE_DM, ROLE_PLAYER, ROLE_CO_DM, ROLE_SPECTATOR],
         label: {
             [ROLE_DM]: "Party Roster",
             [ROLE_PLAYER]: "Party View",
@@ -46,11 +53,12 @@ const NAV_ITEMS = [
         description: {
             [ROLE_DM]: "Health, levels, and quick switches",
             [ROLE_PLAYER]: "See who fights beside you",
+            [ROLE_SPECTATOR]: "See who is in the party",
         },
     },
     {
         key: "items",
-        roles: [ROLE_DM, ROLE_PLAYER],
+        roles: [ROLE_DM, ROLE_PLAYER, ROLE_CO_DM],
         label: {
             [ROLE_DM]: "Item Library",
             [ROLE_PLAYER]: "Party Stash",
@@ -62,7 +70,7 @@ const NAV_ITEMS = [
     },
     {
         key: "gear",
-        roles: [ROLE_DM, ROLE_PLAYER],
+        roles: [ROLE_DM, ROLE_PLAYER, ROLE_CO_DM],
         label: {
             [ROLE_DM]: "Gear Locker",
             [ROLE_PLAYER]: "My Gear",
@@ -96,9 +104,34 @@ const NAV_ITEMS = [
             [ROLE_PLAYER]: "Damage calculators and tier references",
         },
     },
+    {
+        key: "rolls",
+        roles: [ROLE_DM, ROLE_PLAYER, ROLE_CO_DM, ROLE_SPECTATOR],
+        label: {
+            [ROLE_DM]: "Dice & Roll Log",
+            [ROLE_PLAYER]: "Dice & Roll Log",
+        },
+        description: {
+            [ROLE_DM]: "Roll in the open or behind the screen",
+            [ROLE_PLAYER]: "Roll on the server for everyone to see",
+            [ROLE_SPECTATOR]: "Watch the table's rolls",
+        },
+    },
+    {
+        key: "chat",
+        roles: [ROLE_DM, ROLE_PLAYER, ROLE_CO_DM, ROLE_SPECTATOR],
+        label: {
+            [ROLE_DM]: "Party Chat",
+            [ROLE_PLAYER]: "Party Chat",
+        },
+        description: {
+            [ROLE_DM]: "Table talk, whispers and the OOC channel",
+            [ROLE_PLAYER]: "Talk to the party or whisper the DM",
+        },
+    },
     {
         key: "demons",
-        roles: [ROLE_DM, ROLE_PLAYER],
+        roles: [ROLE_DM, ROLE_PLAYER, ROLE_CO_DM],
         label: {
             [ROLE_DM]: "Demon Codex",
             [ROLE_PLAYER]: "Demon Companions",
@@ -110,7 +143,7 @@ const NAV_ITEMS = [
     },
     {
         key: "storyLogs",
-        roles: [ROLE_DM, ROLE_PLAYER],
+        roles: [ROLE_DM, ROLE_PLAYER, ROLE_CO_DM, ROLE_SPECTATOR],
         label: {
             [ROLE_DM]: "Story Logs",
             [ROLE_PLAYER]: "Story Logs",
@@ -130,7 +163,7 @@ const NAV_ITEMS = [
     },
     {
         key: "help",
-        roles: [ROLE_DM, ROLE_PLAYER],
+        roles: [ROLE_DM, ROLE_PLAYER, ROLE_CO_DM, ROLE_SPECTATOR],
         label: {
             [ROLE_DM]: "Help & Docs",
             [ROLE_PLAYER]: "Help & Docs",
@@ -142,7 +175,7 @@ const NAV_ITEMS = [
     },
     {
         key: "serverManagement",
-        roles: [ROLE_DM, ROLE_PLAYER],
+        roles: [ROLE_DM, ROLE_PLAYER, ROLE_CO_DM, ROLE_SPECTATOR],
         label: { default: "Server Management" },
         description: {
             default: "Administer users, games, demons, and bots",
@@ -155,6 +188,8 @@ function resolveCopy(copy, role) {
     if (!copy) return "";
     if (typeof copy === "string") return copy;
     if (copy[role]) return copy[role];
+    const roleFallback = ROLE_COPY_FALLBACK[role];
+    if (roleFallback && copy[roleFallback]) return copy[roleFallback];
     for (const fallback of FALLBACK_ROLE_LABEL_ORDER) {
         if (copy[fallback]) return copy[fallback];
     }
@@ -163,7 +198,7 @@ function resolveCopy(copy, role) {
 }
 
 export function buildNavigation({ role, isServerAdmin = false, availableKeys = null }) {
-    const normalizedRole = role === ROLE_DM ? ROLE_DM : ROLE_PLAYER;
+    const normalizedRole = normalizeRole(role);
     const allowedKeys =
         availableKeys && typeof availableKeys[Symbol.iterator] === "function"
             ? new Set(availableKeys)
@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import { chatThreadFor } from "@shared/chat.js";
+
+import { Games } from "../api";
+
+const EMPTY_UNREAD = { threads: {}, total: 0 };
+
+/**
+ * Unread chat counts per thread for the navigation badge and the chat tab.
+ *
+ * Counts are loaded from the server when the game opens (and after each
+ * reconnect) and bumped as messages arrive. While the chat tab shows a thread
+ * it calls `setOpenThread`; messages landing there are marked read at once.
+ *
+ * @param {{ gameId: string | null, userId: string | null, realtime: any }} params
+ */
+export default function useChatUnread({ gameId, userId, realtime }) {
+    const [unread, setUnread] = useState(EMPTY_UNREAD);
+    const openThreadRef = useRef(null);
+    const subscribeChat = realtime?.subscribeChat;
+    const connected = !!realtime?.connected;
+
+    useEffect(() => {
+        if (!gameId || !connected) return undefined;
+        let cancelled = false;
+        Games.chat
+            .unread(gameId)
+            .then((result) => {
+                if (cancelled) return;
+                const threads = { ...(result?.threads || {}) };
+                if (openThreadRef.current) delete threads[openThreadRef.current];
+                setUnread({ threads, total: Object.values(threads).reduce((sum, count) => sum + count, 0) });
+            })
+            .catch((err) => console.warn("Failed to load unread chat", err));
+        return () => {
+            cancelled = true;
+        };
+    }, [connected, gameId]);
+
+    const markRead = useCallback(
+        (thread) => {
+            if (!gameId || !thread) return;
+            setUnread((prev) => {
+                if (!prev.threads[thread]) return prev;
+                const threads = { ...prev.threads };
+                const count = threads[thread];
+                delete threads[thread];
+                return { threads, total: Math.max(0, prev.total - count) };
+            });
+            Games.chat.markRead(gameId, thread).catch((err) => console.warn("Failed to mark chat read", err));
+        },
+        [gameId]
+    );
+
+    useEffect(() => {
+        if (typeof subscribeChat !== "function") return undefined;
+        return subscribeChat((message) => {
+            if (!message || message.senderId === userId) return;
+            const thread = chatThreadFor(message, userId);
+            if (!thread) return;
+            if (thread === openThreadRef.current) {
+                markRead(thread);
+                return;
+            }
+            setUnread((prev) => ({
+                threads: { ...prev.threads, [thread]: (prev.threads[thread] || 0) + 1 },
+                total: prev.total + 1,
+            }));
+        });
+    }, [markRead, subscribeChat, userId]);
+
+    useEffect(() => {
+        setUnread(EMPTY_UNREAD);
+        openThreadRef.current = null;
+    }, [gameId]);
+
+    const setOpenThread = useCallback(
+        (thread) => {
+            openThreadRef.current = thread || null;
+            if (thread) markRead(thread);
+        },
+        [markRead]
+    );
+
+    return { ...unread, markRead, setOpenThread };
+}
@@ -1,8 +1,13 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 
+import { applyJsonPatch } from "@shared/jsonPatch.js";
+
 import { EMPTY_ARRAY } from "../utils/constants";
 import { resolveRealtimeUrl } from "../api";
 
+// Matches the server's close code for sockets whose session was revoked.
+const SESSION_REVOKED_CLOSE_CODE = 4001;
+
 /**
  * @typedef {{
  *   trackId: string,
@@ -32,6 +37,8 @@ import { resolveRealtimeUrl } from "../api";
  *   subscribeStory: (handler: (snapshot: any) => void) => () => void,
  *   requestPersona: (targetUserId: string, content: any) => Promise<any>,
  *   respondPersona: (requestId: string, approve: boolean) => void,
+ *   respondOwnershipTransfer: (transferId: string, accept: boolean) => void,
+ *   ownershipTransferStatus: { transferId: string, status: string, error?: string } | null,
  *   personaPrompts: any[],
  *   personaStatuses: Record<string, any>,
  *   tradeSessions: any[],
@@ -48,7 +55,18 @@ import { resolveRealtimeUrl } from "../api";
  *   alertError: string | null,
  *   sendAlert: (message: string) => void,
  *   dismissAlert: (alertId: string) => void,
+ *   rollDice: (request: DiceRollRequest) => Promise<any>,
+ *   subscribeDiceRolls: (handler: (roll: any) => void) => () => void,
+ *   sendChat: (thread: string, body: string) => Promise<any>,
+ *   subscribeChat: (handler: (message: any) => void) => () => void,
  * }} UseRealtimeConnection
+ * @typedef {{
+ *   notation: string,
+ *   label?: string,
+ *   visibility?: "public" | "dm" | "self",
+ *   ability?: string,
+ *   variables?: Record<string, number>,
+ * }} DiceRollRequest
  */
 
 /**
@@ -95,20 +113,35 @@ function normalizeAlertEntry(entry) {
 /**
  * Establish and manage the realtime websocket connection for a game session.
  * Handles subscription lifecycles, queued refreshes, persona/trade helpers, and music/alert channels.
- * @param {{ gameId: string | null, refreshGame?: () => Promise<any> | any, onGameDeleted?: (payload: any) => any }} params
+ *
+ * `game:patch` deltas are applied to the last known server copy of `game` and
+ * handed to `onGamePatch`; a delta that does not follow on from that copy's
+ * version falls back to `refreshGame`.
+ * @param {{
+ *   gameId: string | null,
+ *   game?: any,
+ *   refreshGame?: () => Promise<any> | any,
+ *   onGamePatch?: (game: any, message: any) => void,
+ *   onGameDeleted?: (payload: any) => any,
+ * }} params
  * @returns {UseRealtimeConnection}
  */
-export default function useRealtimeConnection({ gameId, refreshGame, onGameDeleted }) {
+export default function useRealtimeConnection({ gameId, game, refreshGame, onGamePatch, onGameDeleted }) {
     const [connectionState, setConnectionState] = useState("idle");
     const socketRef = useRef(null);
     const retryRef = useRef(null);
     const storyHandlersRef = useRef(new Set());
     const battleLogHandlersRef = useRef(new Set());
+    const diceHandlersRef = useRef(new Set());
+    const pendingRollsRef = useRef(new Map());
+    const chatHandlersRef = useRef(new Set());
+    const pendingChatRef = useRef(new Map());
     const latestStoryRef = useRef(null);
     const pendingPersonaRef = useRef(new Map());
     const [personaPrompts, setPersonaPrompts] = useState([]);
     const [personaStatuses, setPersonaStatuses] = useState({});
     const [tradeSessions, setTradeSessions] = useState({});
+    const [ownershipTransferStatus, setOwnershipTransferStatus] = useState(null);
     const [onlineUsers, setOnlineUsers] = useState(() => ({}));
     const [musicState, setMusicState] = useState(null);
     const [musicError, setMusicError] = useState(null);
@@ -118,6 +151,8 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
     const refreshPromiseRef = useRef(null);
     const refreshQueuedRef = useRef(false);
     const gameDeletedRef = useRef(onGameDeleted);
+    const gamePatchRef = useRef(onGamePatch);
+    const patchBaseRef = useRef({ gameId: null, version: 0, doc: null });
     const alertTimersRef = useRef(new Map());
 
     useEffect(() => {
@@ -128,6 +163,20 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
         gameDeletedRef.current = onGameDeleted;
     }, [onGameDeleted]);
 
+    useEffect(() => {
+        gamePatchRef.current = onGamePatch;
+    }, [onGamePatch]);
+
+    // Adopt fetched copies of the game as the base for later deltas. Copies
+    // produced by applying a delta carry the same version and are skipped.
+    useEffect(() => {
+        if (!game || !gameId || game.id !== gameId || !Number.isInteger(game.version)) return;
+        const base = patchBaseRef.current;
+        if (base.gameId !== gameId || game.version > base.version) {
+            patchBaseRef.current = { gameId, version: game.version, doc: game };
+        }
+    }, [game, gameId]);
+
     /**
      * Queue a game refresh call, consolidating concurrent requests into a single execution.
      */
@@ -206,6 +255,32 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
         []
     );
 
+    /**
+     * Register a listener for rolls this user may see, including their own.
+     * @param {(roll: any) => void} handler
+     * @returns {() => void}
+     */
+    const subscribeDiceRolls = useCallback((handler) => {
+        if (typeof handler !== "function") return () => {};
+        diceHandlersRef.current.add(handler);
+        return () => {
+            diceHandlersRef.current.delete(handler);
+        };
+    }, []);
+
+    /**
+     * Register a listener for chat messages in any thread this user can read.
+     * @param {(message: any) => void} handler
+     * @returns {() => void}
+     */
+    const subscribeChat = useCallback((handler) => {
+        if (typeof handler !== "function") return () => {};
+        chatHandlersRef.current.add(handler);
+        return () => {
+            chatHandlersRef.current.delete(handler);
+        };
+    }, []);
+
     /**
      * Track persona generation status updates so the UI can reflect progress.
      * @param {any} message
@@ -253,6 +328,9 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
         }
 
         let cancelled = false;
+        // Position in the game channel's event stream, sent back on reconnect
+        // so the server can replay whatever arrived while we were away.
+        const cursor = { epoch: null, seq: null };
 
         const rejectPendingPersona = (reason) => {
             for (const [, entry] of pendingPersonaRef.current) {
@@ -265,8 +343,21 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
             pendingPersonaRef.current.clear();
         };
 
+        const rejectPendingRequests = (reason) => {
+            for (const pending of [pendingRollsRef.current, pendingChatRef.current]) {
+                for (const [, entry] of pending) {
+                    entry.reject(new Error(reason));
+                }
+                pending.clear();
+            }
+        };
+
         const handleMessage = (msg) => {
             if (!msg || typeof msg !== "object") return;
+            if (Number.isInteger(msg.seq)) {
+                if (cursor.seq !== null && msg.seq <= cursor.seq) return;
+                cursor.seq = msg.seq;
+            }
             switch (msg.type) {
                 case "welcome":
                     setConnectionState("connected");
@@ -303,6 +394,10 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
                     }
                     updatePersonaStatus(msg);
                     break;
+                case "game:transfer_status":
+                    if (msg.gameId && msg.gameId !== gameId) return;
+                    setOwnershipTransferStatus(msg);
+                    break;
                 case "trade:invite":
                 case "trade:active":
                 case "trade:update":
@@ -371,10 +466,91 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
                         }
                     }
                     break;
+                case "dice:rolled": {
+                    if (msg.gameId !== gameId || !msg.roll) return;
+                    const pending = msg.requestId ? pendingRollsRef.current.get(msg.requestId) : null;
+                    if (pending) {
+                        pendingRollsRef.current.delete(msg.requestId);
+                        pending.resolve(msg.roll);
+                    }
+                    for (const handler of diceHandlersRef.current) {
+                        try {
+                            handler(msg.roll);
+                        } catch (err) {
+                            console.error("dice listener error", err);
+                        }
+                    }
+                    break;
+                }
+                case "dice:error": {
+                    const pending = msg.requestId ? pendingRollsRef.current.get(msg.requestId) : null;
+                    if (!pending) return;
+                    pendingRollsRef.current.delete(msg.requestId);
+                    const error = new Error(msg.message || msg.error || "Roll failed");
+                    error.code = msg.error;
+                    pending.reject(error);
+                    break;
+                }
+                case "chat:message": {
+                    if (msg.gameId !== gameId || !msg.message) return;
+                    const pending = msg.clientId ? pendingChatRef.current.get(msg.clientId) : null;
+                    if (pending) {
+                        pendingChatRef.current.delete(msg.clientId);
+                        pending.resolve(msg.message);
+                    }
+                    for (const handler of chatHandlersRef.current) {
+                        try {
+                            handler(msg.message);
+                        } catch (err) {
+                            console.error("chat listener error", err);
+                        }
+                    }
+                    break;
+                }
+                case "chat:error": {
+                    const pending = msg.clientId ? pendingChatRef.current.get(msg.clientId) : null;
+                    if (!pending) return;
+                    pendingChatRef.current.delete(msg.clientId);
+                    pending.reject(new Error(msg.error || "chat_failed"));
+                    break;
+                }
+                case "game:subscribed":
+                    if (msg.gameId !== gameId) return;
+                    cursor.epoch = typeof msg.epoch === "string" ? msg.epoch : null;
+                    cursor.seq = Number.isInteger(msg.seq) ? msg.seq : null;
+                    if (msg.resync) {
+                        requestGameRefresh();
+                    }
+                    break;
                 case "game:update":
                     if (msg.gameId !== gameId) return;
                     requestGameRefresh();
                     break;
+                case "game:patch": {
+                    if (msg.gameId !== gameId || !Number.isInteger(msg.version)) return;
+                    const base = patchBaseRef.current;
+                    if (base.gameId === gameId && msg.version <= base.version) return;
+                    if (base.gameId !== gameId || !base.doc || msg.baseVersion !== base.version) {
+                        requestGameRefresh();
+                        return;
+                    }
+                    let doc;
+                    try {
+                        doc = { ...applyJsonPatch(base.doc, msg.patch), version: msg.version };
+                    } catch (err) {
+                        console.warn("Failed to apply game patch, resyncing", err);
+                        requestGameRefresh();
+                        return;
+                    }
+                    patchBaseRef.current = { gameId, version: msg.version, doc };
+                    const handler = gamePatchRef.current;
+                    if (typeof handler === "function") {
+                        handler(doc, msg);
+                    } else {
+                        requestGameRefresh();
+                    }
+                    break;
+                }
                 case "game:deleted":
                     if (msg.gameId !== gameId) return;
                     try {
@@ -416,6 +592,11 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
                     });
                     break;
                 case "error":
+                    if (msg.error === "conflict") {
+                        // Another client saved first; pull the latest copy of the game.
+                        requestGameRefresh();
+                        break;
+                    }
                     console.warn("Realtime error", msg.error);
                     break;
                 default:
@@ -435,9 +616,11 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
                     if (cancelled) return;
                     setConnectionState("connected");
                       try {
+                          // The game channel goes first so missed events replay before new trade messages.
+                          const resume = cursor.epoch && cursor.seq !== null ? { epoch: cursor.epoch, lastSeq: cursor.seq } : {};
+                          ws.send(JSON.stringify({ type: "subscribe", channel: "game", gameId, ...resume }));
                           ws.send(JSON.stringify({ type: "subscribe", channel: "story", gameId }));
                           ws.send(JSON.stringify({ type: "subscribe", channel: "trade", gameId }));
-                          ws.send(JSON.stringify({ type: "subscribe", channel: "game", gameId }));
                       } catch (err) {
                           console.error("subscribe failed", err);
                       }
@@ -453,12 +636,18 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
                     }
                 };
 
-                ws.onclose = () => {
+                ws.onclose = (event) => {
                     if (cancelled) return;
+                    if (event?.code === SESSION_REVOKED_CLOSE_CODE) {
+                        // The session was signed out remotely; reloading drops back to the login screen.
+                        window.location.reload();
+                        return;
+                    }
                     setConnectionState("disconnected");
                     socketRef.current = null;
                     setOnlineUsers(() => ({}));
                     rejectPendingPersona("connection_closed");
+                    rejectPendingRequests("connection_closed");
                     retryRef.current = window.setTimeout(connect, 2000);
                 };
 
@@ -474,6 +663,7 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
         setPersonaPrompts([]);
         setPersonaStatuses({});
         setTradeSessions({});
+        setOwnershipTransferStatus(null);
         setOnlineUsers(() => ({}));
         latestStoryRef.current = null;
         connect();
@@ -491,10 +681,12 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
             }
             socketRef.current = null;
             rejectPendingPersona("connection_closed");
+            rejectPendingRequests("connection_closed");
             setConnectionState("idle");
             setPersonaPrompts([]);
             setPersonaStatuses({});
             setTradeSessions({});
+            setOwnershipTransferStatus(null);
             setOnlineUsers(() => ({}));
             setMusicState(null);
             setMusicError(null);
@@ -545,6 +737,57 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
         [gameId, sendMessage]
     );
 
+    /**
+     * Ask the server to roll dice. Resolves with the stored roll once the
+     * server has announced it; nothing is rolled locally.
+     * @param {DiceRollRequest} request
+     * @returns {Promise<any>}
+     */
+    const rollDice = useCallback(
+        ({ notation, label, visibility = "public", ability, variables } = {}) =>
+            new Promise((resolve, reject) => {
+                if (!gameId) {
+                    reject(new Error("missing_game"));
+                    return;
+                }
+                const requestId = typeof crypto !== "undefined" && crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`;
+                pendingRollsRef.current.set(requestId, { resolve, reject });
+                try {
+                    sendMessage({ type: "dice.roll", gameId, requestId, notation, label, visibility, ability, variables });
+                } catch (err) {
+                    pendingRollsRef.current.delete(requestId);
+                    reject(err);
+                }
+            }),
+        [gameId, sendMessage]
+    );
+
+    /**
+     * Post a chat message. Resolves with the stored message once the server
+     * has delivered it.
+     * @param {string} thread `party`, `ooc` or `whisper:<userId>`
+     * @param {string} body Markdown text
+     * @returns {Promise<any>}
+     */
+    const sendChat = useCallback(
+        (thread, body) =>
+            new Promise((resolve, reject) => {
+                if (!gameId) {
+                    reject(new Error("missing_game"));
+                    return;
+                }
+                const clientId = typeof crypto !== "undefined" && crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`;
+                pendingChatRef.current.set(clientId, { resolve, reject });
+                try {
+                    sendMessage({ type: "chat.send", gameId, clientId, thread, body });
+                } catch (err) {
+                    pendingChatRef.current.delete(clientId);
+                    reject(err);
+                }
+            }),
+        [gameId, sendMessage]
+    );
+
     /**
      * Respond to an outstanding persona request with approval/denial.
      * @param {string} requestId
@@ -561,6 +804,18 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
         [sendMessage]
     );
 
+    /**
+     * Accept or decline becoming the DM of the active game.
+     * @param {string} transferId
+     * @param {boolean} accept
+     */
+    const respondOwnershipTransfer = useCallback(
+        (transferId, accept) => {
+            sendMessage({ type: "game.transfer.respond", gameId, transferId, accept });
+        },
+        [gameId, sendMessage]
+    );
+
     /**
      * Curated helpers for interacting with the realtime trade system.
      * @returns {TradeActions}
@@ -726,6 +981,8 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
         subscribeBattleLog,
         requestPersona,
         respondPersona,
+        respondOwnershipTransfer,
+        ownershipTransferStatus,
         personaPrompts,
         personaStatuses,
         tradeSessions: tradeList,
@@ -742,6 +999,10 @@ export default function useRealtimeConnection({ gameId, refreshGame, onGameDelet
         alertError,
         sendAlert: sendAlertMessage,
         dismissAlert,
+        rollDice,
+        subscribeDiceRolls,
+        sendChat,
+        subscribeChat,
     };
 }
 
@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
 import LoadingBar from './components/LoadingBar';
+import ShareView from './components/ShareView';
 import './style.css';
 
 // Force dark theme
@@ -9,10 +10,13 @@ if (typeof document !== 'undefined') {
     document.documentElement.classList.add('theme-dark');
 }
 
+// Public share links render a read-only table view without signing in.
+const shareMatch = window.location.pathname.match(/^\/share\/([^/?#]+)/);
+
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
         <LoadingBar />
-        <App />
+        {shareMatch ? <ShareView token={decodeURIComponent(shareMatch[1])} /> : <App />}
     </React.StrictMode>,
 );
 
@@ -0,0 +1,44 @@
+import { idsMatch } from "./ids";
+
+export const ROLE_DM = "dm";
+export const ROLE_CO_DM = "co-dm";
+export const ROLE_PLAYER = "player";
+export const ROLE_SPECTATOR = "spectator";
+
+export const ASSIGNABLE_ROLES = [ROLE_PLAYER, ROLE_CO_DM, ROLE_SPECTATOR];
+
+export const ROLE_LABELS = {
+    [ROLE_DM]: "DM",
+    [ROLE_CO_DM]: "Co-DM",
+    [ROLE_PLAYER]: "Player",
+    [ROLE_SPECTATOR]: "Spectator",
+};
+
+export function normalizeRole(role) {
+    const value = typeof role === "string" ? role.trim().toLowerCase() : "";
+    return value === ROLE_DM || ASSIGNABLE_ROLES.includes(value) ? value : ROLE_PLAYER;
+}
+
+/**
+ * The viewer's role in a game. The owning DM is identified by `dmId`;
+ * everyone else by the role stored on their player entry.
+ */
+export function getGameRole(game, userId) {
+    if (!game || !userId) return ROLE_PLAYER;
+    if (idsMatch(game.dmId, userId)) return ROLE_DM;
+    const player = Array.isArray(game.players)
+        ? game.players.find((entry) => entry && idsMatch(entry.userId, userId))
+        : null;
+    return normalizeRole(player?.role);
+}
+
+/** DM or co-DM: may run combat, manage the map and tokens, and hand out items. */
+export function canRunTable(game, userId) {
+    const role = getGameRole(game, userId);
+    return role === ROLE_DM || role === ROLE_CO_DM;
+}
+
+/** Only players have character sheets, inventories and gear. */
+export function isPartyPlayer(player) {
+    return !!player && normalizeRole(player.role) === ROLE_PLAYER;
+}
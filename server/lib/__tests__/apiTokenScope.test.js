@@ -0,0 +1,44 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { checkApiTokenScope } from '../apiTokenScope.js';
+
+const GAME_ID = '0f8fad5b-d9cb-469f-a165-70867728950e';
+const OTHER_ID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+const scoped = { readOnly: false, gameIds: [GAME_ID] };
+const unscoped = { readOnly: false, gameIds: null };
+
+function check(token, method, path) {
+    return checkApiTokenScope(token, { method, path });
+}
+
+describe('checkApiTokenScope', () => {
+    it('keeps every token away from admin, account and auth routes in any case', () => {
+        for (const path of ['/api/admin/users', '/API/Admin/users', '/api/ACCOUNT/tokens', '/Api/Auth/logout']) {
+            expect(check(unscoped, 'POST', path)).toBe('token_not_allowed');
+        }
+        expect(check(unscoped, 'GET', '/API/AUTH/ME')).toBeNull();
+    });
+
+    it('limits read-only tokens to GET', () => {
+        expect(check({ readOnly: true, gameIds: null }, 'DELETE', '/api/templates/x')).toBe('token_read_only');
+        expect(check({ readOnly: true, gameIds: null }, 'GET', '/api/templates')).toBeNull();
+    });
+
+    it('keeps game-scoped tokens inside their games whatever the case', () => {
+        expect(check(scoped, 'PUT', `/api/games/${GAME_ID}/character`)).toBeNull();
+        expect(check(scoped, 'PUT', `/API/GAMES/${GAME_ID.toUpperCase()}/character`)).toBeNull();
+        expect(check(scoped, 'GET', `/API/GAMES/${OTHER_ID}`)).toBe('token_scope');
+        expect(check(scoped, 'GET', `/api/Games/${OTHER_ID.toUpperCase()}/history`)).toBe('token_scope');
+        expect(check(scoped, 'GET', '/API/Games')).toBeNull();
+        expect(check(scoped, 'POST', '/api/games')).toBe('token_scope');
+    });
+
+    it('denies game-scoped tokens everything else under /api', () => {
+        expect(check(scoped, 'DELETE', '/api/templates/abc')).toBe('token_scope');
+        expect(check(scoped, 'DELETE', '/API/Templates/abc')).toBe('token_scope');
+        expect(check(scoped, 'POST', '/api/personas/request')).toBe('token_scope');
+        expect(check(scoped, 'POST', '/api/games/join/ABCD1234')).toBe('token_scope');
+        expect(check(scoped, 'GET', '/health')).toBeNull();
+    });
+});
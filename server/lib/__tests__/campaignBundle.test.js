@@ -0,0 +1,62 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { claimPlayerSlot, isPlayerSlotId, remapUserIds, resolveBundleUsers } from '../campaignBundle.js';
+
+function createBundle() {
+    const gear = { bag: [], slots: { weapon: { name: 'Katana' }, armor: null, accessory: null } };
+    return {
+        users: [
+            { id: 'old-dm', username: 'Igor' },
+            { id: 'old-a', username: 'Aigis' },
+            { id: 'old-b', username: 'Yukari' },
+        ],
+        game: {
+            dmId: 'old-dm',
+            players: [
+                { userId: 'old-dm', role: 'dm', character: null },
+                { userId: 'old-a', role: 'player', character: { name: 'Aigis' }, inventory: [{ name: 'Bead' }], gear },
+                { userId: 'old-b', role: 'co-dm', character: { name: 'Yukari' }, inventory: [], gear },
+            ],
+            map: { tokens: [{ id: 't1', ownerId: 'old-a' }] },
+            chat: { whispers: { 'old-b': ['hi'] } },
+            notes: 'old-unknown',
+        },
+    };
+}
+
+describe('resolveBundleUsers', () => {
+    it('keeps every other player as an unclaimed slot with their character', () => {
+        const bundle = createBundle();
+        const { idMap, unmatched } = resolveBundleUsers(bundle, { id: 'me', username: 'Me' });
+        const game = remapUserIds(bundle.game, idMap);
+
+        expect(game.dmId).toBe('me');
+        expect(unmatched.map((entry) => entry.username)).toEqual(['Aigis', 'Yukari']);
+        const [dm, aigis, yukari] = game.players;
+        expect(dm.userId).toBe('me');
+        expect(isPlayerSlotId(aigis.userId)).toBe(true);
+        expect(aigis).toMatchObject({ character: { name: 'Aigis' }, inventory: [{ name: 'Bead' }] });
+        expect(aigis.gear.slots.weapon).toEqual({ name: 'Katana' });
+        expect(yukari).toMatchObject({ userId: unmatched[1].slotId, role: 'co-dm', character: { name: 'Yukari' } });
+        expect(game.map.tokens[0].ownerId).toBe(aigis.userId);
+        // Ids that are not a player are not remapped.
+        expect(game.notes).toBe('old-unknown');
+        expect(JSON.stringify(game)).not.toMatch(/old-(dm|a|b)"/);
+    });
+});
+
+describe('claimPlayerSlot', () => {
+    it('hands the slot and everything it owns to the joining user', () => {
+        const bundle = createBundle();
+        const { idMap, unmatched } = resolveBundleUsers(bundle, { id: 'me', username: 'Me' });
+        const game = remapUserIds(bundle.game, idMap);
+        game.createdAt = new Date('2026-01-01T00:00:00Z');
+
+        const claimed = claimPlayerSlot(game, unmatched[1].slotId, 'new-b');
+        expect(claimed).toMatchObject({ userId: 'new-b', character: { name: 'Yukari' } });
+        expect(game.chat.whispers).toEqual({ 'new-b': ['hi'] });
+        expect(game.createdAt).toBeInstanceOf(Date);
+        expect(claimPlayerSlot(game, unmatched[1].slotId, 'someone-else')).toBeNull();
+    });
+});
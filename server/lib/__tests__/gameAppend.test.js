@@ -0,0 +1,64 @@
+// @vitest-environment node
+import { describe, expect, it, vi } from 'vitest';
+
+import { createGameAppender } from '../gameAppend.js';
+
+function setup(stored) {
+    const snapshots = new WeakMap();
+    const snapshot = (game) => JSON.parse(JSON.stringify(game));
+    const model = {
+        findOneAndUpdate: vi.fn((_filter, update) => {
+            stored.version += update.$inc.version;
+            stored.log.push(...update.$push.log.$each);
+            return { lean: async () => ({ version: stored.version }) };
+        }),
+    };
+    const loadGame = vi.fn(async () => {
+        const game = snapshot(stored);
+        snapshots.set(game, snapshot(game));
+        return game;
+    });
+    const publish = vi.fn();
+    const appendToGame = createGameAppender({ model, loadGame, snapshots, snapshot, publish });
+    const load = () => loadGame(stored.id);
+    return { appendToGame, load, loadGame, publish, snapshots };
+}
+
+function appendEntry(appendToGame, game, entry) {
+    return appendToGame(
+        game,
+        { $push: { log: { $each: [entry] } } },
+        (target) => target.log.push(entry),
+        { reason: 'log', actorId: 'u1', broadcast: false },
+    );
+}
+
+describe('appendToGame', () => {
+    it('patches the loaded game and publishes a delta from its snapshot', async () => {
+        const { appendToGame, load, publish, snapshots } = setup({ id: 'g1', version: 3, log: ['a'] });
+        const game = await load();
+        const before = snapshots.get(game);
+
+        const saved = await appendEntry(appendToGame, game, 'b');
+        expect(saved).toBe(game);
+        expect(game).toMatchObject({ version: 4, log: ['a', 'b'] });
+        expect(publish).toHaveBeenCalledWith(game, before, { reason: 'log', actorId: 'u1', broadcast: false });
+    });
+
+    it('reloads the game instead of publishing a stale copy after an interleaved write', async () => {
+        const stored = { id: 'g1', version: 3, log: ['a'] };
+        const { appendToGame, load, loadGame, publish } = setup(stored);
+        const game = await load();
+        // Another request saves between this request's load and its append.
+        stored.version += 1;
+        stored.name = 'Renamed';
+
+        const saved = await appendEntry(appendToGame, game, 'b');
+        expect(loadGame).toHaveBeenLastCalledWith('g1');
+        expect(saved).not.toBe(game);
+        expect(saved).toMatchObject({ version: 5, name: 'Renamed', log: ['a', 'b'] });
+        expect(game).toMatchObject({ version: 3, log: ['a'] });
+        expect(publish).toHaveBeenCalledOnce();
+        expect(publish).toHaveBeenCalledWith(saved, null, { reason: 'log', actorId: 'u1', broadcast: false });
+    });
+});
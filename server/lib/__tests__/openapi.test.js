@@ -0,0 +1,108 @@
+// @vitest-environment node
+import session from 'express-session';
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+
+import { buildOpenApiDocument } from '../openapi.js';
+
+// The session store connects to MongoDB as soon as it is created.
+vi.mock('../mongoSessionStore.js', () => ({
+    default: class MemorySessionStore extends session.Store {
+        get(_sid, callback) {
+            callback(null, null);
+        }
+
+        set(_sid, _session, callback) {
+            callback?.(null);
+        }
+
+        destroy(_sid, callback) {
+            callback?.(null);
+        }
+
+        async close() {}
+    },
+}));
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function toOpenApiPath(expressPath) {
+    return expressPath.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+}
+
+// Page routes that serve the client app's index.html rather than the API.
+const PAGE_ROUTES = new Set(['/join/:code', '/game/:id', '/game/:id/*']);
+
+/** Express 4 keeps a router's mount path only as the regexp it matches with. */
+function readMountPath(layer) {
+    if (layer.regexp.fast_slash) return '';
+    const keys = [...layer.keys];
+    return layer.regexp.source
+        .replace(/^\^/, '')
+        .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+        .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, () => `/:${keys.shift().name}`)
+        .replace(/\\\//g, '/');
+}
+
+/** Walk the live router stack, including mounted routers, for every route. */
+function collectRoutes(stack, prefix = '') {
+    const routes = [];
+    for (const layer of stack) {
+        if (layer.route) {
+            const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+            for (const method of METHODS.filter((name) => layer.route.methods[name])) {
+                for (const routePath of paths.filter((entry) => !PAGE_ROUTES.has(entry))) {
+                    routes.push({ method, path: routePath === '/' && prefix ? prefix : `${prefix}${routePath}` });
+                }
+            }
+        } else if (layer.name === 'router' && Array.isArray(layer.handle?.stack)) {
+            routes.push(...collectRoutes(layer.handle.stack, `${prefix}${readMountPath(layer)}`));
+        }
+    }
+    return routes;
+}
+
+let registeredRoutes = [];
+
+beforeAll(async () => {
+    vi.stubEnv('MONGODB_URI', 'mongodb://127.0.0.1:27017/openapi-test');
+    const { app } = await import('../../server.js');
+    registeredRoutes = collectRoutes(app._router.stack);
+}, 120_000);
+
+describe('OpenAPI document', () => {
+    const document = buildOpenApiDocument();
+
+    it('describes every registered Express route', () => {
+        expect(registeredRoutes.length).toBeGreaterThan(100);
+
+        const missing = registeredRoutes
+            .map(({ method, path: routePath }) => ({ method, path: toOpenApiPath(routePath) }))
+            .filter(({ method, path: routePath }) => !document.paths[routePath]?.[method])
+            .map(({ method, path: routePath }) => `${method.toUpperCase()} ${routePath}`);
+        expect(missing).toEqual([]);
+    });
+
+    it('does not describe routes the server no longer registers', () => {
+        const registered = new Set(
+            registeredRoutes.map(({ method, path: routePath }) => `${method} ${toOpenApiPath(routePath)}`),
+        );
+        const stale = [];
+        for (const [routePath, operations] of Object.entries(document.paths)) {
+            for (const method of Object.keys(operations)) {
+                if (!registered.has(`${method} ${routePath}`)) stale.push(`${method.toUpperCase()} ${routePath}`);
+            }
+        }
+        expect(stale).toEqual([]);
+    });
+
+    it('states who may call each operation', () => {
+        for (const operations of Object.values(document.paths)) {
+            for (const operation of Object.values(operations)) {
+                expect(operation['x-access']).toMatch(/^(public|user|session|admin|member|dm|table|(dm|table)-or-permission)$/);
+                if (operation['x-access'].endsWith('-or-permission')) {
+                    expect(operation['x-permission']).toBeTruthy();
+                }
+            }
+        }
+    });
+});
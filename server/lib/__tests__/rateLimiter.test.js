@@ -0,0 +1,37 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { SlidingWindowLimiter } from '../rateLimiter.js';
+
+function createLimiter() {
+    return new SlidingWindowLimiter({ windowMs: 1_000, max: 3, lockoutMs: 5_000 });
+}
+
+describe('SlidingWindowLimiter', () => {
+    it('locks on the hit that reaches max', () => {
+        const limiter = createLimiter();
+        expect(limiter.hit('ip', 0)).toEqual({ locked: false, retryAfterMs: 0, remaining: 2 });
+        expect(limiter.hit('ip', 10).remaining).toBe(1);
+        expect(limiter.hit('ip', 20)).toEqual({ locked: true, retryAfterMs: 5_000, remaining: 0 });
+        expect(limiter.status('other', 20).locked).toBe(false);
+    });
+
+    it('forgets hits that slide out of the window', () => {
+        const limiter = createLimiter();
+        limiter.hit('ip', 0);
+        limiter.hit('ip', 500);
+        expect(limiter.hit('ip', 1_200)).toMatchObject({ locked: false, remaining: 1 });
+        expect(limiter.status('ip', 1_600)).toMatchObject({ locked: false, remaining: 2 });
+    });
+
+    it('releases the lockout after lockoutMs and on reset', () => {
+        const limiter = createLimiter();
+        for (const now of [0, 1, 2]) limiter.hit('user', now);
+        expect(limiter.lockedKeys(100)).toEqual([{ key: 'user', lockedUntil: 5_002 }]);
+        expect(limiter.status('user', 5_002)).toEqual({ locked: false, retryAfterMs: 0, remaining: 3 });
+
+        for (const now of [6_000, 6_001, 6_002]) limiter.hit('user', now);
+        expect(limiter.reset('user')).toBe(true);
+        expect(limiter.status('user', 6_003).locked).toBe(false);
+    });
+});
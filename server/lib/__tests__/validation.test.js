@@ -0,0 +1,98 @@
+// @vitest-environment node
+import { describe, expect, it, vi } from 'vitest';
+
+import { VALIDATION_ERROR, v, validate, validateRequest } from '../validation.js';
+
+function runMiddleware(schemas, req) {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        },
+    };
+    const next = vi.fn();
+    const request = { params: {}, query: {}, body: {}, ...req };
+    validateRequest(schemas)(request, res, next);
+    return { req: request, res, next };
+}
+
+describe('v schemas', () => {
+    it('coerces numbers, booleans and ids', () => {
+        const schema = v.object({
+            count: v.number({ integer: true, min: 1 }),
+            enabled: v.boolean(),
+            id: v.uuid(),
+        });
+        const { value, fields } = validate(schema, {
+            count: ' 3 ',
+            enabled: '1',
+            id: ' 0F8FAD5B-D9CB-469F-A165-70867728950E ',
+        });
+        expect(fields).toBeNull();
+        expect(value).toEqual({ count: 3, enabled: true, id: '0f8fad5b-d9cb-469f-a165-70867728950e' });
+    });
+
+    it('treats an empty string as missing for numbers', () => {
+        expect(validate(v.object({ n: v.number().optional() }), { n: '  ' })).toEqual({ value: {}, fields: null });
+        expect(validate(v.object({ n: v.number() }), { n: '' }).fields).toEqual({ n: 'Required' });
+        expect(validate(v.object({ n: v.number().default(5) }), { n: '' }).value).toEqual({ n: 5 });
+    });
+
+    it('strips unknown keys unless told to keep them', () => {
+        const shape = { name: v.string() };
+        expect(validate(v.object(shape), { name: ' Pixie ', extra: 1 }).value).toEqual({ name: 'Pixie' });
+        expect(validate(v.object(shape, { unknown: 'keep' }), { name: 'Pixie', extra: 1 }).value).toEqual({
+            name: 'Pixie',
+            extra: 1,
+        });
+    });
+
+    it('reports every problem by its path', () => {
+        const schema = v.object({
+            name: v.string({ max: 3 }),
+            tags: v.array(v.string({ oneOf: ['a', 'b'] })),
+            level: v.number({ max: 99 }).refine((value) => value % 2 === 0, 'Must be even'),
+        });
+        const { fields } = validate(schema, { name: 'Jack Frost', tags: ['a', 'c'], level: 7 });
+        expect(fields).toEqual({
+            name: 'Must be at most 3 characters',
+            'tags.1': 'Must be one of: a, b',
+            level: 'Must be even',
+        });
+    });
+});
+
+describe('validateRequest', () => {
+    it('answers 400 with { error, fields } and prefixes params and query paths', () => {
+        const { res, next } = runMiddleware(
+            {
+                params: v.object({ id: v.uuid() }),
+                query: v.object({ page: v.number() }),
+                body: v.object({ name: v.string({ nonEmpty: true }) }),
+            },
+            { params: { id: 'nope' }, query: { page: 'x' }, body: { name: ' ' } },
+        );
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(400);
+        expect(res.body).toEqual({
+            error: VALIDATION_ERROR,
+            fields: { 'params.id': 'Invalid id', 'query.page': 'Must be a number', name: 'Required' },
+        });
+    });
+
+    it('replaces the request with coerced values and calls next', () => {
+        const { req, next } = runMiddleware(
+            { query: v.object({ page: v.number() }), body: v.object({ quantity: v.number() }) },
+            { query: { page: '2' }, body: { quantity: '4', unknown: true } },
+        );
+        expect(next).toHaveBeenCalledOnce();
+        expect(req.query).toEqual({ page: 2 });
+        expect(req.body).toEqual({ quantity: 4 });
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Which routes a personal API token may call.
+ *
+ * Express matches routes case-insensitively, so paths are compared in lower
+ * case: `/API/Admin/users` reaches the same handler as `/api/admin/users`.
+ */
+
+function isUnder(pathname, prefix) {
+    return pathname === prefix || pathname.startsWith(`${prefix}/`);
+}
+
+/**
+ * Decide whether a bearer token may call the requested route. Tokens never
+ * reach admin, auth or token-management routes, read-only tokens are limited
+ * to GET, and game-scoped tokens only reach their own games: nothing under
+ * `/api` outside `/api/games/<id>` except listing games and `GET /api/auth/me`.
+ *
+ * @param {{ readOnly?: boolean, gameIds?: string[] | null }} token
+ * @param {{ method: string, path: string }} req
+ * @returns {'token_not_allowed' | 'token_read_only' | 'token_scope' | null} an error code, or null when allowed
+ */
+export function checkApiTokenScope(token, req) {
+    const method = String(req.method || '').toUpperCase();
+    const pathname = String(req.path || '').toLowerCase();
+    if (isUnder(pathname, '/api/admin') || isUnder(pathname, '/api/account')) return 'token_not_allowed';
+    if (isUnder(pathname, '/api/auth') && !(method === 'GET' && pathname === '/api/auth/me')) {
+        return 'token_not_allowed';
+    }
+    if (token.readOnly && method !== 'GET' && method !== 'HEAD') return 'token_read_only';
+    if (Array.isArray(token.gameIds)) {
+        if (pathname === '/api/games' || pathname === '/api/games/') {
+            return method === 'GET' ? null : 'token_scope';
+        }
+        if (pathname === '/api/auth/me') return null;
+        const match = pathname.match(/^\/api\/games\/([^/]+)/);
+        if (!match) return isUnder(pathname, '/api') ? 'token_scope' : null;
+        let gameId = match[1];
+        try {
+            gameId = decodeURIComponent(gameId);
+        } catch {
+            return 'token_scope';
+        }
+        if (!token.gameIds.some((id) => typeof id === 'string' && id.toLowerCase() === gameId)) return 'token_scope';
+    }
+    return null;
+}
@@ -0,0 +1,47 @@
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Wrap an async request handler so a rejected promise is passed to `next`
+ * instead of becoming an unhandled rejection that leaves the request hanging.
+ *
+ * @param {Function} handler
+ */
+export function wrapAsyncHandler(handler) {
+    if (typeof handler !== 'function' || handler.length >= 4) return handler;
+    return function asyncRouteHandler(req, res, next) {
+        let result;
+        try {
+            result = handler.call(this, req, res, next);
+        } catch (err) {
+            next(err);
+            return;
+        }
+        if (result && typeof result.then === 'function') {
+            result.catch(next);
+        }
+    };
+}
+
+/**
+ * Patch the route registration methods of an Express app or router so every
+ * handler registered afterwards forwards async errors to the error middleware.
+ *
+ * @template T
+ * @param {T} router
+ * @returns {T}
+ */
+export function forwardAsyncErrors(router) {
+    for (const method of ROUTE_METHODS) {
+        const original = router[method];
+        if (typeof original !== 'function') continue;
+        router[method] = function registerRoute(path, ...handlers) {
+            // `app.get(name)` reads a setting rather than registering a route.
+            if (handlers.length === 0) return original.call(this, path);
+            const wrapped = handlers.map((entry) =>
+                Array.isArray(entry) ? entry.map(wrapAsyncHandler) : wrapAsyncHandler(entry),
+            );
+            return original.call(this, path, ...wrapped);
+        };
+    }
+    return router;
+}
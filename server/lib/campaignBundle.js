@@ -0,0 +1,91 @@
+/**
+ * Player mapping for imported campaign bundles.
+ *
+ * Bundle user ids come from another server, so none of them are trusted as
+ * accounts here. The old DM becomes the importer; every other player keeps
+ * their seat (character, inventory and gear) under a placeholder slot id
+ * until someone claims it with the invite generated for that slot.
+ */
+import crypto from 'crypto';
+
+export const PLAYER_SLOT_PREFIX = 'unclaimed-';
+
+export function createPlayerSlotId() {
+    return `${PLAYER_SLOT_PREFIX}${crypto.randomUUID()}`;
+}
+
+export function isPlayerSlotId(value) {
+    return typeof value === 'string' && value.startsWith(PLAYER_SLOT_PREFIX);
+}
+
+function isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Replace every occurrence of an old user id (as a value or object key) with
+ * its new id. Dates and other non-plain objects are kept as they are.
+ */
+export function remapUserIds(value, idMap) {
+    if (typeof value === 'string') return idMap.has(value) ? idMap.get(value) : value;
+    if (Array.isArray(value)) return value.map((entry) => remapUserIds(entry, idMap));
+    if (isPlainObject(value)) {
+        const out = {};
+        for (const [key, entry] of Object.entries(value)) {
+            out[idMap.has(key) ? idMap.get(key) : key] = remapUserIds(entry, idMap);
+        }
+        return out;
+    }
+    return value;
+}
+
+/**
+ * Work out what the bundle's players map onto. Only the importer is matched
+ * to an account (as the DM): a bundle can name any username, and accounts
+ * must not join a game without accepting an invite. Every other player is
+ * mapped to a fresh slot id and reported back so the DM can hand out the
+ * slot's invite. Ids that are not a player or the DM are left alone.
+ *
+ * @param {{ users?: Array<{ id: string, username?: string }>, game: { dmId?: string, players: object[] } }} bundle
+ * @param {{ id: string, username: string }} importer
+ * @param {{ createSlotId?: () => string }} [options]
+ */
+export function resolveBundleUsers(bundle, importer, { createSlotId = createPlayerSlotId } = {}) {
+    const sourceUsers = new Map(
+        (Array.isArray(bundle.users) ? bundle.users : [])
+            .filter((user) => user && typeof user.id === 'string')
+            .map((user) => [user.id, user]),
+    );
+    const idMap = new Map();
+    const matched = new Map([[importer.id, importer]]);
+    const unmatched = [];
+    const oldDmId = typeof bundle.game.dmId === 'string' ? bundle.game.dmId : null;
+    if (oldDmId) idMap.set(oldDmId, importer.id);
+
+    for (const player of bundle.game.players) {
+        const oldId = typeof player?.userId === 'string' ? player.userId : null;
+        if (!oldId || idMap.has(oldId)) continue;
+        const slotId = createSlotId();
+        idMap.set(oldId, slotId);
+        const sourceName = sourceUsers.get(oldId)?.username || player.username || '';
+        unmatched.push({ id: oldId, slotId, username: sourceName || null, role: player.role || null });
+    }
+
+    return { idMap, matched, unmatched };
+}
+
+/**
+ * Hand an unclaimed slot to a user: the slot id is replaced by theirs
+ * everywhere in the game (players, token owners, chat and so on). The game
+ * is updated in place.
+ *
+ * @returns {object | null} the claimed player, or null when the slot is gone or taken
+ */
+export function claimPlayerSlot(game, slotId, userId) {
+    if (!isPlayerSlotId(slotId) || !Array.isArray(game?.players)) return null;
+    if (!game.players.some((player) => player?.userId === slotId)) return null;
+    Object.assign(game, remapUserIds(game, new Map([[slotId, userId]])));
+    return game.players.find((player) => player?.userId === userId) || null;
+}
@@ -0,0 +1,50 @@
+/**
+ * Atomic appends to a game document.
+ *
+ * Strokes and battle log entries go straight to MongoDB with `$push` so they
+ * never conflict with other saves. The loaded copy of the game is only
+ * patched when nothing else was saved in between; otherwise another write
+ * landed first and the copy is stale, so the game is reloaded before anyone
+ * is told about it.
+ */
+
+/**
+ * @param {{
+ *   model: { findOneAndUpdate: Function },
+ *   loadGame: (id: string) => Promise<object | null>,
+ *   snapshots: WeakMap<object, object>,
+ *   snapshot: (game: object) => object,
+ *   publish: (game: object, before: object | null, options: { reason?: string, actorId?: string, broadcast: boolean }) => void,
+ * }} deps `publish` sends the delta (or, with no `before`, the full game) to subscribers.
+ */
+export function createGameAppender({ model, loadGame, snapshots, snapshot, publish }) {
+    /**
+     * Apply `update` (with a version bump) to the stored game. `apply` makes
+     * the same change to the loaded `game`.
+     *
+     * @returns {Promise<object | null>} the up-to-date game (the one passed in,
+     *   or a fresh copy after an interleaved write), or null when the game no
+     *   longer exists
+     */
+    return async function appendToGame(game, update, apply, { reason, actorId, broadcast = true } = {}) {
+        const expected = Number.isInteger(game.version) && game.version > 0 ? game.version : 0;
+        const doc = await model
+            .findOneAndUpdate({ id: game.id }, { ...update, $inc: { version: 1 } }, { new: true, projection: { version: 1 } })
+            .lean();
+        if (!doc) return null;
+
+        if (doc.version !== expected + 1) {
+            const fresh = await loadGame(game.id);
+            if (!fresh) return null;
+            publish(fresh, null, { reason, actorId, broadcast });
+            return fresh;
+        }
+
+        const before = snapshots.get(game) || null;
+        apply(game);
+        game.version = doc.version;
+        snapshots.set(game, snapshot(game));
+        publish(game, before, { reason, actorId, broadcast });
+        return game;
+    };
+}
@@ -77,6 +77,7 @@ export default class MongoSessionStore extends session.Store {
                 const db = this.dbName ? mongoClient.db(this.dbName) : mongoClient.db();
                 const collection = db.collection(this.collectionName);
                 await collection.createIndex({ expires: 1 }, { expireAfterSeconds: 0 });
+                await collection.createIndex({ 'session.userId': 1 });
                 this.collection = collection;
                 return collection;
             })
@@ -175,6 +176,53 @@ export default class MongoSessionStore extends session.Store {
         }
     }
 
+    /**
+     * List the unexpired sessions that belong to a user.
+     *
+     * @param {string} userId
+     * @returns {Promise<Array<{ sid: string, session: object, expires: Date|null }>>}
+     */
+    async listByUser(userId) {
+        if (!userId) return [];
+        const collection = await this._getCollection();
+        const entries = await collection
+            .find({ 'session.userId': userId, expires: { $gt: new Date() } })
+            .toArray();
+        return entries.map((entry) => ({ sid: entry._id, session: entry.session, expires: entry.expires || null }));
+    }
+
+    /**
+     * Count unexpired sessions per user id.
+     *
+     * @returns {Promise<Map<string, number>>}
+     */
+    async countByUser() {
+        const collection = await this._getCollection();
+        const rows = await collection
+            .aggregate([
+                { $match: { 'session.userId': { $type: 'string' }, expires: { $gt: new Date() } } },
+                { $group: { _id: '$session.userId', count: { $sum: 1 } } },
+            ])
+            .toArray();
+        return new Map(rows.map((row) => [row._id, row.count]));
+    }
+
+    /**
+     * Remove every session of a user, optionally keeping one session id.
+     *
+     * @param {string} userId
+     * @param {{ except?: string }} [options]
+     * @returns {Promise<number>} number of removed sessions
+     */
+    async destroyByUser(userId, { except } = {}) {
+        if (!userId) return 0;
+        const collection = await this._getCollection();
+        const filter = { 'session.userId': userId };
+        if (except) filter._id = { $ne: except };
+        const result = await collection.deleteMany(filter);
+        return result?.deletedCount || 0;
+    }
+
     async clear(callback = () => {}) {
         try {
             const collection = await this._getCollection();
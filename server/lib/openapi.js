@@ -0,0 +1,831 @@
+/**
+ * OpenAPI 3 description of the REST API, served at `/api/openapi.json`.
+ *
+ * Every route registered in server.js and server/routes/ must have an entry
+ * here; server/lib/__tests__/openapi.test.js fails when one is missing.
+ * Each operation carries an `x-access` extension naming who may call it:
+ *
+ * - `public`: no sign-in needed
+ * - `user`: `requireAuth` (session cookie or API token)
+ * - `session`: `requireSessionAuth` (session cookie only, API tokens rejected)
+ * - `admin`: `requireServerAdmin`
+ * - `member`: signed in and a member of the game
+ * - `dm`: signed in and the game's DM
+ * - `table`: the DM or a co-DM
+ * - `dm-or-permission`: the DM, or a player granted the `x-permission` flag
+ * - `table-or-permission`: the DM, a co-DM, or a player granted the `x-permission` flag
+ */
+
+export const OPENAPI_VERSION = '3.0.3';
+
+const ACCESS_DESCRIPTIONS = {
+    public: 'No authentication required.',
+    user: 'Requires a signed-in user (`requireAuth`); API tokens are accepted.',
+    session: 'Requires a browser session (`requireSessionAuth`); API tokens are rejected.',
+    admin: 'Requires a server admin (`requireServerAdmin`).',
+    member: 'Requires a signed-in member of the game.',
+    dm: 'DM only.',
+    table: 'DM or co-DM.',
+    'dm-or-permission': 'DM, or a player with the listed game permission.',
+    'table-or-permission': 'DM, co-DM, or a player with the listed game permission.',
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const num = (extra = {}) => ({ type: 'number', ...extra });
+const int = (extra = {}) => ({ type: 'integer', ...extra });
+const bool = () => ({ type: 'boolean' });
+const obj = (properties = {}, extra = {}) => ({ type: 'object', properties, ...extra });
+const arr = (items) => ({ type: 'array', items });
+const anyObject = (description) => ({ type: 'object', additionalProperties: true, ...(description ? { description } : {}) });
+
+const SCHEMAS = {
+    Error: obj({ error: str({ description: 'Machine readable error code, e.g. `not_found`.' }) }, { required: ['error'] }),
+    ValidationError: obj(
+        {
+            error: str({ enum: ['invalid_fields'] }),
+            fields: {
+                type: 'object',
+                additionalProperties: str(),
+                description: 'Messages keyed by the dotted path of each invalid field.',
+            },
+        },
+        { required: ['error', 'fields'] },
+    ),
+    Ok: obj({ ok: bool() }),
+    User: obj({
+        id: str({ format: 'uuid' }),
+        username: str(),
+        email: str(),
+        isServerAdmin: bool(),
+        banned: bool(),
+    }),
+    Game: anyObject('A campaign as seen by the caller, including its `version`. DM-only fields are omitted for players.'),
+    Character: obj(
+        {
+            name: str({ maxLength: 200 }),
+            profile: anyObject('Free text profile fields (class, race, background, notes, ...).'),
+            stats: anyObject('Ability scores keyed by STR, DEX, CON, INT, WIS, CHA.'),
+            resources: obj(
+                {
+                    level: int({ minimum: 0 }),
+                    exp: num({ minimum: 0 }),
+                    hp: num({ minimum: 0 }),
+                    maxHP: num({ minimum: 0 }),
+                    mp: num({ minimum: 0 }),
+                    maxMP: num({ minimum: 0 }),
+                    tp: num({ minimum: 0 }),
+                    maxTP: num({ minimum: 0 }),
+                    sp: num({ minimum: 0 }),
+                    macca: num({ minimum: 0 }),
+                    initiative: num(),
+                    useTP: bool(),
+                },
+                { additionalProperties: true },
+            ),
+        },
+        { additionalProperties: true },
+    ),
+    CustomItemInput: obj(
+        {
+            name: str({ maxLength: 500 }),
+            type: str({ maxLength: 500 }),
+            desc: str({ maxLength: 500 }),
+            tags: arr(str()),
+            effects: arr(anyObject()),
+            libraryItemId: str({ nullable: true }),
+        },
+        { additionalProperties: true },
+    ),
+    InventoryItemInput: obj(
+        {
+            name: str(),
+            type: str(),
+            desc: str(),
+            amount: int({ minimum: 0 }),
+            libraryItemId: str(),
+        },
+        { additionalProperties: true },
+    ),
+    DemonInput: obj({
+        name: str({ maxLength: 500 }),
+        arcana: str({ maxLength: 500 }),
+        alignment: str({ maxLength: 500 }),
+        level: int({ minimum: 0, maximum: 999 }),
+        stats: anyObject('Ability scores keyed by STR, DEX, CON, INT, WIS, CHA.'),
+        resistances: obj({
+            weak: { oneOf: [str(), arr(str())] },
+            resist: { oneOf: [str(), arr(str())] },
+            block: { oneOf: [str(), arr(str())] },
+            drain: { oneOf: [str(), arr(str())] },
+            reflect: { oneOf: [str(), arr(str())] },
+        }),
+        skills: { oneOf: [str(), arr(str())] },
+        notes: str({ maxLength: 500 }),
+        image: str({ format: 'uri', nullable: true }),
+    }),
+    SkillInput: anyObject('A combat or world skill definition.'),
+    MapToken: anyObject('A token placed on the battle map.'),
+    MapShape: anyObject('A shape drawn on the battle map.'),
+    MapStroke: anyObject('A freehand stroke drawn on the battle map.'),
+    CombatEntry: obj({
+        id: str(),
+        tokenId: str({ nullable: true }),
+        label: str(),
+        initiative: int({ nullable: true }),
+        roll: int({ nullable: true }),
+        dexMod: int(),
+        bonus: int(),
+        tieBreaks: arr(int()),
+        firstStrike: bool(),
+        status: str({ enum: ['ready', 'delayed', 'held'] }),
+    }),
+    CombatState: obj({
+        active: bool(),
+        order: arr(str()),
+        entries: arr(ref('CombatEntry')),
+        turn: int(),
+        round: int(),
+        lastUpdatedAt: str({ format: 'date-time' }),
+    }),
+    ApiToken: obj({
+        id: str({ format: 'uuid' }),
+        name: str(),
+        prefix: str(),
+        gameIds: { ...arr(str({ format: 'uuid' })), nullable: true },
+        readOnly: bool(),
+        expiresAt: str({ format: 'date-time', nullable: true }),
+        lastUsedAt: str({ format: 'date-time', nullable: true }),
+        createdAt: str({ format: 'date-time' }),
+    }),
+    Session: obj({
+        id: str(),
+        current: bool(),
+        ip: str(),
+        userAgent: str(),
+        createdAt: str({ format: 'date-time' }),
+        lastSeenAt: str({ format: 'date-time' }),
+    }),
+    Invite: obj({
+        code: str(),
+        joinUrl: str(),
+        role: str({ enum: ['player', 'co-dm', 'spectator'], description: 'Role given to members who join with this code.' }),
+        createdBy: str({ format: 'uuid' }),
+        createdAt: str({ format: 'date-time' }),
+        expiresAt: str({ format: 'date-time', nullable: true }),
+        maxUses: int({ minimum: 1, nullable: true }),
+        uses: int({ minimum: 0 }),
+        lastUsedAt: str({ format: 'date-time', nullable: true }),
+        revokedAt: str({ format: 'date-time', nullable: true }),
+        status: str({ enum: ['active', 'expired', 'exhausted', 'revoked'] }),
+    }),
+    OwnershipTransfer: obj({
+        id: str({ format: 'uuid' }),
+        fromId: str({ format: 'uuid' }),
+        toId: str({ format: 'uuid' }),
+        formerDmCharacter: str({ enum: ['keep', 'fresh'] }),
+        handOverWebhook: bool(),
+        handOverBotToken: bool(),
+        createdAt: str({ format: 'date-time' }),
+        expiresAt: str({ format: 'date-time' }),
+    }),
+    ShareLink: obj({
+        token: str(),
+        url: str({ description: 'Client path that renders the read-only view.' }),
+        createdBy: str({ format: 'uuid' }),
+        createdAt: str({ format: 'date-time' }),
+    }),
+    SharedGame: anyObject(
+        'Read-only projection for share links: map without hidden token details, combat timeline, party HP and music.',
+    ),
+    GameTemplate: obj({
+        id: str({ format: 'uuid' }),
+        name: str(),
+        description: str(),
+        ownerId: str({ format: 'uuid' }),
+        global: bool(),
+        sourceGameId: str({ format: 'uuid', nullable: true }),
+        summary: obj({
+            items: int(),
+            gear: int(),
+            worldSkills: int(),
+            combatSkills: int(),
+            fusionOverrides: int(),
+            maps: int(),
+        }),
+        createdAt: str({ format: 'date-time' }),
+        updatedAt: str({ format: 'date-time' }),
+    }),
+    DiceRoll: obj({
+        id: str({ format: 'uuid' }),
+        userId: str({ format: 'uuid' }),
+        userName: str({ nullable: true }),
+        label: str(),
+        notation: str({ description: 'Dice notation as rolled, e.g. `2d8+MOD*2`, `4d6kh3` or `4x2d6+STR`.' }),
+        visibility: str({ enum: ['public', 'dm', 'self'] }),
+        total: int(),
+        dice: arr(anyObject('One dice term: notation, sides, every face rolled, the faces kept, and the hit it belongs to.')),
+        hits: arr(num()),
+        variables: obj({}, { additionalProperties: num(), description: 'Values substituted into the notation.' }),
+        natural: int({ nullable: true, description: 'The face of a lone d20, if the roll had one.' }),
+        critical: bool(),
+        fumble: bool(),
+        createdAt: str({ format: 'date-time' }),
+    }),
+    ChatMessage: obj({
+        id: str({ format: 'uuid' }),
+        channel: str({ enum: ['party', 'ooc', 'whisper'] }),
+        senderId: str({ format: 'uuid' }),
+        recipientId: str({ format: 'uuid', nullable: true, description: 'Set on whispers only.' }),
+        body: str({ description: 'Markdown text.' }),
+        createdAt: str({ format: 'date-time' }),
+    }),
+    Snapshot: anyObject('A stored copy of a game taken on schedule or on demand.'),
+    StoryLogMessage: anyObject('A message posted to a game\'s story log.'),
+};
+
+const AUTH_BODY = obj({ username: str(), password: str() }, { required: ['username', 'password'] });
+
+/**
+ * Route table: [method, path, options]. Paths use OpenAPI `{param}` syntax.
+ * Options: summary, tag, access, permission, body, query, multipart, response.
+ */
+const ROUTES = [
+    ['get', '/health', { tag: 'Meta', access: 'public', summary: 'Readiness of the database, Discord bot and HTTP server' }],
+    ['get', '/api/openapi.json', { tag: 'Meta', access: 'public', summary: 'This document' }],
+
+    ['get', '/api/auth/me', { tag: 'Auth', access: 'public', summary: 'Current user, or null when signed out', response: ref('User') }],
+    [
+        'post',
+        '/api/auth/register',
+        {
+            tag: 'Auth',
+            access: 'public',
+            summary: 'Create an account and sign in',
+            body: obj({ username: str(), password: str(), confirmPassword: str(), email: str({ format: 'email' }) }, { required: ['username', 'password'] }),
+            response: ref('User'),
+        },
+    ],
+    ['post', '/api/auth/login', { tag: 'Auth', access: 'public', summary: 'Sign in with a username and password', body: AUTH_BODY, response: ref('User') }],
+    [
+        'post',
+        '/api/auth/password-reset',
+        {
+            tag: 'Auth',
+            access: 'public',
+            summary: 'Set a new password with an admin-issued reset code',
+            body: obj({ token: str(), password: str(), confirmPassword: str() }, { required: ['token', 'password'] }),
+            response: ref('User'),
+        },
+    ],
+    ['post', '/api/auth/logout', { tag: 'Auth', access: 'public', summary: 'End the current session', response: ref('Ok') }],
+
+    ['get', '/api/account/sessions', { tag: 'Account', access: 'session', summary: 'List your signed-in sessions', response: arr(ref('Session')) }],
+    ['delete', '/api/account/sessions/{sessionId}', { tag: 'Account', access: 'session', summary: 'Sign out one of your other sessions', response: ref('Ok') }],
+    ['post', '/api/account/sessions/revoke-others', { tag: 'Account', access: 'session', summary: 'Sign out every session except this one', response: ref('Ok') }],
+    ['get', '/api/account/tokens', { tag: 'Account', access: 'session', summary: 'List your API tokens', response: arr(ref('ApiToken')) }],
+    [
+        'post',
+        '/api/account/tokens',
+        {
+            tag: 'Account',
+            access: 'session',
+            summary: 'Create an API token; the secret is only returned once',
+            body: obj(
+                {
+                    name: str({ maxLength: 64 }),
+                    readOnly: bool(),
+                    gameIds: { ...arr(str({ format: 'uuid' })), nullable: true },
+                    expiresInDays: num({ nullable: true }),
+                },
+                { required: ['name'] },
+            ),
+            response: obj({ token: str(), record: ref('ApiToken') }),
+        },
+    ],
+    ['delete', '/api/account/tokens/{tokenId}', { tag: 'Account', access: 'session', summary: 'Revoke an API token', response: ref('Ok') }],
+
+    ['get', '/api/admin/users', { tag: 'Admin', access: 'admin', summary: 'List users with lockout and session details', response: arr(ref('User')) }],
+    ['post', '/api/admin/users/{id}/sessions/revoke', { tag: 'Admin', access: 'admin', summary: 'Sign a user out everywhere' }],
+    ['post', '/api/admin/users/{id}/unlock', { tag: 'Admin', access: 'admin', summary: 'Clear a login lockout' }],
+    ['post', '/api/admin/users/{id}/password-reset', { tag: 'Admin', access: 'admin', summary: 'Issue a one-time password reset code' }],
+    ['delete', '/api/admin/users/{id}/password-reset', { tag: 'Admin', access: 'admin', summary: 'Cancel a pending password reset' }],
+    [
+        'patch',
+        '/api/admin/users/{id}',
+        { tag: 'Admin', access: 'admin', summary: 'Rename, change email or ban a user', body: obj({ username: str(), email: str({ nullable: true }), banned: bool() }), response: ref('User') },
+    ],
+    ['delete', '/api/admin/users/{id}', { tag: 'Admin', access: 'admin', summary: 'Delete a user' }],
+    ['get', '/api/admin/games', { tag: 'Admin', access: 'admin', summary: 'List every game' }],
+    ['delete', '/api/admin/games/{id}', { tag: 'Admin', access: 'admin', summary: 'Delete a game' }],
+    ['delete', '/api/admin/games/{id}/players/{playerId}', { tag: 'Admin', access: 'admin', summary: 'Remove a player from a game' }],
+    ['patch', '/api/admin/games/{id}', { tag: 'Admin', access: 'admin', summary: 'Reassign a game\'s DM', body: obj({ dmId: str({ format: 'uuid' }) }) }],
+    ['get', '/api/admin/snapshots', { tag: 'Admin', access: 'admin', summary: 'List game snapshots', query: { gameId: str({ format: 'uuid' }) }, response: arr(ref('Snapshot')) }],
+    ['post', '/api/admin/snapshots', { tag: 'Admin', access: 'admin', summary: 'Snapshot a game now', body: obj({ gameId: str({ format: 'uuid' }) }, { required: ['gameId'] }), response: ref('Snapshot') }],
+    ['get', '/api/admin/snapshots/{id}/diff', { tag: 'Admin', access: 'admin', summary: 'Compare a snapshot with the live game' }],
+    ['post', '/api/admin/snapshots/{id}/restore', { tag: 'Admin', access: 'admin', summary: 'Restore a game from a snapshot' }],
+    ['delete', '/api/admin/snapshots/{id}', { tag: 'Admin', access: 'admin', summary: 'Delete a snapshot' }],
+    ['get', '/api/admin/demons', { tag: 'Admin', access: 'admin', summary: 'List codex demons' }],
+    ['patch', '/api/admin/demons/{id}', { tag: 'Admin', access: 'admin', summary: 'Edit a codex demon', body: anyObject() }],
+    [
+        'post',
+        '/api/admin/demons/upload',
+        { tag: 'Admin', access: 'admin', summary: 'Import codex demons from CSV', body: obj({ csv: str(), confirmDeletes: bool() }, { required: ['csv'] }) },
+    ],
+    ['post', '/api/admin/demons/sync', { tag: 'Admin', access: 'admin', summary: 'Reload codex demons from the bundled data' }],
+    ['get', '/api/admin/items', { tag: 'Admin', access: 'admin', summary: 'List library items' }],
+    ['patch', '/api/admin/items/{slug}', { tag: 'Admin', access: 'admin', summary: 'Edit a library item', body: anyObject() }],
+    ['post', '/api/admin/items/sync', { tag: 'Admin', access: 'admin', summary: 'Reload library items from the bundled data' }],
+    ['get', '/api/admin/master-bot', { tag: 'Admin', access: 'admin', summary: 'Read the Discord master bot settings' }],
+    ['put', '/api/admin/master-bot', { tag: 'Admin', access: 'admin', summary: 'Update the Discord master bot settings', body: anyObject() }],
+    [
+        'put',
+        '/api/admin/templates/{id}',
+        {
+            tag: 'Admin',
+            access: 'admin',
+            summary: 'Publish a campaign template to every DM, or withdraw it',
+            body: obj({ global: bool() }, { required: ['global'] }),
+            response: ref('GameTemplate'),
+        },
+    ],
+
+    ['get', '/api/games', { tag: 'Games', access: 'user', summary: 'List your games', response: arr(ref('Game')) }],
+    [
+        'post',
+        '/api/games',
+        {
+            tag: 'Games',
+            access: 'user',
+            summary: 'Create a game with you as DM, optionally starting from a template',
+            body: obj({ name: str({ maxLength: 100 }), templateId: str({ format: 'uuid' }) }, { required: ['name'] }),
+            response: ref('Game'),
+        },
+    ],
+    ['get', '/api/games/{id}', { tag: 'Games', access: 'member', summary: 'Load a game', response: ref('Game') }],
+    ['delete', '/api/games/{id}', { tag: 'Games', access: 'dm', summary: 'Delete a game' }],
+    ['get', '/api/games/{id}/export', { tag: 'Games', access: 'dm', summary: 'Download a campaign bundle' }],
+    [
+        'post',
+        '/api/games/import',
+        {
+            tag: 'Games',
+            access: 'user',
+            summary: 'Create a game from a campaign bundle',
+            multipart: obj({ file: str({ format: 'binary' }) }),
+            response: ref('Game'),
+        },
+    ],
+    ['get', '/api/games/{id}/invites', { tag: 'Games', access: 'dm', summary: 'List invite codes, including expired and revoked ones', response: arr(ref('Invite')) }],
+    [
+        'post',
+        '/api/games/{id}/invites',
+        {
+            tag: 'Games',
+            access: 'dm',
+            summary: 'Create an invite code',
+            body: obj({
+                role: str({ enum: ['player', 'co-dm', 'spectator'], default: 'player' }),
+                expiresInHours: num({ minimum: 1, maximum: 2160, nullable: true }),
+                maxUses: int({ minimum: 1, maximum: 1000, nullable: true }),
+            }),
+            response: obj({ code: str(), joinUrl: str(), invite: ref('Invite') }),
+        },
+    ],
+    ['delete', '/api/games/{id}/invites/{code}', { tag: 'Games', access: 'dm', summary: 'Revoke an invite code', response: ref('Invite') }],
+    [
+        'post',
+        '/api/games/join/{code}',
+        {
+            tag: 'Games',
+            access: 'user',
+            summary: 'Join a game with an invite code; answers 410 with `invite_expired`, `invite_exhausted` or `invite_revoked`',
+            response: obj({ ok: bool(), gameId: str({ format: 'uuid' }), role: str() }),
+        },
+    ],
+    ['get', '/api/templates', { tag: 'Templates', access: 'user', summary: 'List your campaign templates and published ones', response: arr(ref('GameTemplate')) }],
+    [
+        'post',
+        '/api/games/{id}/templates',
+        {
+            tag: 'Templates',
+            access: 'dm',
+            summary: 'Save the game\'s items, gear, skills, fusion chart and saved maps as a template',
+            body: obj({ name: str({ maxLength: 100 }), description: str({ maxLength: 500 }) }, { required: ['name'] }),
+            response: ref('GameTemplate'),
+        },
+    ],
+    ['delete', '/api/templates/{id}', { tag: 'Templates', access: 'user', summary: 'Delete one of your templates (admins may delete any)', response: ref('Ok') }],
+    ['post', '/api/games/{id}/share', { tag: 'Sharing', access: 'dm', summary: 'Create a public read-only share link, replacing any existing one', response: ref('ShareLink') }],
+    ['delete', '/api/games/{id}/share', { tag: 'Sharing', access: 'dm', summary: 'Revoke the share link', response: ref('Ok') }],
+    ['get', '/api/share/{token}', { tag: 'Sharing', access: 'public', summary: 'Read-only view of a shared game', response: ref('SharedGame') }],
+    ['get', '/api/share/{token}/music/track/{trackId}', { tag: 'Sharing', access: 'public', summary: 'Stream the track playing in a shared game' }],
+    ['delete', '/api/games/{id}/players/{playerId}', { tag: 'Games', access: 'dm', summary: 'Remove a player' }],
+    [
+        'put',
+        '/api/games/{id}/players/{playerId}/role',
+        {
+            tag: 'Games',
+            access: 'dm',
+            summary: 'Make a member a player, co-DM or spectator',
+            body: obj({ role: str({ enum: ['player', 'co-dm', 'spectator'] }) }, { required: ['role'] }),
+        },
+    ],
+    [
+        'post',
+        '/api/games/{id}/transfer',
+        {
+            tag: 'Games',
+            access: 'dm',
+            summary: 'Nominate a member as the next DM; they accept over the websocket with `game.transfer.respond`',
+            body: obj(
+                {
+                    userId: str({ format: 'uuid' }),
+                    formerDmCharacter: str({ enum: ['keep', 'fresh'], default: 'keep' }),
+                    handOverWebhook: bool(),
+                    handOverBotToken: bool(),
+                },
+                { required: ['userId'] },
+            ),
+            response: ref('OwnershipTransfer'),
+        },
+    ],
+    ['delete', '/api/games/{id}/transfer', { tag: 'Games', access: 'dm', summary: 'Cancel a pending ownership transfer', response: ref('Ok') }],
+    ['put', '/api/games/{id}/permissions', { tag: 'Games', access: 'dm', summary: 'Set what players may edit', body: anyObject('Boolean flags such as canEditStats, canEditItems, canEditGear, canEditDemons.') }],
+    [
+        'put',
+        '/api/games/{id}/character',
+        {
+            tag: 'Games',
+            access: 'dm-or-permission',
+            permission: 'canEditStats',
+            summary: 'Save a character sheet; the DM may pass userId to save another player\'s sheet',
+            body: obj({ character: { oneOf: [ref('Character'), obj({ userId: str({ format: 'uuid' }), character: ref('Character') })] } }),
+        },
+    ],
+    ['get', '/api/games/{id}/history', { tag: 'Games', access: 'dm', summary: 'List recorded changes', query: { page: int({ minimum: 1 }), size: int({ minimum: 1, maximum: 100 }) } }],
+    ['get', '/api/games/{id}/history/{changeId}', { tag: 'Games', access: 'dm', summary: 'Show one recorded change' }],
+    ['post', '/api/games/{id}/history/{changeId}/revert', { tag: 'Games', access: 'dm', summary: 'Revert a recorded change' }],
+    [
+        'get',
+        '/api/games/{id}/chat',
+        {
+            tag: 'Games',
+            access: 'member',
+            summary: 'Page back through a chat thread; messages are sent over the websocket',
+            query: {
+                thread: str({ description: '`party` (default), `ooc` (DM and co-DMs) or `whisper:<userId>`.' }),
+                before: str({ format: 'date-time', description: 'Only messages older than this.' }),
+                limit: int({ minimum: 1, maximum: 100 }),
+            },
+            response: obj({ items: arr(ref('ChatMessage')), hasMore: bool() }),
+        },
+    ],
+    [
+        'get',
+        '/api/games/{id}/chat/unread',
+        {
+            tag: 'Games',
+            access: 'member',
+            summary: 'Count unread chat messages per thread',
+            response: obj({ threads: obj({}, { additionalProperties: int() }), total: int() }),
+        },
+    ],
+    [
+        'post',
+        '/api/games/{id}/chat/read',
+        { tag: 'Games', access: 'member', summary: 'Mark a chat thread as read', body: obj({ thread: str() }, { required: ['thread'] }), response: ref('Ok') },
+    ],
+    [
+        'get',
+        '/api/games/{id}/rolls',
+        {
+            tag: 'Games',
+            access: 'member',
+            summary: 'List dice rolls the caller may see, newest first (rolls are made over the websocket)',
+            query: { page: int({ minimum: 1 }), size: int({ minimum: 1, maximum: 100 }) },
+            response: obj({ items: arr(ref('DiceRoll')), total: int(), page: int(), size: int() }),
+        },
+    ],
+
+    ['get', '/api/games/{id}/music/library', { tag: 'Music', access: 'member', summary: 'List music tracks' }],
+    [
+        'post',
+        '/api/games/{id}/music/uploads',
+        { tag: 'Music', access: 'dm', summary: 'Upload a music track', multipart: obj({ file: str({ format: 'binary' }), title: str() }) },
+    ],
+    ['delete', '/api/games/{id}/music/uploads/{uploadId}', { tag: 'Music', access: 'dm', summary: 'Delete an uploaded track' }],
+    ['get', '/api/games/{id}/music/track/{trackId}', { tag: 'Music', access: 'member', summary: 'Stream an uploaded track' }],
+
+    ['get', '/api/games/{id}/map', { tag: 'Map', access: 'member', summary: 'Load the battle map' }],
+    [
+        'put',
+        '/api/games/{id}/map/settings',
+        { tag: 'Map', access: 'dm', summary: 'Change map settings', body: obj({ allowPlayerDrawing: bool(), allowPlayerTokenMoves: bool(), healthBars: str({ enum: ['table', 'party', 'all'] }), paused: bool() }, { additionalProperties: true }) },
+    ],
+    ['post', '/api/games/{id}/map/battle-log', { tag: 'Map', access: 'member', summary: 'Add a battle log entry', body: anyObject() }],
+    [
+        'post',
+        '/api/games/{id}/map/combat/start',
+        { tag: 'Combat', access: 'dm', summary: 'Start combat', body: obj({ order: arr(anyObject()), turn: int(), round: int() }), response: ref('CombatState') },
+    ],
+    ['post', '/api/games/{id}/map/combat/next', { tag: 'Combat', access: 'table', summary: 'Advance to the next turn', body: anyObject(), response: ref('CombatState') }],
+    [
+        'post',
+        '/api/games/{id}/map/combat/initiative',
+        {
+            tag: 'Combat',
+            access: 'table',
+            summary: 'Roll initiative for every player, demon and enemy token',
+            body: obj({ firstStrikeTokenId: str(), bonuses: anyObject('Extra initiative per token id.') }),
+            response: ref('CombatState'),
+        },
+    ],
+    [
+        'post',
+        '/api/games/{id}/map/combat/entries',
+        { tag: 'Combat', access: 'table', summary: 'Add a token or a hand-placed entry to the turn order', body: obj({ tokenId: str(), label: str(), initiative: int() }), response: ref('CombatState') },
+    ],
+    [
+        'put',
+        '/api/games/{id}/map/combat/entries/{entryId}',
+        { tag: 'Combat', access: 'member', summary: 'Delay, hold or release a turn (the DM or the token owner)', body: obj({ action: str({ enum: ['delay', 'hold', 'act'] }) }), response: ref('CombatState') },
+    ],
+    ['delete', '/api/games/{id}/map/combat/entries/{entryId}', { tag: 'Combat', access: 'table', summary: 'Remove an entry from the turn order', response: ref('CombatState') }],
+    [
+        'post',
+        '/api/games/{id}/map/combat/attack',
+        {
+            tag: 'Combat',
+            access: 'table',
+            summary: "Resolve a combat skill against a token: accuracy, damage, crits and the target's affinity",
+            body: obj(
+                {
+                    attackerId: str(),
+                    targetId: str(),
+                    skillId: str(),
+                    acc: int({ minimum: -99, maximum: 99 }),
+                    eva: int({ minimum: -99, maximum: 99 }),
+                    atk: int({ minimum: -99, maximum: 99 }),
+                    def: int({ minimum: -99, maximum: 99 }),
+                    attackerDef: int({ minimum: -99, maximum: 99 }),
+                    hitTarget: int({ minimum: 1, maximum: 99 }),
+                    affinity: str({ enum: ['reflect', 'drain', 'block', 'resist', 'neutral', 'weak'] }),
+                },
+                { required: ['attackerId', 'targetId', 'skillId'] },
+            ),
+            response: obj({
+                attack: anyObject('What was rolled and what happened; also stored as the battle log entry details.'),
+                token: ref('MapToken'),
+                entry: anyObject('The battle log entry.'),
+            }),
+        },
+    ],
+    ['post', '/api/games/{id}/map/combat/end', { tag: 'Combat', access: 'table', summary: 'End combat', response: ref('CombatState') }],
+    ['post', '/api/games/{id}/map/strokes', { tag: 'Map', access: 'member', summary: 'Draw a stroke when player drawing is allowed', body: obj({ stroke: ref('MapStroke') }) }],
+    ['delete', '/api/games/{id}/map/strokes/{strokeId}', { tag: 'Map', access: 'table', summary: 'Erase a stroke' }],
+    ['post', '/api/games/{id}/map/strokes/clear', { tag: 'Map', access: 'table', summary: 'Erase every stroke' }],
+    ['post', '/api/games/{id}/map/shapes', { tag: 'Map', access: 'table', summary: 'Add a shape', body: obj({ shape: ref('MapShape') }) }],
+    ['put', '/api/games/{id}/map/shapes/{shapeId}', { tag: 'Map', access: 'table', summary: 'Update a shape', body: ref('MapShape') }],
+    ['delete', '/api/games/{id}/map/shapes/{shapeId}', { tag: 'Map', access: 'table', summary: 'Remove a shape' }],
+    ['put', '/api/games/{id}/map/background', { tag: 'Map', access: 'table', summary: 'Set the map background', body: anyObject() }],
+    ['delete', '/api/games/{id}/map/background', { tag: 'Map', access: 'table', summary: 'Clear the map background' }],
+    ['post', '/api/games/{id}/map/clear', { tag: 'Map', access: 'table', summary: 'Clear tokens, shapes and strokes' }],
+    ['post', '/api/games/{id}/map/tokens', { tag: 'Map', access: 'table', summary: 'Place a token', body: obj({ token: ref('MapToken') }), response: ref('MapToken') }],
+    [
+        'put',
+        '/api/games/{id}/map/tokens/{tokenId}',
+        { tag: 'Map', access: 'member', summary: 'Move a token (players only their own, when allowed); other changes need the DM or a co-DM', body: ref('MapToken'), response: ref('MapToken') },
+    ],
+    [
+        'post',
+        '/api/games/{id}/map/tokens/{tokenId}/pools',
+        {
+            tag: 'Map',
+            access: 'table',
+            summary: "Damage or heal a token's HP, MP or TP; player and demon tokens update the linked character",
+            body: obj({ pool: str({ enum: ['hp', 'mp', 'tp'] }), amount: int({ minimum: 1 }), mode: str({ enum: ['damage', 'heal'] }) }, { required: ['amount'] }),
+            response: obj({ token: ref('MapToken'), entry: anyObject('The battle log entry.') }),
+        },
+    ],
+    [
+        'post',
+        '/api/games/{id}/map/tokens/{tokenId}/ailments',
+        {
+            tag: 'Map',
+            access: 'table',
+            summary: "Inflict an ailment on a token, or roll an ailment or cure skill's effect on it",
+            body: obj({
+                ailmentId: str(),
+                skillId: str(),
+                duration: int({ minimum: 1, maximum: 99 }),
+                weak: bool(),
+                sourceTokenId: str(),
+            }),
+            response: obj({ token: ref('MapToken'), applied: bool(), entry: anyObject('The battle log entry.') }),
+        },
+    ],
+    [
+        'post',
+        '/api/games/{id}/map/tokens/{tokenId}/buffs',
+        {
+            tag: 'Map',
+            access: 'table',
+            summary: 'Cast a -kaja/-nda skill on a token, or move one of its ATK/DEF/ACC stages by hand',
+            body: obj({
+                skillId: str(),
+                stat: str({ enum: ['atk', 'def', 'acc'] }),
+                stages: int({ minimum: -6, maximum: 6 }),
+                duration: int({ minimum: 1, maximum: 99 }),
+                sourceTokenId: str(),
+            }),
+            response: obj({ token: ref('MapToken'), entry: anyObject('The battle log entry.') }),
+        },
+    ],
+    [
+        'delete',
+        '/api/games/{id}/map/tokens/{tokenId}/buffs/{stat}',
+        {
+            tag: 'Map',
+            access: 'table',
+            summary: "Clear a token's buff or debuff on one stat",
+            response: obj({ token: ref('MapToken'), entry: anyObject('The battle log entry.') }),
+        },
+    ],
+    [
+        'delete',
+        '/api/games/{id}/map/tokens/{tokenId}/ailments/{ailmentId}',
+        {
+            tag: 'Map',
+            access: 'table',
+            summary: 'Cure an ailment on a token',
+            response: obj({ token: ref('MapToken'), entry: anyObject('The battle log entry.') }),
+        },
+    ],
+    ['delete', '/api/games/{id}/map/tokens/{tokenId}', { tag: 'Map', access: 'table', summary: 'Remove a token' }],
+    ['get', '/api/games/{id}/map/library', { tag: 'Map', access: 'table', summary: 'List saved maps' }],
+    ['post', '/api/games/{id}/map/library', { tag: 'Map', access: 'table', summary: 'Save the current map', body: obj({ name: str() }, { required: ['name'] }) }],
+    ['delete', '/api/games/{id}/map/library/{entryId}', { tag: 'Map', access: 'table', summary: 'Delete a saved map' }],
+    ['post', '/api/games/{id}/map/library/{entryId}/load', { tag: 'Map', access: 'table', summary: 'Load a saved map' }],
+
+    [
+        'post',
+        '/api/games/{id}/combat-skills',
+        {
+            tag: 'Skills',
+            access: 'dm-or-permission',
+            permission: 'canEditCombatSkills',
+            summary: 'Add a combat skill to the game or a player\'s codex',
+            query: { targetUserId: str({ format: 'uuid' }) },
+            body: obj({ skill: ref('SkillInput'), targetUserId: str({ format: 'uuid' }) }),
+        },
+    ],
+    [
+        'put',
+        '/api/games/{id}/combat-skills/{skillId}',
+        {
+            tag: 'Skills',
+            access: 'dm-or-permission',
+            permission: 'canEditCombatSkills',
+            summary: 'Update a combat skill',
+            query: { targetUserId: str({ format: 'uuid' }) },
+            body: obj({ skill: ref('SkillInput'), targetUserId: str({ format: 'uuid' }) }),
+        },
+    ],
+    [
+        'delete',
+        '/api/games/{id}/combat-skills/{skillId}',
+        { tag: 'Skills', access: 'dm-or-permission', permission: 'canEditCombatSkills', summary: 'Delete a combat skill', query: { targetUserId: str({ format: 'uuid' }) } },
+    ],
+    ['post', '/api/games/{id}/world-skills', { tag: 'Skills', access: 'dm', summary: 'Add a world skill', body: obj({ skill: ref('SkillInput') }) }],
+    ['put', '/api/games/{id}/world-skills/{skillId}', { tag: 'Skills', access: 'dm', summary: 'Update a world skill', body: obj({ skill: ref('SkillInput') }) }],
+    ['delete', '/api/games/{id}/world-skills/{skillId}', { tag: 'Skills', access: 'dm', summary: 'Delete a world skill' }],
+
+    ['post', '/api/games/{id}/items/custom', { tag: 'Items', access: 'table-or-permission', permission: 'canEditItems', summary: 'Add a custom item', body: ref('CustomItemInput') }],
+    ['put', '/api/games/{id}/items/custom/{itemId}', { tag: 'Items', access: 'table-or-permission', permission: 'canEditItems', summary: 'Update a custom item', body: ref('CustomItemInput') }],
+    ['delete', '/api/games/{id}/items/custom/{itemId}', { tag: 'Items', access: 'table-or-permission', permission: 'canEditItems', summary: 'Delete a custom item' }],
+    ['post', '/api/games/{id}/gear/custom', { tag: 'Items', access: 'table-or-permission', permission: 'canEditGear', summary: 'Add custom gear', body: ref('CustomItemInput') }],
+    ['put', '/api/games/{id}/gear/custom/{itemId}', { tag: 'Items', access: 'table-or-permission', permission: 'canEditGear', summary: 'Update custom gear', body: ref('CustomItemInput') }],
+    ['delete', '/api/games/{id}/gear/custom/{itemId}', { tag: 'Items', access: 'table-or-permission', permission: 'canEditGear', summary: 'Delete custom gear' }],
+    ['get', '/api/items/premade', { tag: 'Items', access: 'public', summary: 'List library items' }],
+
+    ['post', '/api/games/{id}/players/{playerId}/macca', { tag: 'Inventory', access: 'table', summary: 'Adjust a player\'s macca', body: obj({ delta: num() }) }],
+    ['post', '/api/games/{id}/players/{playerId}/items', { tag: 'Inventory', access: 'member', summary: 'Add an item to a player\'s inventory', body: obj({ item: ref('InventoryItemInput') }) }],
+    ['put', '/api/games/{id}/players/{playerId}/items/{itemId}', { tag: 'Inventory', access: 'member', summary: 'Update an inventory item', body: obj({ item: ref('InventoryItemInput') }) }],
+    ['delete', '/api/games/{id}/players/{playerId}/items/{itemId}', { tag: 'Inventory', access: 'member', summary: 'Remove an inventory item' }],
+    ['post', '/api/games/{id}/players/{playerId}/items/{itemId}/use', { tag: 'Inventory', access: 'member', summary: 'Use a consumable item' }],
+    ['post', '/api/games/{id}/players/{playerId}/gear/bag', { tag: 'Inventory', access: 'member', summary: 'Add gear to a player\'s bag', body: obj({ item: ref('InventoryItemInput') }) }],
+    ['put', '/api/games/{id}/players/{playerId}/gear/bag/{itemId}', { tag: 'Inventory', access: 'member', summary: 'Update bagged gear', body: obj({ item: ref('InventoryItemInput') }) }],
+    ['delete', '/api/games/{id}/players/{playerId}/gear/bag/{itemId}', { tag: 'Inventory', access: 'member', summary: 'Remove bagged gear' }],
+    ['put', '/api/games/{id}/players/{playerId}/gear/{slot}', { tag: 'Inventory', access: 'member', summary: 'Equip gear in a slot', body: obj({ itemId: str() }, { additionalProperties: true }) }],
+    ['put', '/api/games/{id}/players/{playerId}/gear/slots/{slot}', { tag: 'Inventory', access: 'member', summary: 'Equip gear in a slot', body: obj({ itemId: str() }, { additionalProperties: true }) }],
+    ['delete', '/api/games/{id}/players/{playerId}/gear/{slot}', { tag: 'Inventory', access: 'member', summary: 'Unequip a slot' }],
+    ['delete', '/api/games/{id}/players/{playerId}/gear/slots/{slot}', { tag: 'Inventory', access: 'member', summary: 'Unequip a slot' }],
+
+    ['post', '/api/games/{id}/demons', { tag: 'Demons', access: 'dm', summary: 'Add a demon to the party roster', body: ref('DemonInput') }],
+    ['put', '/api/games/{id}/demons/{demonId}', { tag: 'Demons', access: 'dm-or-permission', permission: 'canEditDemons', summary: 'Update a demon', body: ref('DemonInput') }],
+    ['delete', '/api/games/{id}/demons/{demonId}', { tag: 'Demons', access: 'dm', summary: 'Release a demon' }],
+    ['put', '/api/games/{id}/fusion-chart', { tag: 'Demons', access: 'dm', summary: 'Save fusion chart overrides', body: obj({ overrides: anyObject() }) }],
+
+    ['get', '/api/games/{id}/story-log', { tag: 'Story', access: 'member', summary: 'Read the Discord story log', response: arr(ref('StoryLogMessage')) }],
+    ['put', '/api/games/{id}/story-config', { tag: 'Story', access: 'dm', summary: 'Configure the Discord story channel and bot', body: anyObject() }],
+    [
+        'post',
+        '/api/games/{id}/story-log/messages',
+        {
+            tag: 'Story',
+            access: 'member',
+            summary: 'Post to the story channel',
+            body: obj({ content: str(), persona: str(), targetUserId: str({ format: 'uuid' }) }, { required: ['content'] }),
+            response: ref('StoryLogMessage'),
+        },
+    ],
+    ['delete', '/api/games/{id}/story-log/messages/{messageId}', { tag: 'Story', access: 'dm', summary: 'Delete a story message' }],
+
+    ['get', '/api/help/docs', { tag: 'Meta', access: 'public', summary: 'List the bundled rules documents' }],
+
+    ['post', '/api/ai/portrait', { tag: 'AI', access: 'public', summary: 'Generate a character portrait', body: anyObject() }],
+    ['post', '/api/ai/concept', { tag: 'AI', access: 'public', summary: 'Generate concept art', body: anyObject() }],
+    ['post', '/api/ai/background', { tag: 'AI', access: 'public', summary: 'Suggest a character background and notes', body: anyObject() }],
+
+    ['get', '/api/personas', { tag: 'Codex', access: 'public', summary: 'List codex demons' }],
+    ['get', '/api/personas/search', { tag: 'Codex', access: 'public', summary: 'Search codex demons', query: { q: str() } }],
+    ['get', '/api/personas/image-proxy', { tag: 'Codex', access: 'public', summary: 'Proxy a remote demon image', query: { src: str({ format: 'uri' }) } }],
+    ['get', '/api/personas/{slug}', { tag: 'Codex', access: 'public', summary: 'Look up a codex demon' }],
+    ['get', '/api/personas/{slug}/image', { tag: 'Codex', access: 'public', summary: 'Demon artwork' }],
+];
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+const errorResponse = (description, schema = ref('Error')) => ({ description, content: jsonContent(schema) });
+
+function buildSecurity(access) {
+    if (access === 'public') return [];
+    if (access === 'session' || access === 'admin') return [{ sessionCookie: [] }];
+    return [{ sessionCookie: [] }, { apiToken: [] }];
+}
+
+function buildOperation(method, path, options) {
+    const { summary, tag, access = 'user', permission, body, query, multipart, response } = options;
+    const parameters = [];
+    for (const match of path.matchAll(/\{(\w+)\}/g)) {
+        parameters.push({ name: match[1], in: 'path', required: true, schema: str() });
+    }
+    for (const [name, schema] of Object.entries(query || {})) {
+        parameters.push({ name, in: 'query', required: false, schema });
+    }
+
+    const description = permission
+        ? `${ACCESS_DESCRIPTIONS[access]} Permission: \`${permission}\`.`
+        : ACCESS_DESCRIPTIONS[access];
+
+    const responses = {
+        200: { description: 'OK', content: jsonContent(response || anyObject()) },
+    };
+    if (body || multipart || query) responses[400] = errorResponse('Invalid input', { oneOf: [ref('ValidationError'), ref('Error')] });
+    if (access !== 'public') responses[401] = errorResponse('Not signed in');
+    if (access !== 'public' && access !== 'user' && access !== 'session') responses[403] = errorResponse('Not allowed');
+    if (parameters.some((param) => param.in === 'path')) responses[404] = errorResponse('Not found');
+
+    const operation = {
+        summary,
+        description,
+        tags: tag ? [tag] : undefined,
+        operationId: `${method}${path.replace(/\{(\w+)\}/g, 'By_$1').replace(/[^A-Za-z0-9]+(.)?/g, (_m, ch) => (ch ? ch.toUpperCase() : ''))}`,
+        security: buildSecurity(access),
+        'x-access': access,
+        parameters: parameters.length > 0 ? parameters : undefined,
+        responses,
+    };
+    if (permission) operation['x-permission'] = permission;
+    if (body) operation.requestBody = { required: true, content: jsonContent(body) };
+    if (multipart) operation.requestBody = { required: true, content: { 'multipart/form-data': { schema: multipart } } };
+    return JSON.parse(JSON.stringify(operation));
+}
+
+/**
+ * @param {{ version?: string, serverUrl?: string }} [options]
+ */
+export function buildOpenApiDocument({ version = '1.0.0', serverUrl } = {}) {
+    const paths = {};
+    for (const [method, path, options] of ROUTES) {
+        paths[path] ||= {};
+        paths[path][method] = buildOperation(method, path, options);
+    }
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: 'Jack Endex API',
+            version,
+            description: 'REST API used by the Jack Endex web client. Real-time updates are sent over the `/ws` WebSocket and are not described here.',
+        },
+        servers: serverUrl ? [{ url: serverUrl }] : undefined,
+        paths,
+        components: {
+            securitySchemes: {
+                sessionCookie: { type: 'apiKey', in: 'cookie', name: 'connect.sid' },
+                apiToken: { type: 'http', scheme: 'bearer', description: 'Personal API token created under Account → API tokens.' },
+            },
+            schemas: SCHEMAS,
+        },
+    };
+}
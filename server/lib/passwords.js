@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(crypto.scrypt);
+
+export const PASSWORD_ALGORITHM = 'scrypt';
+
+/**
+ * Cost parameters applied to newly hashed passwords. They are stored next to
+ * each hash so they can be raised later without invalidating existing accounts.
+ */
+export const DEFAULT_SCRYPT_PARAMS = Object.freeze({
+    N: 2 ** 15,
+    r: 8,
+    p: 1,
+    keyLength: 64,
+});
+
+const SALT_BYTES = 16;
+const MAX_SCRYPT_N = 2 ** 20;
+
+function normalizeScryptParams(params) {
+    if (!params || typeof params !== 'object' || params.algorithm !== PASSWORD_ALGORITHM) return null;
+    const N = Number(params.N);
+    const r = Number(params.r);
+    const p = Number(params.p);
+    const keyLength = Number(params.keyLength);
+    const valid =
+        Number.isInteger(N) && N > 1 && N <= MAX_SCRYPT_N && (N & (N - 1)) === 0 &&
+        Number.isInteger(r) && r > 0 && r <= 32 &&
+        Number.isInteger(p) && p > 0 && p <= 16 &&
+        Number.isInteger(keyLength) && keyLength >= 16 && keyLength <= 128;
+    return valid ? { N, r, p, keyLength } : null;
+}
+
+async function deriveKey(password, salt, { N, r, p, keyLength }) {
+    // scrypt needs roughly 128 * N * r bytes; leave headroom above Node's 32 MiB default.
+    const maxmem = 256 * N * r + 1024 * 1024;
+    return scryptAsync(password, salt, keyLength, { N, r, p, maxmem });
+}
+
+function legacyHash(password, salt) {
+    return crypto.createHash('sha256').update(salt + password).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+    const left = Buffer.from(String(a), 'hex');
+    const right = Buffer.from(String(b), 'hex');
+    return left.length === right.length && left.length > 0 && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Hash a password with scrypt.
+ *
+ * @param {string} password
+ * @returns {Promise<{ pass: string, passParams: { algorithm: string, N: number, r: number, p: number, keyLength: number } }>}
+ */
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const derived = await deriveKey(password, salt, DEFAULT_SCRYPT_PARAMS);
+    return {
+        pass: `${salt}$${derived.toString('hex')}`,
+        passParams: { algorithm: PASSWORD_ALGORITHM, ...DEFAULT_SCRYPT_PARAMS },
+    };
+}
+
+/**
+ * Check a password against a stored user record. Accounts without `passParams`
+ * still use the original salted SHA-256 format and are flagged for rehashing,
+ * as are scrypt hashes created with weaker parameters than the current defaults.
+ *
+ * @param {string} password
+ * @param {{ pass?: string, passParams?: object }} user
+ * @returns {Promise<{ ok: boolean, needsRehash: boolean }>}
+ */
+export async function verifyPassword(password, user) {
+    const [salt, stored] = typeof user?.pass === 'string' ? user.pass.split('$') : [];
+    if (!salt || !stored || typeof password !== 'string') return { ok: false, needsRehash: false };
+
+    if (!user.passParams) {
+        return { ok: safeEqualHex(legacyHash(password, salt), stored), needsRehash: true };
+    }
+
+    const params = normalizeScryptParams(user.passParams);
+    if (!params) return { ok: false, needsRehash: false };
+    const derived = await deriveKey(password, salt, params);
+    const ok = safeEqualHex(derived.toString('hex'), stored);
+    const needsRehash =
+        params.N < DEFAULT_SCRYPT_PARAMS.N ||
+        params.r < DEFAULT_SCRYPT_PARAMS.r ||
+        params.p < DEFAULT_SCRYPT_PARAMS.p ||
+        params.keyLength < DEFAULT_SCRYPT_PARAMS.keyLength;
+    return { ok, needsRehash };
+}
+
+/**
+ * Create a random one-time token and the digest that should be stored for it.
+ *
+ * @returns {{ token: string, tokenHash: string }}
+ */
+export function createOneTimeToken() {
+    const token = crypto.randomBytes(24).toString('base64url');
+    return { token, tokenHash: hashOneTimeToken(token) };
+}
+
+export function hashOneTimeToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
@@ -0,0 +1,97 @@
+/**
+ * In-memory sliding window counter with temporary lockouts.
+ *
+ * Each key keeps the timestamps of its recent hits. The hit that brings the
+ * count inside `windowMs` to `max` locks the key for `lockoutMs`, so `max` is
+ * the number of hits allowed before a lockout. State lives in the process, so
+ * a restart clears every window and lockout.
+ */
+export class SlidingWindowLimiter {
+    /**
+     * @param {{ windowMs: number, max: number, lockoutMs: number, maxKeys?: number }} options
+     */
+    constructor({ windowMs, max, lockoutMs, maxKeys = 50_000 }) {
+        this.windowMs = windowMs;
+        this.max = max;
+        this.lockoutMs = lockoutMs;
+        this.maxKeys = maxKeys;
+        /** @type {Map<string, { hits: number[], lockedUntil: number }>} */
+        this.entries = new Map();
+    }
+
+    #read(key, now) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        const cutoff = now - this.windowMs;
+        while (entry.hits.length > 0 && entry.hits[0] <= cutoff) entry.hits.shift();
+        if (entry.lockedUntil <= now) entry.lockedUntil = 0;
+        if (entry.hits.length === 0 && entry.lockedUntil === 0) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Inspect a key without counting a hit.
+     *
+     * @param {string} key
+     * @returns {{ locked: boolean, retryAfterMs: number, remaining: number }}
+     */
+    status(key, now = Date.now()) {
+        const entry = key ? this.#read(key, now) : null;
+        if (!entry) return { locked: false, retryAfterMs: 0, remaining: this.max };
+        if (entry.lockedUntil > now) {
+            return { locked: true, retryAfterMs: entry.lockedUntil - now, remaining: 0 };
+        }
+        return { locked: false, retryAfterMs: 0, remaining: Math.max(0, this.max - entry.hits.length) };
+    }
+
+    /**
+     * Count a hit against a key, locking it once the window is exhausted.
+     *
+     * @param {string} key
+     * @returns {{ locked: boolean, retryAfterMs: number, remaining: number }}
+     */
+    hit(key, now = Date.now()) {
+        if (!key) return { locked: false, retryAfterMs: 0, remaining: this.max };
+        let entry = this.#read(key, now);
+        if (!entry) {
+            if (this.entries.size >= this.maxKeys) this.prune(now);
+            entry = { hits: [], lockedUntil: 0 };
+            this.entries.set(key, entry);
+        }
+        entry.hits.push(now);
+        if (entry.hits.length >= this.max && entry.lockedUntil <= now) {
+            entry.lockedUntil = now + this.lockoutMs;
+        }
+        return this.status(key, now);
+    }
+
+    reset(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * @returns {Array<{ key: string, lockedUntil: number }>}
+     */
+    lockedKeys(now = Date.now()) {
+        const locked = [];
+        for (const key of Array.from(this.entries.keys())) {
+            const entry = this.#read(key, now);
+            if (entry && entry.lockedUntil > now) locked.push({ key, lockedUntil: entry.lockedUntil });
+        }
+        return locked;
+    }
+
+    prune(now = Date.now()) {
+        for (const key of Array.from(this.entries.keys())) {
+            this.#read(key, now);
+        }
+        // Still full of live keys: drop the oldest unlocked ones rather than growing without bound.
+        for (const [key, entry] of this.entries) {
+            if (this.entries.size < this.maxKeys) break;
+            if (entry.lockedUntil === 0) this.entries.delete(key);
+        }
+    }
+}
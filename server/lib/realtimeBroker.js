@@ -0,0 +1,134 @@
+/**
+ * Fan-out of realtime events between API instances.
+ *
+ * Each instance delivers events to its own sockets directly and publishes
+ * them through the broker so the other instances can deliver them to theirs.
+ * A broker never hands an instance back its own events.
+ *
+ * - `memory` (default): a single process, nothing to fan out.
+ * - `mongo`: a capped collection tailed by every instance. Unlike change
+ *   streams this also works against a standalone MongoDB server.
+ */
+import { randomUUID } from 'crypto';
+
+const DEFAULT_COLLECTION = 'realtime_events';
+const DEFAULT_CAP_BYTES = 16 * 1024 * 1024;
+const RETRY_DELAY_MS = 1000;
+
+export class MemoryRealtimeBroker {
+    constructor() {
+        this.instanceId = randomUUID();
+        this.distributed = false;
+    }
+
+    /** There are no other instances to hear from. */
+    async start() {}
+
+    /** There are no other instances to tell. */
+    publish() {}
+
+    async close() {}
+}
+
+export class MongoRealtimeBroker {
+    /**
+     * @param {{ db: () => import('mongodb').Db | undefined, collectionName?: string, capBytes?: number, logger?: any }} options
+     */
+    constructor({ db, collectionName = DEFAULT_COLLECTION, capBytes = DEFAULT_CAP_BYTES, logger = console }) {
+        if (typeof db !== 'function') {
+            throw new Error('MongoRealtimeBroker requires a db() accessor');
+        }
+        this.instanceId = randomUUID();
+        this.distributed = true;
+        this.getDb = db;
+        this.collectionName = collectionName;
+        this.capBytes = capBytes;
+        this.logger = logger;
+        this.collection = null;
+        this.cursor = null;
+        this.closed = false;
+        this.lastId = null;
+    }
+
+    async #ensureCollection() {
+        const db = this.getDb();
+        if (!db) throw new Error('MongoDB is not connected');
+        const existing = await db.listCollections({ name: this.collectionName }, { nameOnly: false }).toArray();
+        if (existing.length === 0) {
+            try {
+                await db.createCollection(this.collectionName, { capped: true, size: this.capBytes });
+            } catch (err) {
+                // Another instance created it first.
+                if (err?.codeName !== 'NamespaceExists') throw err;
+            }
+        } else if (!existing[0].options?.capped) {
+            throw new Error(`Collection ${this.collectionName} exists but is not capped`);
+        }
+        const collection = db.collection(this.collectionName);
+        // A tailable cursor on an empty capped collection closes at once.
+        if ((await collection.estimatedDocumentCount()) === 0) {
+            await collection.insertOne({ origin: null, event: null, createdAt: new Date() });
+        }
+        return collection;
+    }
+
+    /** @param {(event: any, origin: string) => void} handler */
+    async start(handler) {
+        this.collection = await this.#ensureCollection();
+        const [latest] = await this.collection.find({}).sort({ $natural: -1 }).limit(1).toArray();
+        this.lastId = latest?._id ?? null;
+        this.#tail(handler);
+    }
+
+    async #tail(handler) {
+        while (!this.closed) {
+            try {
+                const filter = this.lastId ? { _id: { $gt: this.lastId } } : {};
+                this.cursor = this.collection.find(filter, { tailable: true, awaitData: true, noCursorTimeout: true });
+                for await (const doc of this.cursor) {
+                    this.lastId = doc._id;
+                    if (!doc.event || doc.origin === this.instanceId) continue;
+                    try {
+                        handler(doc.event, doc.origin);
+                    } catch (err) {
+                        this.logger.warn('Realtime event handler failed', err);
+                    }
+                }
+            } catch (err) {
+                if (this.closed) return;
+                this.logger.warn('Realtime broker cursor failed; retrying', err);
+            }
+            if (!this.closed) await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS));
+        }
+    }
+
+    /** @param {any} event */
+    publish(event) {
+        if (this.closed || !this.collection) return;
+        this.collection
+            .insertOne({ origin: this.instanceId, event, createdAt: new Date() })
+            .catch((err) => this.logger.warn('Failed to publish realtime event', err));
+    }
+
+    async close() {
+        this.closed = true;
+        try {
+            await this.cursor?.close();
+        } catch {
+            // ignore cursor close errors
+        }
+    }
+}
+
+/**
+ * @param {{ driver?: string, db?: () => any, logger?: any }} options
+ */
+export function createRealtimeBroker({ driver = 'memory', db, logger } = {}) {
+    if (driver === 'mongo' || driver === 'mongodb') {
+        return new MongoRealtimeBroker({ db, logger });
+    }
+    if (driver && driver !== 'memory') {
+        throw new Error(`Unknown realtime broker driver: ${driver}`);
+    }
+    return new MemoryRealtimeBroker();
+}
@@ -0,0 +1,134 @@
+/**
+ * Storage for short-lived websocket workflows (trades, persona requests).
+ *
+ * Records are plain JSON objects with `id`, `gameId` and an ISO `expiresAt`.
+ * Callers always get copies back and change records through `update`, so
+ * the same code runs against process memory or a collection shared by
+ * several API instances. Timers stay with the caller: whichever instance
+ * fires one re-reads the record and checks `expiresAt` before acting.
+ */
+
+const MAX_UPDATE_ATTEMPTS = 5;
+
+function cloneRecord(record) {
+    return record ? structuredClone(record) : null;
+}
+
+export class MemoryRequestStore {
+    constructor() {
+        /** @type {Map<string, any>} */
+        this.records = new Map();
+    }
+
+    async get(id) {
+        return cloneRecord(this.records.get(id));
+    }
+
+    async create(record) {
+        this.records.set(record.id, cloneRecord(record));
+        return cloneRecord(record);
+    }
+
+    /**
+     * Apply `mutate` to a copy of the record and store it. `mutate` may
+     * return false to leave the record untouched.
+     *
+     * @returns {Promise<any | null>} the stored record, or null when it is gone or unchanged
+     */
+    async update(id, mutate) {
+        const current = this.records.get(id);
+        if (!current) return null;
+        const next = cloneRecord(current);
+        if (mutate(next) === false) return null;
+        this.records.set(id, next);
+        return cloneRecord(next);
+    }
+
+    /** Remove the record and return it; only one caller ever gets it. */
+    async take(id) {
+        const current = this.records.get(id);
+        if (!current) return null;
+        this.records.delete(id);
+        return current;
+    }
+
+    async listForGame(gameId) {
+        return Array.from(this.records.values())
+            .filter((record) => record.gameId === gameId)
+            .map(cloneRecord);
+    }
+
+    async clear() {
+        this.records.clear();
+    }
+}
+
+export class MongoRequestStore {
+    /**
+     * @param {import('mongoose').Model<any>} model
+     * @param {string} kind
+     */
+    constructor(model, kind) {
+        this.model = model;
+        this.kind = kind;
+    }
+
+    #toDoc(record, rev) {
+        return {
+            id: record.id,
+            kind: this.kind,
+            gameId: record.gameId,
+            rev,
+            data: record,
+            expiresAt: new Date(record.expiresAt),
+        };
+    }
+
+    async get(id) {
+        const doc = await this.model.findOne({ id, kind: this.kind }).lean();
+        return doc ? doc.data : null;
+    }
+
+    async create(record) {
+        await this.model.create(this.#toDoc(record, 0));
+        return cloneRecord(record);
+    }
+
+    async update(id, mutate) {
+        for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt += 1) {
+            const doc = await this.model.findOne({ id, kind: this.kind }).lean();
+            if (!doc) return null;
+            const next = cloneRecord(doc.data);
+            if (mutate(next) === false) return null;
+            const rev = (doc.rev || 0) + 1;
+            const result = await this.model.updateOne(
+                { id, kind: this.kind, rev: doc.rev || 0 },
+                { $set: this.#toDoc(next, rev) },
+            );
+            if (result.matchedCount > 0) return next;
+        }
+        throw new Error(`Gave up updating ${this.kind} ${id} after concurrent changes`);
+    }
+
+    async take(id) {
+        const doc = await this.model.findOneAndDelete({ id, kind: this.kind }).lean();
+        return doc ? doc.data : null;
+    }
+
+    async listForGame(gameId) {
+        const docs = await this.model.find({ kind: this.kind, gameId }).lean();
+        return docs.map((doc) => doc.data);
+    }
+
+    async clear() {
+        // Records belong to every instance; leave them for the others.
+    }
+}
+
+/**
+ * @param {'memory' | 'mongo'} driver
+ * @param {{ model?: any, kind: string }} options
+ */
+export function createRequestStore(driver, { model, kind }) {
+    return driver === 'mongo' ? new MongoRequestStore(model, kind) : new MemoryRequestStore();
+}
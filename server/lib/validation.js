@@ -0,0 +1,263 @@
+/**
+ * Small declarative schema layer for request validation.
+ *
+ * Schemas validate and coerce a value in one pass and collect every problem
+ * into a flat `{ 'path.to.field': 'message' }` map, which routes return as
+ * `{ error: 'invalid_fields', fields }` so the client can attach messages to
+ * the matching form inputs.
+ */
+
+export const VALIDATION_ERROR = 'invalid_fields';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+function joinPath(base, key) {
+    return base ? `${base}.${key}` : String(key);
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+class Schema {
+    constructor(check) {
+        this.check = check;
+        this.isOptional = false;
+        this.isNullable = false;
+        this.defaultValue = undefined;
+        this.emptyAsMissing = false;
+        this.refinements = [];
+    }
+
+    clone(changes) {
+        const next = new Schema(this.check);
+        Object.assign(next, this, changes);
+        return next;
+    }
+
+    /** Allow the value to be missing; missing values stay undefined. */
+    optional() {
+        return this.clone({ isOptional: true });
+    }
+
+    /** Accept an explicit `null`. */
+    nullable() {
+        return this.clone({ isNullable: true });
+    }
+
+    /** Use `value` (or its return value when a function) when the input is missing. */
+    default(value) {
+        return this.clone({ defaultValue: value, isOptional: true });
+    }
+
+    /** Add a custom check that runs after the base validation succeeds. */
+    refine(test, message) {
+        return this.clone({ refinements: [...this.refinements, { test, message }] });
+    }
+
+    run(value, path, errors) {
+        if (this.emptyAsMissing && typeof value === 'string' && value.trim() === '') value = undefined;
+        if (value === undefined) {
+            if (this.defaultValue !== undefined) {
+                return typeof this.defaultValue === 'function' ? this.defaultValue() : this.defaultValue;
+            }
+            if (!this.isOptional) errors[path || '_'] = 'Required';
+            return undefined;
+        }
+        if (value === null) {
+            if (this.isNullable) return null;
+            if (this.isOptional) return undefined;
+            errors[path || '_'] = 'Required';
+            return undefined;
+        }
+        const before = Object.keys(errors).length;
+        const parsed = this.check(value, path, errors);
+        if (Object.keys(errors).length !== before) return undefined;
+        for (const { test, message } of this.refinements) {
+            if (!test(parsed)) return fail(errors, path, message);
+        }
+        return parsed;
+    }
+}
+
+function fail(errors, path, message) {
+    errors[path || '_'] = message;
+    return undefined;
+}
+
+/**
+ * @param {{ min?: number, max?: number, trim?: boolean, pattern?: RegExp, oneOf?: string[], nonEmpty?: boolean, message?: string }} [options]
+ */
+function string(options = {}) {
+    const { min = 0, max = Infinity, trim = true, pattern = null, oneOf = null, nonEmpty = false, message } = options;
+    return new Schema((value, path, errors) => {
+        if (typeof value !== 'string' && typeof value !== 'number') return fail(errors, path, 'Must be text');
+        const text = trim ? String(value).trim() : String(value);
+        if ((nonEmpty || min > 0) && text.length === 0) return fail(errors, path, 'Required');
+        if (text.length < min) return fail(errors, path, `Must be at least ${min} characters`);
+        if (text.length > max) return fail(errors, path, `Must be at most ${max} characters`);
+        if (pattern && text && !pattern.test(text)) return fail(errors, path, message || 'Invalid format');
+        if (oneOf && !oneOf.includes(text)) return fail(errors, path, `Must be one of: ${oneOf.join(', ')}`);
+        return text;
+    });
+}
+
+/**
+ * Numbers accept numeric strings; an empty string counts as missing.
+ *
+ * @param {{ min?: number, max?: number, integer?: boolean }} [options]
+ */
+function number(options = {}) {
+    const { min = -Infinity, max = Infinity, integer = false } = options;
+    const schema = new Schema((value, path, errors) => {
+        const num = typeof value === 'string' ? Number(value.trim()) : value;
+        if (typeof num !== 'number' || !Number.isFinite(num)) return fail(errors, path, 'Must be a number');
+        if (integer && !Number.isInteger(num)) return fail(errors, path, 'Must be a whole number');
+        if (num < min) return fail(errors, path, `Must be at least ${min}`);
+        if (num > max) return fail(errors, path, `Must be at most ${max}`);
+        return num;
+    });
+    schema.emptyAsMissing = true;
+    return schema;
+}
+
+function boolean() {
+    return new Schema((value, path, errors) => {
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 1 || value === '1') return true;
+        if (value === 'false' || value === 0 || value === '0') return false;
+        return fail(errors, path, 'Must be true or false');
+    });
+}
+
+function uuid() {
+    return new Schema((value, path, errors) => {
+        if (typeof value !== 'string' || !UUID_PATTERN.test(value.trim())) return fail(errors, path, 'Invalid id');
+        return value.trim().toLowerCase();
+    });
+}
+
+/**
+ * @param {Schema} item
+ * @param {{ min?: number, max?: number }} [options]
+ */
+function array(item, options = {}) {
+    const { min = 0, max = Infinity } = options;
+    return new Schema((value, path, errors) => {
+        if (!Array.isArray(value)) return fail(errors, path, 'Must be a list');
+        if (value.length < min) return fail(errors, path, `Must have at least ${min} entries`);
+        if (value.length > max) return fail(errors, path, `Must have at most ${max} entries`);
+        const out = [];
+        value.forEach((entry, index) => {
+            const parsed = item.run(entry, joinPath(path, index), errors);
+            if (parsed !== undefined) out.push(parsed);
+        });
+        return out;
+    });
+}
+
+/**
+ * Validate known keys with `shape`. Unknown keys are dropped unless
+ * `unknown: 'keep'` is set, which passes them through untouched.
+ *
+ * @param {Record<string, Schema>} shape
+ * @param {{ unknown?: 'strip' | 'keep' }} [options]
+ */
+function object(shape, options = {}) {
+    const { unknown = 'strip' } = options;
+    return new Schema((value, path, errors) => {
+        if (!isPlainObject(value)) return fail(errors, path, 'Must be an object');
+        const out = unknown === 'keep' ? { ...value } : {};
+        for (const [key, schema] of Object.entries(shape)) {
+            const parsed = schema.run(value[key], joinPath(path, key), errors);
+            if (parsed === undefined) {
+                delete out[key];
+            } else {
+                out[key] = parsed;
+            }
+        }
+        return out;
+    });
+}
+
+/**
+ * A map with arbitrary keys whose values all match `valueSchema`.
+ *
+ * @param {Schema} valueSchema
+ * @param {{ maxKeys?: number }} [options]
+ */
+function record(valueSchema, options = {}) {
+    const { maxKeys = Infinity } = options;
+    return new Schema((value, path, errors) => {
+        if (!isPlainObject(value)) return fail(errors, path, 'Must be an object');
+        const entries = Object.entries(value);
+        if (entries.length > maxKeys) return fail(errors, path, `Must have at most ${maxKeys} entries`);
+        const out = {};
+        for (const [key, entry] of entries) {
+            const parsed = valueSchema.run(entry, joinPath(path, key), errors);
+            if (parsed !== undefined) out[key] = parsed;
+        }
+        return out;
+    });
+}
+
+function any() {
+    return new Schema((value) => value);
+}
+
+export const v = { string, number, boolean, uuid, array, object, record, any };
+
+/**
+ * Validate `value` against `schema`.
+ *
+ * @param {Schema} schema
+ * @param {any} value
+ * @param {string} [path]
+ * @returns {{ value: any, fields: Record<string, string> | null }}
+ */
+export function validate(schema, value, path = '') {
+    const fields = {};
+    const parsed = schema.run(value, path, fields);
+    return { value: parsed, fields: Object.keys(fields).length > 0 ? fields : null };
+}
+
+/**
+ * Build an error for the central error handler to answer with 400 and the
+ * field map. Handlers use this for checks a schema cannot express, such as
+ * a name that only becomes required once an update is merged.
+ *
+ * @param {Record<string, string>} fields
+ */
+export function createValidationError(fields) {
+    const err = new Error(VALIDATION_ERROR);
+    err.code = VALIDATION_ERROR;
+    err.status = 400;
+    err.fields = fields;
+    return err;
+}
+
+/**
+ * Express middleware validating `req.params`, `req.query` and `req.body`.
+ * Coerced values replace the originals; param and query errors are reported
+ * under `params.` and `query.` prefixes, body errors by their plain path.
+ *
+ * @param {{ params?: Schema, query?: Schema, body?: Schema }} schemas
+ */
+export function validateRequest(schemas) {
+    return function validateRequestMiddleware(req, res, next) {
+        const fields = {};
+        const parsed = {};
+        for (const [section, prefix] of [['params', 'params'], ['query', 'query'], ['body', '']]) {
+            const schema = schemas[section];
+            if (!schema) continue;
+            parsed[section] = schema.run(req[section] ?? {}, prefix, fields);
+        }
+        if (Object.keys(fields).length > 0) {
+            return res.status(400).json({ error: VALIDATION_ERROR, fields });
+        }
+        if (schemas.params) Object.assign(req.params, parsed.params);
+        if (schemas.query) req.query = parsed.query;
+        if (schemas.body) req.body = parsed.body;
+        return next();
+    };
+}
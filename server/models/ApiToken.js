@@ -0,0 +1,23 @@
+import mongoose from '../lib/mongoose.js';
+
+const apiTokenSchema = new mongoose.Schema(
+    {
+        id: { type: String, required: true, unique: true, index: true },
+        userId: { type: String, required: true, index: true },
+        name: { type: String, required: true },
+        // Only the SHA-256 digest of the token is stored; the token itself is shown once on creation.
+        tokenHash: { type: String, required: true, unique: true },
+        prefix: { type: String, required: true },
+        gameIds: { type: [String], default: undefined },
+        readOnly: { type: Boolean, default: false },
+        expiresAt: { type: Date, default: null },
+        lastUsedAt: { type: Date, default: null },
+        lastUsedIp: { type: String, default: null },
+    },
+    {
+        timestamps: true,
+        minimize: false,
+    },
+);
+
+export default mongoose.models.ApiToken || mongoose.model('ApiToken', apiTokenSchema);
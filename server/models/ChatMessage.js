@@ -0,0 +1,22 @@
+import mongoose from '../lib/mongoose.js';
+
+// Party chat sent over the `chat.send` websocket message. `recipientId` is
+// only set on whispers.
+const chatMessageSchema = new mongoose.Schema(
+    {
+        id: { type: String, required: true, unique: true, index: true },
+        gameId: { type: String, required: true },
+        channel: { type: String, enum: ['party', 'ooc', 'whisper'], required: true },
+        senderId: { type: String, required: true },
+        recipientId: { type: String, default: null },
+        body: { type: String, required: true },
+    },
+    {
+        timestamps: true,
+        minimize: false,
+    },
+);
+
+chatMessageSchema.index({ gameId: 1, channel: 1, createdAt: -1 });
+
+export default mongoose.models.ChatMessage || mongoose.model('ChatMessage', chatMessageSchema);
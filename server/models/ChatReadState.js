@@ -0,0 +1,20 @@
+import mongoose from '../lib/mongoose.js';
+
+// How far each member has read each chat thread, keyed by thread
+// (`party`, `ooc`, `whisper:<userId>`), so unread badges follow them across
+// devices.
+const chatReadStateSchema = new mongoose.Schema(
+    {
+        gameId: { type: String, required: true },
+        userId: { type: String, required: true },
+        threads: { type: mongoose.Schema.Types.Mixed, default: {} },
+    },
+    {
+        timestamps: true,
+        minimize: false,
+    },
+);
+
+chatReadStateSchema.index({ gameId: 1, userId: 1 }, { unique: true });
+
+export default mongoose.models.ChatReadState || mongoose.model('ChatReadState', chatReadStateSchema);
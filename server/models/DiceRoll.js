@@ -0,0 +1,23 @@
+import mongoose from '../lib/mongoose.js';
+
+// Rolls made through the `dice.roll` websocket message. Kept out of the game
+// document so rolling never races with other saves.
+const diceRollSchema = new mongoose.Schema(
+    {
+        id: { type: String, required: true, unique: true, index: true },
+        gameId: { type: String, required: true },
+        userId: { type: String, required: true },
+        label: { type: String, default: '' },
+        notation: { type: String, required: true },
+        visibility: { type: String, enum: ['public', 'dm', 'self'], default: 'public' },
+        result: { type: mongoose.Schema.Types.Mixed, default: {} },
+    },
+    {
+        timestamps: true,
+        minimize: false,
+    },
+);
+
+diceRollSchema.index({ gameId: 1, createdAt: -1 });
+
+export default mongoose.models.DiceRoll || mongoose.model('DiceRoll', diceRollSchema);
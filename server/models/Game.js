@@ -5,6 +5,7 @@ const gameSchema = new mongoose.Schema(
         id: { type: String, required: true, unique: true, index: true },
         name: { type: String, required: true, default: 'Untitled Game' },
         dmId: { type: String, required: true, index: true },
+        version: { type: Number, default: 0 },
     },
     {
         timestamps: true,
@@ -15,5 +16,7 @@ const gameSchema = new mongoose.Schema(
 
 gameSchema.index({ 'players.userId': 1 });
 gameSchema.index({ 'story.channelId': 1 });
+gameSchema.index({ 'invites.code': 1 });
+gameSchema.index({ 'share.token': 1 }, { sparse: true });
 
 export default mongoose.models.Game || mongoose.model('Game', gameSchema);
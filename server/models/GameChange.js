@@ -0,0 +1,24 @@
+import mongoose from '../lib/mongoose.js';
+
+const gameChangeSchema = new mongoose.Schema(
+    {
+        id: { type: String, required: true, unique: true, index: true },
+        gameId: { type: String, required: true, index: true },
+        version: { type: Number, required: true },
+        reason: { type: String, default: null },
+        actorId: { type: String, default: null },
+        patch: { type: [mongoose.Schema.Types.Mixed], default: [] },
+        inverse: { type: [mongoose.Schema.Types.Mixed], default: [] },
+        revertOf: { type: String, default: null },
+        revertedAt: { type: Date, default: null },
+        revertedBy: { type: String, default: null },
+    },
+    {
+        timestamps: true,
+        minimize: false,
+    },
+);
+
+gameChangeSchema.index({ gameId: 1, version: -1 });
+
+export default mongoose.models.GameChange || mongoose.model('GameChange', gameChangeSchema);
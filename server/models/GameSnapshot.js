@@ -0,0 +1,21 @@
+import mongoose from '../lib/mongoose.js';
+
+const gameSnapshotSchema = new mongoose.Schema(
+    {
+        id: { type: String, required: true, unique: true, index: true },
+        gameId: { type: String, required: true, index: true },
+        gameName: { type: String, default: '' },
+        version: { type: Number, default: 0 },
+        trigger: { type: String, default: 'scheduled' },
+        createdBy: { type: String, default: null },
+        data: { type: mongoose.Schema.Types.Mixed, required: true },
+    },
+    {
+        timestamps: true,
+        minimize: false,
+    },
+);
+
+gameSnapshotSchema.index({ gameId: 1, createdAt: -1 });
+
+export default mongoose.models.GameSnapshot || mongoose.model('GameSnapshot', gameSnapshotSchema);
@@ -0,0 +1,20 @@
+import mongoose from '../lib/mongoose.js';
+
+const gameTemplateSchema = new mongoose.Schema(
+    {
+        id: { type: String, required: true, unique: true, index: true },
+        name: { type: String, required: true },
+        description: { type: String, default: '' },
+        ownerId: { type: String, required: true, index: true },
+        global: { type: Boolean, default: false, index: true },
+        sourceGameId: { type: String, default: null },
+        summary: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+        data: { type: mongoose.Schema.Types.Mixed, required: true },
+    },
+    {
+        timestamps: true,
+        minimize: false,
+    },
+);
+
+export default mongoose.models.GameTemplate || mongoose.model('GameTemplate', gameTemplateSchema);
@@ -0,0 +1,24 @@
+import mongoose from '../lib/mongoose.js';
+
+// Short-lived websocket workflows (trades, persona requests) shared between
+// API instances. Documents are removed when the workflow settles; the TTL
+// index only sweeps up ones whose instance went away mid-flight.
+const realtimeRequestSchema = new mongoose.Schema(
+    {
+        id: { type: String, required: true, unique: true, index: true },
+        kind: { type: String, required: true },
+        gameId: { type: String, required: true },
+        rev: { type: Number, default: 0 },
+        data: { type: mongoose.Schema.Types.Mixed, default: {} },
+        expiresAt: { type: Date, required: true },
+    },
+    {
+        timestamps: true,
+        minimize: false,
+    },
+);
+
+realtimeRequestSchema.index({ kind: 1, gameId: 1 });
+realtimeRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+export default mongoose.models.RealtimeRequest || mongoose.model('RealtimeRequest', realtimeRequestSchema);
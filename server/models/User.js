@@ -5,6 +5,32 @@ const userSchema = new mongoose.Schema(
         id: { type: String, required: true, unique: true, index: true },
         username: { type: String, required: true, unique: true, index: true },
         pass: { type: String, required: true },
+        // Absent on accounts that still use the legacy salted SHA-256 hash.
+        passParams: {
+            type: new mongoose.Schema(
+                {
+                    algorithm: { type: String, required: true },
+                    N: Number,
+                    r: Number,
+                    p: Number,
+                    keyLength: Number,
+                },
+                { _id: false },
+            ),
+            default: undefined,
+        },
+        passwordReset: {
+            type: new mongoose.Schema(
+                {
+                    tokenHash: { type: String, required: true },
+                    expiresAt: { type: Date, required: true },
+                    createdBy: String,
+                    createdAt: { type: Date, default: Date.now },
+                },
+                { _id: false },
+            ),
+            default: undefined,
+        },
         email: {
             type: String,
             lowercase: true,
@@ -26,4 +52,6 @@ const userSchema = new mongoose.Schema(
     },
 );
 
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
+
 export default mongoose.models.User || mongoose.model('User', userSchema);
@@ -8,9 +8,18 @@ import path from 'path';
 import fs from 'fs/promises';
 import multer from 'multer';
 import crypto from 'crypto';
+import zlib from 'zlib';
+import { promisify } from 'util';
 import mongoose from './lib/mongoose.js';
 import MongoSessionStore from './lib/mongoSessionStore.js';
 import Logger from './lib/logger.js';
+import { forwardAsyncErrors } from './lib/asyncRoutes.js';
+import { hashPassword, verifyPassword, createOneTimeToken, hashOneTimeToken } from './lib/passwords.js';
+import { SlidingWindowLimiter } from './lib/rateLimiter.js';
+import { checkApiTokenScope } from './lib/apiTokenScope.js';
+import { claimPlayerSlot, isPlayerSlotId, remapUserIds, resolveBundleUsers } from './lib/campaignBundle.js';
+import { v, validate, validateRequest, createValidationError, VALIDATION_ERROR } from './lib/validation.js';
+import { buildOpenApiDocument } from './lib/openapi.js';
 import { fileURLToPath } from 'url';
 import cors from 'cors';
 
@@ -23,6 +32,17 @@ import Game from './models/Game.js';
 import Demon from './models/Demon.js';
 import Item from './models/Item.js';
 import ServerSetting from './models/ServerSetting.js';
+import GameChange from './models/GameChange.js';
+import GameSnapshot from './models/GameSnapshot.js';
+import ApiToken from './models/ApiToken.js';
+import GameTemplate from './models/GameTemplate.js';
+import RealtimeRequest from './models/RealtimeRequest.js';
+import DiceRoll from './models/DiceRoll.js';
+import ChatMessage from './models/ChatMessage.js';
+import ChatReadState from './models/ChatReadState.js';
+import { createGameAppender } from './lib/gameAppend.js';
+import { createRealtimeBroker } from './lib/realtimeBroker.js';
+import { createRequestStore } from './lib/requestStore.js';
 import { loadDemonEntries } from './lib/demonImport.js';
 import {
     loadItemEntries,
@@ -33,8 +53,56 @@ import {
 } from './lib/itemImport.js';
 import { DEFAULT_WORLD_SKILLS } from '../shared/worldSkills.js';
 import { findCombatSkillById, findCombatSkillByName } from '../shared/combatSkills.js';
+import {
+    MAX_AILMENT_DURATION,
+    ailmentDuration,
+    applyAilment,
+    describeSkillAilments,
+    findAilment,
+    normalizeAilments,
+    removeAilment,
+    rollAilmentChance,
+    tickAilments,
+} from '../shared/ailments.js';
 import { MUSIC_TRACKS, getMusicTrack } from '../shared/music/index.js';
 import { FUSE_ARCANA_KEY_BY_LABEL, FUSE_ARCANA_ORDER } from '../shared/fusionArcana.js';
+import { applyJsonPatch, createInversePatch, createJsonPatch, getJsonPointer } from '../shared/jsonPatch.js';
+import { DiceNotationError, parseDiceNotation, rollDice } from '../shared/dice.js';
+import { MAX_CHAT_MESSAGE_LENGTH, parseChatThread, whisperThread } from '../shared/chat.js';
+import {
+    COMBAT_ENTRY_STATUSES,
+    FIRST_STRIKE_PARTY_BONUS,
+    MAX_COMBAT_ENTRIES,
+    actNowInCombat,
+    advanceCombatTurn,
+    insertCombatEntry,
+    removeCombatEntry,
+    rollInitiative,
+} from '../shared/initiative.js';
+import {
+    COMBAT_POOLS,
+    DEFAULT_HEALTH_BAR_VISIBILITY,
+    HEALTH_BAR_VISIBILITY,
+    POOL_ADJUST_MODES,
+    applyPoolDelta,
+    estimateCombatPools,
+    normalizeCombatPools,
+} from '../shared/combatPools.js';
+import { AFFINITIES, DEFAULT_HIT_TARGET, readAffinity, resolveSkillAttack, skillElement } from '../shared/combatMath.js';
+import {
+    BUFF_STATS,
+    BUFF_STAT_LABELS,
+    MAX_BUFF_DURATION,
+    MAX_BUFF_STAGES,
+    applyBuffChanges,
+    buffDuration,
+    clearBuffs,
+    clearCombatBuffs,
+    describeSkillBuffs,
+    formatBuffStage,
+    normalizeBuffs,
+    tickBuffs,
+} from '../shared/buffs.js';
 import {
     DEMONS_JSON_PATH,
     applyCsvToDemons,
@@ -55,15 +123,35 @@ const storyWatchers = new Map();
 const storyWatcherSkipReasons = new Map();
 const storySubscribers = new Map();
 const gameSubscribers = new Map();
+// gameId -> { epoch, seq, buffer } for replaying game-channel events to reconnecting sockets.
+const gameEventChannels = new Map();
+const shareSubscribers = new Map();
 const gamePresence = new Map();
+// instanceId -> { seenAt, games: Map<gameId, Set<userId>> } reported by other API instances.
+const remotePresence = new Map();
 const userSockets = new Map();
-const pendingPersonaRequests = new Map();
-const pendingTrades = new Map();
+const personaRequestTimers = new Map();
+const tradeTimers = new Map();
 const storyBroadcastQueue = new Map();
 const FUSION_OVERRIDE_RANDOM = 'none';
 const DISCORD_API_BASE = 'https://discord.com/api/v10';
 const SERVER_ADMIN_USERNAMES = new Set(['captainpax', 'amzyoshio']);
 const MASTER_DISCORD_SETTINGS_KEY = 'masterDiscordBot';
+const GAME_VERSION_CONFLICT = 'game_version_conflict';
+const MAX_GAME_HISTORY_ENTRIES = 500;
+const GAME_HISTORY_PAGE_SIZE = 25;
+const API_TOKEN_PREFIX = 'jxe_';
+const MAX_API_TOKENS_PER_USER = 25;
+const MAX_API_TOKEN_NAME_LENGTH = 64;
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+const SESSION_ACTIVITY_INTERVAL_MS = 60 * 1000;
+const SESSION_REVOKED_CLOSE_CODE = 4001;
+const SHARE_REVOKED_CLOSE_CODE = 4002;
+const SHARE_TOKEN_REGEX = /^[A-Za-z0-9_-]{32}$/;
+// Prefixes the map client uses when it encodes rich token tooltips.
+const ENEMY_TOOLTIP_PREFIX = '__enemy__v1:';
+const TOKEN_TOOLTIP_PREFIX = '__token__v1:';
+const gameSnapshots = new WeakMap();
 const DEFAULT_MASTER_BOT_SETTINGS = Object.freeze({
     prefix: '!',
     adminRoles: [],
@@ -93,6 +181,7 @@ const startupLogger = Logger.child('startup');
 const dbLogger = Logger.child('db');
 const discordLogger = Logger.child('discord');
 const shutdownLogger = Logger.child('shutdown');
+const realtimeLogger = Logger.child('realtime');
 
 function updateReadiness() {
     readiness.ready = readiness.db && readiness.discord && readiness.server;
@@ -103,6 +192,16 @@ function delay(ms) {
 }
 const PERSONA_REQUEST_TIMEOUT_MS = 120_000;
 const TRADE_TIMEOUT_MS = 180_000;
+const OWNERSHIP_TRANSFER_TIMEOUT_MS = 48 * 60 * 60 * 1000;
+const GAME_PATCH_MAX_OPERATIONS = 500;
+const GAME_EVENT_REPLAY_LIMIT = 200;
+const DICE_ROLL_LOG_LIMIT = 500;
+const DICE_ROLL_PAGE_SIZE = 50;
+const DICE_ROLL_VISIBILITIES = new Set(['public', 'dm', 'self']);
+const MAX_DICE_LABEL_LENGTH = 80;
+const MAX_DICE_VARIABLES = 12;
+const DICE_VARIABLE_NAME_REGEX = /^[A-Z_][A-Z0-9_]{0,15}$/;
+const CHAT_PAGE_SIZE = 50;
 const YOUTUBE_ID_REGEX = /^[A-Za-z0-9_-]{11}$/;
 const MAX_ALERT_LENGTH = 500;
 const HEX_COLOR_REGEX = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
@@ -132,8 +231,11 @@ const DEFAULT_COMBAT_STATE = Object.freeze({
     turn: 0,
     round: 0,
     order: [],
+    entries: [],
     lastUpdatedAt: null,
 });
+const INITIATIVE_TOKEN_KINDS = new Set(['player', 'demon', 'enemy']);
+const PARTY_TOKEN_KINDS = new Set(['player', 'demon']);
 const MAP_BATTLE_LOG_LIMIT = 200;
 const MAX_BATTLE_LOG_ACTION_LENGTH = 120;
 const MAX_BATTLE_LOG_MESSAGE_LENGTH = 400;
@@ -149,6 +251,15 @@ const musicUpload = multer({
     storage: multer.memoryStorage(),
     limits: { fileSize: MAX_MUSIC_UPLOAD_SIZE },
 });
+const MUSIC_UPLOAD_FILENAME_REGEX = /^upload-[0-9a-f-]{36}\.mp3$/i;
+
+const CAMPAIGN_BUNDLE_FORMAT = 'jack-endex.campaign';
+const CAMPAIGN_BUNDLE_VERSION = 1;
+const MAX_CAMPAIGN_BUNDLE_SIZE = 512 * 1024 * 1024;
+const campaignBundleUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CAMPAIGN_BUNDLE_SIZE },
+});
 
 await loadEnv({ root: PROJECT_ROOT });
 
@@ -161,9 +272,62 @@ if (!MONGODB_URI) {
     process.exit(1);
 }
 
+const REALTIME_BROKER_DRIVER = (envString('REALTIME_BROKER') || 'memory').trim().toLowerCase() === 'mongo' ? 'mongo' : 'memory';
+const PRESENCE_SYNC_INTERVAL_MS = 30_000;
+const realtimeBroker = createRealtimeBroker({
+    driver: REALTIME_BROKER_DRIVER,
+    db: () => mongoose.connection.db,
+    logger: realtimeLogger,
+});
+const tradeStore = createRequestStore(REALTIME_BROKER_DRIVER, { model: RealtimeRequest, kind: 'trade' });
+const personaRequestStore = createRequestStore(REALTIME_BROKER_DRIVER, { model: RealtimeRequest, kind: 'persona' });
+let presenceSyncTimer = null;
+
 const DB_CONNECT_MAX_ATTEMPTS = Math.max(1, envNumber('MONGODB_CONNECT_MAX_ATTEMPTS', 5) || 5);
 const DB_CONNECT_RETRY_DELAY_MS = Math.max(500, envNumber('MONGODB_CONNECT_RETRY_MS', 2000) || 2000);
 
+const GAME_SNAPSHOT_INTERVAL_MINUTES = Math.max(0, envNumber('GAME_SNAPSHOT_INTERVAL_MINUTES', 360) ?? 360);
+const GAME_SNAPSHOT_RETENTION_COUNT = Math.max(1, envNumber('GAME_SNAPSHOT_RETENTION_COUNT', 20) || 20);
+const GAME_SNAPSHOT_RETENTION_DAYS = Math.max(0, envNumber('GAME_SNAPSHOT_RETENTION_DAYS', 30) ?? 30);
+const MAX_SNAPSHOT_DIFF_ENTRIES = 500;
+const snapshotLogger = Logger.child('snapshots');
+const gameSnapshotSchedule = {
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    nextRunAt: null,
+};
+
+const PASSWORD_RESET_TTL_MINUTES = Math.max(5, envNumber('PASSWORD_RESET_TTL_MINUTES', 60 * 24) || 60 * 24);
+const authLogger = Logger.child('auth');
+
+const AUTH_LOGIN_WINDOW_MS = Math.max(1, envNumber('AUTH_LOGIN_WINDOW_MINUTES', 15) || 15) * 60 * 1000;
+const AUTH_LOCKOUT_MS = Math.max(1, envNumber('AUTH_LOCKOUT_MINUTES', 15) || 15) * 60 * 1000;
+// Failed logins per username and per client IP before the key is locked out.
+const loginUserLimiter = new SlidingWindowLimiter({
+    windowMs: AUTH_LOGIN_WINDOW_MS,
+    max: Math.max(1, envNumber('AUTH_LOGIN_MAX_FAILURES_PER_USER', 5) || 5),
+    lockoutMs: AUTH_LOCKOUT_MS,
+});
+const loginIpLimiter = new SlidingWindowLimiter({
+    windowMs: AUTH_LOGIN_WINDOW_MS,
+    max: Math.max(1, envNumber('AUTH_LOGIN_MAX_FAILURES_PER_IP', 20) || 20),
+    lockoutMs: AUTH_LOCKOUT_MS,
+});
+// Registration attempts per client IP.
+const registerIpLimiter = new SlidingWindowLimiter({
+    windowMs: Math.max(1, envNumber('AUTH_REGISTER_WINDOW_MINUTES', 60) || 60) * 60 * 1000,
+    max: Math.max(1, envNumber('AUTH_REGISTER_MAX_PER_IP', 5) || 5),
+    lockoutMs: AUTH_LOCKOUT_MS,
+});
+
+// Chat messages per user; a short cool-down stops accidental floods.
+const chatSendLimiter = new SlidingWindowLimiter({
+    windowMs: 10_000,
+    max: 20,
+    lockoutMs: 15_000,
+});
+
 const SESSION_SECRET = envString('SESSION_SECRET', 'dev-secret');
 const RAW_CORS_ORIGINS = envString('CORS_ORIGINS', 'https://jack-endex.darkmatterservers.com');
 const ALLOWED_ORIGINS = RAW_CORS_ORIGINS
@@ -805,11 +969,81 @@ function normalizeCombatOrder(order) {
     return out;
 }
 
+function readCombatNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? Math.max(-999, Math.min(999, Math.round(num))) : null;
+}
+
+/**
+ * Combat entries tie the turn order to map tokens. Older games only stored
+ * `order` as a list of labels; those become hand-placed entries.
+ */
+function normalizeCombatEntry(entry, index) {
+    const source = typeof entry === 'string' ? { label: entry } : entry;
+    if (!source || typeof source !== 'object') return null;
+    const label = sanitizeText(source.label).trim().slice(0, 120);
+    if (!label) return null;
+    const id = typeof source.id === 'string' && source.id.trim() ? source.id.trim().slice(0, 64) : `entry-${index + 1}`;
+    const tieBreaks = Array.isArray(source.tieBreaks)
+        ? source.tieBreaks.map((value) => readCombatNumber(value)).filter((value) => value !== null).slice(0, 20)
+        : [];
+    return {
+        id,
+        tokenId: typeof source.tokenId === 'string' && source.tokenId ? source.tokenId : null,
+        label,
+        initiative: readCombatNumber(source.initiative),
+        roll: readCombatNumber(source.roll),
+        dexMod: readCombatNumber(source.dexMod) ?? 0,
+        bonus: readCombatNumber(source.bonus) ?? 0,
+        tieBreaks,
+        firstStrike: !!source.firstStrike,
+        status: COMBAT_ENTRY_STATUSES.includes(source.status) ? source.status : 'ready',
+    };
+}
+
+function normalizeCombatEntries(list) {
+    if (!Array.isArray(list)) return [];
+    const ids = new Set();
+    const tokenIds = new Set();
+    const out = [];
+    list.forEach((raw, index) => {
+        if (out.length >= MAX_COMBAT_ENTRIES) return;
+        const entry = normalizeCombatEntry(raw, index);
+        if (!entry || ids.has(entry.id)) return;
+        if (entry.tokenId && tokenIds.has(entry.tokenId)) return;
+        ids.add(entry.id);
+        if (entry.tokenId) tokenIds.add(entry.tokenId);
+        out.push(entry);
+    });
+    return out;
+}
+
+function createCombatEntry(fields) {
+    return normalizeCombatEntry({ ...fields, id: uuid() }, 0);
+}
+
+/**
+ * Rebuild the entries from a list of labels (the DM's typed turn order),
+ * keeping the token link and roll of every label that is still there.
+ */
+function applyCombatOrderLabels(entries, labels) {
+    const pool = [...entries];
+    return labels.map((label) => {
+        const index = pool.findIndex((entry) => entry.label.toLowerCase() === label.toLowerCase());
+        if (index === -1) return createCombatEntry({ label });
+        return pool.splice(index, 1)[0];
+    });
+}
+
 function normalizeCombatState(entry) {
     if (!entry || typeof entry !== 'object') {
         return { ...DEFAULT_COMBAT_STATE };
     }
-    const order = normalizeCombatOrder(entry.order);
+    const entries = Array.isArray(entry.entries)
+        ? normalizeCombatEntries(entry.entries)
+        : normalizeCombatEntries(normalizeCombatOrder(entry.order));
+    const order = entries.map((item) => item.label);
     const active = toBoolean(entry.active, false);
     const turnRaw = Number(entry.turn);
     const roundRaw = Number(entry.round);
@@ -822,6 +1056,7 @@ function normalizeCombatState(entry) {
             turn: 0,
             round: 0,
             order,
+            entries,
             lastUpdatedAt: null,
         };
     }
@@ -830,6 +1065,7 @@ function normalizeCombatState(entry) {
         turn: Math.max(1, baseTurn),
         round: Math.max(1, baseRound || 1),
         order,
+        entries,
         lastUpdatedAt,
     };
 }
@@ -841,10 +1077,114 @@ function presentCombatState(state) {
         turn: normalized.turn,
         round: normalized.round,
         order: normalized.order,
+        entries: normalized.entries.map((entry) => ({ ...entry, tieBreaks: [...entry.tieBreaks] })),
         lastUpdatedAt: normalized.lastUpdatedAt,
     };
 }
 
+/**
+ * Apply one of the shared turn-order helpers to the map's combat state.
+ */
+function updateCombatState(map, update, now = new Date().toISOString()) {
+    const current = normalizeCombatState(map.combat);
+    const next = update({ active: current.active, turn: current.turn, round: current.round, entries: current.entries });
+    map.combat = normalizeCombatState({ ...next, lastUpdatedAt: now });
+    return map.combat;
+}
+
+/** The codex demon an enemy token was built from in the enemy workshop. */
+async function findEnemyCodexDemon(token) {
+    if (typeof token?.tooltip !== 'string' || !token.tooltip.startsWith(ENEMY_TOOLTIP_PREFIX)) return null;
+    const info = decodeTooltipPayload(token.tooltip, ENEMY_TOOLTIP_PREFIX);
+    const slug = typeof info?.demonId === 'string' ? info.demonId.trim().toLowerCase() : '';
+    return slug ? Demon.findOne({ slug }).lean() : null;
+}
+
+/**
+ * A token's ability modifiers. Players use their sheet, companion demons
+ * their stats and enemies the codex demon picked in the enemy workshop.
+ * Anything else (NPCs, markers, enemies without a codex demon) is all zeros.
+ */
+async function readTokenAbilityMods(game, token) {
+    let stats = null;
+    if (token?.kind === 'player') {
+        stats = findPlayer(game, token.refId)?.character?.stats;
+    } else if (token?.kind === 'demon') {
+        stats = Array.isArray(game.demons) ? game.demons.find((d) => d && d.id === token.refId)?.stats : null;
+    } else {
+        const codex = await findEnemyCodexDemon(token);
+        if (codex) {
+            const derived = deriveAbilityMods(convertLegacyStats(codex.stats));
+            return Object.fromEntries(
+                ABILITY_LIST.map((key) => [key, Number.isFinite(Number(codex.mods?.[key])) ? Number(codex.mods[key]) : derived[key]]),
+            );
+        }
+    }
+    return deriveAbilityMods(convertLegacyStats(stats));
+}
+
+/**
+ * A token's elemental affinities (`{ weak: [...], resist: [...], ... }`): a
+ * demon's sheet, or the codex demon behind an enemy. Players have none.
+ */
+async function readTokenResistances(game, token) {
+    if (token?.kind === 'demon') {
+        return (Array.isArray(game.demons) ? game.demons.find((d) => d && d.id === token.refId)?.resistances : null) || {};
+    }
+    if (token?.kind === 'enemy') {
+        return (await findEnemyCodexDemon(token))?.resistances || {};
+    }
+    return {};
+}
+
+/**
+ * What initiative needs to know about a token: its DEX modifier and any flat
+ * bonus (players add `resources.initiative`). Tokens that don't fight (NPCs,
+ * markers) return null.
+ */
+async function describeTokenCombatant(game, token) {
+    if (!token || !INITIATIVE_TOKEN_KINDS.has(token.kind)) return null;
+    const dexMod = (await readTokenAbilityMods(game, token)).DEX;
+    const bonus = token.kind === 'player' ? Number(findPlayer(game, token.refId)?.character?.resources?.initiative) || 0 : 0;
+    return { tokenId: token.id, label: token.label || 'Combatant', kind: token.kind, dexMod, bonus };
+}
+
+function toCombatEntry(rolled) {
+    return createCombatEntry({
+        tokenId: rolled.tokenId,
+        label: rolled.label,
+        initiative: rolled.initiative,
+        roll: rolled.roll,
+        dexMod: rolled.dexMod,
+        bonus: rolled.bonus,
+        tieBreaks: rolled.tieBreaks,
+        firstStrike: rolled.firstStrike,
+    });
+}
+
+function readInitiativeBonuses(raw) {
+    const bonuses = new Map();
+    if (!raw || typeof raw !== 'object') return bonuses;
+    for (const [tokenId, value] of Object.entries(raw).slice(0, MAX_COMBAT_ENTRIES * 2)) {
+        const num = readCombatNumber(value);
+        if (num !== null) bonuses.set(tokenId, Math.max(-99, Math.min(99, num)));
+    }
+    return bonuses;
+}
+
+/**
+ * Drop combat entries whose token is gone from the map.
+ */
+function pruneCombatEntries(map) {
+    const tokenIds = new Set((map.tokens || []).map((token) => token?.id).filter(Boolean));
+    const stale = normalizeCombatState(map.combat).entries.filter(
+        (entry) => entry.tokenId && !tokenIds.has(entry.tokenId),
+    );
+    if (stale.length === 0) return false;
+    updateCombatState(map, (state) => stale.reduce((next, entry) => removeCombatEntry(next, entry.id), state));
+    return true;
+}
+
 function findMapShape(map, shapeId) {
     if (!map || !Array.isArray(map.shapes)) return null;
     return map.shapes.find((shape) => shape && shape.id === shapeId) || null;
@@ -1270,6 +1610,17 @@ function buildPlayerTooltip(player) {
     return lines.join(' · ');
 }
 
+/**
+ * A companion demon's HP/MP/TP. Demons created before pools existed get full
+ * pools estimated from their level and stats.
+ */
+function readDemonPools(demon) {
+    return (
+        normalizeCombatPools(demon?.resources) ||
+        estimateCombatPools({ level: demon?.level, mods: deriveAbilityMods(convertLegacyStats(demon?.stats)) })
+    );
+}
+
 function buildDemonTooltip(demon) {
     if (!demon || typeof demon !== 'object') return '';
     const lines = [];
@@ -1294,6 +1645,9 @@ function normalizeMapToken(entry, game) {
     let showTooltip = entry.showTooltip === undefined ? true : !!entry.showTooltip;
     let color = sanitizeColor(entry.color, DEFAULT_CUSTOM_TOKEN_COLOR);
     let ownerId = typeof entry.ownerId === 'string' ? entry.ownerId : null;
+    let resources = normalizeCombatPools(entry.resources);
+    const ailments = normalizeAilments(entry.ailments);
+    const buffs = normalizeBuffs(entry.buffs);
 
     if (kind === 'player') {
         const player = findPlayer(game, refId);
@@ -1305,6 +1659,7 @@ function normalizeMapToken(entry, game) {
         }
         if (!tooltip) tooltip = buildPlayerTooltip(player);
         color = sanitizeColor(entry.color, DEFAULT_PLAYER_TOKEN_COLOR);
+        resources = normalizeCombatPools(player.character?.resources);
     } else if (kind === 'demon') {
         const demon = Array.isArray(game.demons) ? game.demons.find((d) => d && d.id === refId) : null;
         if (!demon) return null;
@@ -1312,6 +1667,7 @@ function normalizeMapToken(entry, game) {
         if (!label) label = demon.name || 'Demon';
         if (!tooltip) tooltip = buildDemonTooltip(demon);
         color = sanitizeColor(entry.color, DEFAULT_DEMON_TOKEN_COLOR);
+        resources = readDemonPools(demon);
     } else if (kind === 'enemy') {
         if (!label) label = 'Enemy';
         if (entry.showTooltip === undefined) showTooltip = !!tooltip;
@@ -1328,7 +1684,7 @@ function normalizeMapToken(entry, game) {
     const x = clamp01(entry.x);
     const y = clamp01(entry.y);
 
-    return { id, kind, refId, label, tooltip, showTooltip, color, x, y, createdAt, updatedAt, ownerId };
+    return { id, kind, refId, label, tooltip, showTooltip, color, x, y, createdAt, updatedAt, ownerId, resources, ailments, buffs };
 }
 
 function presentMapStroke(stroke) {
@@ -1351,8 +1707,15 @@ function presentMapStroke(stroke) {
     };
 }
 
-function presentMapToken(token) {
+/**
+ * @param {{ includePools?: boolean }} [options] `includePools: false` hides the
+ *   token's HP/MP/TP from viewers the health bar setting leaves out.
+ */
+function presentMapToken(token, { includePools = true } = {}) {
     if (!token || typeof token !== 'object') return null;
+    const resources = includePools ? normalizeCombatPools(token.resources) : null;
+    const ailments = normalizeAilments(token.ailments);
+    const buffs = normalizeBuffs(token.buffs);
     const fallbackColor =
         token.kind === 'player'
             ? DEFAULT_PLAYER_TOKEN_COLOR
@@ -1374,18 +1737,31 @@ function presentMapToken(token) {
         x: clamp01(token.x),
         y: clamp01(token.y),
         ownerId: typeof token.ownerId === 'string' ? token.ownerId : null,
+        ...(resources ? { resources } : {}),
+        ...(ailments.length > 0 ? { ailments } : {}),
+        ...(Object.keys(buffs).length > 0 ? { buffs } : {}),
         updatedAt: typeof token.updatedAt === 'string' ? token.updatedAt : null,
         createdAt: typeof token.createdAt === 'string' ? token.createdAt : null,
     };
 }
 
+function readHealthBarVisibility(value) {
+    return HEALTH_BAR_VISIBILITY.includes(value) ? value : DEFAULT_HEALTH_BAR_VISIBILITY;
+}
+
+function canSeeTokenPools(map, token) {
+    const visibility = readHealthBarVisibility(map?.settings?.healthBars);
+    if (visibility === 'all') return true;
+    return visibility === 'party' && PARTY_TOKEN_KINDS.has(token?.kind);
+}
+
 function ensureMapState(game) {
     if (!game || typeof game !== 'object') {
         return {
             strokes: [],
             tokens: [],
             shapes: [],
-            settings: { allowPlayerDrawing: true, allowPlayerTokenMoves: true },
+            settings: { allowPlayerDrawing: true, allowPlayerTokenMoves: true, healthBars: DEFAULT_HEALTH_BAR_VISIBILITY },
             paused: false,
             background: defaultMapBackground(),
             updatedAt: new Date().toISOString(),
@@ -1438,6 +1814,7 @@ function ensureMapState(game) {
         settings: {
             allowPlayerDrawing: toBoolean(settingsRaw.allowPlayerDrawing, true),
             allowPlayerTokenMoves: toBoolean(settingsRaw.allowPlayerTokenMoves, true),
+            healthBars: readHealthBarVisibility(settingsRaw.healthBars),
         },
         paused: toBoolean(raw.paused, false),
         background: presentMapBackground(raw.background),
@@ -1453,13 +1830,18 @@ function ensureMapState(game) {
     return mapState;
 }
 
-function presentMapState(map, { includeBattleLog = false } = {}) {
+/**
+ * @param {{ includeBattleLog?: boolean, includeAllPools?: boolean }} [options]
+ *   `includeAllPools` shows every token's HP/MP/TP regardless of the health bar
+ *   setting; it defaults to `includeBattleLog`, which only the table gets.
+ */
+function presentMapState(map, { includeBattleLog = false, includeAllPools = includeBattleLog } = {}) {
     if (!map || typeof map !== 'object') {
         return {
             strokes: [],
             tokens: [],
             shapes: [],
-            settings: { allowPlayerDrawing: true, allowPlayerTokenMoves: true },
+            settings: { allowPlayerDrawing: true, allowPlayerTokenMoves: true, healthBars: DEFAULT_HEALTH_BAR_VISIBILITY },
             paused: false,
             background: defaultMapBackground(),
             updatedAt: null,
@@ -1469,7 +1851,9 @@ function presentMapState(map, { includeBattleLog = false } = {}) {
         ? map.strokes.map((stroke) => presentMapStroke(stroke)).filter(Boolean)
         : [];
     const tokens = Array.isArray(map.tokens)
-        ? map.tokens.map((token) => presentMapToken(token)).filter(Boolean)
+        ? map.tokens
+              .map((token) => presentMapToken(token, { includePools: includeAllPools || canSeeTokenPools(map, token) }))
+              .filter(Boolean)
         : [];
     const shapes = Array.isArray(map.shapes)
         ? map.shapes.map((shape) => presentMapShape(shape)).filter(Boolean)
@@ -1486,6 +1870,7 @@ function presentMapState(map, { includeBattleLog = false } = {}) {
         settings: {
             allowPlayerDrawing: toBoolean(map.settings?.allowPlayerDrawing, true),
             allowPlayerTokenMoves: toBoolean(map.settings?.allowPlayerTokenMoves, true),
+            healthBars: readHealthBarVisibility(map.settings?.healthBars),
         },
         paused: toBoolean(map.paused, false),
         background: presentMapBackground(map.background),
@@ -1506,10 +1891,10 @@ function canDrawOnMap(game, userId) {
     if (!activeDrawerId || activeDrawerId !== userId) {
         return false;
     }
-    if (isDM(game, userId)) {
+    if (canRunTable(game, userId)) {
         return true;
     }
-    if (!isMember(game, userId)) return false;
+    if (!isMember(game, userId) || isSpectator(game, userId)) return false;
     if (map.paused) return false;
     if (!map.settings?.allowPlayerDrawing) return false;
     return true;
@@ -1517,8 +1902,8 @@ function canDrawOnMap(game, userId) {
 
 function canMoveMapToken(game, userId, token) {
     if (!userId || !token) return false;
-    if (isDM(game, userId)) return true;
-    if (!isMember(game, userId)) return false;
+    if (canRunTable(game, userId)) return true;
+    if (!isMember(game, userId) || isSpectator(game, userId)) return false;
     const map = ensureMapState(game);
     if (map.paused) return false;
     if (!map.settings?.allowPlayerTokenMoves) return false;
@@ -1664,6 +2049,7 @@ function ensureGameShape(game) {
         };
     }
     if (!Array.isArray(game.invites)) game.invites = [];
+    game.version = Number.isInteger(game.version) && game.version > 0 ? game.version : 0;
     game.story = ensureStoryConfig(game);
     game.worldSkills = ensureWorldSkills(game);
     game.combatSkills = ensureCombatSkills(game);
@@ -1675,7 +2061,12 @@ function ensureGameShape(game) {
     return game;
 }
 
-function presentGame(game, { includeSecrets = false } = {}) {
+/**
+ * @param {{ includeSecrets?: boolean, includeMapSecrets?: boolean }} [options]
+ *   `includeSecrets` adds DM-only story settings; `includeMapSecrets` adds the
+ *   battle log and map library, which co-DMs also see.
+ */
+function presentGame(game, { includeSecrets = false, includeMapSecrets = includeSecrets } = {}) {
     const normalized = ensureGameShape(game);
     if (!normalized) return null;
     const story = ensureStoryConfig(normalized);
@@ -1692,6 +2083,7 @@ function presentGame(game, { includeSecrets = false } = {}) {
     return {
         id: normalized.id,
         name: normalized.name,
+        version: normalized.version,
         dmId: normalized.dmId,
         players,
         items: normalized.items,
@@ -1701,17 +2093,139 @@ function presentGame(game, { includeSecrets = false } = {}) {
         fuseSeed: normalized.fuseSeed,
         permissions: normalized.permissions,
         fusionChart: presentFusionChart(fusionChart),
-        invites: normalized.invites,
         story: presentStoryConfig(story, { includeSecrets }),
         worldSkills,
         combatSkills,
         media: presentMediaState(normalized.media),
         music: presentMusicState(normalized),
-        map: presentMapState(normalized.map, { includeBattleLog: includeSecrets }),
-        ...(includeSecrets ? { mapLibrary: presentMapLibrary(normalized.mapLibrary) } : {}),
+        map: presentMapState(normalized.map, { includeBattleLog: includeMapSecrets }),
+        ...(includeMapSecrets ? { mapLibrary: presentMapLibrary(normalized.mapLibrary) } : {}),
+        ownershipTransfer: presentOwnershipTransfer(getPendingOwnershipTransfer(normalized)),
+        ...(includeSecrets ? { invites: presentInviteList(normalized) } : {}),
+        ...(includeSecrets ? { share: presentShareLink(normalized.share) } : {}),
+    };
+}
+
+function parseShareToken(value) {
+    return typeof value === 'string' && SHARE_TOKEN_REGEX.test(value) ? value : null;
+}
+
+function presentShareLink(share) {
+    if (!share || typeof share !== 'object' || !parseShareToken(share.token)) return null;
+    return {
+        token: share.token,
+        url: `/share/${share.token}`,
+        createdBy: typeof share.createdBy === 'string' ? share.createdBy : null,
+        createdAt: typeof share.createdAt === 'string' ? share.createdAt : null,
+    };
+}
+
+function buildSharedMusicStreamUrl(token, trackId) {
+    return `/api/share/${encodeURIComponent(token)}/music/track/${encodeURIComponent(trackId)}`;
+}
+
+function decodeTooltipPayload(raw, prefix) {
+    try {
+        const payload = JSON.parse(raw.slice(prefix.length));
+        return payload && typeof payload === 'object' ? payload : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Tooltip text a public viewer may see. Enemy and rich token tooltips carry
+ * per-field visibility flags set by the DM; only the visible fields survive.
+ */
+function presentPublicTooltip(token) {
+    if (!token?.showTooltip) return '';
+    const raw = typeof token.tooltip === 'string' ? token.tooltip.trim() : '';
+    if (raw.startsWith(ENEMY_TOOLTIP_PREFIX)) {
+        const info = decodeTooltipPayload(raw, ENEMY_TOOLTIP_PREFIX);
+        if (!info) return '';
+        const stats = Array.isArray(info.stats)
+            ? info.stats
+            : typeof info.stats === 'string'
+                ? info.stats.split(/\r?\n/)
+                : [];
+        const parts = [];
+        if (info.showName !== false && info.name) parts.push(String(info.name));
+        if (info.showStats) parts.push(...stats.map(String));
+        if (info.showNotes && info.notes) parts.push(String(info.notes));
+        return sanitizeText(parts.join('\n')).trim();
+    }
+    if (raw.startsWith(TOKEN_TOOLTIP_PREFIX)) {
+        const meta = decodeTooltipPayload(raw, TOKEN_TOOLTIP_PREFIX);
+        if (!meta || meta.showTooltip === false) return '';
+        const text = typeof meta.text === 'string' && meta.text.trim()
+            ? meta.text
+            : Array.isArray(meta.lines)
+                ? meta.lines.join('\n')
+                : '';
+        return sanitizeText(text).trim();
+    }
+    return raw;
+}
+
+function presentSharedMapToken(token) {
+    return {
+        id: token.id,
+        kind: token.kind,
+        refId: token.kind === 'player' ? token.refId : null,
+        label: token.label,
+        tooltip: presentPublicTooltip(token),
+        color: token.color,
+        x: token.x,
+        y: token.y,
+    };
+}
+
+/**
+ * Read-only projection served to public share links: the battle map without
+ * the battle log or hidden token details, the combat timeline, party HP and
+ * the music state. Never includes story settings, inventories or the map
+ * library.
+ */
+function presentSharedGame(game, token) {
+    const normalized = ensureGameShape(game);
+    if (!normalized) return null;
+    const map = presentMapState(normalized.map);
+    const music = presentMusicState(normalized);
+    const party = normalized.players.filter(isPartyPlayer).map((player) => {
+        const resources = player.character?.resources || {};
+        const hp = Number(resources.hp);
+        const maxHP = Number(resources.maxHP);
+        return {
+            userId: player.userId,
+            name: describePlayerLabel(player, { username: player.username }),
+            hp: Number.isFinite(hp) ? hp : 0,
+            maxHP: Number.isFinite(maxHP) ? maxHP : 0,
+        };
+    });
+    return {
+        id: normalized.id,
+        name: normalized.name,
+        party,
+        map: {
+            strokes: map.strokes.map(({ id, size, color, points, mode }) => ({ id, size, color, points, mode })),
+            tokens: map.tokens.map(presentSharedMapToken),
+            shapes: map.shapes,
+            background: map.background,
+            paused: map.paused,
+            combat: map.combat,
+            updatedAt: map.updatedAt,
+        },
+        music: { ...music, src: music.trackId ? buildSharedMusicStreamUrl(token, music.trackId) : '' },
+        media: presentMediaState(normalized.media),
     };
 }
 
+async function loadGameByShareToken(token) {
+    if (!token) return null;
+    const doc = await Game.findOne({ 'share.token': token }).lean();
+    return doc ? ensureGameShape(stripMongoMetadata(doc)) : null;
+}
+
 function presentLibraryItem(doc) {
     const raw = stripMongoMetadata(doc);
     if (!raw) return null;
@@ -2034,7 +2548,7 @@ function resolveCombatSkillOwnerId(game, actorId, requestedId) {
     if (requested && requested !== actorId) {
         return null;
     }
-    if (actorId === game.dmId || findPlayer(game, actorId)) {
+    if (actorId === game.dmId || isPartyPlayer(findPlayer(game, actorId))) {
         return actorId;
     }
     return null;
@@ -2103,10 +2617,21 @@ function ensureGearState(player) {
     return { bag, slots: normalizedSlots };
 }
 
+const ROLE_DM = 'dm';
+const ROLE_CO_DM = 'co-dm';
+const ROLE_PLAYER = 'player';
+const ROLE_SPECTATOR = 'spectator';
+const ASSIGNABLE_PLAYER_ROLES = [ROLE_PLAYER, ROLE_CO_DM, ROLE_SPECTATOR];
+
+function normalizePlayerRole(role) {
+    const value = typeof role === 'string' ? role.trim().toLowerCase() : '';
+    return value === ROLE_DM || ASSIGNABLE_PLAYER_ROLES.includes(value) ? value : ROLE_PLAYER;
+}
+
 function ensurePlayerShape(player) {
     if (!player || typeof player !== 'object') return null;
     const out = { ...player };
-    out.role = typeof out.role === 'string' ? out.role : 'player';
+    out.role = normalizePlayerRole(out.role);
     if (out.character === undefined) out.character = null;
     if (Array.isArray(out.inventory)) {
         out.inventory = out.inventory.map((item) => ensureInventoryItem(item)).filter(Boolean);
@@ -2117,7 +2642,7 @@ function ensurePlayerShape(player) {
     return out;
 }
 
-function createPlayerEntry(user, role = 'player') {
+function createPlayerEntry(user, role = ROLE_PLAYER) {
     if (!user || typeof user !== 'object') return null;
     const entry = {
         userId: user.id,
@@ -2172,43 +2697,276 @@ function assignGameDungeonMaster(game, userOrId, { users = [] } = {}) {
     game.players = updatedPlayers;
 }
 
-function getGame(db, id) {
+/**
+ * Load a single game document by id and normalize its shape.
+ * The returned object carries the stored `version` used by persistGame.
+ * @param {string} id
+ */
+async function loadGame(id) {
     const gameId = parseUUID(id);
     if (!gameId) return null;
-    const game = (db.games || []).find((g) => g && g.id === gameId);
-    return ensureGameShape(game);
+    const doc = await Game.findOne({ id: gameId }).lean();
+    if (!doc) return null;
+    return trackGameSnapshot(ensureGameShape(stripMongoMetadata(doc)));
+}
+
+/**
+ * Load every game a user belongs to (as DM or player).
+ * @param {string} userId
+ */
+async function loadGamesForUser(userId) {
+    if (!userId) return [];
+    const docs = await Game.find({ $or: [{ dmId: userId }, { 'players.userId': userId }] }).lean();
+    return docs.map((doc) => trackGameSnapshot(ensureGameShape(stripMongoMetadata(doc)))).filter(Boolean);
+}
+
+async function loadAllGames() {
+    const docs = await Game.find().lean();
+    return docs.map((doc) => trackGameSnapshot(ensureGameShape(stripMongoMetadata(doc)))).filter(Boolean);
+}
+
+/**
+ * Plain JSON copy of a game as it is stored, minus bookkeeping fields, used
+ * to diff the state a request loaded against the state it persists.
+ */
+function snapshotGame(game) {
+    const { version: _version, ...rest } = stripMongoMetadata(game);
+    return JSON.parse(JSON.stringify(rest));
+}
+
+function trackGameSnapshot(game) {
+    if (game && typeof game === 'object') {
+        gameSnapshots.set(game, snapshotGame(game));
+    }
+    return game;
+}
+
+// Story secrets stay out of change history: after an ownership transfer the
+// new DM could otherwise read them from old changes or restore them with a revert.
+const HISTORY_SECRET_FIELDS = ['botToken', 'webhookUrl'];
+
+function redactStorySecrets(story) {
+    if (!story || typeof story !== 'object' || Array.isArray(story)) return story;
+    const copy = { ...story };
+    for (const key of HISTORY_SECRET_FIELDS) delete copy[key];
+    return copy;
+}
+
+function redactHistorySnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object' || !snapshot.story) return snapshot;
+    return { ...snapshot, story: redactStorySecrets(snapshot.story) };
 }
 
-function saveGame(db, updated) {
-    const idx = (db.games || []).findIndex((g) => g && g.id === updated.id);
-    if (idx === -1) return;
-    db.games[idx] = updated;
+async function recordGameChange(game, rawBefore, rawAfter, { reason, actorId, revertOf } = {}) {
+    const before = redactHistorySnapshot(rawBefore);
+    const after = redactHistorySnapshot(rawAfter);
+    const patch = createJsonPatch(before, after);
+    if (patch.length === 0) return null;
+    const entry = {
+        id: uuid(),
+        gameId: game.id,
+        version: game.version,
+        reason: typeof reason === 'string' && reason ? reason : null,
+        actorId: actorId || null,
+        patch,
+        inverse: createInversePatch(before, after, patch),
+        revertOf: revertOf || null,
+    };
+    try {
+        await GameChange.create(entry);
+        if (game.version > MAX_GAME_HISTORY_ENTRIES) {
+            await GameChange.deleteMany({
+                gameId: game.id,
+                version: { $lte: game.version - MAX_GAME_HISTORY_ENTRIES },
+            });
+        }
+    } catch (err) {
+        dbLogger.warn(`Failed to record history for game ${game.id}`, err);
+        return null;
+    }
+    return entry;
+}
+
+function createGameConflictError(gameId) {
+    const err = new Error(`Game ${gameId} was modified by another request`);
+    err.code = GAME_VERSION_CONFLICT;
+    err.status = 409;
+    return err;
+}
+
+function versionFilter(gameId, version) {
+    // Documents written before versioning was introduced have no version field.
+    if (version > 0) return { id: gameId, version };
+    return { id: gameId, $or: [{ version: 0 }, { version: { $exists: false } }] };
+}
+
+async function insertGame(game) {
+    const doc = { ...stripMongoMetadata(game), version: 1 };
+    await Game.create(doc);
+    game.version = doc.version;
+    return trackGameSnapshot(game);
 }
 
-async function persistGame(db, game, { reason, actorId, broadcast = true } = {}) {
-    if (!db || !game) return;
-    saveGame(db, game);
-    await writeDB(db);
-    if (broadcast && game.id) {
-        broadcastGameUpdate(game.id, { reason, actorId });
+/**
+ * Write a single game back to MongoDB, guarded by its version.
+ * Throws a 409 conflict error when another request saved the game first.
+ * The difference from the loaded state is recorded in the game's history.
+ */
+async function persistGame(game, { reason, actorId, broadcast = true, revertOf = null } = {}) {
+    if (!game || !game.id) return;
+    const expected = Number.isInteger(game.version) && game.version > 0 ? game.version : 0;
+    const next = { ...stripMongoMetadata(game), version: expected + 1 };
+    const result = await Game.replaceOne(versionFilter(game.id, expected), next);
+    if (!result || result.matchedCount === 0) {
+        throw createGameConflictError(game.id);
+    }
+    game.version = next.version;
+    const before = gameSnapshots.get(game);
+    const after = snapshotGame(game);
+    gameSnapshots.set(game, after);
+    if (before) {
+        await recordGameChange(game, before, after, { reason, actorId, revertOf });
+    }
+    // Deltas go out for every save so clients can spot version gaps;
+    // `broadcast` now only controls the public share-link push.
+    broadcastGameDelta(game, before, { reason, actorId });
+    if (broadcast) {
+        broadcastSharedGame(game);
     }
 }
 
+// Strokes and battle log entries are appended with `$push` so they never
+// conflict with other saves. Not recorded in the change history.
+const appendToGame = createGameAppender({
+    model: Game,
+    loadGame,
+    snapshots: gameSnapshots,
+    snapshot: snapshotGame,
+    publish(game, before, { reason, actorId, broadcast }) {
+        broadcastGameDelta(game, before, { reason, actorId });
+        if (broadcast) {
+            broadcastSharedGame(game);
+        }
+    },
+});
+
+async function deleteGameDocument(gameId) {
+    const result = await Game.deleteOne({ id: gameId });
+    await GameChange.deleteMany({ gameId });
+    await DiceRoll.deleteMany({ gameId });
+    await ChatMessage.deleteMany({ gameId });
+    await ChatReadState.deleteMany({ gameId });
+    return (result?.deletedCount || 0) > 0;
+}
+
 function isDM(game, userId) {
     return game.dmId === userId;
 }
 
+function getMemberIds(game) {
+    return Array.from(new Set([game.dmId, ...(game.players || []).map((player) => player?.userId)].filter(Boolean)));
+}
+
+/** The DM and co-DMs. */
+function getTableUserIds(game) {
+    return getMemberIds(game).filter((userId) => canRunTable(game, userId));
+}
+
 function isMember(game, userId) {
     if (!userId) return false;
     if (isDM(game, userId)) return true;
     return Array.isArray(game.players) && game.players.some((p) => p && p.userId === userId);
 }
 
+/**
+ * The caller's role in a game: the owning DM, or the role stored on their
+ * player entry. Returns null for non-members.
+ */
+function getMemberRole(game, userId) {
+    if (!userId) return null;
+    if (isDM(game, userId)) return ROLE_DM;
+    const player = findPlayer(game, userId);
+    return player ? normalizePlayerRole(player.role) : null;
+}
+
+/**
+ * Co-DMs share the DM's table controls (combat, map and tokens, handing out
+ * items) but not campaign ownership: deleting the game, story secrets,
+ * invites and roles stay with the DM.
+ */
+function canRunTable(game, userId) {
+    const role = getMemberRole(game, userId);
+    return role === ROLE_DM || role === ROLE_CO_DM;
+}
+
+function isSpectator(game, userId) {
+    return getMemberRole(game, userId) === ROLE_SPECTATOR;
+}
+
+/** Only players have characters, inventories and gear. */
+function isPartyPlayer(player) {
+    return !!player && normalizePlayerRole(player.role) === ROLE_PLAYER;
+}
+
+/** Player-granted edit permissions apply to players, never to spectators. */
+function hasPlayerPermission(game, userId, permission) {
+    return getMemberRole(game, userId) === ROLE_PLAYER && !!game.permissions?.[permission];
+}
+
 function ensureInviteList(game) {
     if (!Array.isArray(game.invites)) game.invites = [];
     return game.invites;
 }
 
+const INVITE_STATUS_MESSAGES = {
+    revoked: 'This invite code was revoked by the DM.',
+    expired: 'This invite code has expired.',
+    exhausted: 'This invite code has already been used the maximum number of times.',
+};
+
+/**
+ * Why an invite can no longer be used: `revoked`, `expired` or `exhausted`.
+ * Invites created before expiry and usage caps existed stay `active`.
+ */
+function getInviteStatus(invite, now = Date.now()) {
+    if (invite.revokedAt) return 'revoked';
+    const expiresAt = invite.expiresAt ? Date.parse(invite.expiresAt) : NaN;
+    if (Number.isFinite(expiresAt) && expiresAt <= now) return 'expired';
+    if (Number.isInteger(invite.maxUses) && invite.maxUses > 0 && (invite.uses || 0) >= invite.maxUses) {
+        return 'exhausted';
+    }
+    return 'active';
+}
+
+/** Role a joiner receives from an invite; never the DM. */
+function getInviteRole(invite) {
+    const role = normalizePlayerRole(invite?.role);
+    return ASSIGNABLE_PLAYER_ROLES.includes(role) ? role : ROLE_PLAYER;
+}
+
+function presentInvite(invite) {
+    return {
+        code: invite.code,
+        joinUrl: `/join/${invite.code}`,
+        role: getInviteRole(invite),
+        createdBy: invite.createdBy || null,
+        createdAt: invite.createdAt || null,
+        expiresAt: invite.expiresAt || null,
+        maxUses: Number.isInteger(invite.maxUses) && invite.maxUses > 0 ? invite.maxUses : null,
+        uses: invite.uses || 0,
+        lastUsedAt: invite.lastUsedAt || null,
+        revokedAt: invite.revokedAt || null,
+        playerSlot: isPlayerSlotId(invite.playerSlot) ? invite.playerSlot : null,
+        status: getInviteStatus(invite),
+    };
+}
+
+function presentInviteList(game) {
+    return ensureInviteList(game)
+        .filter((invite) => invite && typeof invite.code === 'string')
+        .map(presentInvite);
+}
+
 function ensureCustomList(obj) {
     if (!obj || typeof obj !== 'object') return [];
     if (!Array.isArray(obj.custom)) obj.custom = [];
@@ -2228,11 +2986,28 @@ function ensureInventoryList(player) {
 /**
  * Locate a user record by id.
  *
- * @param {{ users: Array<{ id: string, username: string }> }} db
+ * @param {Array<{ id: string, username: string }>} users
  * @param {string} userId
  */
-function findUser(db, userId) {
-    return (db.users || []).find((u) => u && u.id === userId) || null;
+function findUser(users, userId) {
+    return (users || []).find((u) => u && u.id === userId) || null;
+}
+
+/**
+ * Fetch the user records referenced by a game (DM and players).
+ *
+ * @param {ReturnType<typeof ensureGameShape>} game
+ */
+async function loadGameUsers(game) {
+    if (!game) return [];
+    const ids = new Set();
+    if (game.dmId) ids.add(game.dmId);
+    for (const player of game.players || []) {
+        if (player?.userId) ids.add(player.userId);
+    }
+    if (ids.size === 0) return [];
+    const docs = await User.find({ id: { $in: Array.from(ids) } }).lean();
+    return docs.map((doc) => stripMongoMetadata(doc));
 }
 
 /**
@@ -2327,7 +3102,7 @@ async function deleteDiscordMessage(token, channelId, messageId) {
  * Resolve a persona selection into a Discord username/avatar payload.
  *
  * @param {{ persona?: string, targetUserId?: string }} selection
- * @param {{ db: any, game: ReturnType<typeof ensureGameShape>, actorId: string }} ctx
+ * @param {{ users: Array<{ id: string, username: string }>, game: ReturnType<typeof ensureGameShape>, actorId: string }} ctx
  */
 function describePlayerLabel(player, user) {
     if (!player) return user?.username || 'Player';
@@ -2339,12 +3114,12 @@ function describePlayerLabel(player, user) {
     return user?.username || 'Player';
 }
 
-function resolveStoryPersona(selection, { db, game, actorId }, options = {}) {
+function resolveStoryPersona(selection, { users, game, actorId }, options = {}) {
     const story = ensureStoryConfig(game);
     const persona = typeof selection?.persona === 'string' ? selection.persona : 'self';
     const actorIsDM = isDM(game, actorId);
     const actorPlayer = findPlayer(game, actorId);
-    const actorUser = findUser(db, actorId);
+    const actorUser = findUser(users, actorId);
     const overrideTargetId = options?.overrideTargetId ? parseUUID(options.overrideTargetId) : null;
 
     const describePlayer = (player, user) => describePlayerLabel(player, user);
@@ -2380,7 +3155,7 @@ function resolveStoryPersona(selection, { db, game, actorId }, options = {}) {
         if (overrideTargetId) {
             const targetPlayer = findPlayer(game, overrideTargetId);
             if (!targetPlayer) throw new Error('invalid_target');
-            const targetUser = findUser(db, overrideTargetId);
+            const targetUser = findUser(users, overrideTargetId);
             return { username: describePlayer(targetPlayer, targetUser) };
         }
 
@@ -2390,7 +3165,7 @@ function resolveStoryPersona(selection, { db, game, actorId }, options = {}) {
             if (!targetId) throw new Error('invalid_target');
             const targetPlayer = findPlayer(game, targetId);
             if (!targetPlayer) throw new Error('invalid_target');
-            const targetUser = findUser(db, targetId);
+            const targetUser = findUser(users, targetId);
             return { username: describePlayer(targetPlayer, targetUser) };
         }
 
@@ -2637,58 +3412,141 @@ function sendJson(ws, payload) {
 
 function getOnlineUserIds(gameId) {
     if (!gameId) return [];
+    const online = new Set();
     const presence = gamePresence.get(gameId);
-    if (!presence) return [];
-    const online = [];
-    for (const [userId, count] of presence) {
-        if (count > 0) online.push(userId);
+    if (presence) {
+        for (const [userId, count] of presence) {
+            if (count > 0) online.add(userId);
+        }
     }
-    return online;
+    for (const entry of remotePresence.values()) {
+        for (const userId of entry.games.get(gameId) || []) online.add(userId);
+    }
+    return Array.from(online);
 }
 
 function isUserOnlineInGame(gameId, userId) {
     if (!gameId || !userId) return false;
     const presence = gamePresence.get(gameId);
-    if (!presence) return false;
-    return (presence.get(userId) || 0) > 0;
+    if ((presence?.get(userId) || 0) > 0) return true;
+    for (const entry of remotePresence.values()) {
+        if (entry.games.get(gameId)?.has(userId)) return true;
+    }
+    return false;
 }
 
-function broadcastPresenceUpdate(gameId, userId, online) {
-    if (!gameId || !userId) return;
-    const sockets = gameSubscribers.get(gameId);
-    if (!sockets || sockets.size === 0) return;
-    const payload = { type: 'presence:update', gameId, userId, online: !!online };
-    for (const socket of sockets) {
-        sendJson(socket, payload);
+/** What this instance's own sockets make online, as `{ gameId: userIds }`. */
+function getLocalPresenceSnapshot() {
+    const games = {};
+    for (const [gameId, presence] of gamePresence) {
+        const online = Array.from(presence.keys()).filter((userId) => (presence.get(userId) || 0) > 0);
+        if (online.length > 0) games[gameId] = online;
     }
+    return games;
 }
 
-function markUserOnlineForGame(gameId, userId) {
-    if (!gameId || !userId) return;
-    const presence = getOrCreateMap(gamePresence, gameId);
-    const prev = presence.get(userId) || 0;
-    const next = prev + 1;
-    presence.set(userId, next);
-    if (prev === 0) {
-        broadcastPresenceUpdate(gameId, userId, true);
+/**
+ * Change what another instance reports and tell local sockets about users
+ * whose overall online state flipped as a result.
+ */
+function updateRemotePresence(instanceId, change) {
+    const entry = remotePresence.get(instanceId) || { seenAt: 0, games: new Map() };
+    const affected = new Map();
+    const note = (gameId, userId) => {
+        const key = `${gameId}:${userId}`;
+        if (!affected.has(key)) affected.set(key, { gameId, userId, before: isUserOnlineInGame(gameId, userId) });
+    };
+    for (const [gameId, users] of entry.games) {
+        for (const userId of users) note(gameId, userId);
+    }
+    for (const [gameId, users] of Object.entries(change.games || {})) {
+        for (const userId of users) note(gameId, userId);
+    }
+
+    change.apply(entry);
+    entry.seenAt = Date.now();
+    if (change.remove || entry.games.size === 0) {
+        remotePresence.delete(instanceId);
+    } else {
+        remotePresence.set(instanceId, entry);
+    }
+
+    for (const { gameId, userId, before } of affected.values()) {
+        const after = isUserOnlineInGame(gameId, userId);
+        if (after !== before) broadcastPresenceUpdate(gameId, userId, after);
     }
 }
 
-function markUserOfflineForGame(gameId, userId) {
-    if (!gameId || !userId) return;
-    const presence = gamePresence.get(gameId);
+function applyRemotePresenceSync(instanceId, games) {
+    updateRemotePresence(instanceId, {
+        games,
+        apply(entry) {
+            entry.games = new Map(Object.entries(games || {}).map(([gameId, users]) => [gameId, new Set(users)]));
+        },
+    });
+}
+
+function applyRemotePresenceChange(instanceId, gameId, userId, online) {
+    updateRemotePresence(instanceId, {
+        games: { [gameId]: [userId] },
+        apply(entry) {
+            const users = getOrCreateSet(entry.games, gameId);
+            if (online) {
+                users.add(userId);
+            } else {
+                users.delete(userId);
+                if (users.size === 0) entry.games.delete(gameId);
+            }
+        },
+    });
+}
+
+/** Forget instances that stopped reporting, e.g. because they crashed. */
+function pruneRemotePresence(now = Date.now()) {
+    for (const [instanceId, entry] of Array.from(remotePresence)) {
+        if (now - entry.seenAt > PRESENCE_SYNC_INTERVAL_MS * 3) {
+            updateRemotePresence(instanceId, { remove: true, apply() {} });
+        }
+    }
+}
+
+function broadcastPresenceUpdate(gameId, userId, online) {
+    if (!gameId || !userId) return;
+    const sockets = gameSubscribers.get(gameId);
+    if (!sockets || sockets.size === 0) return;
+    const payload = { type: 'presence:update', gameId, userId, online: !!online };
+    for (const socket of sockets) {
+        sendJson(socket, payload);
+    }
+}
+
+function markUserOnlineForGame(gameId, userId) {
+    if (!gameId || !userId) return;
+    const wasOnline = isUserOnlineInGame(gameId, userId);
+    const presence = getOrCreateMap(gamePresence, gameId);
+    const prev = presence.get(userId) || 0;
+    const next = prev + 1;
+    presence.set(userId, next);
+    if (prev === 0) {
+        if (!wasOnline) broadcastPresenceUpdate(gameId, userId, true);
+        realtimeBroker.publish({ kind: 'presence', gameId, userId, online: true });
+    }
+}
+
+function markUserOfflineForGame(gameId, userId) {
+    if (!gameId || !userId) return;
+    const presence = gamePresence.get(gameId);
     if (!presence) return;
     const prev = presence.get(userId) || 0;
     const next = prev - 1;
     if (next <= 0) {
         presence.delete(userId);
-        broadcastPresenceUpdate(gameId, userId, false);
+        if (presence.size === 0) gamePresence.delete(gameId);
+        if (!isUserOnlineInGame(gameId, userId)) broadcastPresenceUpdate(gameId, userId, false);
+        realtimeBroker.publish({ kind: 'presence', gameId, userId, online: false });
     } else {
         presence.set(userId, next);
     }
-    if (presence.size === 0) {
-        gamePresence.delete(gameId);
-    }
 }
 
 function sendPresenceState(ws, gameId) {
@@ -2698,8 +3556,7 @@ function sendPresenceState(ws, gameId) {
 }
 
 async function buildStoryPayload(gameId) {
-    const db = await readDB();
-    const game = getGame(db, gameId);
+    const game = await loadGame(gameId);
     if (!game) return null;
     const story = ensureStoryConfig(game);
     const snapshot = getStorySnapshot(game);
@@ -2712,17 +3569,24 @@ async function buildStoryPayload(gameId) {
 
 async function pushStoryUpdate(gameId) {
     const sockets = storySubscribers.get(gameId);
-    if (!sockets || sockets.size === 0) return;
+    if ((!sockets || sockets.size === 0) && !realtimeBroker.distributed) return;
     const payload = await buildStoryPayload(gameId);
     if (!payload) return;
     const message = { type: 'story:update', gameId, snapshot: payload };
-    for (const ws of sockets) {
+    deliverStoryMessage(gameId, message);
+    // The Discord watcher runs where the story was requested; other instances
+    // get the finished snapshot rather than polling Discord themselves.
+    realtimeBroker.publish({ kind: 'story', gameId, message });
+}
+
+function deliverStoryMessage(gameId, message) {
+    for (const ws of storySubscribers.get(gameId) || []) {
         sendJson(ws, message);
     }
 }
 
 function queueStoryBroadcast(gameId, immediate = false) {
-    if (!storySubscribers.has(gameId)) return;
+    if (!storySubscribers.has(gameId) && !realtimeBroker.distributed) return;
     if (storyBroadcastQueue.has(gameId)) return;
     const timer = setTimeout(async () => {
         storyBroadcastQueue.delete(gameId);
@@ -2753,25 +3617,185 @@ function removeSocketForUser(userId, ws) {
     }
 }
 
-function broadcastGameMessage(gameId, payload) {
+function getGameEventChannel(gameId) {
+    let channel = gameEventChannels.get(gameId);
+    if (!channel) {
+        channel = { epoch: uuid(), seq: 0, buffer: [] };
+        gameEventChannels.set(gameId, channel);
+    }
+    return channel;
+}
+
+/**
+ * Number a game-channel event and keep it for replay. `resolve(userId)`
+ * returns the payload that user should see, or null when the event is not
+ * meant for them. Resolvers must not close over mutable game state.
+ */
+function recordGameEvent(gameId, resolve) {
+    const channel = getGameEventChannel(gameId);
+    channel.seq += 1;
+    channel.buffer.push({ seq: channel.seq, resolve });
+    if (channel.buffer.length > GAME_EVENT_REPLAY_LIMIT) {
+        channel.buffer.splice(0, channel.buffer.length - GAME_EVENT_REPLAY_LIMIT);
+    }
+    return channel.seq;
+}
+
+/**
+ * Send a resubscribing socket everything it missed since `lastSeq`. Reports
+ * `complete: false` when the gap cannot be filled (the server restarted or
+ * the events already left the buffer) and the client has to refetch instead.
+ */
+function replayGameEvents(ws, gameId, lastSeq, epoch) {
+    const channel = getGameEventChannel(gameId);
+    if (epoch !== channel.epoch || lastSeq > channel.seq) return { replayed: 0, complete: false };
+    const oldest = channel.buffer.length > 0 ? channel.buffer[0].seq : channel.seq + 1;
+    if (lastSeq < oldest - 1) return { replayed: 0, complete: false };
+    let replayed = 0;
+    for (const entry of channel.buffer) {
+        if (entry.seq <= lastSeq) continue;
+        const payload = entry.resolve(ws.userId);
+        if (!payload) continue;
+        sendJson(ws, { ...payload, seq: entry.seq });
+        replayed += 1;
+    }
+    return { replayed, complete: true };
+}
+
+/**
+ * Send `payload` to every socket on the game channel. Snapshot-style
+ * messages that are superseded by the next one (music, media) pass
+ * `replay: false` and carry no sequence number.
+ */
+function broadcastGameMessage(gameId, payload, { replay = true } = {}) {
     if (!gameId) return;
+    deliverGameMessage(gameId, payload, replay);
+    realtimeBroker.publish({ kind: 'game', gameId, payload, replay });
+}
+
+function deliverGameMessage(gameId, payload, replay) {
+    const message = replay ? { ...payload, seq: recordGameEvent(gameId, () => payload) } : payload;
     const sockets = gameSubscribers.get(gameId);
     if (!sockets || sockets.size === 0) return;
     for (const ws of sockets) {
-        sendJson(ws, payload);
+        sendJson(ws, message);
     }
 }
 
-function broadcastGameUpdate(gameId, extra = {}) {
-    if (!gameId) return;
-    const payload = {
+/**
+ * Send a game-scoped event to specific users and keep it for replay. Only
+ * their sockets subscribed to `channel` (`game`, `trade` or `story`) for the
+ * game receive it live.
+ */
+function sendGameEventToUsers(gameId, userIds, payload, channel = 'game') {
+    const recipients = Array.from(new Set(userIds.filter(Boolean)));
+    deliverGameEventToUsers(gameId, recipients, payload, channel);
+    realtimeBroker.publish({ kind: 'gameUsers', gameId, userIds: recipients, payload, channel });
+}
+
+function deliverGameEventToUsers(gameId, userIds, payload, channel) {
+    const recipients = new Set(userIds);
+    const seq = recordGameEvent(gameId, (userId) => (recipients.has(userId) ? payload : null));
+    for (const userId of recipients) {
+        deliverToUser(userId, { ...payload, seq }, { channel, gameId });
+    }
+}
+
+/**
+ * Which projection of the game a member receives: the DM sees story secrets
+ * and invites, the table (DM and co-DMs) also sees the battle log and map
+ * library, everyone else the plain view.
+ */
+function getGameViewAudience(game, userId) {
+    if (isDM(game, userId)) return 'dm';
+    if (canRunTable(game, userId)) return 'table';
+    return 'member';
+}
+
+function presentGameForUser(game, userId) {
+    const audience = getGameViewAudience(game, userId);
+    return presentGame(game, { includeSecrets: audience === 'dm', includeMapSecrets: audience !== 'member' });
+}
+
+/**
+ * The view deltas are computed on. Presence flags are left out because they
+ * change without the game being saved and travel as `presence:*` messages.
+ */
+function presentGameDeltaView(game, audience) {
+    const view = presentGame(game, { includeSecrets: audience === 'dm', includeMapSecrets: audience !== 'member' });
+    view.players = view.players.map((player) => {
+        if (!player || typeof player !== 'object') return player;
+        const { online: _online, ...rest } = player;
+        return rest;
+    });
+    return JSON.parse(JSON.stringify(view));
+}
+
+/**
+ * Send each subscribed member a `game:patch` turning the view they had at
+ * the previous version into the current one. Members whose view changed
+ * shape (a new role, or no previous state to diff against) and oversized
+ * patches fall back to `game:update`, which makes the client refetch.
+ */
+function broadcastGameDelta(game, before, { reason, actorId } = {}) {
+    const sockets = gameSubscribers.get(game.id);
+    const version = game.version;
+    const listening = !!sockets && sockets.size > 0;
+    const previous = before && listening ? ensureGameShape({ ...JSON.parse(JSON.stringify(before)), version: version - 1 }) : null;
+    const fallback = {
         type: 'game:update',
-        gameId,
+        gameId: game.id,
+        version,
         updatedAt: new Date().toISOString(),
+        ...(reason ? { reason } : {}),
+        ...(actorId ? { actorId } : {}),
+    };
+
+    // Settle each member's audience now; the replay buffer must not depend
+    // on `game`, which later saves keep mutating.
+    const audiences = new Map();
+    if (previous) {
+        for (const userId of getMemberIds(game)) {
+            if (!isMember(game, userId) || !isMember(previous, userId)) continue;
+            const audience = getGameViewAudience(game, userId);
+            if (getGameViewAudience(previous, userId) === audience) audiences.set(userId, audience);
+        }
+    }
+    // Patches are only computed for audiences someone is listening as;
+    // anyone catching up later on a missing one refetches. Other instances'
+    // listeners are unknown here, so with a shared broker every audience
+    // gets one.
+    const wanted = realtimeBroker.distributed
+        ? new Set(audiences.values())
+        : new Set(Array.from(sockets || [], (ws) => audiences.get(ws.userId)).filter(Boolean));
+    const patches = {};
+    for (const audience of wanted) {
+        const patch = createJsonPatch(presentGameDeltaView(previous, audience), presentGameDeltaView(game, audience));
+        patches[audience] = patch.length > GAME_PATCH_MAX_OPERATIONS ? null : patch;
+    }
+
+    const delta = {
+        fallback,
+        version,
+        reason: reason || null,
+        actorId: actorId || null,
+        audiences: Object.fromEntries(audiences),
+        patches,
+    };
+    deliverGameDelta(game.id, delta);
+    realtimeBroker.publish({ kind: 'delta', gameId: game.id, delta });
+}
+
+function deliverGameDelta(gameId, { fallback, version, reason, actorId, audiences, patches }) {
+    const resolve = (userId) => {
+        const patch = patches[audiences[userId]];
+        if (!patch) return fallback;
+        return { type: 'game:patch', gameId, version, baseVersion: version - 1, reason, actorId, patch };
     };
-    if (extra && extra.reason) payload.reason = extra.reason;
-    if (extra && extra.actorId) payload.actorId = extra.actorId;
-    broadcastGameMessage(gameId, payload);
+    const seq = recordGameEvent(gameId, resolve);
+    for (const ws of gameSubscribers.get(gameId) || []) {
+        sendJson(ws, { ...resolve(ws.userId), seq });
+    }
 }
 
 function broadcastBattleLogEntry(gameId, entry) {
@@ -2791,7 +3815,8 @@ function broadcastMediaState(game) {
         type: 'media:state',
         gameId: game.id,
         media: presentMediaState(game.media),
-    });
+    }, { replay: false });
+    broadcastSharedGame(game);
 }
 
 function broadcastMusicState(game) {
@@ -2800,12 +3825,75 @@ function broadcastMusicState(game) {
         type: 'music:state',
         gameId: game.id,
         music: presentMusicState(game),
-    });
+    }, { replay: false });
+    broadcastSharedGame(game);
 }
 
 function broadcastGameDeleted(gameId) {
     if (!gameId) return;
-    broadcastGameMessage(gameId, { type: 'game:deleted', gameId });
+    deliverGameDeleted(gameId);
+    realtimeBroker.publish({ kind: 'deleted', gameId });
+}
+
+function deliverGameDeleted(gameId) {
+    deliverGameMessage(gameId, { type: 'game:deleted', gameId }, false);
+    gameEventChannels.delete(gameId);
+    closeLocalShareSockets(gameId);
+}
+
+/**
+ * Push the public projection to share-link viewers. They never receive the
+ * member-facing messages, only `share:state` snapshots.
+ */
+function broadcastSharedGame(game) {
+    if (!game || !game.id) return;
+    const sockets = shareSubscribers.get(game.id);
+    if ((!sockets || sockets.size === 0) && !realtimeBroker.distributed) return;
+    const share = presentShareLink(game.share);
+    if (!share) {
+        closeShareSockets(game.id);
+        return;
+    }
+    const payload = { type: 'share:state', game: presentSharedGame(game, share.token) };
+    deliverSharedState(game.id, payload);
+    realtimeBroker.publish({ kind: 'share', gameId: game.id, payload });
+}
+
+function deliverSharedState(gameId, payload) {
+    for (const ws of shareSubscribers.get(gameId) || []) {
+        sendJson(ws, payload);
+    }
+}
+
+function subscribeShareChannel(ws, gameId) {
+    const set = getOrCreateSet(shareSubscribers, gameId);
+    set.add(ws);
+}
+
+function unsubscribeShareChannel(ws) {
+    const set = shareSubscribers.get(ws.shareGameId);
+    if (!set) return;
+    set.delete(ws);
+    if (set.size === 0) shareSubscribers.delete(ws.shareGameId);
+}
+
+function closeShareSockets(gameId) {
+    closeLocalShareSockets(gameId);
+    realtimeBroker.publish({ kind: 'share', gameId, payload: null });
+}
+
+function closeLocalShareSockets(gameId) {
+    const sockets = shareSubscribers.get(gameId);
+    if (!sockets) return;
+    for (const socket of Array.from(sockets)) {
+        try {
+            socket.close(SHARE_REVOKED_CLOSE_CODE, 'share_revoked');
+        } catch (err) {
+            console.warn('Failed to close share websocket', err);
+            socket.terminate?.();
+        }
+    }
+    shareSubscribers.delete(gameId);
 }
 
 function subscribeStoryChannel(ws, gameId) {
@@ -2820,7 +3908,12 @@ function subscribeStoryChannel(ws, gameId) {
     });
 }
 
-function subscribeGameChannel(ws, gameId) {
+/**
+ * Join a game channel. A socket that passes the `epoch` and last `seq` it
+ * saw before disconnecting first receives the events it missed; the closing
+ * `game:subscribed` tells it whether that replay was complete.
+ */
+function subscribeGameChannel(ws, gameId, { lastSeq = null, epoch = null } = {}) {
     if (!gameId) return;
     if (!ws.gameSubscriptions) ws.gameSubscriptions = new Set();
     if (ws.gameSubscriptions.has(gameId)) return;
@@ -2831,6 +3924,17 @@ function subscribeGameChannel(ws, gameId) {
         markUserOnlineForGame(gameId, ws.userId);
     }
     sendPresenceState(ws, gameId);
+    const resuming = Number.isInteger(lastSeq) && lastSeq >= 0;
+    const { replayed, complete } = resuming ? replayGameEvents(ws, gameId, lastSeq, epoch) : { replayed: 0, complete: true };
+    const channel = getGameEventChannel(gameId);
+    sendJson(ws, {
+        type: 'game:subscribed',
+        gameId,
+        epoch: channel.epoch,
+        seq: channel.seq,
+        replayed,
+        resync: !complete,
+    });
 }
 
 function subscribeTradeChannel(ws, gameId) {
@@ -2870,6 +3974,10 @@ function unsubscribeGameChannel(ws, gameId) {
 
 function cleanupSocket(ws) {
     if (!ws) return;
+    if (ws.shareGameId) {
+        unsubscribeShareChannel(ws);
+        return;
+    }
     if (ws.storySubscriptions) {
         for (const gameId of ws.storySubscriptions) {
             unsubscribeStoryChannel(ws, gameId);
@@ -2887,32 +3995,158 @@ function cleanupSocket(ws) {
     removeSocketForUser(ws.userId, ws);
 }
 
-function sendToUser(userId, payload, predicate) {
+/**
+ * Close a user's open sockets, optionally only those bound to one session.
+ * Clients treat the close code as a signal to return to the login screen.
+ */
+function closeUserSockets(userId, { sessionId = null, exceptSessionId = null } = {}) {
+    realtimeBroker.publish({ kind: 'closeUser', userId, sessionId, exceptSessionId });
+    return closeLocalUserSockets(userId, { sessionId, exceptSessionId });
+}
+
+function closeLocalUserSockets(userId, { sessionId = null, exceptSessionId = null } = {}) {
+    const sockets = userSockets.get(userId);
+    if (!sockets) return 0;
+    let closed = 0;
+    for (const socket of Array.from(sockets)) {
+        if (sessionId && socket.sessionId !== sessionId) continue;
+        if (exceptSessionId && socket.sessionId === exceptSessionId) continue;
+        try {
+            socket.close(SESSION_REVOKED_CLOSE_CODE, 'session_revoked');
+        } catch (err) {
+            console.warn('Failed to close websocket', err);
+            socket.terminate?.();
+        }
+        closed += 1;
+    }
+    return closed;
+}
+
+const SOCKET_CHANNEL_SUBSCRIPTIONS = {
+    game: 'gameSubscriptions',
+    story: 'storySubscriptions',
+    trade: 'tradeSubscriptions',
+};
+
+/**
+ * Send `payload` to every socket of a user, on any instance. With a
+ * `channel`, only sockets subscribed to that channel for `gameId` get it.
+ */
+function sendToUser(userId, payload, { channel = null, gameId = null } = {}) {
+    deliverToUser(userId, payload, { channel, gameId });
+    realtimeBroker.publish({ kind: 'user', userId, payload, channel, gameId });
+}
+
+function deliverToUser(userId, payload, { channel = null, gameId = null } = {}) {
     const sockets = userSockets.get(userId);
     if (!sockets) return;
+    const subscriptions = channel ? SOCKET_CHANNEL_SUBSCRIPTIONS[channel] : null;
     for (const socket of sockets) {
         if (socket.readyState !== socket.OPEN) continue;
-        if (typeof predicate === 'function' && !predicate(socket)) continue;
+        if (subscriptions && !socket[subscriptions]?.has(gameId)) continue;
         sendJson(socket, payload);
     }
 }
 
+/** Apply an event another API instance published. */
+function handleRealtimeBrokerEvent(event, origin) {
+    if (!event || typeof event !== 'object') return;
+    switch (event.kind) {
+        case 'game':
+            deliverGameMessage(event.gameId, event.payload, event.replay);
+            break;
+        case 'gameUsers':
+            deliverGameEventToUsers(event.gameId, event.userIds, event.payload, event.channel);
+            break;
+        case 'delta':
+            deliverGameDelta(event.gameId, event.delta);
+            break;
+        case 'deleted':
+            deliverGameDeleted(event.gameId);
+            break;
+        case 'user':
+            deliverToUser(event.userId, event.payload, { channel: event.channel, gameId: event.gameId });
+            break;
+        case 'story':
+            deliverStoryMessage(event.gameId, event.message);
+            break;
+        case 'share':
+            if (event.payload) {
+                deliverSharedState(event.gameId, event.payload);
+            } else {
+                closeLocalShareSockets(event.gameId);
+            }
+            break;
+        case 'closeUser':
+            closeLocalUserSockets(event.userId, event);
+            break;
+        case 'presence':
+            applyRemotePresenceChange(origin, event.gameId, event.userId, event.online);
+            break;
+        case 'presence:sync':
+            applyRemotePresenceSync(origin, event.games);
+            break;
+        case 'presence:hello':
+            applyRemotePresenceSync(origin, {});
+            realtimeBroker.publish({ kind: 'presence:sync', games: getLocalPresenceSnapshot() });
+            break;
+        default:
+            break;
+    }
+}
+
+async function startRealtimeBroker() {
+    await realtimeBroker.start(handleRealtimeBrokerEvent);
+    if (!realtimeBroker.distributed) return;
+    realtimeBroker.publish({ kind: 'presence:hello' });
+    presenceSyncTimer = setInterval(() => {
+        realtimeBroker.publish({ kind: 'presence:sync', games: getLocalPresenceSnapshot() });
+        pruneRemotePresence();
+    }, PRESENCE_SYNC_INTERVAL_MS);
+    realtimeLogger.info(`Sharing realtime events through MongoDB as instance ${realtimeBroker.instanceId}.`);
+}
+
+async function stopRealtimeBroker() {
+    if (presenceSyncTimer) {
+        clearInterval(presenceSyncTimer);
+        presenceSyncTimer = null;
+    }
+    // Tell the others this instance's users are gone rather than waiting for them to time out.
+    realtimeBroker.publish({ kind: 'presence:sync', games: {} });
+    await realtimeBroker.close();
+}
+
 async function loadGameForUser(gameId, userId) {
-    const db = await readDB();
-    const game = getGame(db, gameId);
+    const game = await loadGame(gameId);
     if (!game) return { error: 'not_found' };
     if (!isMember(game, userId)) return { error: 'forbidden' };
-    return { db, game };
+    const users = await loadGameUsers(game);
+    return { users, game };
 }
 
 // --- Story impersonation workflow ---
 
-function resolvePersonaRequestStatus(request, status, extra = {}) {
+function clearPersonaRequestTimer(requestId) {
+    const timer = personaRequestTimers.get(requestId);
+    if (timer) clearTimeout(timer);
+    personaRequestTimers.delete(requestId);
+}
+
+/**
+ * Remove a pending request from shared storage and announce its outcome.
+ * Only the first caller settles it; later ones (a timeout racing an answer
+ * on another instance) are ignored.
+ */
+async function settlePersonaRequest(requestId, status, extra = {}) {
+    clearPersonaRequestTimer(requestId);
+    const request = await personaRequestStore.take(requestId);
+    if (!request) return null;
+    sendPersonaRequestStatus(request, status, extra);
+    return request;
+}
+
+function sendPersonaRequestStatus(request, status, extra = {}) {
     if (!request) return;
-    if (request.timeout) {
-        clearTimeout(request.timeout);
-    }
-    pendingPersonaRequests.delete(request.id);
     const payload = {
         type: 'story:impersonation_status',
         requestId: request.id,
@@ -2930,22 +4164,16 @@ function resolvePersonaRequestStatus(request, status, extra = {}) {
     if (extra.nonce) payload.nonce = extra.nonce;
     if (extra.error) payload.error = extra.error;
 
-    sendToUser(
-        request.scribeId,
-        payload,
-        (socket) => socket.storySubscriptions?.has(request.gameId)
-    );
-    sendToUser(
-        request.targetUserId,
-        payload,
-        (socket) => socket.storySubscriptions?.has(request.gameId)
-    );
+    const channel = { channel: 'story', gameId: request.gameId };
+    sendToUser(request.scribeId, payload, channel);
+    sendToUser(request.targetUserId, payload, channel);
 }
 
-function expirePersonaRequest(requestId) {
-    const request = pendingPersonaRequests.get(requestId);
-    if (!request) return;
-    resolvePersonaRequestStatus(request, 'expired', { reason: 'Request timed out.' });
+async function expirePersonaRequest(requestId) {
+    personaRequestTimers.delete(requestId);
+    const request = await personaRequestStore.get(requestId);
+    if (!request || Date.parse(request.expiresAt) > Date.now()) return;
+    await settlePersonaRequest(requestId, 'expired', { reason: 'Request timed out.' });
 }
 
 async function handlePersonaRequestMessage(ws, payload) {
@@ -2963,8 +4191,7 @@ async function handlePersonaRequestMessage(ws, payload) {
     }
 
     const context = await loadGameForUser(gameId, ws.userId);
-    const { game, error } = context;
-    const db = context.db;
+    const { game, users, error } = context;
     if (error) {
         sendJson(ws, {
             type: 'story:impersonation_status',
@@ -3017,7 +4244,7 @@ async function handlePersonaRequestMessage(ws, payload) {
     }
 
     const targetPlayer = findPlayer(game, targetUserId);
-    if (!targetPlayer || (targetPlayer.role || '').toLowerCase() === 'dm') {
+    if (!isPartyPlayer(targetPlayer)) {
         sendJson(ws, {
             type: 'story:impersonation_status',
             status: 'error',
@@ -3027,8 +4254,8 @@ async function handlePersonaRequestMessage(ws, payload) {
         return;
     }
 
-    const targetUser = findUser(db, targetUserId);
-    const scribeUser = findUser(db, ws.userId);
+    const targetUser = findUser(users, targetUserId);
+    const scribeUser = findUser(users, ws.userId);
     const scribePlayer = findPlayer(game, ws.userId);
     const scribeName = scribePlayer
         ? describePlayerLabel(scribePlayer, scribeUser)
@@ -3037,7 +4264,6 @@ async function handlePersonaRequestMessage(ws, payload) {
     const createdAt = new Date().toISOString();
     const expiresAt = new Date(Date.now() + PERSONA_REQUEST_TIMEOUT_MS).toISOString();
     const requestId = uuid();
-    const timeout = setTimeout(() => expirePersonaRequest(requestId), PERSONA_REQUEST_TIMEOUT_MS);
 
     const request = {
         id: requestId,
@@ -3047,15 +4273,20 @@ async function handlePersonaRequestMessage(ws, payload) {
         content: trimmed,
         createdAt,
         expiresAt,
-        timeout,
         scribeName,
         targetName,
         gameName: game.name,
     };
 
-    pendingPersonaRequests.set(requestId, request);
+    await personaRequestStore.create(request);
+    personaRequestTimers.set(
+        requestId,
+        setTimeout(() => {
+            expirePersonaRequest(requestId).catch((err) => console.warn('persona request expiry failed', err));
+        }, PERSONA_REQUEST_TIMEOUT_MS),
+    );
 
-    resolvePersonaRequestStatus(request, 'pending', { nonce });
+    sendPersonaRequestStatus(request, 'pending', { nonce });
 
     sendToUser(
         targetUserId,
@@ -3073,14 +4304,14 @@ async function handlePersonaRequestMessage(ws, payload) {
                 targetName,
             },
         },
-        (socket) => socket.storySubscriptions?.has(game.id)
+        { channel: 'story', gameId: game.id },
     );
 }
 
 async function handlePersonaResponseMessage(ws, payload) {
     const requestId = typeof payload?.requestId === 'string' ? payload.requestId : null;
     if (!requestId) return;
-    const request = pendingPersonaRequests.get(requestId);
+    const request = await personaRequestStore.get(requestId);
     if (!request) {
         sendJson(ws, {
             type: 'story:impersonation_status',
@@ -3090,6 +4321,10 @@ async function handlePersonaResponseMessage(ws, payload) {
         });
         return;
     }
+    if (Date.parse(request.expiresAt) <= Date.now()) {
+        await settlePersonaRequest(requestId, 'expired', { reason: 'Request timed out.' });
+        return;
+    }
     if (request.targetUserId !== ws.userId) {
         sendJson(ws, {
             type: 'story:impersonation_status',
@@ -3100,22 +4335,27 @@ async function handlePersonaResponseMessage(ws, payload) {
         return;
     }
 
+    // Claim the request before acting on it so two answers, or an answer
+    // racing the timeout on another instance, cannot both post to Discord.
+    clearPersonaRequestTimer(requestId);
+    if (!(await personaRequestStore.take(requestId))) return;
+
     const approve = !!payload?.approve;
 
-    const { db, game, error } = await loadGameForUser(request.gameId, ws.userId);
+    const { users, game, error } = await loadGameForUser(request.gameId, ws.userId);
     if (error) {
-        resolvePersonaRequestStatus(request, 'error', { reason: error });
+        sendPersonaRequestStatus(request, 'error', { reason: error });
         return;
     }
 
     if (!approve) {
-        resolvePersonaRequestStatus(request, 'denied', { reason: 'Request denied.' });
+        sendPersonaRequestStatus(request, 'denied', { reason: 'Request denied.' });
         return;
     }
 
     const story = ensureStoryConfig(game);
     if (!story.webhookUrl) {
-        resolvePersonaRequestStatus(request, 'error', { reason: 'Webhook not configured.' });
+        sendPersonaRequestStatus(request, 'error', { reason: 'Webhook not configured.' });
         return;
     }
 
@@ -3123,11 +4363,11 @@ async function handlePersonaResponseMessage(ws, payload) {
     try {
         persona = resolveStoryPersona(
             { persona: 'player', targetUserId: request.targetUserId },
-            { db, game, actorId: request.scribeId },
+            { users, game, actorId: request.scribeId },
             { overrideTargetId: request.targetUserId }
         );
     } catch (err) {
-        resolvePersonaRequestStatus(request, 'error', { reason: err?.message || 'persona_error' });
+        sendPersonaRequestStatus(request, 'error', { reason: err?.message || 'persona_error' });
         return;
     }
 
@@ -3138,7 +4378,7 @@ async function handlePersonaResponseMessage(ws, payload) {
             avatar_url: persona.avatarUrl || undefined,
         });
     } catch (err) {
-        resolvePersonaRequestStatus(request, 'error', {
+        sendPersonaRequestStatus(request, 'error', {
             reason: err instanceof Error ? err.message : 'webhook_error',
         });
         return;
@@ -3154,7 +4394,102 @@ async function handlePersonaResponseMessage(ws, payload) {
     }
     queueStoryBroadcast(game.id, true);
 
-    resolvePersonaRequestStatus(request, 'approved');
+    sendPersonaRequestStatus(request, 'approved');
+}
+
+// --- Ownership transfer ---
+// The DM nominates another member; the handoff is stored on the game so the
+// nominee can accept later, and they accept or decline over the websocket.
+
+/** The pending handoff, or null once it was resolved or has expired. */
+function getPendingOwnershipTransfer(game) {
+    const transfer = game?.ownershipTransfer;
+    if (!transfer || typeof transfer !== 'object' || !transfer.id) return null;
+    if (transfer.fromId !== game.dmId) return null;
+    const expiresAt = Date.parse(transfer.expiresAt || '');
+    if (!Number.isFinite(expiresAt) || expiresAt <= Date.now()) return null;
+    return transfer;
+}
+
+function presentOwnershipTransfer(transfer) {
+    if (!transfer) return null;
+    return {
+        id: transfer.id,
+        fromId: transfer.fromId,
+        toId: transfer.toId,
+        formerDmCharacter: transfer.formerDmCharacter === 'fresh' ? 'fresh' : 'keep',
+        handOverWebhook: !!transfer.handOverWebhook,
+        handOverBotToken: !!transfer.handOverBotToken,
+        createdAt: transfer.createdAt,
+        expiresAt: transfer.expiresAt,
+    };
+}
+
+function sendOwnershipTransferStatus(transfer, status, extra = {}) {
+    const payload = {
+        type: 'game:transfer_status',
+        gameId: transfer.gameId,
+        transferId: transfer.id,
+        status,
+        ...extra,
+    };
+    sendGameEventToUsers(transfer.gameId, [transfer.fromId, transfer.toId], payload);
+}
+
+/**
+ * Make the nominee the DM. The former DM stays on as a player, either with
+ * the character they had before running the game or an empty slot, and story
+ * secrets the former DM did not confirm for handover are cleared.
+ */
+function applyOwnershipTransfer(game, transfer) {
+    assignGameDungeonMaster(game, transfer.toId);
+    const formerDm = findPlayer(game, transfer.fromId);
+    if (formerDm) {
+        formerDm.role = ROLE_PLAYER;
+        if (transfer.formerDmCharacter === 'fresh') {
+            formerDm.character = null;
+            formerDm.inventory = [];
+            formerDm.gear = { bag: [], slots: { weapon: null, armor: null, accessory: null } };
+        }
+    }
+    const story = ensureStoryConfig(game);
+    if (!transfer.handOverWebhook) story.webhookUrl = '';
+    if (!transfer.handOverBotToken) story.botToken = '';
+    delete game.ownershipTransfer;
+}
+
+async function handleOwnershipTransferResponse(ws, payload) {
+    const gameId = parseUUID(payload?.gameId);
+    const transferId = typeof payload?.transferId === 'string' ? payload.transferId : null;
+    if (!gameId || !transferId) {
+        sendJson(ws, { type: 'game:transfer_status', gameId, transferId, status: 'error', error: 'invalid_request' });
+        return;
+    }
+
+    const game = await loadGame(gameId);
+    const transfer = game ? getPendingOwnershipTransfer(game) : null;
+    if (!transfer || transfer.id !== transferId) {
+        sendJson(ws, { type: 'game:transfer_status', gameId, transferId, status: 'error', error: 'not_found' });
+        return;
+    }
+    if (transfer.toId !== ws.userId || !isMember(game, ws.userId)) {
+        sendJson(ws, { type: 'game:transfer_status', gameId, transferId, status: 'error', error: 'forbidden' });
+        return;
+    }
+
+    const context = { ...transfer, gameId: game.id };
+    if (!payload?.accept) {
+        delete game.ownershipTransfer;
+        await persistGame(game, { reason: 'ownership:decline', actorId: ws.userId });
+        sendOwnershipTransferStatus(context, 'declined');
+        return;
+    }
+
+    applyOwnershipTransfer(game, transfer);
+    await persistGame(game, { reason: 'ownership:transfer', actorId: ws.userId });
+    removeStoryWatcher(game.id);
+    getOrCreateStoryWatcher(game);
+    sendOwnershipTransferStatus(context, 'accepted', { dmId: game.dmId });
 }
 
 // --- Trade workflow ---
@@ -3176,11 +4511,11 @@ function sanitizeTradeOffer(list) {
     return Array.from(map.entries()).map(([itemId, quantity]) => ({ itemId, quantity }));
 }
 
-function buildTradeSnapshot(trade, game, db) {
+function buildTradeSnapshot(trade, game, users) {
     const initiatorPlayer = findPlayer(game, trade.initiatorId);
-    const initiatorUser = findUser(db, trade.initiatorId);
+    const initiatorUser = findUser(users, trade.initiatorId);
     const partnerPlayer = findPlayer(game, trade.partnerId);
-    const partnerUser = findUser(db, trade.partnerId);
+    const partnerUser = findUser(users, trade.partnerId);
 
     const mapOffers = (player, offers) => {
         if (!player) return [];
@@ -3228,46 +4563,91 @@ function buildTradeSnapshot(trade, game, db) {
     };
 }
 
-function refreshTradeTimeout(trade) {
-    if (trade.timeout) {
-        clearTimeout(trade.timeout);
-    }
+function extendTradeExpiry(trade) {
     trade.expiresAt = new Date(Date.now() + TRADE_TIMEOUT_MS).toISOString();
-    trade.timeout = setTimeout(() => {
-        cancelTrade(trade, 'timeout').catch((err) => console.warn('trade timeout cancel failed', err));
-    }, TRADE_TIMEOUT_MS);
+}
+
+/**
+ * Arm this instance's timer for the trade's current expiry. The timer checks
+ * the stored record when it fires, since another instance may have extended
+ * the trade in the meantime and armed its own.
+ */
+function scheduleTradeTimeout(trade) {
+    clearTradeTimer(trade.id);
+    const delayMs = Math.max(0, Date.parse(trade.expiresAt) - Date.now());
+    tradeTimers.set(
+        trade.id,
+        setTimeout(() => {
+            tradeTimers.delete(trade.id);
+            expireTrade(trade.id).catch((err) => console.warn('trade timeout cancel failed', err));
+        }, delayMs),
+    );
+}
+
+function clearTradeTimer(tradeId) {
+    const timer = tradeTimers.get(tradeId);
+    if (timer) clearTimeout(timer);
+    tradeTimers.delete(tradeId);
+}
+
+async function expireTrade(tradeId) {
+    const trade = await tradeStore.get(tradeId);
+    if (!trade || Date.parse(trade.expiresAt) > Date.now()) return;
+    await cancelTrade(trade, 'timeout');
+}
+
+/**
+ * Load an open trade, cancelling it instead when it expired while the
+ * instance holding its timer was gone.
+ */
+async function loadTrade(tradeId) {
+    const trade = await tradeStore.get(tradeId);
+    if (!trade) return null;
+    if (Date.parse(trade.expiresAt) <= Date.now()) {
+        await cancelTrade(trade, 'timeout');
+        return null;
+    }
+    return trade;
 }
 
 async function sendTradeMessage(trade, type, extra = {}) {
-    const db = await readDB();
-    const game = getGame(db, trade.gameId);
+    const game = await loadGame(trade.gameId);
     if (!game) return;
-    const snapshot = buildTradeSnapshot(trade, game, db);
+    const users = await loadGameUsers(game);
+    const snapshot = buildTradeSnapshot(trade, game, users);
     const payload = { type, trade: snapshot, ...extra };
-    const filter = (socket) => socket.tradeSubscriptions?.has(trade.gameId);
-    sendToUser(trade.initiatorId, payload, filter);
-    sendToUser(trade.partnerId, payload, filter);
+    sendGameEventToUsers(trade.gameId, [trade.initiatorId, trade.partnerId], payload, 'trade');
 }
 
 async function cancelTrade(trade, reason = 'cancelled') {
     if (!trade) return;
-    if (trade.timeout) clearTimeout(trade.timeout);
+    clearTradeTimer(trade.id);
+    const removed = await tradeStore.take(trade.id);
+    if (!removed) return;
+    await announceTradeCancelled(removed, reason);
+}
+
+async function announceTradeCancelled(trade, reason) {
     trade.status = 'cancelled';
-    pendingTrades.delete(trade.id);
     await sendTradeMessage(trade, 'trade:cancelled', { reason });
 }
 
-async function finalizeTrade(trade) {
-    const db = await readDB();
-    const game = getGame(db, trade.gameId);
+async function finalizeTrade(pending) {
+    // Both confirmations can land at once on different instances; whoever
+    // removes the record performs the exchange.
+    clearTradeTimer(pending.id);
+    const trade = await tradeStore.take(pending.id);
+    if (!trade) return;
+
+    const game = await loadGame(trade.gameId);
     if (!game) {
-        await cancelTrade(trade, 'game_missing');
+        await announceTradeCancelled(trade, 'game_missing');
         return;
     }
     const giver = findPlayer(game, trade.initiatorId);
     const receiver = findPlayer(game, trade.partnerId);
     if (!giver || !receiver) {
-        await cancelTrade(trade, 'player_missing');
+        await announceTradeCancelled(trade, 'player_missing');
         return;
     }
 
@@ -3295,12 +4675,12 @@ async function finalizeTrade(trade) {
 
     const giverEntries = prepareEntries(giver, trade.offers[trade.initiatorId] || []);
     if (giverEntries.error) {
-        await cancelTrade(trade, giverEntries.error);
+        await announceTradeCancelled(trade, giverEntries.error);
         return;
     }
     const receiverEntries = prepareEntries(receiver, trade.offers[trade.partnerId] || []);
     if (receiverEntries.error) {
-        await cancelTrade(trade, receiverEntries.error);
+        await announceTradeCancelled(trade, receiverEntries.error);
         return;
     }
 
@@ -3341,12 +4721,16 @@ async function finalizeTrade(trade) {
     transfer(giver, receiver, giverEntries.entries);
     transfer(receiver, giver, receiverEntries.entries);
 
-    await persistGame(db, game, { reason: 'trade:completed' });
+    try {
+        await persistGame(game, { reason: 'trade:completed' });
+    } catch (err) {
+        // Put the trade back so the players can confirm again once the game settles.
+        await tradeStore.create(trade);
+        scheduleTradeTimeout(trade);
+        throw err;
+    }
 
-    if (trade.timeout) clearTimeout(trade.timeout);
     trade.status = 'completed';
-    pendingTrades.delete(trade.id);
-
     await sendTradeMessage(trade, 'trade:completed');
 }
 
@@ -3364,19 +4748,18 @@ async function handleTradeStart(ws, payload) {
     }
     const actorPlayer = findPlayer(game, ws.userId);
     const partnerPlayer = findPlayer(game, partnerId);
-    if (!actorPlayer || (actorPlayer.role || '').toLowerCase() === 'dm') {
+    if (!isPartyPlayer(actorPlayer)) {
         sendJson(ws, { type: 'trade:error', error: 'initiator_not_player' });
         return;
     }
-    if (!partnerPlayer || (partnerPlayer.role || '').toLowerCase() === 'dm') {
+    if (!isPartyPlayer(partnerPlayer)) {
         sendJson(ws, { type: 'trade:error', error: 'partner_not_player' });
         return;
     }
 
     const note = typeof payload?.note === 'string' ? payload.note.slice(0, 200) : '';
-    const tradeId = uuid();
     const trade = {
-        id: tradeId,
+        id: uuid(),
         gameId: game.id,
         initiatorId: ws.userId,
         partnerId,
@@ -3393,20 +4776,16 @@ async function handleTradeStart(ws, payload) {
         expiresAt: new Date(Date.now() + TRADE_TIMEOUT_MS).toISOString(),
         note,
     };
-    trade.timeout = setTimeout(() => {
-        cancelTrade(trade, 'timeout').catch((err) => console.warn('trade timeout cancel failed', err));
-    }, TRADE_TIMEOUT_MS);
-
-    pendingTrades.set(tradeId, trade);
 
-    refreshTradeTimeout(trade);
+    await tradeStore.create(trade);
+    scheduleTradeTimeout(trade);
     await sendTradeMessage(trade, 'trade:invite', { initiatedBy: ws.userId });
 }
 
 async function handleTradeRespond(ws, payload) {
     const tradeId = typeof payload?.tradeId === 'string' ? payload.tradeId : null;
     if (!tradeId) return;
-    const trade = pendingTrades.get(tradeId);
+    const trade = await loadTrade(tradeId);
     if (!trade) {
         sendJson(ws, { type: 'trade:error', error: 'not_found', tradeId });
         return;
@@ -3423,17 +4802,22 @@ async function handleTradeRespond(ws, payload) {
         await cancelTrade(trade, 'declined');
         return;
     }
-    trade.status = 'active';
-    trade.confirmations[trade.initiatorId] = false;
-    trade.confirmations[trade.partnerId] = false;
-    refreshTradeTimeout(trade);
-    await sendTradeMessage(trade, 'trade:active');
+    const updated = await tradeStore.update(tradeId, (current) => {
+        if (current.status !== 'awaiting-partner') return false;
+        current.status = 'active';
+        current.confirmations[current.initiatorId] = false;
+        current.confirmations[current.partnerId] = false;
+        extendTradeExpiry(current);
+    });
+    if (!updated) return;
+    scheduleTradeTimeout(updated);
+    await sendTradeMessage(updated, 'trade:active');
 }
 
 async function handleTradeUpdate(ws, payload) {
     const tradeId = typeof payload?.tradeId === 'string' ? payload.tradeId : null;
     if (!tradeId) return;
-    const trade = pendingTrades.get(tradeId);
+    const trade = await loadTrade(tradeId);
     if (!trade) {
         sendJson(ws, { type: 'trade:error', error: 'not_found', tradeId });
         return;
@@ -3445,80 +4829,281 @@ async function handleTradeUpdate(ws, payload) {
     }
 
     const sanitized = sanitizeTradeOffer(payload?.items);
-    trade.offers[ws.userId] = sanitized;
-    trade.confirmations[trade.initiatorId] = false;
-    trade.confirmations[trade.partnerId] = false;
-    refreshTradeTimeout(trade);
-    await sendTradeMessage(trade, 'trade:update');
+    const updated = await tradeStore.update(tradeId, (current) => {
+        if (current.status !== 'active') return false;
+        current.offers[ws.userId] = sanitized;
+        current.confirmations[current.initiatorId] = false;
+        current.confirmations[current.partnerId] = false;
+        extendTradeExpiry(current);
+    });
+    if (!updated) return;
+    scheduleTradeTimeout(updated);
+    await sendTradeMessage(updated, 'trade:update');
 }
 
 async function handleTradeConfirm(ws, payload) {
     const tradeId = typeof payload?.tradeId === 'string' ? payload.tradeId : null;
     if (!tradeId) return;
-    const trade = pendingTrades.get(tradeId);
+    const trade = await loadTrade(tradeId);
     if (!trade || trade.status !== 'active') return;
     if (ws.userId !== trade.initiatorId && ws.userId !== trade.partnerId) return;
-    trade.confirmations[ws.userId] = true;
-    refreshTradeTimeout(trade);
-    await sendTradeMessage(trade, 'trade:update');
-    if (trade.confirmations[trade.initiatorId] && trade.confirmations[trade.partnerId]) {
-        await finalizeTrade(trade);
+    const updated = await tradeStore.update(tradeId, (current) => {
+        if (current.status !== 'active') return false;
+        current.confirmations[ws.userId] = true;
+        extendTradeExpiry(current);
+    });
+    if (!updated) return;
+    scheduleTradeTimeout(updated);
+    await sendTradeMessage(updated, 'trade:update');
+    if (updated.confirmations[updated.initiatorId] && updated.confirmations[updated.partnerId]) {
+        await finalizeTrade(updated);
     }
 }
 
 async function handleTradeUnconfirm(ws, payload) {
     const tradeId = typeof payload?.tradeId === 'string' ? payload.tradeId : null;
     if (!tradeId) return;
-    const trade = pendingTrades.get(tradeId);
+    const trade = await loadTrade(tradeId);
     if (!trade || trade.status !== 'active') return;
     if (ws.userId !== trade.initiatorId && ws.userId !== trade.partnerId) return;
-    trade.confirmations[ws.userId] = false;
-    refreshTradeTimeout(trade);
-    await sendTradeMessage(trade, 'trade:update');
+    const updated = await tradeStore.update(tradeId, (current) => {
+        if (current.status !== 'active') return false;
+        current.confirmations[ws.userId] = false;
+        extendTradeExpiry(current);
+    });
+    if (!updated) return;
+    scheduleTradeTimeout(updated);
+    await sendTradeMessage(updated, 'trade:update');
 }
 
 async function handleTradeCancel(ws, payload) {
     const tradeId = typeof payload?.tradeId === 'string' ? payload.tradeId : null;
     if (!tradeId) return;
-    const trade = pendingTrades.get(tradeId);
+    const trade = await tradeStore.get(tradeId);
     if (!trade) return;
     if (ws.userId !== trade.initiatorId && ws.userId !== trade.partnerId) return;
     await cancelTrade(trade, 'cancelled');
 }
 
 async function sendOpenTradesToSocket(ws, gameId) {
-    const relevant = Array.from(pendingTrades.values()).filter(
-        (trade) =>
-            trade.gameId === gameId &&
-            (trade.initiatorId === ws.userId || trade.partnerId === ws.userId) &&
-            trade.status !== 'completed' &&
-            trade.status !== 'cancelled'
-    );
+    const relevant = [];
+    for (const trade of await tradeStore.listForGame(gameId)) {
+        if (trade.initiatorId !== ws.userId && trade.partnerId !== ws.userId) continue;
+        if (Date.parse(trade.expiresAt) <= Date.now()) {
+            await cancelTrade(trade, 'timeout');
+            continue;
+        }
+        relevant.push(trade);
+    }
     if (relevant.length === 0) return;
-    const db = await readDB();
-    const game = getGame(db, gameId);
+    const game = await loadGame(gameId);
     if (!game) return;
+    const users = await loadGameUsers(game);
     for (const trade of relevant) {
-        const snapshot = buildTradeSnapshot(trade, game, db);
+        const snapshot = buildTradeSnapshot(trade, game, users);
         const type = trade.status === 'awaiting-partner' ? 'trade:invite' : 'trade:active';
         sendJson(ws, { type, trade: snapshot });
     }
 }
 
-async function handleSocketMessage(ws, data) {
-    let message;
+// --- Dice rolls ---
+
+function presentDiceRoll(doc) {
+    if (!doc) return null;
+    const result = doc.result || {};
+    return {
+        id: doc.id,
+        userId: doc.userId,
+        userName: result.userName || null,
+        label: doc.label || '',
+        notation: doc.notation,
+        visibility: doc.visibility,
+        total: result.total,
+        dice: Array.isArray(result.dice) ? result.dice : [],
+        hits: Array.isArray(result.hits) ? result.hits : [],
+        variables: result.variables || {},
+        natural: result.natural ?? null,
+        critical: !!result.critical,
+        fumble: !!result.fumble,
+        createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+    };
+}
+
+/**
+ * Values a roll may reference. Ability modifiers and level come from the
+ * roller's sheet and win over anything the client sends; other values (ACC,
+ * EVA, weapon bonuses) are taken as given but stored with the roll, so the
+ * log shows exactly what went into the total.
+ */
+function buildDiceVariables(game, userId, { ability, variables } = {}) {
+    const values = {};
+    if (variables && typeof variables === 'object') {
+        for (const [rawKey, rawValue] of Object.entries(variables).slice(0, MAX_DICE_VARIABLES)) {
+            const key = String(rawKey).toUpperCase();
+            const num = Number(rawValue);
+            if (!DICE_VARIABLE_NAME_REGEX.test(key) || !Number.isFinite(num)) continue;
+            values[key] = Math.max(-1000, Math.min(1000, num));
+        }
+    }
+    const character = findPlayer(game, userId)?.character;
+    if (character && typeof character === 'object') {
+        const mods = deriveAbilityMods(convertLegacyStats(character.stats));
+        Object.assign(values, mods);
+        const level = Number(character.resources?.level);
+        if (Number.isFinite(level)) values.LVL = level;
+        const code = typeof ability === 'string' ? ability.toUpperCase() : '';
+        if (ABILITY_CODES.has(code)) values.MOD = mods[code];
+    }
+    return values;
+}
+
+function getDiceRollRecipients(game, roll) {
+    if (roll.visibility === 'self') return [roll.userId];
+    return [roll.userId, ...getTableUserIds(game)];
+}
+
+async function pruneDiceRolls(gameId) {
+    const [oldest] = await DiceRoll.find({ gameId })
+        .sort({ createdAt: -1 })
+        .skip(DICE_ROLL_LOG_LIMIT)
+        .limit(1)
+        .select({ createdAt: 1 })
+        .lean();
+    if (oldest) {
+        await DiceRoll.deleteMany({ gameId, createdAt: { $lte: oldest.createdAt } });
+    }
+}
+
+async function handleDiceRoll(ws, message) {
+    const gameId = parseUUID(message.gameId);
+    const requestId = typeof message.requestId === 'string' ? message.requestId.slice(0, 64) : null;
+    const fail = (error, extra = {}) => sendJson(ws, { type: 'dice:error', gameId: gameId || null, requestId, error, ...extra });
+    if (!gameId) return fail('invalid_request');
+    const game = await loadGame(gameId);
+    if (!game || !isMember(game, ws.userId)) return fail('not_found');
+
+    const visibility = DICE_ROLL_VISIBILITIES.has(message.visibility) ? message.visibility : 'public';
+    let result;
     try {
-        message = typeof data === 'string' ? JSON.parse(data) : JSON.parse(data.toString('utf8'));
-    } catch {
-        return;
+        const parsed = parseDiceNotation(message.notation);
+        result = rollDice(parsed, { variables: buildDiceVariables(game, ws.userId, message) });
+    } catch (err) {
+        if (err instanceof DiceNotationError) return fail(err.code, { message: err.message });
+        throw err;
     }
-    if (!message || typeof message !== 'object') return;
+    const user = await getUserById(ws.userId);
+    const doc = {
+        id: uuid(),
+        gameId,
+        userId: ws.userId,
+        label: typeof message.label === 'string' ? sanitizeText(message.label).trim().slice(0, MAX_DICE_LABEL_LENGTH) : '',
+        notation: result.notation,
+        visibility,
+        result: { ...result, userName: user?.username || null },
+    };
+    const created = (await DiceRoll.create(doc)).toObject();
+    pruneDiceRolls(gameId).catch((err) => dbLogger.warn(`Failed to prune dice rolls for game ${gameId}`, err));
 
-    const type = message.type;
-    try {
-        switch (type) {
-            case 'subscribe': {
-                const channel = message.channel;
+    const payload = { type: 'dice:rolled', gameId, requestId, roll: presentDiceRoll(created) };
+    if (visibility === 'public') {
+        broadcastGameMessage(gameId, payload);
+    } else {
+        sendGameEventToUsers(gameId, getDiceRollRecipients(game, created), payload);
+    }
+}
+
+// --- Party chat ---
+
+function presentChatMessage(doc) {
+    if (!doc) return null;
+    return {
+        id: doc.id,
+        channel: doc.channel,
+        senderId: doc.senderId,
+        recipientId: doc.recipientId || null,
+        body: doc.body,
+        createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+    };
+}
+
+/**
+ * Filter for the messages in `thread` that `userId` may read, or null when
+ * the thread is not theirs: OOC is for the DM and co-DMs, and whispers are
+ * only readable by the two people in them.
+ */
+function buildChatThreadFilter(game, userId, thread) {
+    const parsed = parseChatThread(thread);
+    if (!parsed) return null;
+    if (parsed.channel === 'party') return { gameId: game.id, channel: 'party' };
+    if (parsed.channel === 'ooc') {
+        return canRunTable(game, userId) ? { gameId: game.id, channel: 'ooc' } : null;
+    }
+    if (parsed.peerId === userId || !parseUUID(parsed.peerId)) return null;
+    return {
+        gameId: game.id,
+        channel: 'whisper',
+        $or: [
+            { senderId: userId, recipientId: parsed.peerId },
+            { senderId: parsed.peerId, recipientId: userId },
+        ],
+    };
+}
+
+async function handleChatSend(ws, message) {
+    const gameId = parseUUID(message.gameId);
+    const clientId = typeof message.clientId === 'string' ? message.clientId.slice(0, 64) : null;
+    const fail = (error) => sendJson(ws, { type: 'chat:error', gameId: gameId || null, clientId, error });
+    const body = typeof message.body === 'string' ? message.body.trim() : '';
+    if (!gameId || !body) return fail('invalid_message');
+    if (body.length > MAX_CHAT_MESSAGE_LENGTH) return fail('message_too_long');
+    const game = await loadGame(gameId);
+    if (!game || !isMember(game, ws.userId)) return fail('not_found');
+
+    const thread = parseChatThread(message.thread);
+    if (!thread) return fail('invalid_thread');
+    if (thread.channel === 'ooc' && !canRunTable(game, ws.userId)) return fail('forbidden');
+    if (thread.channel === 'whisper' && (thread.peerId === ws.userId || !isMember(game, thread.peerId))) {
+        return fail('invalid_recipient');
+    }
+    if (chatSendLimiter.status(ws.userId).locked) return fail('rate_limited');
+    chatSendLimiter.hit(ws.userId);
+
+    const created = (
+        await ChatMessage.create({
+            id: uuid(),
+            gameId,
+            channel: thread.channel,
+            senderId: ws.userId,
+            recipientId: thread.channel === 'whisper' ? thread.peerId : null,
+            body,
+        })
+    ).toObject();
+    const payload = { type: 'chat:message', gameId, clientId, message: presentChatMessage(created) };
+    if (thread.channel === 'party') {
+        broadcastGameMessage(gameId, payload);
+    } else if (thread.channel === 'ooc') {
+        sendGameEventToUsers(gameId, getTableUserIds(game), payload);
+    } else {
+        sendGameEventToUsers(gameId, [ws.userId, thread.peerId], payload);
+    }
+}
+
+async function handleSocketMessage(ws, data) {
+    let message;
+    try {
+        message = typeof data === 'string' ? JSON.parse(data) : JSON.parse(data.toString('utf8'));
+    } catch {
+        return;
+    }
+    if (!message || typeof message !== 'object') return;
+    // Share-link viewers are read-only.
+    if (ws.shareGameId) return;
+
+    const type = message.type;
+    try {
+        switch (type) {
+            case 'subscribe': {
+                const channel = message.channel;
                 const gameId = parseUUID(message.gameId);
                 if (!gameId) break;
                 if (channel === 'story') {
@@ -3527,7 +5112,10 @@ async function handleSocketMessage(ws, data) {
                     subscribeTradeChannel(ws, gameId);
                     await sendOpenTradesToSocket(ws, gameId);
                 } else if (channel === 'game') {
-                    subscribeGameChannel(ws, gameId);
+                    subscribeGameChannel(ws, gameId, {
+                        lastSeq: Number.isInteger(message.lastSeq) ? message.lastSeq : null,
+                        epoch: typeof message.epoch === 'string' ? message.epoch : null,
+                    });
                 }
                 break;
             }
@@ -3550,6 +5138,9 @@ async function handleSocketMessage(ws, data) {
             case 'story.impersonation.respond':
                 await handlePersonaResponseMessage(ws, message);
                 break;
+            case 'game.transfer.respond':
+                await handleOwnershipTransferResponse(ws, message);
+                break;
             case 'trade.start':
                 await handleTradeStart(ws, message);
                 break;
@@ -3580,8 +5171,7 @@ async function handleSocketMessage(ws, data) {
                     sendJson(ws, { type: 'media:error', error: 'invalid_url', gameId });
                     break;
                 }
-                const db = await readDB();
-                const game = getGame(db, gameId);
+                const game = await loadGame(gameId);
                 if (!game || !isMember(game, ws.userId)) {
                     sendJson(ws, { type: 'media:error', error: 'not_found', gameId });
                     break;
@@ -3596,15 +5186,14 @@ async function handleSocketMessage(ws, data) {
                 media.startSeconds = parsed.startSeconds;
                 media.playing = true;
                 media.updatedAt = new Date().toISOString();
-                await persistGame(db, game, { broadcast: false });
+                await persistGame(game, { broadcast: false });
                 broadcastMediaState(game);
                 break;
             }
             case 'media.stop': {
                 const gameId = parseUUID(message.gameId);
                 if (!gameId) break;
-                const db = await readDB();
-                const game = getGame(db, gameId);
+                const game = await loadGame(gameId);
                 if (!game || !isMember(game, ws.userId)) {
                     sendJson(ws, { type: 'media:error', error: 'not_found', gameId: gameId || null });
                     break;
@@ -3619,7 +5208,7 @@ async function handleSocketMessage(ws, data) {
                 media.startSeconds = 0;
                 media.playing = false;
                 media.updatedAt = new Date().toISOString();
-                await persistGame(db, game, { broadcast: false });
+                await persistGame(game, { broadcast: false });
                 broadcastMediaState(game);
                 break;
             }
@@ -3635,8 +5224,7 @@ async function handleSocketMessage(ws, data) {
                     });
                     break;
                 }
-                const db = await readDB();
-                const game = getGame(db, gameId);
+                const game = await loadGame(gameId);
                 if (!game || !isMember(game, ws.userId)) {
                     sendJson(ws, { type: 'music:error', error: 'not_found', gameId });
                     break;
@@ -3656,7 +5244,7 @@ async function handleSocketMessage(ws, data) {
                 music.playing = true;
                 music.position = position;
                 music.updatedAt = new Date().toISOString();
-                await persistGame(db, game, {
+                await persistGame(game, {
                     broadcast: false,
                     reason: 'music:play',
                     actorId: ws.userId,
@@ -3670,8 +5258,7 @@ async function handleSocketMessage(ws, data) {
                     sendJson(ws, { type: 'music:error', error: 'invalid_request', gameId: null });
                     break;
                 }
-                const db = await readDB();
-                const game = getGame(db, gameId);
+                const game = await loadGame(gameId);
                 if (!game || !isMember(game, ws.userId)) {
                     sendJson(ws, { type: 'music:error', error: 'not_found', gameId });
                     break;
@@ -3688,7 +5275,7 @@ async function handleSocketMessage(ws, data) {
                 music.playing = false;
                 music.position = clampMusicPosition(message.position);
                 music.updatedAt = new Date().toISOString();
-                await persistGame(db, game, {
+                await persistGame(game, {
                     broadcast: false,
                     reason: 'music:pause',
                     actorId: ws.userId,
@@ -3702,8 +5289,7 @@ async function handleSocketMessage(ws, data) {
                     sendJson(ws, { type: 'music:error', error: 'invalid_request', gameId: null });
                     break;
                 }
-                const db = await readDB();
-                const game = getGame(db, gameId);
+                const game = await loadGame(gameId);
                 if (!game || !isMember(game, ws.userId)) {
                     sendJson(ws, { type: 'music:error', error: 'not_found', gameId });
                     break;
@@ -3724,7 +5310,7 @@ async function handleSocketMessage(ws, data) {
                     music.playing = !!message.playing;
                 }
                 music.updatedAt = new Date().toISOString();
-                await persistGame(db, game, {
+                await persistGame(game, {
                     broadcast: false,
                     reason: 'music:seek',
                     actorId: ws.userId,
@@ -3735,8 +5321,7 @@ async function handleSocketMessage(ws, data) {
             case 'music.stop': {
                 const gameId = parseUUID(message.gameId);
                 if (!gameId) break;
-                const db = await readDB();
-                const game = getGame(db, gameId);
+                const game = await loadGame(gameId);
                 if (!game || !isMember(game, ws.userId)) {
                     sendJson(ws, { type: 'music:error', error: 'not_found', gameId: gameId || null });
                     break;
@@ -3751,7 +5336,7 @@ async function handleSocketMessage(ws, data) {
                 music.playing = false;
                 music.position = 0;
                 music.updatedAt = new Date().toISOString();
-                await persistGame(db, game, {
+                await persistGame(game, {
                     broadcast: false,
                     reason: 'music:stop',
                     actorId: ws.userId,
@@ -3759,6 +5344,12 @@ async function handleSocketMessage(ws, data) {
                 broadcastMusicState(game);
                 break;
             }
+            case 'dice.roll':
+                await handleDiceRoll(ws, message);
+                break;
+            case 'chat.send':
+                await handleChatSend(ws, message);
+                break;
             case 'alert.broadcast': {
                 const gameId = parseUUID(message.gameId);
                 const text = sanitizeAlertMessage(message.message);
@@ -3766,8 +5357,7 @@ async function handleSocketMessage(ws, data) {
                     sendJson(ws, { type: 'alert:error', error: 'invalid_message', gameId: gameId || null });
                     break;
                 }
-                const db = await readDB();
-                const game = getGame(db, gameId);
+                const game = await loadGame(gameId);
                 if (!game || !isMember(game, ws.userId)) {
                     sendJson(ws, { type: 'alert:error', error: 'not_found', gameId });
                     break;
@@ -3776,7 +5366,7 @@ async function handleSocketMessage(ws, data) {
                     sendJson(ws, { type: 'alert:error', error: 'forbidden', gameId });
                     break;
                 }
-                const user = findUser(db, ws.userId);
+                const user = await getUserById(ws.userId);
                 const alert = {
                     id: uuid(),
                     message: text,
@@ -3791,15 +5381,19 @@ async function handleSocketMessage(ws, data) {
                 sendJson(ws, { type: 'error', error: 'unknown_type', originalType: type });
         }
     } catch (err) {
+        if (err?.code === GAME_VERSION_CONFLICT) {
+            sendJson(ws, { type: 'error', error: 'conflict', originalType: type });
+            return;
+        }
         console.warn('Websocket handler error', err);
         sendJson(ws, { type: 'error', error: 'internal_error' });
     }
 }
 
 function canEditInventory(game, actingUserId, targetUserId) {
-    if (isDM(game, actingUserId)) return true;
+    if (canRunTable(game, actingUserId)) return true;
     if (actingUserId !== targetUserId) return false;
-    return !!game.permissions?.canEditItems;
+    return hasPlayerPermission(game, actingUserId, 'canEditItems');
 }
 
 function ensureGear(player) {
@@ -3822,9 +5416,9 @@ function ensureGearBag(player) {
 }
 
 function canEditGear(game, actingUserId, targetUserId) {
-    if (isDM(game, actingUserId)) return true;
+    if (canRunTable(game, actingUserId)) return true;
     if (actingUserId !== targetUserId) return false;
-    return !!game.permissions?.canEditGear;
+    return hasPlayerPermission(game, actingUserId, 'canEditGear');
 }
 
 function generateInviteCode(existing) {
@@ -4231,6 +5825,20 @@ function readGameName(value) {
     return name;
 }
 
+const gameNameSchema = v
+    .string({ nonEmpty: true, max: 100 })
+    .refine((name) => !INVALID_GAME_NAME_CHARS.test(name), 'Must not contain <, > or line breaks');
+
+/**
+ * Validate `value` against a schema inside a handler, throwing a field error
+ * for the central error handler when it does not match.
+ */
+function parseWithSchema(schema, value) {
+    const result = validate(schema, value);
+    if (result.fields) throw createValidationError(result.fields);
+    return result.value;
+}
+
 function parseInviteCode(value) {
     if (typeof value !== 'string') return null;
     const normalized = value.trim().toUpperCase();
@@ -4371,56 +5979,31 @@ async function syncDemonsToDatabase() {
     return entries.length;
 }
 
-async function readDB() {
-    const [users, games] = await Promise.all([
-        User.find().lean(),
-        Game.find().lean(),
+/**
+ * Import the legacy JSON database when MongoDB has no users or games yet.
+ * Runs once during startup; regular requests load games individually.
+ */
+async function importLegacySeedIfEmpty() {
+    const [userCount, gameCount] = await Promise.all([
+        User.estimatedDocumentCount(),
+        Game.estimatedDocumentCount(),
     ]);
+    if (userCount > 0 || gameCount > 0) return false;
 
-    const normalized = {
-        users: users.map((doc) => stripMongoMetadata(doc)),
-        games: games.map((doc) => stripMongoMetadata(doc)),
-    };
-
-    if (normalized.users.length === 0 && normalized.games.length === 0) {
-        const seed = await loadSeedDatabase();
-        if (seed && (seed.users.length > 0 || seed.games.length > 0)) {
-            await writeDB(seed);
-            return seed;
-        }
-    }
-
-    return normalizeDB(normalized);
-}
-
-async function writeDB(db) {
-    const normalized = normalizeDB(db);
-    const userDocs = normalized.users.map((doc) => stripMongoMetadata(doc));
-    const gameDocs = normalized.games.map((doc) => stripMongoMetadata(doc));
+    const seed = await loadSeedDatabase();
+    if (!seed || (seed.users.length === 0 && seed.games.length === 0)) return false;
 
-    if (userDocs.length > 0) {
-        await User.bulkWrite(userDocs.map((user) => ({
-            updateOne: { filter: { id: user.id }, update: { $set: user }, upsert: true },
-        })));
-        const ids = userDocs.map((user) => user.id);
-        await User.deleteMany({ id: { $nin: ids } });
-    } else {
-        await User.deleteMany({});
+    if (seed.users.length > 0) {
+        await User.insertMany(seed.users.map((user) => stripMongoMetadata(user)), { ordered: false });
     }
-
-    if (gameDocs.length > 0) {
-        await Game.bulkWrite(gameDocs.map((game) => ({
-            replaceOne: { filter: { id: game.id }, replacement: game, upsert: true },
-        })));
-        const ids = gameDocs.map((game) => game.id);
-        await Game.deleteMany({ id: { $nin: ids } });
-    } else {
-        await Game.deleteMany({});
+    if (seed.games.length > 0) {
+        await Game.insertMany(
+            seed.games.map((game) => ({ ...stripMongoMetadata(game), version: 1 })),
+            { ordered: false },
+        );
     }
-}
-
-function hash(pw, salt) {
-    return crypto.createHash('sha256').update(salt + pw).digest('hex');
+    console.log(`[db] Imported ${seed.users.length} users and ${seed.games.length} games from legacy seed.`);
+    return true;
 }
 
 function isServerAdminUser(user) {
@@ -4430,7 +6013,7 @@ function isServerAdminUser(user) {
 
 function sanitizeUserRecord(user) {
     if (!user || typeof user !== 'object') return user;
-    const { pass: _pass, ...rest } = user;
+    const { pass: _pass, passParams: _passParams, passwordReset: _passwordReset, ...rest } = user;
     return rest;
 }
 
@@ -4439,6 +6022,18 @@ async function getUserById(id) {
     return User.findOne({ id }).lean();
 }
 
+const CASE_INSENSITIVE_COLLATION = { locale: 'en', strength: 2 };
+
+async function findUserByUsername(username) {
+    if (!username) return null;
+    return User.findOne({ username }).collation(CASE_INSENSITIVE_COLLATION).lean();
+}
+
+async function findUserByEmail(email) {
+    if (!email) return null;
+    return User.findOne({ email }).collation(CASE_INSENSITIVE_COLLATION).lean();
+}
+
 async function requireServerAdmin(req, res, next) {
     if (!req.session?.userId) {
         return res.status(401).json({ error: 'unauthenticated' });
@@ -4544,7 +6139,7 @@ async function saveMasterBotSettings(settings) {
     return normalized;
 }
 
-const app = express();
+const app = forwardAsyncErrors(express());
 
 const resolvedTrustProxy = (() => {
     if (TRUST_PROXY) {
@@ -4628,7 +6223,9 @@ const sessionParser = session({
     cookie: sessionCookie,
 });
 
+app.use(authenticateApiToken);
 app.use(sessionParser);
+app.use(trackSessionActivity);
 
 app.get('/health', (_req, res) => {
     const status = {
@@ -4652,10 +6249,153 @@ function requireAuth(req, res, next) {
     next();
 }
 
+// --- API tokens ---
+function readBearerToken(req) {
+    const header = req.headers?.authorization;
+    if (typeof header !== 'string') return null;
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+function presentApiToken(record) {
+    if (!record) return null;
+    return {
+        id: record.id,
+        name: record.name,
+        prefix: record.prefix,
+        gameIds: Array.isArray(record.gameIds) ? record.gameIds : null,
+        readOnly: !!record.readOnly,
+        expiresAt: record.expiresAt || null,
+        lastUsedAt: record.lastUsedAt || null,
+        lastUsedIp: record.lastUsedIp || null,
+        createdAt: record.createdAt || null,
+    };
+}
+
+/**
+ * Accept `Authorization: Bearer <token>` as an alternative to the session
+ * cookie. A matching token gets a request-local stand-in for `req.session`,
+ * which also stops express-session from creating a cookie session.
+ */
+async function authenticateApiToken(req, res, next) {
+    const raw = readBearerToken(req);
+    if (!raw || !readiness.ready) return next();
+    try {
+        const record = await ApiToken.findOne({ tokenHash: hashOneTimeToken(raw) }).lean();
+        const now = Date.now();
+        if (!record || (record.expiresAt && new Date(record.expiresAt).getTime() <= now)) {
+            return res.status(401).json({ error: 'invalid_token' });
+        }
+        const user = await getUserById(record.userId);
+        if (!user) return res.status(401).json({ error: 'invalid_token' });
+        if (user.banned) return res.status(403).json({ error: 'user_banned' });
+
+        const scopeError = checkApiTokenScope(record, req);
+        if (scopeError) return res.status(403).json({ error: scopeError });
+
+        const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+        if (now - lastUsed > API_TOKEN_TOUCH_INTERVAL_MS) {
+            ApiToken.updateOne(
+                { id: record.id },
+                { $set: { lastUsedAt: new Date(now), lastUsedIp: clientIpKey(req) } },
+            ).catch((err) => authLogger.warn(`Failed to record API token use for ${record.id}`, err));
+        }
+
+        req.apiToken = presentApiToken(record);
+        req.session = {
+            userId: record.userId,
+            apiTokenId: record.id,
+            save: (cb) => cb?.(),
+            touch: () => {},
+            reload: (cb) => cb?.(),
+            regenerate: (cb) => cb?.(),
+            destroy: (cb) => cb?.(),
+        };
+        return next();
+    } catch (err) {
+        return next(err);
+    }
+}
+
+function requireSessionAuth(req, res, next) {
+    if (req.apiToken) return res.status(403).json({ error: 'token_not_allowed' });
+    return requireAuth(req, res, next);
+}
+
+// --- Sessions ---
+function recordSessionClient(req, now = new Date()) {
+    const sess = req.session;
+    sess.lastSeenAt = now.toISOString();
+    sess.ip = clientIpKey(req);
+    sess.userAgent = String(req.headers?.['user-agent'] || '').slice(0, 256);
+    if (!sess.createdAt) sess.createdAt = sess.lastSeenAt;
+}
+
+function startUserSession(req, userId) {
+    req.session.userId = userId;
+    req.session.createdAt = new Date().toISOString();
+    recordSessionClient(req);
+}
+
+// Refresh last-seen details at most once a minute so idle requests do not rewrite the session each time.
+function trackSessionActivity(req, _res, next) {
+    if (req.session?.userId && !req.apiToken) {
+        const lastSeen = Date.parse(req.session.lastSeenAt || '') || 0;
+        if (Date.now() - lastSeen > SESSION_ACTIVITY_INTERVAL_MS) {
+            recordSessionClient(req);
+        }
+    }
+    next();
+}
+
+// Session ids double as cookie values, so clients only ever see a digest of them.
+function publicSessionId(sid) {
+    return hashOneTimeToken(sid).slice(0, 32);
+}
+
+function presentUserSession(entry, currentSid) {
+    const data = entry.session || {};
+    return {
+        id: publicSessionId(entry.sid),
+        current: entry.sid === currentSid,
+        userAgent: data.userAgent || null,
+        ip: data.ip || null,
+        createdAt: data.createdAt || null,
+        lastSeenAt: data.lastSeenAt || null,
+        expiresAt: entry.expires || null,
+    };
+}
+
+async function revokeSession(sid, userId) {
+    await new Promise((resolve, reject) => {
+        sessionStore.destroy(sid, (err) => (err ? reject(err) : resolve()));
+    });
+    closeUserSockets(userId, { sessionId: sid });
+}
+
+async function revokeAllUserSessions(userId, { except } = {}) {
+    const revoked = await sessionStore.destroyByUser(userId, { except });
+    closeUserSockets(userId, { exceptSessionId: except });
+    return revoked;
+}
+
 // --- Auth ---
+function loginUsernameKey(username) {
+    return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+function clientIpKey(req) {
+    return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+function sendTooManyAttempts(res, retryAfterMs) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'too_many_attempts', retryAfter });
+}
+
 app.get('/api/auth/me', async (req, res) => {
-    const db = await readDB();
-    const user = db.users.find(u => u.id === req.session.userId);
+    const user = await getUserById(req.session.userId);
     if (!user) {
         res.json(null);
         return;
@@ -4671,6 +6411,11 @@ app.get('/api/auth/me', async (req, res) => {
 });
 
 app.post('/api/auth/register', async (req, res) => {
+    const ipKey = clientIpKey(req);
+    const ipStatus = registerIpLimiter.status(ipKey);
+    if (ipStatus.locked) return sendTooManyAttempts(res, ipStatus.retryAfterMs);
+    registerIpLimiter.hit(ipKey);
+
     const username = readUsername(req.body?.username);
     const password = readPassword(req.body?.password);
     const confirmPassword = readPassword(req.body?.confirmPassword);
@@ -4682,29 +6427,22 @@ app.post('/api/auth/register', async (req, res) => {
         return res.status(400).json({ error: 'password_mismatch' });
     }
 
-    const db = await readDB();
-    const exists = db.users.some(
-        (u) => typeof u?.username === 'string' && u.username.toLowerCase() === username.toLowerCase(),
-    );
+    const exists = await findUserByUsername(username);
     if (exists) return res.status(409).json({ error: 'user_exists' });
 
-    const emailExists = db.users.some(
-        (u) => typeof u?.email === 'string' && u.email.toLowerCase() === email.toLowerCase(),
-    );
+    const emailExists = await findUserByEmail(email);
     if (emailExists) return res.status(409).json({ error: 'email_exists' });
 
-    const salt = crypto.randomBytes(8).toString('hex');
     const user = {
         id: uuid(),
         username,
         email,
         banned: false,
-        pass: `${salt}$${hash(password, salt)}`,
+        ...(await hashPassword(password)),
     };
-    db.users.push(user);
-    await writeDB(db);
+    await User.create(user);
 
-    req.session.userId = user.id;
+    startUserSession(req, user.id);
     res.json({ id: user.id, username: user.username, email: user.email, isAdmin: isServerAdminUser(user) });
 });
 
@@ -4713,22 +6451,90 @@ app.post('/api/auth/login', async (req, res) => {
     const password = readPassword(req.body?.password);
     if (!username || !password) return res.status(400).json({ error: 'invalid credentials' });
 
-    const db = await readDB();
-    const user = db.users.find(
-        (u) => typeof u?.username === 'string' && u.username.toLowerCase() === username.toLowerCase()
-    );
-    if (!user) return res.status(400).json({ error: 'invalid credentials' });
+    const ipKey = clientIpKey(req);
+    const userKey = loginUsernameKey(username);
+    const ipStatus = loginIpLimiter.status(ipKey);
+    const userStatus = loginUserLimiter.status(userKey);
+    if (ipStatus.locked || userStatus.locked) {
+        return sendTooManyAttempts(res, Math.max(ipStatus.retryAfterMs, userStatus.retryAfterMs));
+    }
+
+    // Unknown usernames count against the same limits so responses do not reveal which accounts exist.
+    const rejectCredentials = () => {
+        const nextIp = loginIpLimiter.hit(ipKey);
+        const nextUser = loginUserLimiter.hit(userKey);
+        if (nextUser.locked) {
+            authLogger.warn(`Login locked for "${userKey}" after repeated failures from ${ipKey}`);
+        }
+        if (nextIp.locked || nextUser.locked) {
+            return sendTooManyAttempts(res, Math.max(nextIp.retryAfterMs, nextUser.retryAfterMs));
+        }
+        return res.status(400).json({
+            error: 'invalid credentials',
+            remainingAttempts: Math.min(nextIp.remaining, nextUser.remaining),
+        });
+    };
+
+    const user = await findUserByUsername(username);
+    if (!user) return rejectCredentials();
 
     if (user.banned) {
         return res.status(403).json({ error: 'user_banned' });
     }
 
-    const [salt, stored] = user.pass.split('$');
-    if (!salt || !stored || hash(password, salt) !== stored) {
-        return res.status(400).json({ error: 'invalid credentials' });
+    const { ok, needsRehash } = await verifyPassword(password, user);
+    if (!ok) return rejectCredentials();
+    loginUserLimiter.reset(userKey);
+    if (needsRehash) {
+        try {
+            await User.updateOne({ id: user.id }, { $set: await hashPassword(password) });
+        } catch (err) {
+            authLogger.warn(`Failed to upgrade password hash for user ${user.id}`, err);
+        }
+    }
+
+    startUserSession(req, user.id);
+    res.json({
+        id: user.id,
+        username: user.username,
+        email: user.email || null,
+        isAdmin: isServerAdminUser(user),
+    });
+});
+
+app.post('/api/auth/password-reset', async (req, res) => {
+    const token = typeof req.body?.token === 'string' ? req.body.token.trim() : '';
+    const password = readPassword(req.body?.password);
+    const confirmPassword = readPassword(req.body?.confirmPassword);
+    if (!token || !password || !confirmPassword) {
+        return res.status(400).json({ error: 'invalid_fields' });
+    }
+    if (password !== confirmPassword) {
+        return res.status(400).json({ error: 'password_mismatch' });
+    }
+
+    const ipKey = clientIpKey(req);
+    const ipStatus = loginIpLimiter.status(ipKey);
+    if (ipStatus.locked) return sendTooManyAttempts(res, ipStatus.retryAfterMs);
+
+    const user = await User.findOne({
+        'passwordReset.tokenHash': hashOneTimeToken(token),
+        'passwordReset.expiresAt': { $gt: new Date() },
+    }).lean();
+    if (!user) {
+        loginIpLimiter.hit(ipKey);
+        return res.status(400).json({ error: 'invalid_reset_token' });
     }
+    if (user.banned) return res.status(403).json({ error: 'user_banned' });
+
+    // Matching on the token hash makes the reset single-use even if two requests race.
+    const updated = await User.updateOne(
+        { id: user.id, 'passwordReset.tokenHash': user.passwordReset.tokenHash },
+        { $set: await hashPassword(password), $unset: { passwordReset: '' } },
+    );
+    if (!updated?.modifiedCount) return res.status(400).json({ error: 'invalid_reset_token' });
 
-    req.session.userId = user.id;
+    startUserSession(req, user.id);
     res.json({
         id: user.id,
         username: user.username,
@@ -4738,78 +6544,220 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 app.post('/api/auth/logout', (req, res) => {
-    req.session.destroy(() => res.json({ ok: true }));
+    const { sessionID } = req;
+    const userId = req.session.userId;
+    req.session.destroy(() => {
+        if (userId) closeUserSockets(userId, { sessionId: sessionID });
+        res.json({ ok: true });
+    });
+});
+
+// --- Account ---
+app.get('/api/account/sessions', requireSessionAuth, async (req, res) => {
+    const entries = await sessionStore.listByUser(req.session.userId);
+    const sessions = entries
+        .map((entry) => presentUserSession(entry, req.sessionID))
+        .sort((a, b) => (b.current - a.current) || String(b.lastSeenAt || '').localeCompare(String(a.lastSeenAt || '')));
+    res.json(sessions);
+});
+
+app.delete('/api/account/sessions/:sessionId', requireSessionAuth, async (req, res) => {
+    const target = typeof req.params?.sessionId === 'string' ? req.params.sessionId : '';
+    const entries = await sessionStore.listByUser(req.session.userId);
+    const entry = entries.find((item) => publicSessionId(item.sid) === target);
+    if (!entry) return res.status(404).json({ error: 'not_found' });
+    if (entry.sid === req.sessionID) return res.status(400).json({ error: 'current_session' });
+    await revokeSession(entry.sid, req.session.userId);
+    res.json({ ok: true });
+});
+
+app.post('/api/account/sessions/revoke-others', requireSessionAuth, async (req, res) => {
+    const revoked = await revokeAllUserSessions(req.session.userId, { except: req.sessionID });
+    res.json({ ok: true, revoked });
+});
+
+app.get('/api/account/tokens', requireSessionAuth, async (req, res) => {
+    const records = await ApiToken.find({ userId: req.session.userId }).sort({ createdAt: -1 }).lean();
+    res.json(records.map(presentApiToken));
+});
+
+app.post('/api/account/tokens', requireSessionAuth, async (req, res) => {
+    const userId = req.session.userId;
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim().slice(0, MAX_API_TOKEN_NAME_LENGTH) : '';
+    if (!name) return res.status(400).json({ error: 'invalid_name' });
+
+    let gameIds;
+    if (req.body?.gameIds !== undefined && req.body.gameIds !== null) {
+        if (!Array.isArray(req.body.gameIds) || req.body.gameIds.length === 0) {
+            return res.status(400).json({ error: 'invalid_games' });
+        }
+        const memberGameIds = new Set((await loadGamesForUser(userId)).map((game) => game.id));
+        gameIds = Array.from(new Set(req.body.gameIds.filter((id) => typeof id === 'string')));
+        if (gameIds.length === 0 || gameIds.some((id) => !memberGameIds.has(id))) {
+            return res.status(400).json({ error: 'invalid_games' });
+        }
+    }
+
+    let expiresAt = null;
+    if (req.body?.expiresInDays !== undefined && req.body.expiresInDays !== null && req.body.expiresInDays !== '') {
+        const days = Number(req.body.expiresInDays);
+        if (!Number.isFinite(days) || days <= 0 || days > 3650) {
+            return res.status(400).json({ error: 'invalid_expiry' });
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const existing = await ApiToken.countDocuments({ userId });
+    if (existing >= MAX_API_TOKENS_PER_USER) return res.status(409).json({ error: 'too_many_tokens' });
+
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = await ApiToken.create({
+        id: uuid(),
+        userId,
+        name,
+        tokenHash: hashOneTimeToken(token),
+        prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+        gameIds,
+        readOnly: !!req.body?.readOnly,
+        expiresAt,
+    });
+    res.json({ token, record: presentApiToken(record.toObject()) });
+});
+
+app.delete('/api/account/tokens/:tokenId', requireSessionAuth, async (req, res) => {
+    const tokenId = parseUUID(req.params?.tokenId);
+    if (!tokenId) return res.status(400).json({ error: 'invalid_token' });
+    const result = await ApiToken.deleteOne({ id: tokenId, userId: req.session.userId });
+    if (!result?.deletedCount) return res.status(404).json({ error: 'not_found' });
+    res.json({ ok: true });
 });
 
 // --- Admin ---
 app.get('/api/admin/users', requireServerAdmin, async (_req, res) => {
-    const db = await readDB();
-    res.json(db.users.map((user) => sanitizeUserRecord(user)));
+    const [users, sessionCounts] = await Promise.all([User.find().lean(), sessionStore.countByUser()]);
+    const now = Date.now();
+    res.json(
+        users.map((user) => {
+            const resetExpiresAt = user.passwordReset?.expiresAt ? new Date(user.passwordReset.expiresAt) : null;
+            const lock = loginUserLimiter.status(loginUsernameKey(user.username), now);
+            return {
+                ...sanitizeUserRecord(stripMongoMetadata(user)),
+                passwordResetExpiresAt:
+                    resetExpiresAt && resetExpiresAt.getTime() > now ? resetExpiresAt.toISOString() : null,
+                loginLockedUntil: lock.locked ? new Date(now + lock.retryAfterMs).toISOString() : null,
+                activeSessions: sessionCounts.get(user.id) || 0,
+            };
+        }),
+    );
+});
+
+app.post('/api/admin/users/:id/sessions/revoke', requireServerAdmin, async (req, res) => {
+    const userId = parseUUID(req.params?.id);
+    if (!userId) return res.status(400).json({ error: 'invalid_user' });
+
+    const user = await getUserById(userId);
+    if (!user) return res.status(404).json({ error: 'not_found' });
+
+    const revoked = await revokeAllUserSessions(userId);
+    authLogger.info(`Revoked ${revoked} session(s) for user ${userId} by ${req.session.userId}`);
+    res.json({ ok: true, revoked });
+});
+
+app.post('/api/admin/users/:id/unlock', requireServerAdmin, async (req, res) => {
+    const userId = parseUUID(req.params?.id);
+    if (!userId) return res.status(400).json({ error: 'invalid_user' });
+
+    const user = await getUserById(userId);
+    if (!user) return res.status(404).json({ error: 'not_found' });
+
+    loginUserLimiter.reset(loginUsernameKey(user.username));
+    authLogger.info(`Login lockout cleared for user ${userId} by ${req.session.userId}`);
+    res.json({ ok: true });
+});
+
+app.post('/api/admin/users/:id/password-reset', requireServerAdmin, async (req, res) => {
+    const userId = parseUUID(req.params?.id);
+    if (!userId) return res.status(400).json({ error: 'invalid_user' });
+
+    const { token, tokenHash } = createOneTimeToken();
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    const result = await User.updateOne(
+        { id: userId },
+        { $set: { passwordReset: { tokenHash, expiresAt, createdBy: req.session.userId, createdAt: new Date() } } },
+    );
+    if (!result?.matchedCount) return res.status(404).json({ error: 'not_found' });
+
+    authLogger.info(`Password reset token issued for user ${userId} by ${req.session.userId}`);
+    res.json({ token, expiresAt: expiresAt.toISOString() });
+});
+
+app.delete('/api/admin/users/:id/password-reset', requireServerAdmin, async (req, res) => {
+    const userId = parseUUID(req.params?.id);
+    if (!userId) return res.status(400).json({ error: 'invalid_user' });
+
+    const result = await User.updateOne({ id: userId }, { $unset: { passwordReset: '' } });
+    if (!result?.matchedCount) return res.status(404).json({ error: 'not_found' });
+    res.json({ ok: true });
 });
 
 app.patch('/api/admin/users/:id', requireServerAdmin, async (req, res) => {
     const userId = parseUUID(req.params?.id);
     if (!userId) return res.status(400).json({ error: 'invalid_user' });
 
-    const db = await readDB();
-    const target = db.users.find((u) => u && u.id === userId);
+    const target = await getUserById(userId);
     if (!target) return res.status(404).json({ error: 'not_found' });
+    const update = { $set: {}, $unset: {} };
 
     if (Object.prototype.hasOwnProperty.call(req.body || {}, 'username')) {
         const nextUsername = readUsername(req.body.username);
         if (!nextUsername) return res.status(400).json({ error: 'invalid_username' });
-        const exists = db.users.some(
-            (u) =>
-                u &&
-                u.id !== userId &&
-                typeof u.username === 'string' &&
-                u.username.toLowerCase() === nextUsername.toLowerCase(),
-        );
-        if (exists) return res.status(409).json({ error: 'user_exists' });
+        const existing = await findUserByUsername(nextUsername);
+        if (existing && existing.id !== userId) return res.status(409).json({ error: 'user_exists' });
         target.username = nextUsername;
+        update.$set.username = nextUsername;
     }
 
     if (Object.prototype.hasOwnProperty.call(req.body || {}, 'email')) {
         const rawEmail = req.body.email;
         if (rawEmail === null || rawEmail === '' || rawEmail === undefined) {
             delete target.email;
+            update.$unset.email = '';
         } else {
             const nextEmail = readEmail(rawEmail);
             if (!nextEmail) return res.status(400).json({ error: 'invalid_email' });
-            const exists = db.users.some(
-                (u) =>
-                    u &&
-                    u.id !== userId &&
-                    typeof u.email === 'string' &&
-                    u.email.toLowerCase() === nextEmail.toLowerCase(),
-            );
-            if (exists) return res.status(409).json({ error: 'email_exists' });
+            const existing = await findUserByEmail(nextEmail);
+            if (existing && existing.id !== userId) return res.status(409).json({ error: 'email_exists' });
             target.email = nextEmail;
+            update.$set.email = nextEmail;
         }
     }
 
     if (Object.prototype.hasOwnProperty.call(req.body || {}, 'banned')) {
         target.banned = !!req.body.banned;
+        update.$set.banned = target.banned;
     }
 
-    await writeDB(db);
-    res.json(sanitizeUserRecord(target));
+    if (Object.keys(update.$unset).length === 0) delete update.$unset;
+    if (Object.keys(update.$set).length === 0) delete update.$set;
+    if (Object.keys(update).length > 0) {
+        await User.updateOne({ id: userId }, update);
+    }
+    res.json(sanitizeUserRecord(stripMongoMetadata(target)));
 });
 
 app.delete('/api/admin/users/:id', requireServerAdmin, async (req, res) => {
     const userId = parseUUID(req.params?.id);
     if (!userId) return res.status(400).json({ error: 'invalid_user' });
 
-    const db = await readDB();
-    const beforeLength = db.users.length;
-    db.users = db.users.filter((u) => u && u.id !== userId);
-    if (db.users.length === beforeLength) {
+    const removed = await User.deleteOne({ id: userId });
+    if (!removed?.deletedCount) {
         return res.status(404).json({ error: 'not_found' });
     }
+    await ApiToken.deleteMany({ userId });
+    await revokeAllUserSessions(userId);
 
-    const modifiedGames = [];
-    db.games = (db.games || []).map((game) => {
-        if (!game || !game.id) return game;
+    const games = await loadGamesForUser(userId);
+    for (const game of games) {
         let changed = false;
         const originalPlayers = Array.isArray(game.players) ? game.players : [];
         const nextPlayers = originalPlayers.filter((player) => player && player.userId !== userId);
@@ -4820,29 +6768,21 @@ app.delete('/api/admin/users/:id', requireServerAdmin, async (req, res) => {
 
         if (game.dmId === userId) {
             const fallback = nextPlayers.find((player) => player && player.userId);
-            if (fallback) {
-                assignGameDungeonMaster(game, fallback.userId, { users: db.users });
-            } else {
-                assignGameDungeonMaster(game, null, { users: db.users });
-            }
+            assignGameDungeonMaster(game, fallback ? fallback.userId : null);
             changed = true;
         }
 
-        if (changed) modifiedGames.push(game.id);
-        return game;
-    });
-
-    await writeDB(db);
-    for (const gameId of modifiedGames) {
-        broadcastGameUpdate(gameId, { reason: 'admin:userDelete', actorId: req.session.userId });
+        if (changed) {
+            await persistGame(game, { reason: 'admin:userDelete', actorId: req.session.userId });
+        }
     }
     res.json({ ok: true });
 });
 
 app.get('/api/admin/games', requireServerAdmin, async (_req, res) => {
-    const db = await readDB();
-    const userMap = new Map((db.users || []).map((user) => [user.id, user]));
-    const games = (db.games || []).map((game) => ({
+    const [allGames, users] = await Promise.all([loadAllGames(), User.find().lean()]);
+    const userMap = new Map(users.map((user) => [user.id, user]));
+    const games = allGames.map((game) => ({
         id: game.id,
         name: game.name,
         dmId: game.dmId,
@@ -4866,13 +6806,10 @@ app.delete('/api/admin/games/:id', requireServerAdmin, async (req, res) => {
     const gameId = parseUUID(req.params?.id);
     if (!gameId) return res.status(400).json({ error: 'invalid_game' });
 
-    const db = await readDB();
-    const game = getGame(db, gameId);
-    if (!game) return res.status(404).json({ error: 'not_found' });
+    const deleted = await deleteGameDocument(gameId);
+    if (!deleted) return res.status(404).json({ error: 'not_found' });
 
     removeStoryWatcher(gameId);
-    db.games = (db.games || []).filter((g) => g && g.id !== gameId);
-    await writeDB(db);
     broadcastGameDeleted(gameId);
     res.json({ ok: true });
 });
@@ -4882,8 +6819,7 @@ app.delete('/api/admin/games/:id/players/:playerId', requireServerAdmin, async (
     const playerId = parseUUID(req.params?.playerId);
     if (!gameId || !playerId) return res.status(400).json({ error: 'invalid_request' });
 
-    const db = await readDB();
-    const game = getGame(db, gameId);
+    const game = await loadGame(gameId);
     if (!game) return res.status(404).json({ error: 'not_found' });
     if (game.dmId === playerId) {
         return res.status(400).json({ error: 'cannot_remove_dm' });
@@ -4895,7 +6831,7 @@ app.delete('/api/admin/games/:id/players/:playerId', requireServerAdmin, async (
     }
 
     game.players = players.filter((player) => player && player.userId !== playerId);
-    await persistGame(db, game, { reason: 'admin:removePlayer', actorId: req.session.userId });
+    await persistGame(game, { reason: 'admin:removePlayer', actorId: req.session.userId });
     res.json({ ok: true, players: game.players });
 });
 
@@ -4907,49 +6843,240 @@ app.patch('/api/admin/games/:id', requireServerAdmin, async (req, res) => {
     const dmId = typeof dmIdRaw === 'string' ? parseUUID(dmIdRaw) : null;
     if (!dmId) return res.status(400).json({ error: 'invalid_dm' });
 
-    const db = await readDB();
-    const game = getGame(db, gameId);
+    const game = await loadGame(gameId);
     if (!game) return res.status(404).json({ error: 'not_found' });
 
-    const targetUser = db.users.find((user) => user && user.id === dmId);
+    const targetUser = await getUserById(dmId);
     if (!targetUser) return res.status(404).json({ error: 'user_not_found' });
 
-    assignGameDungeonMaster(game, targetUser, { users: db.users });
-    await persistGame(db, game, { reason: 'admin:setDm', actorId: req.session.userId });
+    assignGameDungeonMaster(game, targetUser, { users: [targetUser] });
+    await persistGame(game, { reason: 'admin:setDm', actorId: req.session.userId });
     res.json({ ok: true, dmId: game.dmId });
 });
 
-app.get('/api/admin/demons', requireServerAdmin, async (_req, res) => {
-    const demons = await loadDemonsFile();
-    res.json(demons);
-});
-
-app.patch('/api/admin/demons/:id', requireServerAdmin, async (req, res) => {
-    const idNum = Number(req.params?.id);
-    if (!Number.isFinite(idNum)) return res.status(400).json({ error: 'invalid_demon' });
-
-    const demons = await loadDemonsFile();
-    const current = demons.find((entry) => Number(entry?.id) === idNum);
-    if (!current) return res.status(404).json({ error: 'not_found' });
+// --- Game snapshots ---
 
-    const updatedEntry = updateDemonEntry(current, req.body || {});
-    const { demons: nextDemons, updated } = replaceDemonInList(demons, idNum, updatedEntry);
-    if (!updated) return res.status(404).json({ error: 'not_found' });
+function presentGameSnapshot(doc) {
+    if (!doc) return null;
+    return {
+        id: doc.id,
+        gameId: doc.gameId,
+        gameName: doc.gameName || '',
+        version: doc.version ?? 0,
+        trigger: doc.trigger || 'scheduled',
+        createdBy: doc.createdBy || null,
+        createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+    };
+}
 
-    await backupDemonsFile();
-    await writeDemonsFile(nextDemons);
-    res.json(updated);
-});
+async function createGameSnapshot(game, { trigger = 'scheduled', createdBy = null, keepIds = [] } = {}) {
+    const entry = {
+        id: uuid(),
+        gameId: game.id,
+        gameName: game.name || '',
+        version: game.version || 0,
+        trigger,
+        createdBy,
+        data: snapshotGame(game),
+    };
+    const doc = await GameSnapshot.create(entry);
+    await pruneGameSnapshots(game.id, { keepIds });
+    return presentGameSnapshot(doc.toObject ? doc.toObject() : entry);
+}
 
-app.post('/api/admin/demons/upload', requireServerAdmin, async (req, res) => {
-    const csvContent = typeof req.body?.csv === 'string' ? req.body.csv : null;
-    if (!csvContent || !csvContent.trim()) {
-        return res.status(400).json({ error: 'invalid_csv' });
+/**
+ * Apply retention rules: keep the newest GAME_SNAPSHOT_RETENTION_COUNT
+ * snapshots per game and drop anything older than GAME_SNAPSHOT_RETENTION_DAYS.
+ * Snapshots in `keepIds` are left out of both rules.
+ */
+async function pruneGameSnapshots(gameId, { keepIds = [] } = {}) {
+    const stale = await GameSnapshot.find({ gameId, id: { $nin: keepIds } })
+        .sort({ createdAt: -1 })
+        .skip(GAME_SNAPSHOT_RETENTION_COUNT)
+        .select({ id: 1 })
+        .lean();
+    if (stale.length > 0) {
+        await GameSnapshot.deleteMany({ id: { $in: stale.map((doc) => doc.id) } });
     }
+    if (GAME_SNAPSHOT_RETENTION_DAYS > 0) {
+        const cutoff = new Date(Date.now() - GAME_SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        await GameSnapshot.deleteMany({ gameId, id: { $nin: keepIds }, createdAt: { $lt: cutoff } });
+    }
+}
 
-    const confirmDeletes = req.body?.confirmDeletes === true;
-
-    const demons = await loadDemonsFile();
+async function runScheduledGameSnapshots() {
+    if (gameSnapshotSchedule.running) return 0;
+    gameSnapshotSchedule.running = true;
+    let created = 0;
+    try {
+        const games = await loadAllGames();
+        for (const game of games) {
+            const latest = await GameSnapshot.findOne({ gameId: game.id })
+                .sort({ createdAt: -1 })
+                .select({ version: 1 })
+                .lean();
+            // Skip games that have not changed since their last snapshot.
+            if (latest && latest.version === game.version) continue;
+            await createGameSnapshot(game, { trigger: 'scheduled' });
+            created += 1;
+        }
+        if (GAME_SNAPSHOT_RETENTION_DAYS > 0) {
+            const cutoff = new Date(Date.now() - GAME_SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+            await GameSnapshot.deleteMany({ createdAt: { $lt: cutoff } });
+        }
+        if (created > 0) {
+            snapshotLogger.info(`Captured ${created} game snapshot(s).`);
+        }
+    } catch (err) {
+        snapshotLogger.warn('Scheduled game snapshot run failed', err);
+    } finally {
+        gameSnapshotSchedule.running = false;
+        gameSnapshotSchedule.lastRunAt = new Date().toISOString();
+    }
+    return created;
+}
+
+function startGameSnapshotScheduler() {
+    stopGameSnapshotScheduler();
+    if (GAME_SNAPSHOT_INTERVAL_MINUTES <= 0) {
+        snapshotLogger.info('Automatic game snapshots disabled.');
+        return;
+    }
+    const intervalMs = GAME_SNAPSHOT_INTERVAL_MINUTES * 60 * 1000;
+    const schedule = () => {
+        gameSnapshotSchedule.nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+        gameSnapshotSchedule.timer = setTimeout(async () => {
+            await runScheduledGameSnapshots();
+            if (gameSnapshotSchedule.timer) schedule();
+        }, intervalMs);
+        gameSnapshotSchedule.timer.unref?.();
+    };
+    schedule();
+    snapshotLogger.info(`Automatic game snapshots every ${GAME_SNAPSHOT_INTERVAL_MINUTES} minute(s).`);
+}
+
+function stopGameSnapshotScheduler() {
+    if (gameSnapshotSchedule.timer) {
+        clearTimeout(gameSnapshotSchedule.timer);
+    }
+    gameSnapshotSchedule.timer = null;
+    gameSnapshotSchedule.nextRunAt = null;
+}
+
+app.get('/api/admin/snapshots', requireServerAdmin, async (req, res) => {
+    const gameId = req.query?.gameId ? parseUUID(String(req.query.gameId)) : null;
+    const filter = gameId ? { gameId } : {};
+    const docs = await GameSnapshot.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(200)
+        .select({ data: 0 })
+        .lean();
+    res.json({
+        schedule: {
+            intervalMinutes: GAME_SNAPSHOT_INTERVAL_MINUTES,
+            retentionCount: GAME_SNAPSHOT_RETENTION_COUNT,
+            retentionDays: GAME_SNAPSHOT_RETENTION_DAYS,
+            lastRunAt: gameSnapshotSchedule.lastRunAt,
+            nextRunAt: gameSnapshotSchedule.nextRunAt,
+        },
+        snapshots: docs.map((doc) => presentGameSnapshot(doc)),
+    });
+});
+
+app.post('/api/admin/snapshots', requireServerAdmin, async (req, res) => {
+    const rawGameId = req.body?.gameId;
+    if (rawGameId === undefined || rawGameId === null || rawGameId === '') {
+        const created = await runScheduledGameSnapshots();
+        return res.json({ ok: true, created });
+    }
+    const game = await loadGame(rawGameId);
+    if (!game) return res.status(404).json({ error: 'not_found' });
+    const snapshot = await createGameSnapshot(game, { trigger: 'manual', createdBy: req.session.userId });
+    res.status(201).json({ ok: true, snapshot });
+});
+
+app.get('/api/admin/snapshots/:id/diff', requireServerAdmin, async (req, res) => {
+    const snapshot = await GameSnapshot.findOne({ id: req.params?.id }).lean();
+    if (!snapshot) return res.status(404).json({ error: 'not_found' });
+
+    const game = await loadGame(snapshot.gameId);
+    const current = game ? snapshotGame(game) : null;
+    const ops = current ? createJsonPatch(snapshot.data, current) : [];
+    res.json({
+        snapshot: presentGameSnapshot(snapshot),
+        current: game ? { exists: true, name: game.name, version: game.version } : { exists: false },
+        total: ops.length,
+        changes: ops.slice(0, MAX_SNAPSHOT_DIFF_ENTRIES).map((op) => ({
+            op: op.op,
+            path: op.path,
+            before: op.op === 'add' ? undefined : getJsonPointer(snapshot.data, op.path),
+            after: op.op === 'remove' ? undefined : op.value,
+        })),
+    });
+});
+
+app.post('/api/admin/snapshots/:id/restore', requireServerAdmin, async (req, res) => {
+    const snapshot = await GameSnapshot.findOne({ id: req.params?.id }).lean();
+    if (!snapshot) return res.status(404).json({ error: 'not_found' });
+
+    const current = await loadGame(snapshot.gameId);
+    let restored;
+    if (current) {
+        // Keep a copy of what is being replaced so the restore itself can be
+        // undone. Pruning for it must not drop the snapshot being restored.
+        await createGameSnapshot(current, {
+            trigger: 'pre-restore',
+            createdBy: req.session.userId,
+            keepIds: [snapshot.id],
+        });
+        restored = ensureGameShape({ ...JSON.parse(JSON.stringify(snapshot.data)), version: current.version });
+        gameSnapshots.set(restored, snapshotGame(current));
+        await persistGame(restored, { reason: 'admin:snapshotRestore', actorId: req.session.userId });
+    } else {
+        restored = ensureGameShape(JSON.parse(JSON.stringify(snapshot.data)));
+        await insertGame(restored);
+    }
+    removeStoryWatcher(restored.id);
+    res.json({ ok: true, gameId: restored.id, version: restored.version });
+});
+
+app.delete('/api/admin/snapshots/:id', requireServerAdmin, async (req, res) => {
+    const result = await GameSnapshot.deleteOne({ id: req.params?.id });
+    if (!result?.deletedCount) return res.status(404).json({ error: 'not_found' });
+    res.json({ ok: true });
+});
+
+app.get('/api/admin/demons', requireServerAdmin, async (_req, res) => {
+    const demons = await loadDemonsFile();
+    res.json(demons);
+});
+
+app.patch('/api/admin/demons/:id', requireServerAdmin, async (req, res) => {
+    const idNum = Number(req.params?.id);
+    if (!Number.isFinite(idNum)) return res.status(400).json({ error: 'invalid_demon' });
+
+    const demons = await loadDemonsFile();
+    const current = demons.find((entry) => Number(entry?.id) === idNum);
+    if (!current) return res.status(404).json({ error: 'not_found' });
+
+    const updatedEntry = updateDemonEntry(current, req.body || {});
+    const { demons: nextDemons, updated } = replaceDemonInList(demons, idNum, updatedEntry);
+    if (!updated) return res.status(404).json({ error: 'not_found' });
+
+    await backupDemonsFile();
+    await writeDemonsFile(nextDemons);
+    res.json(updated);
+});
+
+app.post('/api/admin/demons/upload', requireServerAdmin, async (req, res) => {
+    const csvContent = typeof req.body?.csv === 'string' ? req.body.csv : null;
+    if (!csvContent || !csvContent.trim()) {
+        return res.status(400).json({ error: 'invalid_csv' });
+    }
+
+    const confirmDeletes = req.body?.confirmDeletes === true;
+
+    const demons = await loadDemonsFile();
     const result = applyCsvToDemons({
         csvContent,
         demons,
@@ -5080,9 +7207,11 @@ app.put('/api/admin/master-bot', requireServerAdmin, async (req, res) => {
 
 // --- Games ---
 app.get('/api/games', requireAuth, async (req, res) => {
-    const db = await readDB();
-    const games = (db.games || [])
+    const memberGames = await loadGamesForUser(req.session.userId);
+    const tokenGameIds = Array.isArray(req.apiToken?.gameIds) ? new Set(req.apiToken.gameIds) : null;
+    const games = memberGames
         .filter(g => g && Array.isArray(g.players) && g.players.some(p => p.userId === req.session.userId))
+        .filter(g => !tokenGameIds || tokenGameIds.has(g.id))
         .map((g) => ({
             id: g.id,
             name: g.name,
@@ -5098,11 +7227,18 @@ app.get('/api/games', requireAuth, async (req, res) => {
     res.json(games);
 });
 
-app.post('/api/games', requireAuth, async (req, res) => {
-    const name = readGameName(req.body?.name);
-    if (!name) return res.status(400).json({ error: 'invalid name' });
+const gameCreateSchema = v.object({ name: gameNameSchema, templateId: v.uuid().optional() });
+
+app.post('/api/games', requireAuth, validateRequest({ body: gameCreateSchema }), async (req, res) => {
+    const { name, templateId } = req.body;
+    let template = null;
+    if (templateId) {
+        template = await GameTemplate.findOne({ id: templateId }).lean();
+        if (!template || (!template.global && template.ownerId !== req.session.userId)) {
+            return res.status(404).json({ error: 'template_not_found' });
+        }
+    }
 
-    const db = await readDB();
     const game = {
         id: uuid(),
         name,
@@ -5140,7 +7276,7 @@ app.post('/api/games', requireAuth, async (req, res) => {
             strokes: [],
             tokens: [],
             shapes: [],
-            settings: { allowPlayerDrawing: true, allowPlayerTokenMoves: true },
+            settings: { allowPlayerDrawing: true, allowPlayerTokenMoves: true, healthBars: DEFAULT_HEALTH_BAR_VISIBILITY },
             paused: false,
             background: defaultMapBackground(),
             updatedAt: new Date().toISOString(),
@@ -5148,29 +7284,163 @@ app.post('/api/games', requireAuth, async (req, res) => {
         },
         mapLibrary: [],
     };
+    if (template) applyTemplateContent(game, template.data);
     ensureWorldSkills(game);
     ensureMapState(game);
-    db.games.push(game);
-    await writeDB(db);
+    await insertGame(game);
     res.json(presentGame(game, { includeSecrets: true }));
 });
 
+// --- Campaign templates ---
+// A template carries a campaign's reusable content: custom items and gear,
+// world skills, the DM's combat skills, fusion chart overrides and saved
+// maps. Players, characters, demons, story settings and invites stay behind.
+// Server admins can publish a template so every DM can start from it.
+
+const MAX_TEMPLATES_PER_USER = 50;
+
+const templateCreateSchema = v.object({
+    name: gameNameSchema,
+    description: v.string({ max: 500 }).default(''),
+});
+
+function buildTemplateContent(game) {
+    const copy = JSON.parse(JSON.stringify(stripMongoMetadata(game)));
+    const combatSkills = ensureCombatSkills(copy);
+    // Re-normalizing saved maps against a game without players or demons
+    // drops the tokens that pointed at them.
+    const holder = { id: copy.id, dmId: copy.dmId, players: [], demons: [], mapLibrary: copy.mapLibrary };
+    const mapLibrary = ensureMapLibrary(holder).map((entry) => ({
+        ...entry,
+        snapshot: { ...entry.snapshot, combat: { ...DEFAULT_COMBAT_STATE, order: [] } },
+    }));
+    return {
+        items: { custom: Array.isArray(copy.items?.custom) ? copy.items.custom : [] },
+        gear: { custom: Array.isArray(copy.gear?.custom) ? copy.gear.custom : [] },
+        worldSkills: ensureWorldSkills(copy),
+        combatSkills: combatSkills[copy.dmId] || [],
+        fusionChart: ensureFusionChart(copy),
+        mapLibrary,
+    };
+}
+
+function summarizeTemplateContent(data) {
+    return {
+        items: data.items?.custom?.length || 0,
+        gear: data.gear?.custom?.length || 0,
+        worldSkills: data.worldSkills?.length || 0,
+        combatSkills: data.combatSkills?.length || 0,
+        fusionOverrides: Object.keys(data.fusionChart?.overrides || {}).length,
+        maps: data.mapLibrary?.length || 0,
+    };
+}
+
+/** Copy template content into a game that is being created for `game.dmId`. */
+function applyTemplateContent(game, data) {
+    const content = JSON.parse(JSON.stringify(data || {}));
+    game.items = { custom: Array.isArray(content.items?.custom) ? content.items.custom : [] };
+    game.gear = { custom: Array.isArray(content.gear?.custom) ? content.gear.custom : [] };
+    if (Array.isArray(content.worldSkills)) game.worldSkills = content.worldSkills;
+    game.combatSkills = { [game.dmId]: Array.isArray(content.combatSkills) ? content.combatSkills : [] };
+    game.fusionChart = content.fusionChart && typeof content.fusionChart === 'object' ? content.fusionChart : {};
+    game.mapLibrary = Array.isArray(content.mapLibrary) ? content.mapLibrary : [];
+    ensureCombatSkills(game);
+    ensureFusionChart(game);
+    ensureMapLibrary(game);
+}
+
+function presentGameTemplate(doc) {
+    if (!doc) return null;
+    return {
+        id: doc.id,
+        name: doc.name,
+        description: doc.description || '',
+        ownerId: doc.ownerId,
+        global: !!doc.global,
+        sourceGameId: doc.sourceGameId || null,
+        summary: doc.summary || {},
+        createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+        updatedAt: doc.updatedAt ? new Date(doc.updatedAt).toISOString() : null,
+    };
+}
+
+app.get('/api/templates', requireAuth, async (req, res) => {
+    const docs = await GameTemplate.find({ $or: [{ ownerId: req.session.userId }, { global: true }] })
+        .sort({ global: -1, createdAt: -1 })
+        .limit(200)
+        .select({ data: 0 })
+        .lean();
+    res.json(docs.map((doc) => presentGameTemplate(doc)));
+});
+
+app.post('/api/games/:id/templates', requireAuth, async (req, res) => {
+    const game = await loadGame(req.params?.id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const { name, description } = parseWithSchema(templateCreateSchema, req.body || {});
+    const owned = await GameTemplate.countDocuments({ ownerId: req.session.userId });
+    if (owned >= MAX_TEMPLATES_PER_USER) {
+        return res.status(409).json({ error: 'template_limit' });
+    }
+
+    const data = buildTemplateContent(game);
+    const doc = await GameTemplate.create({
+        id: uuid(),
+        name,
+        description,
+        ownerId: req.session.userId,
+        global: false,
+        sourceGameId: game.id,
+        summary: summarizeTemplateContent(data),
+        data,
+    });
+    res.status(201).json(presentGameTemplate(doc.toObject()));
+});
+
+app.delete('/api/templates/:id', requireAuth, async (req, res) => {
+    const template = await GameTemplate.findOne({ id: req.params?.id }).select({ data: 0 }).lean();
+    if (!template) return res.status(404).json({ error: 'not_found' });
+    if (template.ownerId !== req.session.userId) {
+        const user = await getUserById(req.session.userId);
+        if (!isServerAdminUser(user)) return res.status(403).json({ error: 'forbidden' });
+    }
+    await GameTemplate.deleteOne({ id: template.id });
+    res.json({ ok: true });
+});
+
+app.put(
+    '/api/admin/templates/:id',
+    requireServerAdmin,
+    validateRequest({ body: v.object({ global: v.boolean() }) }),
+    async (req, res) => {
+        const doc = await GameTemplate.findOneAndUpdate(
+            { id: req.params?.id },
+            { $set: { global: req.body.global } },
+            { new: true, projection: { data: 0 } },
+        ).lean();
+        if (!doc) return res.status(404).json({ error: 'not_found' });
+        res.json(presentGameTemplate(doc));
+    },
+);
+
 app.get('/api/games/:id', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const g = getGame(db, id);
+    const g = await loadGame(id);
     if (!g || !isMember(g, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
 
-    const includeSecrets = isDM(g, req.session.userId);
-    res.json(presentGame(g, { includeSecrets }));
+    res.json(presentGameForUser(g, req.session.userId));
 });
 
 app.get('/api/games/:id/music/library', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -5195,8 +7465,7 @@ app.post('/api/games/:id/music/uploads', requireAuth, (req, res, next) => {
 
         try {
             const { id } = req.params || {};
-            const db = await readDB();
-            const game = getGame(db, id);
+            const game = await loadGame(id);
             if (!game || !isMember(game, req.session.userId)) {
                 return res.status(404).json({ error: 'not_found' });
             }
@@ -5240,7 +7509,7 @@ app.post('/api/games/:id/music/uploads', requireAuth, (req, res, next) => {
             });
             ensureMusicState(game);
 
-            await persistGame(db, game, {
+            await persistGame(game, {
                 reason: 'music:upload',
                 actorId: req.session.userId,
                 broadcast: false,
@@ -5265,8 +7534,7 @@ app.post('/api/games/:id/music/uploads', requireAuth, (req, res, next) => {
 
 app.delete('/api/games/:id/music/uploads/:uploadId', requireAuth, async (req, res) => {
     const { id, uploadId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -5303,7 +7571,7 @@ app.delete('/api/games/:id/music/uploads/:uploadId', requireAuth, async (req, re
         broadcast = true;
     }
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'music:delete',
         actorId: req.session.userId,
         broadcast,
@@ -5318,12 +7586,14 @@ app.delete('/api/games/:id/music/uploads/:uploadId', requireAuth, async (req, re
 
 app.get('/api/games/:id/music/track/:trackId', requireAuth, async (req, res) => {
     const { id, trackId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
+    await sendMusicTrack(res, game, trackId);
+});
 
+async function sendMusicTrack(res, game, trackId) {
     const entry = findGameMusicEntry(game, trackId);
     if (!entry || !entry.filePath) {
         return res.status(404).json({ error: 'not_found' });
@@ -5344,12 +7614,31 @@ app.get('/api/games/:id/music/track/:trackId', requireAuth, async (req, res) =>
             }
         }
     });
+}
+
+const INVITE_MAX_EXPIRY_HOURS = 24 * 90;
+const INVITE_MAX_USES = 1000;
+
+const inviteCreateSchema = v.object({
+    role: v.string({ oneOf: ASSIGNABLE_PLAYER_ROLES }).default(ROLE_PLAYER),
+    expiresInHours: v.number({ min: 1, max: INVITE_MAX_EXPIRY_HOURS }).nullable().optional(),
+    maxUses: v.number({ min: 1, max: INVITE_MAX_USES, integer: true }).nullable().optional(),
+});
+
+app.get('/api/games/:id/invites', requireAuth, async (req, res) => {
+    const game = await loadGame(req.params?.id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+    res.json(presentInviteList(game));
 });
 
 app.post('/api/games/:id/invites', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -5357,52 +7646,142 @@ app.post('/api/games/:id/invites', requireAuth, async (req, res) => {
         return res.status(403).json({ error: 'forbidden' });
     }
 
+    const { role, expiresInHours, maxUses } = parseWithSchema(inviteCreateSchema, req.body || {});
+    const now = Date.now();
     const invites = ensureInviteList(game);
     const code = generateInviteCode(invites.map((i) => i.code));
     const invite = {
         code,
         createdBy: req.session.userId,
-        createdAt: new Date().toISOString(),
+        createdAt: new Date(now).toISOString(),
         uses: 0,
+        role,
+        expiresAt: expiresInHours ? new Date(now + expiresInHours * 3_600_000).toISOString() : null,
+        maxUses: maxUses || null,
+        revokedAt: null,
     };
     invites.push(invite);
-    await persistGame(db, game);
-    res.json({ code, joinUrl: `/join/${code}` });
+    await persistGame(game, { reason: 'invites:create', actorId: req.session.userId });
+    res.json({ code, joinUrl: `/join/${code}`, invite: presentInvite(invite) });
+});
+
+app.delete('/api/games/:id/invites/:code', requireAuth, async (req, res) => {
+    const game = await loadGame(req.params?.id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const code = parseInviteCode(req.params?.code);
+    const invite = code ? ensureInviteList(game).find((entry) => entry && entry.code === code) : null;
+    if (!invite) return res.status(404).json({ error: 'invite_not_found' });
+
+    if (!invite.revokedAt) {
+        invite.revokedAt = new Date().toISOString();
+        await persistGame(game, { reason: 'invites:revoke', actorId: req.session.userId });
+    }
+    res.json(presentInvite(invite));
 });
 
 app.post('/api/games/join/:code', requireAuth, async (req, res) => {
     const code = parseInviteCode(req.params?.code);
     if (!code) return res.status(400).json({ error: 'invalid_code' });
 
-    const db = await readDB();
-    const game = (db.games || []).map((g) => ensureGameShape(g)).find((g) =>
-        Array.isArray(g?.invites) && g.invites.some((inv) => inv && inv.code === code)
-    );
+    const doc = await Game.findOne({ 'invites.code': code }).lean();
+    const game = doc ? trackGameSnapshot(ensureGameShape(stripMongoMetadata(doc))) : null;
     if (!game) return res.status(404).json({ error: 'not_found' });
 
-    if (!isMember(game, req.session.userId)) {
+    // Members following an old link are let through without using up the code.
+    if (isMember(game, req.session.userId)) {
+        return res.json({ ok: true, gameId: game.id });
+    }
+
+    const invite = game.invites.find((inv) => inv && inv.code === code);
+    const status = getInviteStatus(invite);
+    if (status !== 'active') {
+        return res.status(410).json({ error: `invite_${status}`, message: INVITE_STATUS_MESSAGES[status] });
+    }
+
+    invite.uses = (invite.uses || 0) + 1;
+    invite.lastUsedAt = new Date().toISOString();
+    // Slot invites from a campaign import hand over the slot's character.
+    // Claiming rewrites the game, so the invite is counted first.
+    const claimed = invite.playerSlot ? claimPlayerSlot(game, invite.playerSlot, req.session.userId) : null;
+    if (!claimed) {
         game.players.push({
             userId: req.session.userId,
-            role: 'player',
+            role: getInviteRole(invite),
             character: null,
             inventory: [],
-        gear: { bag: [], slots: { weapon: null, armor: null, accessory: null } },
+            gear: { bag: [], slots: { weapon: null, armor: null, accessory: null } },
         });
     }
 
-    game.invites = game.invites.map((inv) => inv && inv.code === code
-        ? { ...inv, uses: (inv.uses || 0) + 1, lastUsedAt: new Date().toISOString() }
-        : inv
-    );
+    await persistGame(game, { reason: 'players:join', actorId: req.session.userId });
+    res.json({ ok: true, gameId: game.id, role: claimed ? claimed.role : getInviteRole(invite) });
+});
+
+// --- Public share links ---
+// A share link is a read-only view of the live table for stream overlays. It
+// is separate from invite codes and grants no membership.
+
+app.post('/api/games/:id/share', requireAuth, async (req, res) => {
+    const game = await loadGame(req.params?.id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    // Creating a new link replaces, and so revokes, the previous one.
+    closeShareSockets(game.id);
+    game.share = {
+        token: crypto.randomBytes(24).toString('base64url'),
+        createdBy: req.session.userId,
+        createdAt: new Date().toISOString(),
+    };
+    await persistGame(game, { reason: 'share:create', actorId: req.session.userId });
+    res.json(presentShareLink(game.share));
+});
+
+app.delete('/api/games/:id/share', requireAuth, async (req, res) => {
+    const game = await loadGame(req.params?.id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    closeShareSockets(game.id);
+    if (game.share) {
+        game.share = null;
+        await persistGame(game, { reason: 'share:revoke', actorId: req.session.userId });
+    }
+    res.json({ ok: true });
+});
+
+app.get('/api/share/:token', async (req, res) => {
+    const token = parseShareToken(req.params?.token);
+    const game = await loadGameByShareToken(token);
+    if (!game) return res.status(404).json({ error: 'not_found' });
+    res.set('Cache-Control', 'no-store');
+    res.json(presentSharedGame(game, token));
+});
 
-    await persistGame(db, game);
-    res.json({ ok: true, gameId: game.id });
+app.get('/api/share/:token/music/track/:trackId', async (req, res) => {
+    const token = parseShareToken(req.params?.token);
+    const game = await loadGameByShareToken(token);
+    if (!game) return res.status(404).json({ error: 'not_found' });
+    await sendMusicTrack(res, game, req.params?.trackId);
 });
 
 app.delete('/api/games/:id/players/:playerId', requireAuth, async (req, res) => {
     const { id, playerId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -5419,14 +7798,106 @@ app.delete('/api/games/:id/players/:playerId', requireAuth, async (req, res) =>
     }
 
     game.players = (game.players || []).filter((p) => p && p.userId !== playerId);
-    await persistGame(db, game);
+    if (game.ownershipTransfer?.toId === playerId) delete game.ownershipTransfer;
+    await persistGame(game);
+    res.json({ ok: true });
+});
+
+const playerRoleSchema = v.object({ role: v.string({ oneOf: ASSIGNABLE_PLAYER_ROLES }) });
+
+app.put('/api/games/:id/players/:playerId/role', requireAuth, async (req, res) => {
+    const { id, playerId } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const target = findPlayer(game, playerId);
+    if (!target) {
+        return res.status(404).json({ error: 'player_not_found' });
+    }
+    if (isDM(game, target.userId)) {
+        return res.status(400).json({ error: 'cannot_change_dm' });
+    }
+
+    const { role } = parseWithSchema(playerRoleSchema, req.body || {});
+    if (normalizePlayerRole(target.role) !== role) {
+        target.role = role;
+        await persistGame(game, { reason: 'players:role', actorId: req.session.userId });
+    }
+    res.json({ ok: true, userId: target.userId, role });
+});
+
+const ownershipTransferSchema = v.object({
+    userId: v.uuid(),
+    formerDmCharacter: v.string({ oneOf: ['keep', 'fresh'] }).default('keep'),
+    handOverWebhook: v.boolean().default(false),
+    handOverBotToken: v.boolean().default(false),
+});
+
+app.post('/api/games/:id/transfer', requireAuth, async (req, res) => {
+    const game = await loadGame(req.params?.id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const { userId, formerDmCharacter, handOverWebhook, handOverBotToken } = parseWithSchema(
+        ownershipTransferSchema,
+        req.body || {},
+    );
+    const target = findPlayer(game, userId);
+    if (!target) {
+        return res.status(404).json({ error: 'player_not_found' });
+    }
+    if (isDM(game, target.userId)) {
+        return res.status(400).json({ error: 'invalid_target' });
+    }
+
+    const previous = getPendingOwnershipTransfer(game);
+    const now = Date.now();
+    game.ownershipTransfer = {
+        id: uuid(),
+        fromId: game.dmId,
+        toId: target.userId,
+        formerDmCharacter,
+        handOverWebhook,
+        handOverBotToken,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + OWNERSHIP_TRANSFER_TIMEOUT_MS).toISOString(),
+    };
+    await persistGame(game, { reason: 'ownership:nominate', actorId: req.session.userId });
+    if (previous) sendOwnershipTransferStatus({ ...previous, gameId: game.id }, 'cancelled');
+    sendOwnershipTransferStatus({ ...game.ownershipTransfer, gameId: game.id }, 'pending');
+    res.json(presentOwnershipTransfer(game.ownershipTransfer));
+});
+
+app.delete('/api/games/:id/transfer', requireAuth, async (req, res) => {
+    const game = await loadGame(req.params?.id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const pending = getPendingOwnershipTransfer(game);
+    if (game.ownershipTransfer) {
+        delete game.ownershipTransfer;
+        await persistGame(game, { reason: 'ownership:cancel', actorId: req.session.userId });
+    }
+    if (pending) sendOwnershipTransferStatus({ ...pending, gameId: game.id }, 'cancelled');
     res.json({ ok: true });
 });
 
 app.put('/api/games/:id/permissions', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -5442,14 +7913,74 @@ app.put('/api/games/:id/permissions', requireAuth, async (req, res) => {
         canEditDemons: !!perms.canEditDemons,
         canEditCombatSkills: !!perms.canEditCombatSkills,
     };
-    await persistGame(db, game);
+    await persistGame(game);
     res.json(game.permissions);
 });
 
+const sheetTextSchema = v.string({ max: 200, trim: false }).optional();
+const sheetLongTextSchema = v.string({ max: 20000, trim: false }).optional();
+const sheetResourceSchema = v.number({ min: 0, max: 1_000_000 }).optional();
+
+/**
+ * Shape checks for a saved character sheet. Unknown keys pass through so
+ * older sheets and fields added by the client later still round-trip.
+ */
+const characterSheetSchema = v.object(
+    {
+        name: v.string({ max: 200 }).optional(),
+        profile: v
+            .object(
+                {
+                    player: sheetTextSchema,
+                    class: sheetTextSchema,
+                    alignment: sheetTextSchema,
+                    race: sheetTextSchema,
+                    nationality: sheetTextSchema,
+                    age: sheetTextSchema,
+                    gender: sheetTextSchema,
+                    height: sheetTextSchema,
+                    weight: sheetTextSchema,
+                    eye: sheetTextSchema,
+                    hair: sheetTextSchema,
+                    skinTone: sheetTextSchema,
+                    background: sheetLongTextSchema,
+                    notes: sheetLongTextSchema,
+                },
+                { unknown: 'keep' },
+            )
+            .optional(),
+        stats: v
+            .object(
+                Object.fromEntries(ABILITY_LIST.map((key) => [key, v.number({ min: 0, max: 999 }).optional()])),
+                { unknown: 'keep' },
+            )
+            .optional(),
+        resources: v
+            .object(
+                {
+                    level: v.number({ min: 0, max: 999, integer: true }).optional(),
+                    exp: sheetResourceSchema,
+                    hp: sheetResourceSchema,
+                    maxHP: sheetResourceSchema,
+                    mp: sheetResourceSchema,
+                    maxMP: sheetResourceSchema,
+                    tp: sheetResourceSchema,
+                    maxTP: sheetResourceSchema,
+                    sp: sheetResourceSchema,
+                    macca: sheetResourceSchema,
+                    initiative: v.number({ min: -999, max: 999 }).optional(),
+                    useTP: v.boolean().optional(),
+                },
+                { unknown: 'keep' },
+            )
+            .optional(),
+    },
+    { unknown: 'keep' },
+);
+
 app.put('/api/games/:id/character', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -5457,44 +7988,43 @@ app.put('/api/games/:id/character', requireAuth, async (req, res) => {
     const { character } = req.body || {};
     const userId = req.session.userId;
     const slot = game.players.find((p) => p && p.userId === userId);
-    const canEdit = isDM(game, userId) || !!game.permissions.canEditStats;
-    if (!isDM(game, userId) && !canEdit) {
+    const canEdit = isDM(game, userId) || hasPlayerPermission(game, userId, 'canEditStats');
+    if (!canEdit) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
+    const parseSheet = (sheet) => (sheet == null ? null : parseWithSchema(characterSheetSchema, sheet));
     if (isDM(game, userId) && character?.userId && character.userId !== userId) {
         // DM can update another player's sheet if userId provided
         const target = game.players.find((p) => p && p.userId === character.userId);
-        if (target) target.character = character.character ?? character;
+        if (target) target.character = parseSheet(character.character ?? character);
     } else if (slot) {
-        slot.character = character ?? null;
+        slot.character = parseSheet(character);
     }
 
-    await persistGame(db, game);
+    await persistGame(game);
     res.json({ ok: true });
 });
 
 app.get('/api/games/:id/map', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
 
     const map = ensureMapState(game);
-    const includeLog = isDM(game, req.session.userId);
+    const includeLog = canRunTable(game, req.session.userId);
     res.json(presentMapState(map, { includeBattleLog: includeLog }));
 });
 
 app.put('/api/games/:id/map/settings', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -5516,6 +8046,15 @@ app.put('/api/games/:id/map/settings', requireAuth, async (req, res) => {
             changed = true;
         }
     }
+    if (Object.prototype.hasOwnProperty.call(payload, 'healthBars')) {
+        if (!HEALTH_BAR_VISIBILITY.includes(payload.healthBars)) {
+            return res.status(400).json({ error: 'invalid_health_bars' });
+        }
+        if (map.settings.healthBars !== payload.healthBars) {
+            map.settings.healthBars = payload.healthBars;
+            changed = true;
+        }
+    }
     if (Object.prototype.hasOwnProperty.call(payload, 'paused')) {
         const paused = !!payload.paused;
         if (map.paused !== paused) {
@@ -5548,7 +8087,7 @@ app.put('/api/games/:id/map/settings', requireAuth, async (req, res) => {
     }
 
     map.updatedAt = new Date().toISOString();
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:settings',
         actorId: req.session.userId,
         broadcast: true,
@@ -5558,25 +8097,23 @@ app.put('/api/games/:id/map/settings', requireAuth, async (req, res) => {
 
 app.post('/api/games/:id/map/battle-log', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
 
+    if (isSpectator(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
     const map = ensureMapState(game);
     const entry = createBattleLogEntry(req.body || {}, { actorId: req.session.userId });
     if (!entry) {
         return res.status(400).json({ error: 'invalid_entry' });
     }
 
-    map.battleLog.push(entry);
-    if (map.battleLog.length > MAP_BATTLE_LOG_LIMIT) {
-        map.battleLog = map.battleLog.slice(map.battleLog.length - MAP_BATTLE_LOG_LIMIT);
-    }
-
-    const update = await Game.updateOne(
-        { id: game.id },
+    const saved = await appendToGame(
+        game,
         {
             $push: {
                 'map.battleLog': {
@@ -5585,10 +8122,13 @@ app.post('/api/games/:id/map/battle-log', requireAuth, async (req, res) => {
                 },
             },
         },
+        () => {
+            map.battleLog = map.battleLog.concat(entry).slice(-MAP_BATTLE_LOG_LIMIT);
+        },
+        { reason: 'map:battle-log', actorId: req.session.userId, broadcast: false },
     );
 
-    if (!update?.acknowledged || update.modifiedCount === 0) {
-        map.battleLog.pop();
+    if (!saved) {
         return res.status(500).json({ error: 'battle_log_failed' });
     }
 
@@ -5602,31 +8142,33 @@ app.post('/api/games/:id/map/battle-log', requireAuth, async (req, res) => {
 
 app.post('/api/games/:id/map/combat/start', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
     const map = ensureMapState(game);
     const payload = req.body || {};
     const now = new Date().toISOString();
-    const order = normalizeCombatOrder(payload.order);
+    const planned = normalizeCombatState(map.combat).entries;
+    const entries = Object.prototype.hasOwnProperty.call(payload, 'order')
+        ? applyCombatOrderLabels(planned, normalizeCombatOrder(payload.order))
+        : planned;
     const turnRaw = Number(payload.turn);
     const roundRaw = Number(payload.round);
     map.combat = normalizeCombatState({
         active: true,
-        order,
+        entries: entries.map((entry) => ({ ...entry, status: 'ready' })),
         turn: Number.isFinite(turnRaw) && turnRaw > 0 ? Math.round(turnRaw) : 1,
         round: Number.isFinite(roundRaw) && roundRaw > 0 ? Math.round(roundRaw) : 1,
         lastUpdatedAt: now,
     });
     map.updatedAt = now;
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:combat:start',
         actorId: req.session.userId,
         broadcast: !map.paused,
@@ -5637,12 +8179,11 @@ app.post('/api/games/:id/map/combat/start', requireAuth, async (req, res) => {
 
 app.post('/api/games/:id/map/combat/next', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -5652,27 +8193,188 @@ app.post('/api/games/:id/map/combat/next', requireAuth, async (req, res) => {
     }
     const payload = req.body || {};
     const now = new Date().toISOString();
-    const order = normalizeCombatOrder(
-        Object.prototype.hasOwnProperty.call(payload, 'order') ? payload.order : map.combat.order,
+    updateCombatState(
+        map,
+        (state) => {
+            const entries = Object.prototype.hasOwnProperty.call(payload, 'order')
+                ? applyCombatOrderLabels(state.entries, normalizeCombatOrder(payload.order))
+                : state.entries;
+            return advanceCombatTurn({ ...state, entries });
+        },
+        now,
     );
-    const length = Math.max(order.length, 1);
-    let turn = map.combat.turn + 1;
-    let round = map.combat.round;
-    if (turn > length) {
-        turn = 1;
-        round = Math.max(1, round + 1);
-    }
-    map.combat = normalizeCombatState({
-        active: true,
-        order,
-        turn,
-        round,
+    const turnEntries = [...tickTurnAilments(game, map, req.session.userId), ...tickTurnBuffs(map, req.session.userId)];
+    map.updatedAt = now;
+
+    await persistGame(game, {
+        reason: 'map:combat:next',
+        actorId: req.session.userId,
+        broadcast: !map.paused,
+    });
+    for (const entry of turnEntries) broadcastBattleLogEntry(game.id, entry);
+
+    res.json(presentCombatState(map.combat));
+});
+
+app.post('/api/games/:id/map/combat/initiative', requireAuth, async (req, res) => {
+    const { id } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!canRunTable(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const map = ensureMapState(game);
+    if (map.combat?.active) {
+        return res.status(400).json({ error: 'combat_active' });
+    }
+    const payload = req.body || {};
+    const bonuses = readInitiativeBonuses(payload.bonuses);
+    const tokens = map.tokens.filter((token) => token && INITIATIVE_TOKEN_KINDS.has(token.kind));
+    const striker = typeof payload.firstStrikeTokenId === 'string'
+        ? tokens.find((token) => token.id === payload.firstStrikeTokenId) || null
+        : null;
+    if (payload.firstStrikeTokenId && !striker) {
+        return res.status(400).json({ error: 'invalid_first_strike' });
+    }
+    // The first striker's whole side is poised to attack: +15 for the rest of them.
+    const strikerIsEnemy = striker?.kind === 'enemy';
+    const combatants = (await Promise.all(tokens.map((token) => describeTokenCombatant(game, token))))
+        .filter(Boolean)
+        .slice(0, MAX_COMBAT_ENTRIES)
+        .map((combatant) => {
+            const sameSide = striker && (combatant.kind === 'enemy') === strikerIsEnemy;
+            return {
+                ...combatant,
+                firstStrike: combatant.tokenId === striker?.id,
+                bonus: combatant.bonus + (bonuses.get(combatant.tokenId) || 0) + (sameSide ? FIRST_STRIKE_PARTY_BONUS : 0),
+            };
+        });
+    if (combatants.length === 0) {
+        return res.status(400).json({ error: 'no_combatants' });
+    }
+
+    const now = new Date().toISOString();
+    const handPlaced = normalizeCombatState(map.combat).entries.filter((entry) => !entry.tokenId);
+    map.combat = normalizeCombatState({
+        active: false,
+        entries: [...rollInitiative(combatants).map(toCombatEntry), ...handPlaced],
         lastUpdatedAt: now,
     });
     map.updatedAt = now;
 
-    await persistGame(db, game, {
-        reason: 'map:combat:next',
+    await persistGame(game, {
+        reason: 'map:combat:initiative',
+        actorId: req.session.userId,
+        broadcast: !map.paused,
+    });
+
+    res.json(presentCombatState(map.combat));
+});
+
+app.post('/api/games/:id/map/combat/entries', requireAuth, async (req, res) => {
+    const { id } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!canRunTable(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const map = ensureMapState(game);
+    const payload = req.body || {};
+    const current = normalizeCombatState(map.combat);
+    if (current.entries.length >= MAX_COMBAT_ENTRIES) {
+        return res.status(400).json({ error: 'combat_full' });
+    }
+    const initiative = readCombatNumber(payload.initiative);
+    let entry;
+    if (payload.tokenId) {
+        const token = findMapToken(map, payload.tokenId);
+        const combatant = await describeTokenCombatant(game, token);
+        if (!combatant) {
+            return res.status(400).json({ error: 'invalid_token' });
+        }
+        if (current.entries.some((item) => item.tokenId === token.id)) {
+            return res.status(409).json({ error: 'already_in_combat' });
+        }
+        const [rolled] = rollInitiative([combatant]);
+        entry = toCombatEntry(initiative === null ? rolled : { ...rolled, roll: null, initiative });
+    } else {
+        entry = createCombatEntry({ label: payload.label, initiative });
+        if (!entry) {
+            return res.status(400).json({ error: 'missing_label' });
+        }
+    }
+
+    const now = new Date().toISOString();
+    updateCombatState(map, (state) => insertCombatEntry(state, entry), now);
+    map.updatedAt = now;
+
+    await persistGame(game, {
+        reason: 'map:combat:join',
+        actorId: req.session.userId,
+        broadcast: !map.paused,
+    });
+
+    res.status(201).json(presentCombatState(map.combat));
+});
+
+app.put('/api/games/:id/map/combat/entries/:entryId', requireAuth, async (req, res) => {
+    const { id, entryId } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+
+    const map = ensureMapState(game);
+    const current = normalizeCombatState(map.combat);
+    const index = current.entries.findIndex((entry) => entry.id === entryId);
+    if (index === -1) {
+        return res.status(404).json({ error: 'entry_not_found' });
+    }
+    const entry = current.entries[index];
+    // Players may delay, hold or release their own token's turn.
+    const token = entry.tokenId ? findMapToken(map, entry.tokenId) : null;
+    const ownsEntry = !!token?.ownerId && token.ownerId === req.session.userId && !isSpectator(game, req.session.userId);
+    if (!canRunTable(game, req.session.userId) && !ownsEntry) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+    if (!current.active) {
+        return res.status(400).json({ error: 'combat_inactive' });
+    }
+
+    const action = req.body?.action;
+    const now = new Date().toISOString();
+    if (action === 'delay' || action === 'hold') {
+        if (index !== current.turn - 1) {
+            return res.status(400).json({ error: 'not_current_turn' });
+        }
+        const status = action === 'delay' ? 'delayed' : 'held';
+        updateCombatState(
+            map,
+            (state) =>
+                advanceCombatTurn({
+                    ...state,
+                    entries: state.entries.map((item) => (item.id === entryId ? { ...item, status } : item)),
+                }),
+            now,
+        );
+    } else if (action === 'act') {
+        if (entry.status === 'ready') {
+            return res.status(400).json({ error: 'not_waiting' });
+        }
+        updateCombatState(map, (state) => actNowInCombat(state, entryId), now);
+    } else {
+        return res.status(400).json({ error: 'invalid_action' });
+    }
+    map.updatedAt = now;
+
+    await persistGame(game, {
+        reason: `map:combat:${action}`,
         actorId: req.session.userId,
         broadcast: !map.paused,
     });
@@ -5680,35 +8382,238 @@ app.post('/api/games/:id/map/combat/next', requireAuth, async (req, res) => {
     res.json(presentCombatState(map.combat));
 });
 
+app.delete('/api/games/:id/map/combat/entries/:entryId', requireAuth, async (req, res) => {
+    const { id, entryId } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!canRunTable(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const map = ensureMapState(game);
+    if (!normalizeCombatState(map.combat).entries.some((entry) => entry.id === entryId)) {
+        return res.status(404).json({ error: 'entry_not_found' });
+    }
+    const now = new Date().toISOString();
+    updateCombatState(map, (state) => removeCombatEntry(state, entryId), now);
+    map.updatedAt = now;
+
+    await persistGame(game, {
+        reason: 'map:combat:leave',
+        actorId: req.session.userId,
+        broadcast: !map.paused,
+    });
+
+    res.json(presentCombatState(map.combat));
+});
+
+const AFFINITY_NOTES = { reflect: 'reflected', drain: 'drained', block: 'blocked', resist: 'resisted', weak: 'weak' };
+
+// ACC, EVA, ATK and DEF come from gear the server doesn't track, so the DM
+// passes them in. Returns NaN for anything that isn't a small integer.
+function readAttackModifier(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const num = Number(value);
+    return Number.isInteger(num) && Math.abs(num) <= 99 ? num : Number.NaN;
+}
+
+function describeAttack({ skill, attacker, target, recipient, result, poolChange, ailmentText }) {
+    const { hit } = result;
+    const bonus = hit.total - hit.roll;
+    const ailments = hit.ailments?.length ? `, ${hit.ailments.join(', ')}` : '';
+    const accuracy = `1d20 ${hit.roll}${bonus ? ` ${bonus > 0 ? '+' : '-'} ${Math.abs(bonus)} = ${hit.total}` : ''} vs ${hit.target}${ailments}`;
+    const opening = `${attacker.label || 'Attacker'} used ${skill.label} on ${target.label || 'target'} (${accuracy})`;
+    if (!hit.success) return `${opening}: ${hit.fumble ? 'critical miss' : 'miss'}.`;
+    const notes = [
+        hit.critical ? 'critical' : '',
+        result.reflected ? 'reflected' : '',
+        AFFINITY_NOTES[result.landed] || '',
+        result.damage && result.buffPercent !== 1 ? `Buff% x${result.buffPercent}` : '',
+    ]
+        .filter((note, index, list) => note && list.indexOf(note) === index)
+        .join(', ');
+    const name = recipient.label || 'Token';
+    const change = poolChange ? ` (${poolChange.before} → ${poolChange.after})` : '';
+    let outcome;
+    if (result.outcome === 'block') {
+        outcome = 'No damage.';
+    } else if (result.outcome === 'instakill' || result.outcome === 'survived') {
+        const chance = `1d100 ${result.instakill.roll} vs ${result.instakill.chance}%`;
+        outcome = result.outcome === 'instakill' ? `${name} was struck down (${chance})${change}.` : `${name} survived (${chance}).`;
+    } else if (result.outcome === 'heal') {
+        outcome = `${name} absorbed it and recovered ${result.amount} HP${change}.`;
+    } else {
+        outcome = `${name} took ${result.amount} HP damage${change}.`;
+    }
+    return `${opening}: ${notes ? `${notes}. ` : ''}${outcome}${ailmentText ? ` ${ailmentText}` : ''}`;
+}
+
+app.post('/api/games/:id/map/combat/attack', requireAuth, async (req, res) => {
+    const { id } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!canRunTable(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const map = ensureMapState(game);
+    const payload = req.body || {};
+    const attacker = typeof payload.attackerId === 'string' ? findMapToken(map, payload.attackerId) : null;
+    const target = typeof payload.targetId === 'string' ? findMapToken(map, payload.targetId) : null;
+    if (!attacker || !target) {
+        return res.status(404).json({ error: 'token_not_found' });
+    }
+    const skill = typeof payload.skillId === 'string' ? findCombatSkillById(payload.skillId.trim()) : null;
+    if (!skill) {
+        return res.status(400).json({ error: 'invalid_skill' });
+    }
+    if (!skillElement(skill)) {
+        return res.status(400).json({ error: 'not_an_attack' });
+    }
+    const modifiers = {};
+    for (const key of ['acc', 'eva', 'atk', 'def', 'attackerDef']) {
+        modifiers[key] = readAttackModifier(payload[key]);
+        if (Number.isNaN(modifiers[key])) {
+            return res.status(400).json({ error: 'invalid_modifier', field: key });
+        }
+    }
+    let hitTarget = DEFAULT_HIT_TARGET;
+    if (payload.hitTarget !== undefined && payload.hitTarget !== null && payload.hitTarget !== '') {
+        hitTarget = Number(payload.hitTarget);
+        if (!Number.isInteger(hitTarget) || hitTarget < 1 || hitTarget > 99) {
+            return res.status(400).json({ error: 'invalid_hit_target' });
+        }
+    }
+    if (payload.affinity !== undefined && payload.affinity !== null && payload.affinity !== '' && !AFFINITIES.includes(payload.affinity)) {
+        return res.status(400).json({ error: 'invalid_affinity' });
+    }
+
+    const element = skillElement(skill);
+    const attackerMods = await readTokenAbilityMods(game, attacker);
+    const affinity = AFFINITIES.includes(payload.affinity)
+        ? payload.affinity
+        : readAffinity(await readTokenResistances(game, target), element);
+    const result = resolveSkillAttack({
+        skill,
+        abilityMod: attackerMods[skill.ability] || 0,
+        ...modifiers,
+        hitTarget,
+        affinity,
+        attackerAffinity: readAffinity(await readTokenResistances(game, attacker), element),
+        attackerBuffs: attacker.buffs,
+        attackerAilments: normalizeAilments(attacker.ailments),
+        targetBuffs: target.buffs,
+    });
+
+    const recipient = result.recipient === 'attacker' ? attacker : target;
+    let poolChange = null;
+    if (result.outcome === 'damage' || result.outcome === 'heal') {
+        if (result.amount > 0) {
+            poolChange = applyTokenPoolChange(game, recipient, 'hp', result.amount, result.outcome);
+        }
+    } else if (result.outcome === 'instakill' && recipient.resources?.hp > 0) {
+        poolChange = applyTokenPoolChange(game, recipient, 'hp', recipient.resources.hp, 'damage');
+    }
+    const wakeEntry =
+        poolChange && poolChange.after < poolChange.before ? wakeOnHit(map, recipient, req.session.userId) : null;
+
+    // Elemental spells, and skills that state a chance to inflict an ailment,
+    // roll it once they deal damage.
+    let ailment = null;
+    let ailmentText = '';
+    const ailmentInfo = result.outcome === 'damage' ? describeSkillAilments(skill) : null;
+    if (ailmentInfo?.kind === 'element' || (ailmentInfo?.kind === 'status' && ailmentInfo.chance)) {
+        const chance = rollAilmentChance(ailmentInfo, { weak: result.landed === 'weak' });
+        ailment = { id: ailmentInfo.ailmentId, ...chance };
+        if (chance.success) {
+            recipient.ailments = applyAilment(recipient.ailments, {
+                id: ailmentInfo.ailmentId,
+                duration: ailmentDuration(attackerMods.WIS),
+                sourceTokenId: attacker.id,
+            });
+            ailmentText = `Inflicted ${findAilment(ailmentInfo.ailmentId).label} (${chance.dice}: ${chance.roll}).`;
+        }
+    }
+
+    const attack = {
+        attackerId: attacker.id,
+        targetId: target.id,
+        recipientId: recipient.id,
+        skillId: skill.id,
+        ...result,
+        ...(poolChange ? { before: poolChange.before, after: poolChange.after } : {}),
+        ailment,
+    };
+    const entry = appendBattleLogEntry(
+        map,
+        {
+            action: 'map:combat:attack',
+            message: describeAttack({ skill, attacker, target, recipient, result, poolChange, ailmentText }),
+            details: attack,
+        },
+        req.session.userId,
+    );
+
+    const timestamp = new Date().toISOString();
+    recipient.updatedAt = timestamp;
+    map.updatedAt = timestamp;
+    await persistGame(game, {
+        reason: 'map:combat:attack',
+        actorId: req.session.userId,
+        broadcast: !map.paused,
+    });
+    broadcastBattleLogEntry(game.id, entry);
+    if (wakeEntry) broadcastBattleLogEntry(game.id, wakeEntry);
+
+    res.json({ attack, token: presentMapToken(recipient), entry: presentBattleLogEntry(entry) });
+});
+
 app.post('/api/games/:id/map/combat/end', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
     const map = ensureMapState(game);
     const now = new Date().toISOString();
     map.combat = { ...DEFAULT_COMBAT_STATE };
+    const { tokens, cleared } = clearCombatBuffs(map.tokens);
+    map.tokens = tokens;
+    const entry =
+        cleared.length > 0
+            ? appendBattleLogEntry(
+                  map,
+                  {
+                      action: 'map:buff:reset',
+                      message: `Combat ended: buffs and debuffs cleared from ${cleared.map((item) => item.label || 'Combatant').join(', ')}.`,
+                      details: { cleared },
+                  },
+                  req.session.userId,
+              )
+            : null;
     map.updatedAt = now;
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:combat:end',
         actorId: req.session.userId,
         broadcast: !map.paused,
     });
+    if (entry) broadcastBattleLogEntry(game.id, entry);
 
     res.json(presentCombatState(map.combat));
 });
 
 app.post('/api/games/:id/map/strokes', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -5731,8 +8636,8 @@ app.post('/api/games/:id/map/strokes', requireAuth, async (req, res) => {
         createdBy: stroke.createdBy || req.session.userId,
     };
 
-    const update = await Game.updateOne(
-        { id: game.id },
+    const saved = await appendToGame(
+        game,
         {
             $push: {
                 'map.strokes': {
@@ -5742,34 +8647,31 @@ app.post('/api/games/:id/map/strokes', requireAuth, async (req, res) => {
             },
             $set: { 'map.updatedAt': timestamp },
         },
+        () => {
+            map.strokes = map.strokes.concat(storedStroke).slice(-MAX_MAP_STROKES);
+            map.updatedAt = timestamp;
+        },
+        { reason: 'map:stroke', actorId: req.session.userId, broadcast: !map.paused },
     );
 
-    if (!update?.acknowledged || update.modifiedCount === 0) {
+    if (!saved) {
         return res.status(500).json({ error: 'map_update_failed' });
     }
 
-    if (!map.paused) {
-        broadcastGameUpdate(game.id, {
-            reason: 'map:stroke',
-            actorId: req.session.userId,
-        });
-    }
-
     res.status(201).json(presentMapStroke(storedStroke));
 });
 
 app.delete('/api/games/:id/map/strokes/:strokeId', requireAuth, async (req, res) => {
     const { id, strokeId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
 
     const map = ensureMapState(game);
     const activeDrawerId = map.drawer?.userId || game.dmId || null;
-    const isDmUser = isDM(game, req.session.userId);
-    if (!isDmUser && req.session.userId !== activeDrawerId) {
+    const canManage = canRunTable(game, req.session.userId);
+    if (!canManage && req.session.userId !== activeDrawerId) {
         return res.status(403).json({ error: 'forbidden' });
     }
     const before = map.strokes.length;
@@ -5779,7 +8681,7 @@ app.delete('/api/games/:id/map/strokes/:strokeId', requireAuth, async (req, res)
     }
 
     map.updatedAt = new Date().toISOString();
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:stroke:remove',
         actorId: req.session.userId,
         broadcast: !map.paused,
@@ -5789,12 +8691,11 @@ app.delete('/api/games/:id/map/strokes/:strokeId', requireAuth, async (req, res)
 
 app.post('/api/games/:id/map/strokes/clear', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -5802,7 +8703,7 @@ app.post('/api/games/:id/map/strokes/clear', requireAuth, async (req, res) => {
     map.strokes = [];
     map.updatedAt = new Date().toISOString();
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:stroke:clear',
         actorId: req.session.userId,
         broadcast: !map.paused,
@@ -5812,12 +8713,11 @@ app.post('/api/games/:id/map/strokes/clear', requireAuth, async (req, res) => {
 
 app.post('/api/games/:id/map/shapes', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -5837,7 +8737,7 @@ app.post('/api/games/:id/map/shapes', requireAuth, async (req, res) => {
     }
     map.updatedAt = timestamp;
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:shape:add',
         actorId: req.session.userId,
         broadcast: !map.paused,
@@ -5848,12 +8748,11 @@ app.post('/api/games/:id/map/shapes', requireAuth, async (req, res) => {
 
 app.put('/api/games/:id/map/shapes/:shapeId', requireAuth, async (req, res) => {
     const { id, shapeId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -5873,7 +8772,7 @@ app.put('/api/games/:id/map/shapes/:shapeId', requireAuth, async (req, res) => {
     shape.updatedAt = timestamp;
     map.updatedAt = timestamp;
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:shape:update',
         actorId: req.session.userId,
         broadcast: !map.paused,
@@ -5884,12 +8783,11 @@ app.put('/api/games/:id/map/shapes/:shapeId', requireAuth, async (req, res) => {
 
 app.delete('/api/games/:id/map/shapes/:shapeId', requireAuth, async (req, res) => {
     const { id, shapeId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -5902,7 +8800,7 @@ app.delete('/api/games/:id/map/shapes/:shapeId', requireAuth, async (req, res) =
 
     map.updatedAt = new Date().toISOString();
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:shape:remove',
         actorId: req.session.userId,
         broadcast: !map.paused,
@@ -5913,12 +8811,11 @@ app.delete('/api/games/:id/map/shapes/:shapeId', requireAuth, async (req, res) =
 
 app.put('/api/games/:id/map/background', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -5930,7 +8827,7 @@ app.put('/api/games/:id/map/background', requireAuth, async (req, res) => {
 
     map.updatedAt = new Date().toISOString();
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:background',
         actorId: req.session.userId,
         broadcast: !map.paused,
@@ -5941,12 +8838,11 @@ app.put('/api/games/:id/map/background', requireAuth, async (req, res) => {
 
 app.delete('/api/games/:id/map/background', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -5957,7 +8853,7 @@ app.delete('/api/games/:id/map/background', requireAuth, async (req, res) => {
     }
     map.updatedAt = new Date().toISOString();
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:background:clear',
         actorId: req.session.userId,
         broadcast: !map.paused,
@@ -5968,12 +8864,11 @@ app.delete('/api/games/:id/map/background', requireAuth, async (req, res) => {
 
 app.post('/api/games/:id/map/clear', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -5984,9 +8879,10 @@ app.post('/api/games/:id/map/clear', requireAuth, async (req, res) => {
     map.background = defaultMapBackground();
     map.background.url = '';
     map.drawer = { userId: game.dmId || null, assignedAt: null };
+    pruneCombatEntries(map);
     map.updatedAt = new Date().toISOString();
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:clear',
         actorId: req.session.userId,
         broadcast: !map.paused,
@@ -5997,12 +8893,11 @@ app.post('/api/games/:id/map/clear', requireAuth, async (req, res) => {
 
 app.post('/api/games/:id/map/tokens', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -6016,6 +8911,7 @@ app.post('/api/games/:id/map/tokens', requireAuth, async (req, res) => {
         tooltip: payload.tooltip,
         color: payload.color,
         showTooltip: payload.showTooltip,
+        resources: payload.resources,
         x: Object.prototype.hasOwnProperty.call(payload, 'x') ? payload.x : 0.5,
         y: Object.prototype.hasOwnProperty.call(payload, 'y') ? payload.y : 0.5,
     };
@@ -6029,8 +8925,17 @@ app.post('/api/games/:id/map/tokens', requireAuth, async (req, res) => {
 
     map.tokens.push(token);
     map.updatedAt = timestamp;
+    // Tokens dropped in mid-fight roll initiative and join the turn order.
+    const combat = normalizeCombatState(map.combat);
+    if (combat.active && combat.entries.length < MAX_COMBAT_ENTRIES) {
+        const combatant = await describeTokenCombatant(game, token);
+        if (combatant) {
+            const [rolled] = rollInitiative([combatant]);
+            updateCombatState(map, (state) => insertCombatEntry(state, toCombatEntry(rolled)), timestamp);
+        }
+    }
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:token:add',
         actorId: req.session.userId,
         broadcast: !map.paused,
@@ -6041,8 +8946,7 @@ app.post('/api/games/:id/map/tokens', requireAuth, async (req, res) => {
 
 app.put('/api/games/:id/map/tokens/:tokenId', requireAuth, async (req, res) => {
     const { id, tokenId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -6054,7 +8958,7 @@ app.put('/api/games/:id/map/tokens/:tokenId', requireAuth, async (req, res) => {
     }
 
     const payload = req.body || {};
-    const isDMUser = isDM(game, req.session.userId);
+    const canManage = canRunTable(game, req.session.userId);
     let changed = false;
 
     if (Object.prototype.hasOwnProperty.call(payload, 'x') || Object.prototype.hasOwnProperty.call(payload, 'y')) {
@@ -6071,7 +8975,7 @@ app.put('/api/games/:id/map/tokens/:tokenId', requireAuth, async (req, res) => {
     }
 
     if (Object.prototype.hasOwnProperty.call(payload, 'showTooltip')) {
-        if (!isDMUser) {
+        if (!canManage) {
             return res.status(403).json({ error: 'forbidden' });
         }
         token.showTooltip = !!payload.showTooltip;
@@ -6079,54 +8983,604 @@ app.put('/api/games/:id/map/tokens/:tokenId', requireAuth, async (req, res) => {
     }
 
     if (Object.prototype.hasOwnProperty.call(payload, 'label')) {
-        if (!isDMUser) {
+        if (!canManage) {
             return res.status(403).json({ error: 'forbidden' });
         }
         token.label = sanitizeText(payload.label).trim() || token.label;
+        if (normalizeCombatState(map.combat).entries.some((entry) => entry.tokenId === token.id)) {
+            updateCombatState(map, (state) => ({
+                ...state,
+                entries: state.entries.map((entry) => (entry.tokenId === token.id ? { ...entry, label: token.label } : entry)),
+            }));
+        }
         changed = true;
     }
 
-    if (Object.prototype.hasOwnProperty.call(payload, 'tooltip')) {
-        if (!isDMUser) {
-            return res.status(403).json({ error: 'forbidden' });
-        }
-        token.tooltip = sanitizeText(payload.tooltip).trim();
-        changed = true;
+    if (Object.prototype.hasOwnProperty.call(payload, 'tooltip')) {
+        if (!canManage) {
+            return res.status(403).json({ error: 'forbidden' });
+        }
+        token.tooltip = sanitizeText(payload.tooltip).trim();
+        changed = true;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(payload, 'color')) {
+        if (!canManage) {
+            return res.status(403).json({ error: 'forbidden' });
+        }
+        token.color = sanitizeColor(payload.color, token.color);
+        changed = true;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(payload, 'resources')) {
+        if (!canManage) {
+            return res.status(403).json({ error: 'forbidden' });
+        }
+        // Player and demon pools live on the character; change them there or
+        // through the damage/heal action.
+        if (PARTY_TOKEN_KINDS.has(token.kind)) {
+            return res.status(400).json({ error: 'linked_pools' });
+        }
+        token.resources = normalizeCombatPools(payload.resources);
+        changed = true;
+    }
+
+    if (!changed) {
+        return res.json(presentMapToken(token));
+    }
+
+    const timestamp = new Date().toISOString();
+    token.updatedAt = timestamp;
+    map.updatedAt = timestamp;
+
+    await persistGame(game, {
+        reason: 'map:token:update',
+        actorId: req.session.userId,
+        broadcast: !map.paused,
+    });
+
+    res.json(presentMapToken(token));
+});
+
+const POOL_LABELS = { hp: 'HP', mp: 'MP', tp: 'TP' };
+
+/**
+ * Damage or heal one of a token's pools. Damage to a player or demon token
+ * lands on the linked sheet so the character tab and the board stay in step.
+ * Returns null when the token has nothing to change.
+ */
+function applyTokenPoolChange(game, token, pool, amount, mode) {
+    let result;
+    if (token.kind === 'player') {
+        const player = findPlayer(game, token.refId);
+        if (!player?.character || !token.resources) return null;
+        result = applyPoolDelta(player.character.resources, pool, amount, mode);
+        player.character = { ...player.character, resources: result.resources };
+    } else if (token.kind === 'demon') {
+        const index = Array.isArray(game.demons) ? game.demons.findIndex((d) => d && d.id === token.refId) : -1;
+        if (index === -1) return null;
+        const demon = game.demons[index];
+        result = applyPoolDelta(readDemonPools(demon), pool, amount, mode);
+        game.demons[index] = { ...demon, resources: result.resources };
+    } else {
+        if (!token.resources) return null;
+        result = applyPoolDelta(token.resources, pool, amount, mode);
+    }
+    token.resources = normalizeCombatPools({ ...token.resources, ...result.resources });
+    return result;
+}
+
+function describePoolChange(label, result, { mode, amount, cause = '' }) {
+    const poolLabel = POOL_LABELS[result.pool];
+    const change = `(${result.before} → ${result.after})`;
+    if (mode === 'damage') {
+        return `${label} took ${amount} ${poolLabel} damage${cause ? ` from ${cause}` : ''} ${change}.`;
+    }
+    return `${label} recovered ${result.after - result.before} ${poolLabel}${cause ? ` from ${cause}` : ''} ${change}.`;
+}
+
+/**
+ * Add a server-written entry to the map's battle log. Call
+ * `broadcastBattleLogEntry` for it once the game is saved.
+ */
+function appendBattleLogEntry(map, payload, actorId) {
+    const entry = createBattleLogEntry(payload, { actorId });
+    if (!entry) return null;
+    map.battleLog.push(entry);
+    if (map.battleLog.length > MAP_BATTLE_LOG_LIMIT) {
+        map.battleLog = map.battleLog.slice(map.battleLog.length - MAP_BATTLE_LOG_LIMIT);
+    }
+    return entry;
+}
+
+/**
+ * Ailments that end when the token is hit (Sleep) wear off. Returns the
+ * battle log entry, if any.
+ */
+function wakeOnHit(map, token, actorId) {
+    const woken = normalizeAilments(token.ailments).filter((entry) => findAilment(entry.id)?.endsWhenHit);
+    if (woken.length === 0) return null;
+    token.ailments = normalizeAilments(token.ailments).filter((entry) => !findAilment(entry.id)?.endsWhenHit);
+    const labels = woken.map((entry) => findAilment(entry.id).label).join(', ');
+    return appendBattleLogEntry(
+        map,
+        {
+            action: 'map:ailment:expired',
+            message: `${token.label || 'Token'} was hit and recovered from ${labels}.`,
+            details: { tokenId: token.id, ailmentIds: woken.map((entry) => entry.id) },
+        },
+        actorId,
+    );
+}
+
+function describeAilmentTick(label, ailment, event) {
+    const roll = event.roll === null || event.roll === undefined ? '' : ` (1d20: ${event.roll})`;
+    switch (event.type) {
+        case 'turn_lost':
+            return `${label} loses the turn to ${ailment.label}${roll}.`;
+        case 'turn_kept':
+            return `${label} fights through ${ailment.label}${roll}.`;
+        case 'control_lost':
+            return `${label} ${ailment.tick.control} this turn (${ailment.label}, 1d20: ${event.roll}). Roll 1d20 for the action.`;
+        case 'control_kept':
+            return `${label} keeps control despite ${ailment.label}${roll}.`;
+        case 'expired':
+            return `${label} recovered from ${ailment.label}.`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Count down the buffs and debuffs of whoever is now up, logging the ones
+ * that wear off. Returns the new battle log entries.
+ */
+function tickTurnBuffs(map, actorId) {
+    const combat = normalizeCombatState(map.combat);
+    const current = combat.active ? combat.entries[combat.turn - 1] : null;
+    const token = current?.tokenId ? findMapToken(map, current.tokenId) : null;
+    if (!token || Object.keys(normalizeBuffs(token.buffs)).length === 0) return [];
+    const { buffs, expired } = tickBuffs(token.buffs);
+    token.buffs = buffs;
+    if (expired.length === 0) return [];
+    const entry = appendBattleLogEntry(
+        map,
+        {
+            action: 'map:buff:expired',
+            message: `${token.label || 'Combatant'}'s ${expired.map(({ stat, stage }) => formatBuffStage(stat, stage)).join(', ')} wore off.`,
+            details: { tokenId: token.id, expired, round: combat.round },
+        },
+        actorId,
+    );
+    return entry ? [entry] : [];
+}
+
+/**
+ * Start-of-turn ailment effects for whoever is now up: damage over time,
+ * healing and 1d20 rolls for lost turns, each written to the battle log.
+ * Returns the new entries.
+ */
+function tickTurnAilments(game, map, actorId) {
+    const combat = normalizeCombatState(map.combat);
+    const current = combat.active ? combat.entries[combat.turn - 1] : null;
+    const token = current?.tokenId ? findMapToken(map, current.tokenId) : null;
+    if (!token || normalizeAilments(token.ailments).length === 0) return [];
+    const { ailments, events } = tickAilments(token.ailments);
+    token.ailments = ailments;
+    const label = token.label || 'Combatant';
+    const entries = [];
+    for (const event of events) {
+        const ailment = findAilment(event.ailmentId);
+        const details = { tokenId: token.id, ailmentId: event.ailmentId, round: combat.round };
+        let message;
+        if (event.type === 'damage' || event.type === 'heal') {
+            const result = applyTokenPoolChange(game, token, 'hp', event.amount, event.type);
+            details.amount = event.amount;
+            if (result) {
+                details.before = result.before;
+                details.after = result.after;
+                message = describePoolChange(label, result, { mode: event.type, amount: event.amount, cause: ailment.label });
+            } else {
+                message = `${label} would ${event.type === 'damage' ? 'take' : 'recover'} ${event.amount} HP from ${ailment.label}, but has no HP tracked.`;
+            }
+        } else {
+            if (event.roll !== null && event.roll !== undefined) details.roll = event.roll;
+            message = describeAilmentTick(label, ailment, event);
+        }
+        const entry = appendBattleLogEntry(map, { action: `map:ailment:${event.type}`, message, details }, actorId);
+        if (entry) entries.push(entry);
+    }
+    return entries;
+}
+
+app.post('/api/games/:id/map/tokens/:tokenId/pools', requireAuth, async (req, res) => {
+    const { id, tokenId } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!canRunTable(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const map = ensureMapState(game);
+    const token = findMapToken(map, tokenId);
+    if (!token) {
+        return res.status(404).json({ error: 'token_not_found' });
+    }
+
+    const payload = req.body || {};
+    const pool = typeof payload.pool === 'string' ? payload.pool.trim().toLowerCase() : 'hp';
+    const mode = typeof payload.mode === 'string' ? payload.mode.trim().toLowerCase() : 'damage';
+    const amount = Number(payload.amount);
+    if (!COMBAT_POOLS.includes(pool)) {
+        return res.status(400).json({ error: 'invalid_pool' });
+    }
+    if (!POOL_ADJUST_MODES.includes(mode)) {
+        return res.status(400).json({ error: 'invalid_mode' });
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+        return res.status(400).json({ error: 'invalid_amount' });
+    }
+
+    const result = applyTokenPoolChange(game, token, pool, amount, mode);
+    if (!result) {
+        return res.status(400).json({ error: 'no_pools' });
+    }
+
+    const entry = appendBattleLogEntry(
+        map,
+        {
+            action: `map:token:${mode}`,
+            message: describePoolChange(token.label || 'Token', result, { mode, amount }),
+            details: {
+                tokenId: token.id,
+                kind: token.kind,
+                refId: token.refId || null,
+                pool,
+                amount,
+                before: result.before,
+                after: result.after,
+                max: result.max,
+            },
+        },
+        req.session.userId,
+    );
+    const wakeEntry = mode === 'damage' && pool === 'hp' ? wakeOnHit(map, token, req.session.userId) : null;
+
+    const timestamp = new Date().toISOString();
+    token.updatedAt = timestamp;
+    map.updatedAt = timestamp;
+    await persistGame(game, {
+        reason: `map:token:${mode}`,
+        actorId: req.session.userId,
+        broadcast: !map.paused,
+    });
+    broadcastBattleLogEntry(game.id, entry);
+    if (wakeEntry) broadcastBattleLogEntry(game.id, wakeEntry);
+
+    res.json({ token: presentMapToken(token), entry: presentBattleLogEntry(entry) });
+});
+
+app.post('/api/games/:id/map/tokens/:tokenId/ailments', requireAuth, async (req, res) => {
+    const { id, tokenId } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!canRunTable(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const map = ensureMapState(game);
+    const token = findMapToken(map, tokenId);
+    if (!token) {
+        return res.status(404).json({ error: 'token_not_found' });
+    }
+
+    const payload = req.body || {};
+    const label = token.label || 'Token';
+    let skill = null;
+    let skillInfo = null;
+    if (payload.skillId !== undefined && payload.skillId !== null && payload.skillId !== '') {
+        skill = typeof payload.skillId === 'string' ? findCombatSkillById(payload.skillId.trim()) : null;
+        skillInfo = describeSkillAilments(skill);
+        if (!skillInfo) {
+            return res.status(400).json({ error: 'invalid_skill' });
+        }
+    }
+
+    let entry;
+    let applied = false;
+    if (skillInfo && !skillInfo.ailmentId) {
+        // Cure skills (Patra, Basudi, ...) always land.
+        const cured = normalizeAilments(token.ailments).filter((item) => skillInfo.cures.includes(item.id));
+        token.ailments = normalizeAilments(token.ailments).filter((item) => !skillInfo.cures.includes(item.id));
+        applied = cured.length > 0;
+        entry = appendBattleLogEntry(
+            map,
+            {
+                action: 'map:ailment:cure',
+                message: applied
+                    ? `${skill.label} cured ${label} of ${cured.map((item) => findAilment(item.id).label).join(', ')}.`
+                    : `${skill.label} found nothing to cure on ${label}.`,
+                details: { tokenId: token.id, skillId: skill.id, ailmentIds: cured.map((item) => item.id) },
+            },
+            req.session.userId,
+        );
+    } else {
+        const ailmentId = skillInfo ? skillInfo.ailmentId : typeof payload.ailmentId === 'string' ? payload.ailmentId.trim().toLowerCase() : '';
+        const ailment = findAilment(ailmentId);
+        if (!ailment) {
+            return res.status(400).json({ error: 'invalid_ailment' });
+        }
+        let duration = null;
+        if (payload.duration !== undefined && payload.duration !== null && payload.duration !== '') {
+            duration = Number(payload.duration);
+            if (!Number.isInteger(duration) || duration < 1 || duration > MAX_AILMENT_DURATION) {
+                return res.status(400).json({ error: 'invalid_duration' });
+            }
+        }
+        // The caster defaults to whoever is taking their turn.
+        const combat = normalizeCombatState(map.combat);
+        const sourceId =
+            typeof payload.sourceTokenId === 'string' && payload.sourceTokenId
+                ? payload.sourceTokenId
+                : (combat.active && combat.entries[combat.turn - 1]?.tokenId) || null;
+        const source = sourceId ? findMapToken(map, sourceId) : null;
+        if (payload.sourceTokenId && !source) {
+            return res.status(400).json({ error: 'invalid_source' });
+        }
+        const sourceMods = source ? await readTokenAbilityMods(game, source) : null;
+        const targetMods = await readTokenAbilityMods(game, token);
+        const chance = skillInfo
+            ? rollAilmentChance(skillInfo, { weak: !!payload.weak, wisMod: sourceMods?.WIS || 0, conMod: targetMods.CON })
+            : null;
+        const turns = duration ?? ailmentDuration(sourceMods?.WIS || 0);
+        const chanceText = chance ? ` (${chance.dice}: ${chance.roll}, needed ${chance.dice === '1d20' ? `${chance.target}+` : `${chance.target} or less`})` : '';
+        const details = { tokenId: token.id, ailmentId, sourceTokenId: source?.id || null };
+        if (skill) details.skillId = skill.id;
+        if (chance) details.chance = chance;
+        if (!chance || chance.success) {
+            token.ailments = applyAilment(token.ailments, {
+                id: ailmentId,
+                duration: turns,
+                potency: targetMods.CON,
+                sourceTokenId: source?.id || null,
+            });
+            applied = true;
+            const lasting = token.ailments.find((item) => item.id === ailmentId)?.remaining || turns;
+            details.duration = lasting;
+            entry = appendBattleLogEntry(
+                map,
+                {
+                    action: 'map:ailment:apply',
+                    message: `${skill ? `${skill.label} inflicted` : 'Inflicted'} ${ailment.label} on ${label} for ${lasting} turn${lasting === 1 ? '' : 's'}${chanceText}.`,
+                    details,
+                },
+                req.session.userId,
+            );
+        } else {
+            entry = appendBattleLogEntry(
+                map,
+                {
+                    action: 'map:ailment:resist',
+                    message: `${label} avoided ${ailment.label} from ${skill.label}${chanceText}.`,
+                    details,
+                },
+                req.session.userId,
+            );
+        }
+    }
+
+    const timestamp = new Date().toISOString();
+    token.updatedAt = timestamp;
+    map.updatedAt = timestamp;
+    await persistGame(game, {
+        reason: 'map:token:ailments',
+        actorId: req.session.userId,
+        broadcast: !map.paused,
+    });
+    broadcastBattleLogEntry(game.id, entry);
+
+    res.json({ token: presentMapToken(token), applied, entry: presentBattleLogEntry(entry) });
+});
+
+app.post('/api/games/:id/map/tokens/:tokenId/buffs', requireAuth, async (req, res) => {
+    const { id, tokenId } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!canRunTable(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const map = ensureMapState(game);
+    const token = findMapToken(map, tokenId);
+    if (!token) {
+        return res.status(404).json({ error: 'token_not_found' });
+    }
+
+    // Either a buff skill from the library, or a stat moved by hand (items,
+    // passives) with `{ stat, stages }`.
+    const payload = req.body || {};
+    let skill = null;
+    let effect;
+    if (payload.skillId !== undefined && payload.skillId !== null && payload.skillId !== '') {
+        skill = typeof payload.skillId === 'string' ? findCombatSkillById(payload.skillId.trim()) : null;
+        effect = describeSkillBuffs(skill);
+        if (!effect) {
+            return res.status(400).json({ error: 'invalid_skill' });
+        }
+    } else {
+        const stages = Number(payload.stages);
+        if (!BUFF_STATS.includes(payload.stat)) {
+            return res.status(400).json({ error: 'invalid_stat' });
+        }
+        if (!Number.isInteger(stages) || stages === 0 || Math.abs(stages) > MAX_BUFF_STAGES * 2) {
+            return res.status(400).json({ error: 'invalid_stages' });
+        }
+        effect = { changes: { [payload.stat]: stages }, clear: null };
+    }
+    let duration = null;
+    if (payload.duration !== undefined && payload.duration !== null && payload.duration !== '') {
+        duration = Number(payload.duration);
+        if (!Number.isInteger(duration) || duration < 1 || duration > MAX_BUFF_DURATION) {
+            return res.status(400).json({ error: 'invalid_duration' });
+        }
+    }
+    // The caster defaults to whoever is taking their turn.
+    const combat = normalizeCombatState(map.combat);
+    const sourceId =
+        typeof payload.sourceTokenId === 'string' && payload.sourceTokenId
+            ? payload.sourceTokenId
+            : (combat.active && combat.entries[combat.turn - 1]?.tokenId) || null;
+    const source = sourceId ? findMapToken(map, sourceId) : null;
+    if (payload.sourceTokenId && !source) {
+        return res.status(400).json({ error: 'invalid_source' });
+    }
+
+    const label = token.label || 'Token';
+    const before = normalizeBuffs(token.buffs);
+    let message;
+    if (effect.clear) {
+        token.buffs = clearBuffs(before, effect.clear);
+        const removed = Object.keys(before).filter((stat) => !token.buffs[stat]);
+        message = removed.length
+            ? `${skill.label} removed ${label}'s ${removed.map((stat) => formatBuffStage(stat, before[stat].stage)).join(', ')}.`
+            : `${skill.label} found no ${effect.clear} on ${label}.`;
+    } else {
+        const turns = duration ?? buffDuration(source ? (await readTokenAbilityMods(game, source)).WIS : 0);
+        token.buffs = applyBuffChanges(before, effect.changes, turns);
+        const changed = Object.keys(effect.changes)
+            .map((stat) =>
+                token.buffs[stat] ? formatBuffStage(stat, token.buffs[stat].stage) : `${BUFF_STAT_LABELS[stat]} back to normal`,
+            )
+            .join(', ');
+        message = `${skill ? `${skill.label}: ` : ''}${label} now has ${changed} for ${turns} turn${turns === 1 ? '' : 's'}.`;
+    }
+    const entry = appendBattleLogEntry(
+        map,
+        {
+            action: 'map:buff:apply',
+            message,
+            details: {
+                tokenId: token.id,
+                skillId: skill?.id || null,
+                sourceTokenId: source?.id || null,
+                before,
+                after: token.buffs,
+            },
+        },
+        req.session.userId,
+    );
+
+    const timestamp = new Date().toISOString();
+    token.updatedAt = timestamp;
+    map.updatedAt = timestamp;
+    await persistGame(game, {
+        reason: 'map:token:buffs',
+        actorId: req.session.userId,
+        broadcast: !map.paused,
+    });
+    broadcastBattleLogEntry(game.id, entry);
+
+    res.json({ token: presentMapToken(token), entry: presentBattleLogEntry(entry) });
+});
+
+app.delete('/api/games/:id/map/tokens/:tokenId/buffs/:stat', requireAuth, async (req, res) => {
+    const { id, tokenId, stat } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!canRunTable(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const map = ensureMapState(game);
+    const token = findMapToken(map, tokenId);
+    if (!token) {
+        return res.status(404).json({ error: 'token_not_found' });
+    }
+    const current = normalizeBuffs(token.buffs)[stat];
+    if (!current) {
+        return res.status(404).json({ error: 'buff_not_found' });
     }
 
-    if (Object.prototype.hasOwnProperty.call(payload, 'color')) {
-        if (!isDMUser) {
-            return res.status(403).json({ error: 'forbidden' });
-        }
-        token.color = sanitizeColor(payload.color, token.color);
-        changed = true;
+    token.buffs = clearBuffs(token.buffs, stat);
+    const entry = appendBattleLogEntry(
+        map,
+        {
+            action: 'map:buff:clear',
+            message: `Cleared ${token.label || 'Token'}'s ${formatBuffStage(stat, current.stage)}.`,
+            details: { tokenId: token.id, stat, stage: current.stage },
+        },
+        req.session.userId,
+    );
+    const timestamp = new Date().toISOString();
+    token.updatedAt = timestamp;
+    map.updatedAt = timestamp;
+    await persistGame(game, {
+        reason: 'map:token:buffs',
+        actorId: req.session.userId,
+        broadcast: !map.paused,
+    });
+    broadcastBattleLogEntry(game.id, entry);
+
+    res.json({ token: presentMapToken(token), entry: presentBattleLogEntry(entry) });
+});
+
+app.delete('/api/games/:id/map/tokens/:tokenId/ailments/:ailmentId', requireAuth, async (req, res) => {
+    const { id, tokenId, ailmentId } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!canRunTable(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
     }
 
-    if (!changed) {
-        return res.json(presentMapToken(token));
+    const map = ensureMapState(game);
+    const token = findMapToken(map, tokenId);
+    if (!token) {
+        return res.status(404).json({ error: 'token_not_found' });
+    }
+    if (!normalizeAilments(token.ailments).some((item) => item.id === ailmentId)) {
+        return res.status(404).json({ error: 'ailment_not_found' });
     }
 
+    token.ailments = removeAilment(token.ailments, ailmentId);
+    const entry = appendBattleLogEntry(
+        map,
+        {
+            action: 'map:ailment:cure',
+            message: `${token.label || 'Token'} recovered from ${findAilment(ailmentId).label}.`,
+            details: { tokenId: token.id, ailmentIds: [ailmentId] },
+        },
+        req.session.userId,
+    );
     const timestamp = new Date().toISOString();
     token.updatedAt = timestamp;
     map.updatedAt = timestamp;
-
-    await persistGame(db, game, {
-        reason: 'map:token:update',
+    await persistGame(game, {
+        reason: 'map:token:ailments',
         actorId: req.session.userId,
         broadcast: !map.paused,
     });
+    broadcastBattleLogEntry(game.id, entry);
 
-    res.json(presentMapToken(token));
+    res.json({ token: presentMapToken(token), entry: presentBattleLogEntry(entry) });
 });
 
 app.delete('/api/games/:id/map/tokens/:tokenId', requireAuth, async (req, res) => {
     const { id, tokenId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -6137,8 +9591,9 @@ app.delete('/api/games/:id/map/tokens/:tokenId', requireAuth, async (req, res) =
         return res.status(404).json({ error: 'token_not_found' });
     }
 
+    pruneCombatEntries(map);
     map.updatedAt = new Date().toISOString();
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:token:remove',
         actorId: req.session.userId,
         broadcast: !map.paused,
@@ -6148,12 +9603,11 @@ app.delete('/api/games/:id/map/tokens/:tokenId', requireAuth, async (req, res) =
 
 app.get('/api/games/:id/map/library', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -6163,12 +9617,11 @@ app.get('/api/games/:id/map/library', requireAuth, async (req, res) => {
 
 app.post('/api/games/:id/map/library', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -6188,19 +9641,18 @@ app.post('/api/games/:id/map/library', requireAuth, async (req, res) => {
     library.push(entry);
     ensureMapLibrary(game);
 
-    await persistGame(db, game, { broadcast: false });
+    await persistGame(game, { broadcast: false });
 
     res.status(201).json({ entry: presentMapLibraryEntry(entry), maps: presentMapLibrary(game.mapLibrary) });
 });
 
 app.delete('/api/games/:id/map/library/:entryId', requireAuth, async (req, res) => {
     const { id, entryId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -6211,19 +9663,18 @@ app.delete('/api/games/:id/map/library/:entryId', requireAuth, async (req, res)
         return res.status(404).json({ error: 'map_not_found' });
     }
 
-    await persistGame(db, game, { broadcast: false });
+    await persistGame(game, { broadcast: false });
 
     res.json({ maps: presentMapLibrary(game.mapLibrary) });
 });
 
 app.post('/api/games/:id/map/library/:entryId/load', requireAuth, async (req, res) => {
     const { id, entryId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -6236,7 +9687,7 @@ app.post('/api/games/:id/map/library/:entryId/load', requireAuth, async (req, re
     const map = applyMapSnapshot(game, entry.snapshot);
     entry.updatedAt = new Date().toISOString();
 
-    await persistGame(db, game, {
+    await persistGame(game, {
         reason: 'map:library:load',
         actorId: req.session.userId,
         broadcast: true,
@@ -6252,8 +9703,7 @@ app.post('/api/games/:id/map/library/:entryId/load', requireAuth, async (req, re
 // --- World skills ---
 app.post('/api/games/:id/combat-skills', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -6282,14 +9732,13 @@ app.post('/api/games/:id/combat-skills', requireAuth, async (req, res) => {
     }
 
     list.push(entry);
-    await persistGame(db, game, { reason: 'combatSkill:add', actorId: req.session.userId });
+    await persistGame(game, { reason: 'combatSkill:add', actorId: req.session.userId });
     res.json(entry);
 });
 
 app.put('/api/games/:id/combat-skills/:skillId', requireAuth, async (req, res) => {
     const { id, skillId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -6474,14 +9923,13 @@ app.put('/api/games/:id/combat-skills/:skillId', requireAuth, async (req, res) =
         return res.status(400).json({ error: 'no_changes' });
     }
 
-    await persistGame(db, game, { reason: 'combatSkill:update', actorId: req.session.userId });
+    await persistGame(game, { reason: 'combatSkill:update', actorId: req.session.userId });
     res.json(target);
 });
 
 app.delete('/api/games/:id/combat-skills/:skillId', requireAuth, async (req, res) => {
     const { id, skillId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -6509,14 +9957,13 @@ app.delete('/api/games/:id/combat-skills/:skillId', requireAuth, async (req, res
     ensureCombatSkills(game);
     game.combatSkills[ownerId] = next;
 
-    await persistGame(db, game, { reason: 'combatSkill:delete', actorId: req.session.userId });
+    await persistGame(game, { reason: 'combatSkill:delete', actorId: req.session.userId });
     res.json({ ok: true });
 });
 
 app.post('/api/games/:id/world-skills', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -6545,14 +9992,13 @@ app.post('/api/games/:id/world-skills', requireAuth, async (req, res) => {
         }
     }
 
-    await persistGame(db, game, { reason: 'worldSkill:add', actorId: req.session.userId });
+    await persistGame(game, { reason: 'worldSkill:add', actorId: req.session.userId });
     res.json(entry);
 });
 
 app.put('/api/games/:id/world-skills/:skillId', requireAuth, async (req, res) => {
     const { id, skillId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -6598,14 +10044,13 @@ app.put('/api/games/:id/world-skills/:skillId', requireAuth, async (req, res) =>
         return res.status(400).json({ error: 'no_changes' });
     }
 
-    await persistGame(db, game, { reason: 'worldSkill:update', actorId: req.session.userId });
+    await persistGame(game, { reason: 'worldSkill:update', actorId: req.session.userId });
     res.json(target);
 });
 
 app.delete('/api/games/:id/world-skills/:skillId', requireAuth, async (req, res) => {
     const { id, skillId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -6627,14 +10072,13 @@ app.delete('/api/games/:id/world-skills/:skillId', requireAuth, async (req, res)
         }
     }
 
-    await persistGame(db, game, { reason: 'worldSkill:delete', actorId: req.session.userId });
+    await persistGame(game, { reason: 'worldSkill:delete', actorId: req.session.userId });
     res.json({ ok: true });
 });
 
 app.delete('/api/games/:id', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -6644,13 +10088,432 @@ app.delete('/api/games/:id', requireAuth, async (req, res) => {
 
     const gameId = game.id;
     removeStoryWatcher(gameId);
-    db.games = (db.games || []).filter((g) => g && g.id !== gameId);
-    await writeDB(db);
+    await deleteGameDocument(gameId);
     await deleteAllMusicUploads(gameId).catch(() => {});
     broadcastGameDeleted(gameId);
     res.json({ ok: true });
 });
 
+// --- Change history ---
+
+function presentGameChange(doc, { includePatch = false } = {}) {
+    if (!doc) return null;
+    const patch = Array.isArray(doc.patch) ? doc.patch : [];
+    const paths = Array.from(new Set(patch.map((op) => op?.path).filter(Boolean)));
+    return {
+        id: doc.id,
+        version: doc.version,
+        reason: doc.reason || null,
+        actorId: doc.actorId || null,
+        createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+        revertOf: doc.revertOf || null,
+        revertedAt: doc.revertedAt ? new Date(doc.revertedAt).toISOString() : null,
+        revertedBy: doc.revertedBy || null,
+        operationCount: patch.length,
+        paths: paths.slice(0, 12),
+        ...(includePatch ? { patch } : {}),
+    };
+}
+
+app.get('/api/games/:id/history', requireAuth, async (req, res) => {
+    const { id } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const page = Math.max(1, Math.floor(Number(req.query?.page)) || 1);
+    const size = Math.min(100, Math.max(1, Math.floor(Number(req.query?.size)) || GAME_HISTORY_PAGE_SIZE));
+    const [docs, total] = await Promise.all([
+        GameChange.find({ gameId: game.id })
+            .sort({ version: -1 })
+            .skip((page - 1) * size)
+            .limit(size)
+            .lean(),
+        GameChange.countDocuments({ gameId: game.id }),
+    ]);
+    res.json({ items: docs.map((doc) => presentGameChange(doc)), total, page, size });
+});
+
+app.get('/api/games/:id/history/:changeId', requireAuth, async (req, res) => {
+    const { id, changeId } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const change = await GameChange.findOne({ gameId: game.id, id: changeId }).lean();
+    if (!change) return res.status(404).json({ error: 'not_found' });
+    res.json(presentGameChange(change, { includePatch: true }));
+});
+
+app.post('/api/games/:id/history/:changeId/revert', requireAuth, async (req, res) => {
+    const { id, changeId } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const change = await GameChange.findOne({ gameId: game.id, id: changeId }).lean();
+    if (!change) return res.status(404).json({ error: 'not_found' });
+    if (change.revertedAt) return res.status(409).json({ error: 'already_reverted' });
+
+    // The inverse patch starts with test operations, so it refuses to apply
+    // when a later change has touched the same values.
+    // Secrets are never restored from history; the current ones carry over.
+    const current = gameSnapshots.get(game) || snapshotGame(game);
+    let reverted;
+    try {
+        reverted = applyJsonPatch(redactHistorySnapshot(current), change.inverse);
+    } catch {
+        return res.status(409).json({ error: 'revert_conflict' });
+    }
+    if (!reverted || reverted.id !== game.id) {
+        return res.status(409).json({ error: 'revert_conflict' });
+    }
+    if (reverted.story && typeof reverted.story === 'object' && current.story) {
+        for (const key of HISTORY_SECRET_FIELDS) {
+            if (key in current.story) reverted.story[key] = current.story[key];
+        }
+    }
+
+    const restored = ensureGameShape({ ...reverted, version: game.version });
+    gameSnapshots.set(restored, current);
+    await persistGame(restored, {
+        reason: 'history:revert',
+        actorId: req.session.userId,
+        revertOf: change.id,
+    });
+    await GameChange.updateOne(
+        { id: change.id },
+        { $set: { revertedAt: new Date(), revertedBy: req.session.userId } },
+    );
+    if (change.patch.some((op) => typeof op?.path === 'string' && op.path.startsWith('/story'))) {
+        removeStoryWatcher(game.id);
+    }
+    res.json({ ok: true, game: presentGame(restored, { includeSecrets: true }) });
+});
+
+// --- Roll log ---
+
+app.get('/api/games/:id/rolls', requireAuth, async (req, res) => {
+    const { id } = req.params || {};
+    const userId = req.session.userId;
+    const game = await loadGame(id);
+    if (!game || !isMember(game, userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+
+    const visible = [{ visibility: 'public' }, { userId }];
+    if (canRunTable(game, userId)) visible.push({ visibility: 'dm' });
+    const filter = { gameId: game.id, $or: visible };
+    const page = Math.max(1, Math.floor(Number(req.query?.page)) || 1);
+    const size = Math.min(100, Math.max(1, Math.floor(Number(req.query?.size)) || DICE_ROLL_PAGE_SIZE));
+    const [docs, total] = await Promise.all([
+        DiceRoll.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * size)
+            .limit(size)
+            .lean(),
+        DiceRoll.countDocuments(filter),
+    ]);
+    res.json({ items: docs.map(presentDiceRoll), total, page, size });
+});
+
+// --- Party chat ---
+
+app.get('/api/games/:id/chat', requireAuth, async (req, res) => {
+    const { id } = req.params || {};
+    const userId = req.session.userId;
+    const game = await loadGame(id);
+    if (!game || !isMember(game, userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    const thread = typeof req.query?.thread === 'string' ? req.query.thread : 'party';
+    if (!parseChatThread(thread)) {
+        return res.status(400).json({ error: 'invalid_thread' });
+    }
+    const filter = buildChatThreadFilter(game, userId, thread);
+    if (!filter) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const before = req.query?.before ? new Date(String(req.query.before)) : null;
+    if (before && !Number.isNaN(before.getTime())) filter.createdAt = { $lt: before };
+    const limit = Math.min(100, Math.max(1, Math.floor(Number(req.query?.limit)) || CHAT_PAGE_SIZE));
+    const docs = await ChatMessage.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit + 1)
+        .lean();
+    const hasMore = docs.length > limit;
+    res.json({ items: docs.slice(0, limit).reverse().map(presentChatMessage), hasMore });
+});
+
+app.get('/api/games/:id/chat/unread', requireAuth, async (req, res) => {
+    const { id } = req.params || {};
+    const userId = req.session.userId;
+    const game = await loadGame(id);
+    if (!game || !isMember(game, userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+
+    const state = await ChatReadState.findOne({ gameId: game.id, userId }).lean();
+    const readAt = state?.threads || {};
+    const whisperPeers = await ChatMessage.distinct('senderId', { gameId: game.id, channel: 'whisper', recipientId: userId });
+    const threads = ['party', ...(canRunTable(game, userId) ? ['ooc'] : []), ...whisperPeers.map(whisperThread)];
+    const counts = await Promise.all(
+        threads.map((thread) => {
+            const filter = { ...buildChatThreadFilter(game, userId, thread), senderId: { $ne: userId } };
+            if (readAt[thread]) filter.createdAt = { $gt: new Date(readAt[thread]) };
+            return ChatMessage.countDocuments(filter);
+        }),
+    );
+    const result = {};
+    let total = 0;
+    threads.forEach((thread, index) => {
+        if (counts[index] > 0) result[thread] = counts[index];
+        total += counts[index];
+    });
+    res.json({ threads: result, total });
+});
+
+const chatReadSchema = v.object({ thread: v.string({ nonEmpty: true, max: 64 }) });
+
+app.post('/api/games/:id/chat/read', requireAuth, async (req, res) => {
+    const { id } = req.params || {};
+    const userId = req.session.userId;
+    const game = await loadGame(id);
+    if (!game || !isMember(game, userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    const { thread } = parseWithSchema(chatReadSchema, req.body || {});
+    if (!buildChatThreadFilter(game, userId, thread)) {
+        return res.status(400).json({ error: 'invalid_thread' });
+    }
+    await ChatReadState.updateOne(
+        { gameId: game.id, userId },
+        { $set: { [`threads.${thread}`]: new Date() } },
+        { upsert: true },
+    );
+    res.json({ ok: true });
+});
+
+// --- Campaign export/import ---
+
+const gzipAsync = promisify(zlib.gzip);
+const gunzipAsync = promisify(zlib.gunzip);
+
+/**
+ * Serialize a game plus its uploaded music into a portable bundle.
+ * Story secrets (webhook URL, bot token) are never included.
+ *
+ * @param {ReturnType<typeof ensureGameShape>} game
+ * @param {{ exportedBy?: string }} [options]
+ */
+async function buildCampaignBundle(game, { exportedBy } = {}) {
+    const users = await loadGameUsers(game);
+    const { version: _version, ...doc } = stripMongoMetadata(game);
+    doc.story = { ...ensureStoryConfig(game), webhookUrl: '', botToken: '' };
+    delete doc.share;
+    delete doc.ownershipTransfer;
+
+    const music = ensureMusicState(game);
+    const files = [];
+    for (const entry of music.uploads) {
+        if (!entry?.filename || !MUSIC_UPLOAD_FILENAME_REGEX.test(entry.filename)) continue;
+        try {
+            const data = await fs.readFile(path.join(MUSIC_UPLOADS_ROOT, game.id, entry.filename));
+            files.push({ id: entry.id, filename: entry.filename, data: data.toString('base64') });
+        } catch (err) {
+            if (!err || err.code !== 'ENOENT') throw err;
+        }
+    }
+
+    return {
+        format: CAMPAIGN_BUNDLE_FORMAT,
+        formatVersion: CAMPAIGN_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        exportedBy: exportedBy || null,
+        users: users.map((user) => ({ id: user.id, username: user.username })),
+        game: doc,
+        music: files,
+    };
+}
+
+async function parseCampaignBundle(buffer) {
+    if (!buffer || buffer.length === 0) return null;
+    let raw = buffer;
+    // gzip magic bytes; plain JSON bundles are accepted too.
+    if (raw[0] === 0x1f && raw[1] === 0x8b) {
+        try {
+            raw = await gunzipAsync(raw);
+        } catch {
+            return null;
+        }
+    }
+    let bundle;
+    try {
+        bundle = JSON.parse(raw.toString('utf8'));
+    } catch {
+        return null;
+    }
+    if (!bundle || typeof bundle !== 'object') return null;
+    if (bundle.format !== CAMPAIGN_BUNDLE_FORMAT) return null;
+    if (Number(bundle.formatVersion) > CAMPAIGN_BUNDLE_VERSION) return null;
+    if (!bundle.game || typeof bundle.game !== 'object' || !Array.isArray(bundle.game.players)) return null;
+    return bundle;
+}
+
+async function restoreBundleMusic(gameId, bundle, uploads) {
+    const files = new Map(
+        (Array.isArray(bundle.music) ? bundle.music : [])
+            .filter((file) => file && typeof file.filename === 'string' && typeof file.data === 'string')
+            .map((file) => [file.filename, file]),
+    );
+    const kept = [];
+    for (const entry of uploads) {
+        const file = entry?.filename ? files.get(entry.filename) : null;
+        if (!file || !MUSIC_UPLOAD_FILENAME_REGEX.test(file.filename)) continue;
+        const dir = await ensureMusicUploadDir(gameId);
+        await fs.writeFile(path.join(dir, file.filename), Buffer.from(file.data, 'base64'));
+        kept.push(entry);
+    }
+    return kept;
+}
+
+app.get('/api/games/:id/export', requireAuth, async (req, res) => {
+    const { id } = req.params || {};
+    const game = await loadGame(id);
+    if (!game || !isMember(game, req.session.userId)) {
+        return res.status(404).json({ error: 'not_found' });
+    }
+    if (!isDM(game, req.session.userId)) {
+        return res.status(403).json({ error: 'forbidden' });
+    }
+
+    const bundle = await buildCampaignBundle(game, { exportedBy: req.session.userId });
+    const archive = await gzipAsync(Buffer.from(JSON.stringify(bundle), 'utf8'));
+    const slug = (game.name || 'campaign')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'campaign';
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${slug}-${timestampLabel()}.campaign.json.gz"`);
+    res.send(archive);
+});
+
+app.post('/api/games/import', requireAuth, (req, res, next) => {
+    campaignBundleUpload.single('file')(req, res, async (err) => {
+        if (err) {
+            if (err instanceof multer.MulterError) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(413).json({ error: 'file_too_large' });
+                }
+                return res.status(400).json({ error: 'upload_failed', code: err.code });
+            }
+            return next(err);
+        }
+
+        try {
+            const bundle = await parseCampaignBundle(req.file?.buffer);
+            if (!bundle) return res.status(400).json({ error: 'invalid_bundle' });
+
+            const importer = await getUserById(req.session.userId);
+            if (!importer) return res.status(401).json({ error: 'unauthenticated' });
+
+            const { idMap, matched, unmatched } = resolveBundleUsers(bundle, importer);
+
+            // Unmatched players stay on as unclaimed slots with their characters.
+            const game = remapUserIds(bundle.game, idMap);
+            delete game.version;
+            game.id = uuid();
+            game.name = readGameName(game.name) || 'Imported Campaign';
+            game.players = game.players.map((player) => ({
+                ...player,
+                username: matched.get(player.userId)?.username || player.username,
+            }));
+            game.story = { ...(game.story || {}), webhookUrl: '', botToken: '' };
+            delete game.share;
+            delete game.ownershipTransfer;
+
+            const now = new Date().toISOString();
+            const previousInvites = Array.isArray(game.invites) ? game.invites : [];
+            game.invites = [];
+            for (const previous of previousInvites) {
+                if (!previous || getInviteStatus(previous) !== 'active') continue;
+                game.invites.push({
+                    code: generateInviteCode(game.invites.map((invite) => invite.code)),
+                    createdBy: importer.id,
+                    createdAt: now,
+                    uses: 0,
+                    role: getInviteRole(previous),
+                    expiresAt: previous.expiresAt || null,
+                    maxUses: Number.isInteger(previous.maxUses) ? previous.maxUses : null,
+                    revokedAt: null,
+                });
+            }
+            const slotInvites = new Map();
+            for (const entry of unmatched) {
+                const code = generateInviteCode(game.invites.map((invite) => invite.code));
+                game.invites.push({
+                    code,
+                    createdBy: importer.id,
+                    createdAt: now,
+                    uses: 0,
+                    role: getInviteRole(entry),
+                    expiresAt: null,
+                    maxUses: 1,
+                    revokedAt: null,
+                    playerSlot: entry.slotId,
+                });
+                slotInvites.set(entry.slotId, code);
+            }
+
+            ensureGameShape(game);
+            assignGameDungeonMaster(game, importer, { users: [importer] });
+            const music = ensureMusicState(game);
+            music.uploads = await restoreBundleMusic(game.id, bundle, music.uploads);
+            music.playing = false;
+            // Drops a selected upload whose file was not part of the bundle.
+            ensureMusicState(game);
+
+            await insertGame(game);
+            res.status(201).json({
+                game: presentGame(game, { includeSecrets: true }),
+                unmatchedPlayers: unmatched.map((entry) => ({
+                    id: entry.id,
+                    username: entry.username,
+                    slotId: entry.slotId,
+                    inviteCode: slotInvites.get(entry.slotId),
+                })),
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+});
+
+const customItemSchema = v.object(
+    {
+        name: v.string({ max: 500 }).optional(),
+        type: v.string({ max: 500 }).optional(),
+        desc: v.string({ max: 500, trim: false }).optional(),
+        tags: v.any().optional(),
+        effects: v.array(v.object({}, { unknown: 'keep' }), { max: 20 }).optional(),
+        libraryItemId: v.string({ max: 200 }).nullable().optional(),
+    },
+    { unknown: 'keep' },
+);
+
 function validateCustomItem(item) {
     const payload = {
         name: sanitizeText(item?.name),
@@ -6669,33 +10532,32 @@ function validateCustomItem(item) {
 
 app.post('/api/games/:id/items/custom', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId) && !game.permissions.canEditItems) {
+    if (!canRunTable(game, req.session.userId) && !hasPlayerPermission(game, req.session.userId, 'canEditItems')) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
-    const item = validateCustomItem(req.body?.item || req.body);
-    if (!item.name) return res.status(400).json({ error: 'missing name' });
+    const input = parseWithSchema(customItemSchema, req.body?.item || req.body);
+    const item = validateCustomItem(input);
+    if (!item.name) throw createValidationError({ name: 'Required' });
 
     const list = ensureCustomList(game.items);
     const entry = { id: uuid(), ...item };
     list.push(entry);
-    await persistGame(db, game);
+    await persistGame(game);
     res.json(entry);
 });
 
 app.put('/api/games/:id/items/custom/:itemId', requireAuth, async (req, res) => {
     const { id, itemId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId) && !game.permissions.canEditItems) {
+    if (!canRunTable(game, req.session.userId) && !hasPlayerPermission(game, req.session.userId, 'canEditItems')) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -6703,45 +10565,45 @@ app.put('/api/games/:id/items/custom/:itemId', requireAuth, async (req, res) =>
     const idx = list.findIndex((it) => it && it.id === itemId);
     if (idx === -1) return res.status(404).json({ error: 'item_not_found' });
 
-    const item = { ...list[idx], ...validateCustomItem(req.body?.item || req.body) };
+    const input = parseWithSchema(customItemSchema, req.body?.item || req.body);
+    const item = { ...list[idx], ...validateCustomItem(input) };
+    if (!item.name) throw createValidationError({ name: 'Required' });
     list[idx] = item;
-    await persistGame(db, game);
+    await persistGame(game);
     res.json(item);
 });
 
 app.delete('/api/games/:id/items/custom/:itemId', requireAuth, async (req, res) => {
     const { id, itemId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId) && !game.permissions.canEditItems) {
+    if (!canRunTable(game, req.session.userId) && !hasPlayerPermission(game, req.session.userId, 'canEditItems')) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
     const list = ensureCustomList(game.items);
     const next = list.filter((it) => it && it.id !== itemId);
     game.items.custom = next;
-    await persistGame(db, game);
+    await persistGame(game);
     res.json({ ok: true });
 });
 
 app.post('/api/games/:id/players/:playerId/macca', requireAuth, async (req, res) => {
     const { id, playerId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId)) {
+    if (!canRunTable(game, req.session.userId)) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
     const target = findPlayer(game, playerId);
     if (!target) return res.status(404).json({ error: 'player_not_found' });
-    if ((target.role || '').toLowerCase() === 'dm') {
-        return res.status(400).json({ error: 'dm_has_no_inventory' });
+    if (!isPartyPlayer(target)) {
+        return res.status(400).json({ error: 'not_a_player' });
     }
 
     const deltaRaw =
@@ -6765,22 +10627,21 @@ app.post('/api/games/:id/players/:playerId/macca', requireAuth, async (req, res)
     const after = normalizeCurrency(before + delta, 0);
     resources.macca = after;
 
-    await persistGame(db, game, { reason: 'macca:adjust', actorId: req.session.userId });
+    await persistGame(game, { reason: 'macca:adjust', actorId: req.session.userId });
     res.json({ ok: true, before, after, delta: after - before });
 });
 
 app.post('/api/games/:id/players/:playerId/items', requireAuth, async (req, res) => {
     const { id, playerId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
 
     const target = findPlayer(game, playerId);
     if (!target) return res.status(404).json({ error: 'player_not_found' });
-    if ((target.role || '').toLowerCase() === 'dm') {
-        return res.status(400).json({ error: 'dm_has_no_inventory' });
+    if (!isPartyPlayer(target)) {
+        return res.status(400).json({ error: 'not_a_player' });
     }
 
     const actor = req.session.userId;
@@ -6817,22 +10678,21 @@ app.post('/api/games/:id/players/:playerId/items', requireAuth, async (req, res)
 
     const list = ensureInventoryList(target);
     list.push(entry);
-    await persistGame(db, game);
+    await persistGame(game);
     res.json(entry);
 });
 
 app.put('/api/games/:id/players/:playerId/items/:itemId', requireAuth, async (req, res) => {
     const { id, playerId, itemId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
 
     const target = findPlayer(game, playerId);
     if (!target) return res.status(404).json({ error: 'player_not_found' });
-    if ((target.role || '').toLowerCase() === 'dm') {
-        return res.status(400).json({ error: 'dm_has_no_inventory' });
+    if (!isPartyPlayer(target)) {
+        return res.status(400).json({ error: 'not_a_player' });
     }
 
     const actor = req.session.userId;
@@ -6874,22 +10734,21 @@ app.put('/api/games/:id/players/:playerId/items/:itemId', requireAuth, async (re
         }
     }
 
-    await persistGame(db, game);
+    await persistGame(game);
     res.json(entry);
 });
 
 app.delete('/api/games/:id/players/:playerId/items/:itemId', requireAuth, async (req, res) => {
     const { id, playerId, itemId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
 
     const target = findPlayer(game, playerId);
     if (!target) return res.status(404).json({ error: 'player_not_found' });
-    if ((target.role || '').toLowerCase() === 'dm') {
-        return res.status(400).json({ error: 'dm_has_no_inventory' });
+    if (!isPartyPlayer(target)) {
+        return res.status(400).json({ error: 'not_a_player' });
     }
 
     const actor = req.session.userId;
@@ -6903,27 +10762,25 @@ app.delete('/api/games/:id/players/:playerId/items/:itemId', requireAuth, async
         return res.status(404).json({ error: 'item_not_found' });
     }
     target.inventory = next;
-    await persistGame(db, game);
+    await persistGame(game);
     res.json({ ok: true });
 });
 
 app.post('/api/games/:id/players/:playerId/items/:itemId/use', requireAuth, async (req, res) => {
     const { id, playerId, itemId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
 
     const target = findPlayer(game, playerId);
     if (!target) return res.status(404).json({ error: 'player_not_found' });
-    if ((target.role || '').toLowerCase() === 'dm') {
-        return res.status(400).json({ error: 'dm_has_no_inventory' });
+    if (!isPartyPlayer(target)) {
+        return res.status(400).json({ error: 'not_a_player' });
     }
 
     const actorId = req.session.userId;
-    const isActorDM = isDM(game, actorId);
-    if (!isActorDM && actorId !== playerId) {
+    if (!canRunTable(game, actorId) && actorId !== playerId) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -6996,7 +10853,7 @@ app.post('/api/games/:id/players/:playerId/items/:itemId/use', requireAuth, asyn
         entry.amount = remaining;
     }
 
-    await persistGame(db, game, { reason: 'inventory:use', actorId: actorId });
+    await persistGame(game, { reason: 'inventory:use', actorId: actorId });
     res.json({
         ok: true,
         itemId,
@@ -7010,16 +10867,15 @@ app.post('/api/games/:id/players/:playerId/items/:itemId/use', requireAuth, asyn
 
 app.post('/api/games/:id/players/:playerId/gear/bag', requireAuth, async (req, res) => {
     const { id, playerId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
 
     const target = findPlayer(game, playerId);
     if (!target) return res.status(404).json({ error: 'player_not_found' });
-    if ((target.role || '').toLowerCase() === 'dm') {
-        return res.status(400).json({ error: 'dm_has_no_gear' });
+    if (!isPartyPlayer(target)) {
+        return res.status(400).json({ error: 'not_a_player' });
     }
 
     const actor = req.session.userId;
@@ -7049,22 +10905,21 @@ app.post('/api/games/:id/players/:playerId/gear/bag', requireAuth, async (req, r
         bag[existingIdx] = entry;
     }
 
-    await persistGame(db, game);
+    await persistGame(game);
     res.json(entry);
 });
 
 app.put('/api/games/:id/players/:playerId/gear/bag/:itemId', requireAuth, async (req, res) => {
     const { id, playerId, itemId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
 
     const target = findPlayer(game, playerId);
     if (!target) return res.status(404).json({ error: 'player_not_found' });
-    if ((target.role || '').toLowerCase() === 'dm') {
-        return res.status(400).json({ error: 'dm_has_no_gear' });
+    if (!isPartyPlayer(target)) {
+        return res.status(400).json({ error: 'not_a_player' });
     }
 
     const actor = req.session.userId;
@@ -7091,22 +10946,21 @@ app.put('/api/games/:id/players/:playerId/gear/bag/:itemId', requireAuth, async
         entry.desc = sanitizeText(payload.desc);
     }
 
-    await persistGame(db, game);
+    await persistGame(game);
     res.json(entry);
 });
 
 app.delete('/api/games/:id/players/:playerId/gear/bag/:itemId', requireAuth, async (req, res) => {
     const { id, playerId, itemId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
 
     const target = findPlayer(game, playerId);
     if (!target) return res.status(404).json({ error: 'player_not_found' });
-    if ((target.role || '').toLowerCase() === 'dm') {
-        return res.status(400).json({ error: 'dm_has_no_gear' });
+    if (!isPartyPlayer(target)) {
+        return res.status(400).json({ error: 'not_a_player' });
     }
 
     const actor = req.session.userId;
@@ -7131,7 +10985,7 @@ app.delete('/api/games/:id/players/:playerId/gear/bag/:itemId', requireAuth, asy
         }
     }
 
-    await persistGame(db, game);
+    await persistGame(game);
     res.json({ ok: true });
 });
 
@@ -7143,8 +10997,7 @@ async function handleEquipSlot(req, res) {
         return null;
     }
 
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         res.status(404).json({ error: 'not_found' });
         return null;
@@ -7155,8 +11008,8 @@ async function handleEquipSlot(req, res) {
         res.status(404).json({ error: 'player_not_found' });
         return null;
     }
-    if ((target.role || '').toLowerCase() === 'dm') {
-        res.status(400).json({ error: 'dm_has_no_gear' });
+    if (!isPartyPlayer(target)) {
+        res.status(400).json({ error: 'not_a_player' });
         return null;
     }
 
@@ -7166,13 +11019,13 @@ async function handleEquipSlot(req, res) {
         return null;
     }
 
-    return { db, game, target, slot };
+    return { game, target, slot };
 }
 
 async function equipSlotPut(req, res) {
     const context = await handleEquipSlot(req, res);
     if (!context) return;
-    const { db, game, target, slot } = context;
+    const { game, target, slot } = context;
 
     const gearState = ensureGear(target);
     const bag = gearState.bag;
@@ -7185,7 +11038,7 @@ async function equipSlotPut(req, res) {
         const trimmed = payload.itemId.trim();
         if (!trimmed) {
             slots[slot] = null;
-            await persistGame(db, game);
+            await persistGame(game);
             res.json({ ok: true });
             return;
         }
@@ -7220,7 +11073,7 @@ async function equipSlotPut(req, res) {
 
     slots[slot] = itemId ? { itemId } : null;
 
-    await persistGame(db, game);
+    await persistGame(game);
     const item = bag.find((it) => it && it.id === itemId) || null;
     res.json({ slot, itemId, item });
 }
@@ -7228,7 +11081,7 @@ async function equipSlotPut(req, res) {
 async function equipSlotDelete(req, res) {
     const context = await handleEquipSlot(req, res);
     if (!context) return;
-    const { db, game, target, slot } = context;
+    const { game, target, slot } = context;
 
     const gearState = ensureGear(target);
     const slots = gearState.slots;
@@ -7238,7 +11091,7 @@ async function equipSlotDelete(req, res) {
     }
 
     slots[slot] = null;
-    await persistGame(db, game);
+    await persistGame(game);
     res.json({ ok: true });
 }
 
@@ -7250,33 +11103,32 @@ app.delete('/api/games/:id/players/:playerId/gear/slots/:slot', requireAuth, equ
 
 app.post('/api/games/:id/gear/custom', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId) && !game.permissions.canEditGear) {
+    if (!canRunTable(game, req.session.userId) && !hasPlayerPermission(game, req.session.userId, 'canEditGear')) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
-    const item = validateCustomItem(req.body?.item || req.body);
-    if (!item.name) return res.status(400).json({ error: 'missing name' });
+    const input = parseWithSchema(customItemSchema, req.body?.item || req.body);
+    const item = validateCustomItem(input);
+    if (!item.name) throw createValidationError({ name: 'Required' });
 
     const list = ensureCustomList(game.gear);
     const entry = { id: uuid(), ...item };
     list.push(entry);
-    await persistGame(db, game);
+    await persistGame(game);
     res.json(entry);
 });
 
 app.put('/api/games/:id/gear/custom/:itemId', requireAuth, async (req, res) => {
     const { id, itemId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId) && !game.permissions.canEditGear) {
+    if (!canRunTable(game, req.session.userId) && !hasPlayerPermission(game, req.session.userId, 'canEditGear')) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -7284,27 +11136,28 @@ app.put('/api/games/:id/gear/custom/:itemId', requireAuth, async (req, res) => {
     const idx = list.findIndex((it) => it && it.id === itemId);
     if (idx === -1) return res.status(404).json({ error: 'item_not_found' });
 
-    const item = { ...list[idx], ...validateCustomItem(req.body?.item || req.body) };
+    const input = parseWithSchema(customItemSchema, req.body?.item || req.body);
+    const item = { ...list[idx], ...validateCustomItem(input) };
+    if (!item.name) throw createValidationError({ name: 'Required' });
     list[idx] = item;
-    await persistGame(db, game);
+    await persistGame(game);
     res.json(item);
 });
 
 app.delete('/api/games/:id/gear/custom/:itemId', requireAuth, async (req, res) => {
     const { id, itemId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId) && !game.permissions.canEditGear) {
+    if (!canRunTable(game, req.session.userId) && !hasPlayerPermission(game, req.session.userId, 'canEditGear')) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
     const list = ensureCustomList(game.gear);
     const next = list.filter((it) => it && it.id !== itemId);
     game.gear.custom = next;
-    await persistGame(db, game);
+    await persistGame(game);
     res.json({ ok: true });
 });
 
@@ -7351,10 +11204,37 @@ function resolveResistanceField(sources, key) {
     return [];
 }
 
+const demonTextSchema = v.string({ max: 500 }).optional();
+
+function buildDemonSchema({ requireName }) {
+    return v.object({
+        name: requireName ? v.string({ nonEmpty: true, max: 500 }) : v.string({ nonEmpty: true, max: 500 }).optional(),
+        arcana: demonTextSchema,
+        alignment: demonTextSchema,
+        level: v.number({ min: 0, max: 999, integer: true }).optional(),
+        stats: v
+            .object(
+                Object.fromEntries(ABILITY_LIST.map((key) => [key, v.number({ min: 0, max: 999 }).optional()])),
+                { unknown: 'keep' },
+            )
+            .optional(),
+        resistances: v.any().optional(),
+        skills: v.any().optional(),
+        notes: v.string({ max: 500, trim: false }).optional(),
+        image: v
+            .string({ max: 2048 })
+            .refine((url) => !url || /^https?:\/\//i.test(url), 'Must be an http(s) link')
+            .nullable()
+            .optional(),
+    }, { unknown: 'keep' });
+}
+
+const demonCreateSchema = buildDemonSchema({ requireName: true });
+const demonUpdateSchema = buildDemonSchema({ requireName: false });
+
 app.post('/api/games/:id/demons', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -7362,7 +11242,7 @@ app.post('/api/games/:id/demons', requireAuth, async (req, res) => {
         return res.status(403).json({ error: 'forbidden' });
     }
 
-    const body = req.body || {};
+    const body = parseWithSchema(demonCreateSchema, req.body || {});
     const stats = convertLegacyStats(body.stats);
     const resistanceInput = body.resistances || {};
     const demon = {
@@ -7384,29 +11264,29 @@ app.post('/api/games/:id/demons', requireAuth, async (req, res) => {
         notes: sanitizeText(body.notes || ''),
         image: readImageUrl(body.image),
     };
+    demon.resources = estimateCombatPools(demon);
 
     if (!demon.name) return res.status(400).json({ error: 'missing name' });
 
     game.demons.push(demon);
-    await persistGame(db, game);
+    await persistGame(game);
     res.json(demon);
 });
 
 app.put('/api/games/:id/demons/:demonId', requireAuth, async (req, res) => {
     const { id, demonId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
-    if (!isDM(game, req.session.userId) && !game.permissions.canEditDemons) {
+    if (!isDM(game, req.session.userId) && !hasPlayerPermission(game, req.session.userId, 'canEditDemons')) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
     const idx = game.demons.findIndex((d) => d && d.id === demonId);
     if (idx === -1) return res.status(404).json({ error: 'demon_not_found' });
 
-    const body = req.body || {};
+    const body = parseWithSchema(demonUpdateSchema, req.body || {});
     const current = game.demons[idx] || {};
     const baseStats = convertLegacyStats(current.stats);
     const stats =
@@ -7442,14 +11322,13 @@ app.put('/api/games/:id/demons/:demonId', requireAuth, async (req, res) => {
     };
 
     game.demons[idx] = updated;
-    await persistGame(db, game);
+    await persistGame(game);
     res.json(updated);
 });
 
 app.delete('/api/games/:id/demons/:demonId', requireAuth, async (req, res) => {
     const { id, demonId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -7459,14 +11338,13 @@ app.delete('/api/games/:id/demons/:demonId', requireAuth, async (req, res) => {
 
     const next = game.demons.filter((d) => d && d.id !== demonId);
     game.demons = next;
-    await persistGame(db, game);
+    await persistGame(game);
     res.json({ ok: true });
 });
 
 app.put('/api/games/:id/fusion-chart', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -7478,14 +11356,13 @@ app.put('/api/games/:id/fusion-chart', requireAuth, async (req, res) => {
     const chart = ensureFusionChart(game);
     chart.overrides = overrides;
 
-    await persistGame(db, game);
+    await persistGame(game);
     res.json({ fusionChart: presentFusionChart(chart) });
 });
 
 app.get('/api/games/:id/story-log', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -7499,14 +11376,13 @@ app.get('/api/games/:id/story-log', requireAuth, async (req, res) => {
     });
 });
 
-const storyConfigRouter = express.Router({ mergeParams: true });
+const storyConfigRouter = forwardAsyncErrors(express.Router({ mergeParams: true }));
 
 storyConfigRouter.use(requireAuth);
 
 storyConfigRouter.put('/', async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -7519,7 +11395,7 @@ storyConfigRouter.put('/', async (req, res) => {
     ensureStoryConfig(game);
     removeStoryWatcher(game.id);
     getOrCreateStoryWatcher(game);
-    await persistGame(db, game);
+    await persistGame(game);
 
     res.json({
         ok: true,
@@ -7531,8 +11407,7 @@ app.use('/api/games/:id/story-config', storyConfigRouter);
 
 app.post('/api/games/:id/story-log/messages', requireAuth, async (req, res) => {
     const { id } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -7540,7 +11415,7 @@ app.post('/api/games/:id/story-log/messages', requireAuth, async (req, res) => {
     const story = ensureStoryConfig(game);
     const actorId = req.session.userId;
     const actorIsDM = isDM(game, actorId);
-    if (!actorIsDM && !story.allowPlayerPosts) {
+    if (!actorIsDM && (!story.allowPlayerPosts || isSpectator(game, actorId))) {
         return res.status(403).json({ error: 'forbidden' });
     }
 
@@ -7559,9 +11434,10 @@ app.post('/api/games/:id/story-log/messages', requireAuth, async (req, res) => {
         return res.status(409).json({ error: 'approval_required' });
     }
 
+    const users = await loadGameUsers(game);
     let persona;
     try {
-        persona = resolveStoryPersona(req.body || {}, { db, game, actorId });
+        persona = resolveStoryPersona(req.body || {}, { users, game, actorId });
     } catch (err) {
         const message = err instanceof Error ? err.message : 'persona_forbidden';
         if (message === 'invalid_target') {
@@ -7596,8 +11472,7 @@ app.post('/api/games/:id/story-log/messages', requireAuth, async (req, res) => {
 
 app.delete('/api/games/:id/story-log/messages/:messageId', requireAuth, async (req, res) => {
     const { id, messageId } = req.params || {};
-    const db = await readDB();
-    const game = getGame(db, id);
+    const game = await loadGame(id);
     if (!game || !isMember(game, req.session.userId)) {
         return res.status(404).json({ error: 'not_found' });
     }
@@ -7670,6 +11545,12 @@ app.get('/api/help/docs', async (_req, res) => {
     }
 });
 
+const openApiDocument = buildOpenApiDocument();
+
+app.get('/api/openapi.json', (_req, res) => {
+    res.json(openApiDocument);
+});
+
 // Persona proxy routes
 app.use('/api/ai', localAiRoutes);
 app.use('/api/personas', personas);
@@ -7690,6 +11571,19 @@ app.use((err, _req, res, next) => {
     if (res.headersSent) {
         return next(err);
     }
+    if (err?.code === GAME_VERSION_CONFLICT) {
+        return res.status(409).json({
+            error: 'conflict',
+            code: GAME_VERSION_CONFLICT,
+            message: 'Someone else changed this game at the same time. The latest version has been loaded; try again.',
+        });
+    }
+    if (err?.code === VALIDATION_ERROR) {
+        return res.status(400).json({ error: VALIDATION_ERROR, fields: err.fields || {} });
+    }
+    if (err?.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'invalid_json' });
+    }
     console.error(err);
     res.status(500).json({ error: 'server_error' });
 });
@@ -7756,6 +11650,31 @@ server.on('upgrade', (req, socket, head) => {
         return;
     }
 
+    const shareParam = new URL(req.url, 'http://localhost').searchParams.get('share');
+    if (shareParam !== null) {
+        const token = parseShareToken(shareParam);
+        loadGameByShareToken(token)
+            .then((game) => {
+                if (!game) {
+                    socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+                    socket.destroy();
+                    return;
+                }
+                wss.handleUpgrade(req, socket, head, (ws) => {
+                    ws.userId = null;
+                    ws.shareGameId = game.id;
+                    wss.emit('connection', ws, req);
+                    subscribeShareChannel(ws, game.id);
+                    sendJson(ws, { type: 'share:state', game: presentSharedGame(game, token) });
+                });
+            })
+            .catch((err) => {
+                console.warn('Failed to open share websocket', err);
+                socket.destroy();
+            });
+        return;
+    }
+
     sessionParser(req, {}, () => {
         if (!req.session || !req.session.userId) {
             socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
@@ -7765,6 +11684,7 @@ server.on('upgrade', (req, socket, head) => {
 
         wss.handleUpgrade(req, socket, head, (ws) => {
             ws.userId = req.session.userId;
+            ws.sessionId = req.sessionID;
             ws.storySubscriptions = ws.storySubscriptions || new Set();
             ws.tradeSubscriptions = ws.tradeSubscriptions || new Set();
             ws.gameSubscriptions = ws.gameSubscriptions || new Set();
@@ -7786,22 +11706,20 @@ function clearStoryBroadcastQueue() {
     storyBroadcastQueue.clear();
 }
 
-function clearPersonaRequests() {
-    for (const request of pendingPersonaRequests.values()) {
-        if (request?.timeout) {
-            clearTimeout(request.timeout);
-        }
+async function clearPersonaRequests() {
+    for (const timer of personaRequestTimers.values()) {
+        clearTimeout(timer);
     }
-    pendingPersonaRequests.clear();
+    personaRequestTimers.clear();
+    await personaRequestStore.clear();
 }
 
-function clearPendingTrades() {
-    for (const trade of pendingTrades.values()) {
-        if (trade?.timeout) {
-            clearTimeout(trade.timeout);
-        }
+async function clearPendingTrades() {
+    for (const timer of tradeTimers.values()) {
+        clearTimeout(timer);
     }
-    pendingTrades.clear();
+    tradeTimers.clear();
+    await tradeStore.clear();
 }
 
 async function closeWebSocketServer({ timeoutMs = 2000 } = {}) {
@@ -7865,9 +11783,10 @@ async function shutdownServer({ signal = null, exitCode = 0 } = {}) {
         updateReadiness();
 
         clearStoryBroadcastQueue();
-        clearPersonaRequests();
-        clearPendingTrades();
+        await clearPersonaRequests();
+        await clearPendingTrades();
         stopAllStoryWatchers();
+        stopGameSnapshotScheduler();
 
         await logoutAllUsers();
 
@@ -7888,6 +11807,12 @@ async function shutdownServer({ signal = null, exitCode = 0 } = {}) {
             });
         }
 
+        try {
+            await stopRealtimeBroker();
+        } catch (err) {
+            shutdownLogger.warn('Failed to stop the realtime broker cleanly', err);
+        }
+
         await closeSessionStore();
 
         try {
@@ -7903,6 +11828,7 @@ async function shutdownServer({ signal = null, exitCode = 0 } = {}) {
         gameSubscribers.clear();
         userSockets.clear();
         gamePresence.clear();
+        remotePresence.clear();
 
         shutdownLogger.info('Graceful shutdown complete.');
         return exitCode;
@@ -7963,9 +11889,13 @@ async function startServer() {
     await connectToDatabaseWithRetry(MONGODB_URI, { dbName: MONGODB_DB_NAME || undefined });
     startupLogger.info('MongoDB connection established.');
 
+    startupLogger.info(`Starting ${REALTIME_BROKER_DRIVER} realtime broker…`);
+    await startRealtimeBroker();
+
     startupLogger.info('Loading initial data…');
     await ensureInitialItemDocs();
     await ensureInitialDemonDocs();
+    await importLegacySeedIfEmpty();
     startupLogger.info('Initial data ready.');
 
     startupLogger.info('Checking Discord bot availability…');
@@ -7988,18 +11918,28 @@ async function startServer() {
         });
     });
 
+    startGameSnapshotScheduler();
+
     return port;
 }
 import imageProxy from './routes/image-proxy.routes.js';
 app.use('/api/personas', imageProxy);
 
-setupGracefulShutdown();
+export { app };
 
-try {
-    const port = await startServer();
-    startupLogger.info(`Boot sequence finished on port ${port}.`);
-} catch (err) {
-    startupLogger.error('Failed to initialize server', err);
-    await shutdownServer({ exitCode: 1 }).catch(() => {});
-    process.exit(1);
+// Only boot when run directly; importing the module (as the route tests do)
+// builds the app without connecting to MongoDB or listening.
+const isEntryPoint = !!process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isEntryPoint) {
+    setupGracefulShutdown();
+
+    try {
+        const port = await startServer();
+        startupLogger.info(`Boot sequence finished on port ${port}.`);
+    } catch (err) {
+        startupLogger.error('Failed to initialize server', err);
+        await shutdownServer({ exitCode: 1 }).catch(() => {});
+        process.exit(1);
+    }
 }
@@ -0,0 +1,72 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { applyAilment, describeSkillAilments, rollAilmentChance, tickAilments } from '../ailments.js';
+import { findCombatSkillById } from '../combatSkills.js';
+
+function fixedFaces(...faces) {
+    let index = 0;
+    return () => faces[index++];
+}
+
+describe('describeSkillAilments', () => {
+    it('reads elemental ailments, ailment skills and cures', () => {
+        expect(describeSkillAilments(findCombatSkillById('agi'))).toMatchObject({ ailmentId: 'burn', kind: 'element' });
+        expect(describeSkillAilments(findCombatSkillById('pulinpa'))).toMatchObject({ ailmentId: 'confusion', kind: 'status' });
+        expect(describeSkillAilments(findCombatSkillById('basudi')).cures).toEqual(['blind', 'burn', 'shock', 'chill', 'winded']);
+    });
+
+    it('reads "N% chance to inflict" skills with their stated chance', () => {
+        expect(describeSkillAilments(findCombatSkillById('poison-claw'))).toMatchObject({ ailmentId: 'poison', kind: 'status', chance: 25 });
+        expect(describeSkillAilments(findCombatSkillById('hysterical-slap'))).toMatchObject({ ailmentId: 'confusion', chance: 25 });
+        expect(describeSkillAilments(findCombatSkillById('muzzle-flash'))).toMatchObject({ ailmentId: 'blind', chance: 25 });
+        expect(describeSkillAilments(findCombatSkillById('bolo-net'))).toMatchObject({ ailmentId: 'snare', chance: 15 });
+        expect(describeSkillAilments(findCombatSkillById('pulinpa')).chance).toBeNull();
+    });
+});
+
+describe('rollAilmentChance', () => {
+    it('needs a natural 20 for elements, 18 against a weakness', () => {
+        const info = { kind: 'element' };
+        expect(rollAilmentChance(info, { randomInt: () => 19 }).success).toBe(false);
+        expect(rollAilmentChance(info, { weak: true, randomInt: () => 18 }).success).toBe(true);
+    });
+
+    it('gives ailment skills (50 + WIS - CON)%', () => {
+        const result = rollAilmentChance({ kind: 'status' }, { wisMod: 3, conMod: 1, randomInt: () => 52 });
+        expect(result).toMatchObject({ success: true, dice: '1d100', target: 52 });
+    });
+
+    it('uses a stated chance as written', () => {
+        const info = describeSkillAilments(findCombatSkillById('bolo-net'));
+        const result = rollAilmentChance(info, { wisMod: 3, conMod: 1, randomInt: () => 16 });
+        expect(result).toMatchObject({ success: false, dice: '1d100', target: 15 });
+    });
+});
+
+describe('applyAilment', () => {
+    it('refreshes the duration and keeps Burn stacks', () => {
+        const burning = [{ id: 'burn', remaining: 1, stacks: 3, elapsed: 6 }];
+        const [entry] = applyAilment(burning, { id: 'burn', duration: 4 });
+        expect(entry).toMatchObject({ remaining: 4, stacks: 3 });
+    });
+});
+
+describe('tickAilments', () => {
+    it('deals Burn damage with stacks and counts down', () => {
+        const { ailments, events } = tickAilments([{ id: 'burn', remaining: 3, stacks: 2, elapsed: 5 }], {
+            randomInt: fixedFaces(3),
+        });
+        expect(events).toEqual([{ type: 'damage', ailmentId: 'burn', amount: 5 }]);
+        expect(ailments[0]).toMatchObject({ remaining: 2, stacks: 3, elapsed: 6 });
+    });
+
+    it('rolls 1d20 for Shock and expires finished ailments', () => {
+        const { ailments, events } = tickAilments([{ id: 'shock', remaining: 1 }], { randomInt: fixedFaces(7) });
+        expect(events).toEqual([
+            { type: 'turn_lost', ailmentId: 'shock', roll: 7 },
+            { type: 'expired', ailmentId: 'shock' },
+        ]);
+        expect(ailments).toEqual([]);
+    });
+});
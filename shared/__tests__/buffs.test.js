@@ -0,0 +1,48 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { applyBuffChanges, clearBuffs, clearCombatBuffs, describeSkillBuffs, tickBuffs } from '../buffs.js';
+import { findCombatSkillById } from '../combatSkills.js';
+
+describe('describeSkillBuffs', () => {
+    it('reads -kaja/-nda skills, Luster Candy and the Dekaja line', () => {
+        expect(describeSkillBuffs(findCombatSkillById('tarukaja')).changes).toEqual({ atk: 1 });
+        expect(describeSkillBuffs(findCombatSkillById('masukunda')).changes).toEqual({ acc: -1 });
+        expect(describeSkillBuffs(findCombatSkillById('luster-candy')).changes).toEqual({ atk: 1, def: 1, acc: 1 });
+        expect(describeSkillBuffs(findCombatSkillById('dekaja')).clear).toBe('buffs');
+        expect(describeSkillBuffs(findCombatSkillById('agi'))).toBeNull();
+    });
+});
+
+describe('applyBuffChanges', () => {
+    it('stacks to three stages, resets the timer and drops stage 0', () => {
+        let buffs = applyBuffChanges({ atk: { stage: 3, remaining: 1 } }, { atk: 1, def: -1 }, 4);
+        expect(buffs).toEqual({ atk: { stage: 3, remaining: 4 }, def: { stage: -1, remaining: 4 } });
+        buffs = applyBuffChanges(buffs, { def: 1 }, 4);
+        expect(buffs).toEqual({ atk: { stage: 3, remaining: 4 } });
+    });
+});
+
+describe('clearBuffs and tickBuffs', () => {
+    it('clears one side and expires finished timers', () => {
+        const buffs = { atk: { stage: 2, remaining: 1 }, def: { stage: -1, remaining: 3 } };
+        expect(clearBuffs(buffs, 'debuffs')).toEqual({ atk: { stage: 2, remaining: 1 } });
+        expect(tickBuffs(buffs)).toEqual({
+            buffs: { def: { stage: -1, remaining: 2 } },
+            expired: [{ stat: 'atk', stage: 2 }],
+        });
+    });
+});
+
+describe('clearCombatBuffs', () => {
+    it('resets every token with stages and reports what was cleared', () => {
+        const tokens = [
+            { id: 'a', label: 'Pixie', buffs: { atk: { stage: 1, remaining: 2 } } },
+            { id: 'b', label: 'Slime', buffs: {} },
+        ];
+        const { tokens: next, cleared } = clearCombatBuffs(tokens);
+        expect(next.map((token) => token.buffs)).toEqual([{}, {}]);
+        expect(next[1]).toBe(tokens[1]);
+        expect(cleared).toEqual([{ tokenId: 'a', label: 'Pixie', buffs: { atk: { stage: 1, remaining: 2 } } }]);
+    });
+});
@@ -0,0 +1,21 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { chatThreadFor, parseChatThread, whisperThread } from '../chat.js';
+
+describe('chat threads', () => {
+    it('parses channel and whisper thread keys', () => {
+        expect(parseChatThread('party')).toEqual({ channel: 'party' });
+        expect(parseChatThread('ooc')).toEqual({ channel: 'ooc' });
+        expect(parseChatThread(whisperThread('abc'))).toEqual({ channel: 'whisper', peerId: 'abc' });
+        expect(parseChatThread('whisper:')).toBeNull();
+        expect(parseChatThread('general')).toBeNull();
+    });
+
+    it('files a whisper under the other person for both sides', () => {
+        const message = { channel: 'whisper', senderId: 'alice', recipientId: 'bob' };
+        expect(chatThreadFor(message, 'alice')).toBe('whisper:bob');
+        expect(chatThreadFor(message, 'bob')).toBe('whisper:alice');
+        expect(chatThreadFor({ channel: 'party', senderId: 'alice' }, 'bob')).toBe('party');
+    });
+});
@@ -0,0 +1,77 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { readAffinity, resolveSkillAttack } from '../combatMath.js';
+import { findCombatSkillById } from '../combatSkills.js';
+
+function fixedFaces(...faces) {
+    let index = 0;
+    return () => faces[index++];
+}
+
+const zio = findCombatSkillById('zio');
+
+describe('readAffinity', () => {
+    it('matches codex spellings and physical groups', () => {
+        expect(readAffinity({ weak: ['Electric'] }, 'Electricity')).toBe('weak');
+        expect(readAffinity({ resist: ['Phys'] }, 'slash')).toBe('resist');
+        expect(readAffinity({ block: ['Fire'] }, 'almighty')).toBe('neutral');
+    });
+});
+
+describe('resolveSkillAttack', () => {
+    it('misses when 1d20 + ACC - EVA is under the target', () => {
+        const result = resolveSkillAttack({ skill: zio, acc: 1, eva: 3, randomInt: fixedFaces(11) });
+        expect(result).toMatchObject({ outcome: 'miss', hit: { total: 9, success: false } });
+    });
+
+    it('adds crits and weaknesses to Buff%', () => {
+        const result = resolveSkillAttack({ skill: zio, abilityMod: 2, affinity: 'weak', randomInt: fixedFaces(20, 4) });
+        // (4 + 2) x (1 + 0.75 + 0.75)
+        expect(result).toMatchObject({ outcome: 'damage', amount: 15, buffPercent: 2.5 });
+    });
+
+    it('adds tracked ATK and DEF stages to Buff%', () => {
+        const result = resolveSkillAttack({
+            skill: zio,
+            attackerBuffs: { atk: { stage: 2, remaining: 3 } },
+            targetBuffs: { def: { stage: 1, remaining: 3 } },
+            randomInt: fixedFaces(12, 5),
+        });
+        // 5 x (1 + 0.4 - 0.2)
+        expect(result).toMatchObject({ buffPercent: 1.2, amount: 6 });
+    });
+
+    it("applies the attacker's Blind and Berserk", () => {
+        const blind = resolveSkillAttack({ skill: zio, attackerAilments: [{ id: 'blind' }], randomInt: fixedFaces(18) });
+        // ceil(18 x 0.5) = 9 misses the default 10
+        expect(blind.hit).toMatchObject({ total: 9, accuracyBuff: -0.5, ailments: ['blind'], success: false });
+
+        const berserk = resolveSkillAttack({ skill: zio, attackerAilments: [{ id: 'berserk' }], randomInt: fixedFaces(12, 5) });
+        // ACC -2 on the roll, ATK +2 on the damage
+        expect(berserk).toMatchObject({ hit: { total: 10, success: true }, amount: 7 });
+    });
+
+    it('reflects onto the attacker using their DEF', () => {
+        const result = resolveSkillAttack({
+            skill: zio,
+            abilityMod: 2,
+            affinity: 'reflect',
+            attackerAffinity: 'resist',
+            def: 10,
+            attackerDef: 1,
+            randomInt: fixedFaces(12, 5),
+        });
+        expect(result).toMatchObject({ reflected: true, recipient: 'attacker', outcome: 'damage', amount: 3 });
+    });
+
+    it('heals on drain and blocks a second reflect', () => {
+        expect(resolveSkillAttack({ skill: zio, affinity: 'drain', randomInt: fixedFaces(15, 6) })).toMatchObject({
+            outcome: 'heal',
+            amount: 6,
+        });
+        expect(
+            resolveSkillAttack({ skill: zio, affinity: 'reflect', attackerAffinity: 'reflect', randomInt: fixedFaces(15) }).outcome,
+        ).toBe('block');
+    });
+});
@@ -0,0 +1,43 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { applyPoolDelta, estimateCombatPools, normalizeCombatPools } from '../combatPools.js';
+
+describe('estimateCombatPools', () => {
+    it('uses the sheet formulas plus average growth per level', () => {
+        // CON +2, STR +1, INT 0, WIS -1, DEX +3
+        const pools = estimateCombatPools({ level: 3, mods: { STR: 1, DEX: 3, CON: 2, INT: 0, WIS: -1 } });
+        // HP: 17 + 2 + 0.5 = 19.5, +2 levels × (2.5 + 2.5) = 29.5 → 30
+        expect(pools.maxHP).toBe(30);
+        // MP: 17 + 0 - 0.5 = 16.5, +2 × (2.5 - 0.5) = 20.5 → 21
+        expect(pools.maxMP).toBe(21);
+        // TP: 7 + 3 + 1 = 11, +2 × (2.5 + 2.5) = 21
+        expect(pools.maxTP).toBe(21);
+        expect(pools.hp).toBe(pools.maxHP);
+    });
+
+    it('derives modifiers from raw scores', () => {
+        expect(estimateCombatPools({ level: 1, stats: { CON: 14, STR: 12 } }).maxHP).toBe(20);
+    });
+});
+
+describe('applyPoolDelta', () => {
+    it('floors damage at zero and caps healing at the maximum', () => {
+        const hurt = applyPoolDelta({ hp: 5, maxHP: 20 }, 'hp', 8, 'damage');
+        expect(hurt.after).toBe(0);
+        expect(hurt.resources.hp).toBe(0);
+        const healed = applyPoolDelta({ hp: 15, maxHP: 20 }, 'hp', 12, 'heal');
+        expect(healed).toMatchObject({ before: 15, after: 20, max: 20 });
+    });
+
+    it('rejects unknown pools', () => {
+        expect(() => applyPoolDelta({}, 'sp', 1)).toThrow('invalid_pool');
+    });
+});
+
+describe('normalizeCombatPools', () => {
+    it('fills missing values and clamps current to max', () => {
+        expect(normalizeCombatPools({ hp: 40, maxHP: 30 })).toEqual({ hp: 30, maxHP: 30, mp: 0, maxMP: 0, tp: 0, maxTP: 0 });
+        expect(normalizeCombatPools({})).toBeNull();
+    });
+});
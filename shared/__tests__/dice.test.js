@@ -0,0 +1,57 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { DiceNotationError, parseDiceNotation, rollDice } from '../dice.js';
+
+// Hands out the given faces in order, regardless of die size.
+function fixedFaces(...faces) {
+    let index = 0;
+    return () => faces[index++];
+}
+
+describe('rollDice', () => {
+    it('applies variables with normal precedence', () => {
+        const result = rollDice('2d8+MOD*2', { variables: { MOD: 3 }, randomInt: fixedFaces(4, 5) });
+        expect(result.total).toBe(15);
+        expect(result.dice).toEqual([
+            { notation: '2d8', sides: 8, results: [4, 5], kept: [4, 5], total: 9, hit: null },
+        ]);
+        expect(result.variables).toEqual({ MOD: 3 });
+    });
+
+    it('keeps the highest dice', () => {
+        const result = rollDice('4d6kh3', { randomInt: fixedFaces(1, 6, 3, 5) });
+        expect(result.total).toBe(14);
+        expect(result.dice[0].kept).toEqual([6, 5, 3]);
+    });
+
+    it('rolls each hit of a multi-hit term separately and adds flat bonuses once', () => {
+        const result = rollDice('4x2d6+STR', {
+            variables: { str: 2 },
+            randomInt: fixedFaces(1, 2, 3, 4, 5, 6, 6, 6),
+        });
+        expect(result.hits).toEqual([3, 7, 11, 12]);
+        expect(result.total).toBe(35);
+        expect(result.dice.map((entry) => entry.hit)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('repeats a parenthesised group per hit', () => {
+        const result = rollDice('3x(1d4+MOD)', { variables: { MOD: 1 }, randomInt: fixedFaces(1, 2, 3) });
+        expect(result.hits).toEqual([2, 3, 4]);
+        expect(result.total).toBe(9);
+    });
+
+    it('rounds up at the end and flags a natural 20', () => {
+        const result = rollDice('(1d20+1)*1.75', { randomInt: fixedFaces(20) });
+        expect(result.total).toBe(37);
+        expect(result.natural).toBe(20);
+        expect(result.critical).toBe(true);
+    });
+
+    it('rejects malformed or oversized rolls', () => {
+        expect(() => parseDiceNotation('2d6+')).toThrow(DiceNotationError);
+        expect(() => parseDiceNotation('500d6')).toThrow(/between 1 and 100 dice/);
+        expect(() => parseDiceNotation('21x1d6')).toThrow(/hits/);
+        expect(() => rollDice('1d20+ACC')).toThrow(/Unknown value: ACC/);
+    });
+});
@@ -0,0 +1,66 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { actNowInCombat, advanceCombatTurn, insertCombatEntry, removeCombatEntry, rollInitiative } from '../initiative.js';
+
+function fixedFaces(...faces) {
+    let index = 0;
+    return () => faces[index++];
+}
+
+const entry = (id, status = 'ready', initiative = null) => ({ id, label: id, status, initiative });
+
+describe('rollInitiative', () => {
+    it('orders by total, then DEX, then re-rolls remaining ties', () => {
+        const order = rollInitiative(
+            [
+                { id: 'a', dexMod: 1, bonus: 0 },
+                { id: 'b', dexMod: 3, bonus: 0 },
+                { id: 'c', dexMod: 1, bonus: 0 },
+                { id: 'd', dexMod: 0, bonus: 2 },
+            ],
+            // a=11, b=9, c=11, d=3; a and c tie on DEX too and re-roll 4 vs 17.
+            { randomInt: fixedFaces(10, 6, 10, 1, 4, 17) },
+        );
+        expect(order.map((item) => item.id)).toEqual(['c', 'a', 'b', 'd']);
+        expect(order[0].tieBreaks).toEqual([17]);
+        expect(order[3].initiative).toBe(3);
+    });
+
+    it('puts a first strike ahead without rolling', () => {
+        const order = rollInitiative(
+            [{ id: 'a', dexMod: 5 }, { id: 'b', firstStrike: true }],
+            { randomInt: fixedFaces(20) },
+        );
+        expect(order.map((item) => item.id)).toEqual(['b', 'a']);
+        expect(order[0].roll).toBeNull();
+    });
+});
+
+describe('turn order', () => {
+    it('skips delayed entries and lifts holds when their turn comes', () => {
+        const state = { active: true, turn: 1, round: 1, entries: [entry('a'), entry('b', 'delayed'), entry('c', 'held')] };
+        const next = advanceCombatTurn(state);
+        expect(next.turn).toBe(3);
+        expect(next.entries[2].status).toBe('ready');
+        const wrapped = advanceCombatTurn(next);
+        expect(wrapped).toMatchObject({ turn: 1, round: 2 });
+    });
+
+    it('keeps the current combatant when entries join or leave', () => {
+        const state = { active: true, turn: 2, round: 1, entries: [entry('a', 'ready', 15), entry('b', 'ready', 10)] };
+        const joined = insertCombatEntry(state, entry('c', 'ready', 20));
+        expect(joined.entries.map((item) => item.id)).toEqual(['c', 'a', 'b']);
+        expect(joined.turn).toBe(3);
+        expect(removeCombatEntry(joined, 'c').turn).toBe(2);
+        expect(removeCombatEntry(joined, 'b')).toMatchObject({ turn: 1, round: 2 });
+    });
+
+    it('lets a delayed combatant act before whoever is up', () => {
+        const state = { active: true, turn: 3, round: 1, entries: [entry('a', 'delayed'), entry('b'), entry('c')] };
+        const next = actNowInCombat(state, 'a');
+        expect(next.entries.map((item) => item.id)).toEqual(['b', 'a', 'c']);
+        expect(next.turn).toBe(2);
+        expect(next.entries[1].status).toBe('ready');
+    });
+});
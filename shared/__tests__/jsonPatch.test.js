@@ -0,0 +1,55 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import { applyJsonPatch, createInversePatch, createJsonPatch } from '../jsonPatch.js';
+
+describe('createJsonPatch', () => {
+    it('turns a single array insert or removal into one operation', () => {
+        const before = { list: ['a', 'b', 'c'] };
+        expect(createJsonPatch(before, { list: ['a', 'x', 'b', 'c'] })).toEqual([
+            { op: 'add', path: '/list/1', value: 'x' },
+        ]);
+        expect(createJsonPatch(before, { list: ['a', 'c'] })).toEqual([{ op: 'remove', path: '/list/1' }]);
+    });
+
+    it('escapes keys and diffs nested objects', () => {
+        const patch = createJsonPatch({ 'a/b': { n: 1, gone: true } }, { 'a/b': { n: 2 } });
+        expect(patch).toEqual([
+            { op: 'remove', path: '/a~1b/gone' },
+            { op: 'replace', path: '/a~1b/n', value: 2 },
+        ]);
+    });
+});
+
+describe('applyJsonPatch', () => {
+    it('applies a patch to a copy and reproduces the target', () => {
+        const before = { name: 'Game', players: [{ id: 'p1' }, { id: 'p2' }], map: { tokens: [] } };
+        const after = { name: 'Renamed', players: [{ id: 'p2' }], map: { tokens: [{ id: 't1' }] }, story: {} };
+        const patched = applyJsonPatch(before, createJsonPatch(before, after));
+        expect(patched).toEqual(after);
+        expect(before.players).toHaveLength(2);
+    });
+
+    it('throws when a test operation fails', () => {
+        expect(() => applyJsonPatch({ n: 1 }, [{ op: 'test', path: '/n', value: 2 }])).toThrow(
+            expect.objectContaining({ code: 'patch_test_failed' }),
+        );
+    });
+});
+
+describe('createInversePatch', () => {
+    it('undoes a patch while the touched values are unchanged', () => {
+        const before = { round: 1, log: ['start'] };
+        const after = { round: 2, log: ['start', 'hit'] };
+        const patch = createJsonPatch(before, after);
+        const inverse = createInversePatch(before, after, patch);
+        expect(applyJsonPatch(after, inverse)).toEqual(before);
+    });
+
+    it('refuses to undo once a later change touched the same value', () => {
+        const before = { round: 1 };
+        const after = { round: 2 };
+        const inverse = createInversePatch(before, after, createJsonPatch(before, after));
+        expect(() => applyJsonPatch({ round: 3 }, inverse)).toThrow(/test failed/);
+    });
+});
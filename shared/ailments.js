@@ -0,0 +1,289 @@
+// Ailments from the Battle Math rules, shared by the server (which applies
+// and ticks them) and the client (which shows badges and the DM controls).
+//
+// A token's ailments are stored as
+//   { id, remaining, stacks, elapsed, potency, sourceTokenId, appliedAt }
+// with one entry per ailment. `remaining` counts the afflicted token's turns;
+// each ailment ticks at the start of their turn, when damage over time lands
+// and loss-of-control rolls are made, and wears off when it reaches zero.
+// Applying an ailment again refreshes the duration and keeps Burn's stacks.
+
+import { rollDice } from './dice.js';
+
+export const MAX_AILMENT_DURATION = 99;
+export const MAX_BURN_STACKS = 10;
+
+// 1d20 rolls at or below this lose the turn (a 50% chance).
+const HALF_CHANCE_FAIL_AT = 10;
+
+/**
+ * `tick` describes what happens at the start of the afflicted's turn:
+ *   damage / heal   dice rolled against HP
+ *   turn            'lost' always skips the turn, 'chance' loses it on a failed 1d20
+ *   control         a failed 1d20 means someone else picks the action
+ */
+export const AILMENTS = Object.freeze([
+    { id: 'poison', label: 'Poison', badge: 'PSN', summary: '1d6 damage per turn.', tick: { damage: '1d6' } },
+    {
+        id: 'bleed',
+        label: 'Bleed',
+        badge: 'BLD',
+        summary: '1d4+CON damage per turn, 1 less each turn. Lasts CON turns.',
+        tick: { damage: '1d4', potency: true, fades: true },
+    },
+    {
+        id: 'charm',
+        label: 'Charm',
+        badge: 'CHM',
+        summary: '50% chance to pick a random action that helps the enemy.',
+        tick: { control: 'helps the other side' },
+    },
+    {
+        id: 'confusion',
+        label: 'Confusion',
+        badge: 'CNF',
+        summary: '50% chance to pick a random action that hurts their own side.',
+        tick: { control: 'turns on their own side' },
+    },
+    { id: 'berserk', label: 'Berserk', badge: 'BSK', summary: 'Attacks the nearest target with their weapon. ATK +2, ACC -2.' },
+    {
+        id: 'burn',
+        label: 'Burn',
+        badge: 'BRN',
+        summary: '1d4 damage per turn, +1 every other turn (up to 10 stacks).',
+        tick: { damage: '1d4', stacks: true },
+    },
+    { id: 'shock', label: 'Shock', badge: 'SHK', summary: '50% chance to lose the turn.', tick: { turn: 'chance' } },
+    { id: 'chill', label: 'Chill', badge: 'CHL', summary: 'Cannot use physical skills.' },
+    { id: 'winded', label: 'Winded', badge: 'WND', summary: 'Cannot use magical spells.' },
+    { id: 'enervation', label: 'Enervation', badge: 'ENV', summary: '-25% to all base ability scores.' },
+    { id: 'exhaustion', label: 'Exhaustion', badge: 'EXH', summary: '+50% to all HP/MP/TP costs.' },
+    { id: 'sealed', label: 'Sealed', badge: 'SEL', summary: 'Cannot use spells or skills.' },
+    { id: 'blind', label: 'Blind', badge: 'BLN', summary: '-50% to all accuracy checks.' },
+    {
+        id: 'sleep',
+        label: 'Sleep',
+        badge: 'SLP',
+        summary: 'Unable to act. Heals 1d4 HP per turn. Ends early when attacked.',
+        tick: { turn: 'lost', heal: '1d4' },
+        endsWhenHit: true,
+    },
+    { id: 'snare', label: 'Snare', badge: 'SNR', summary: 'Unable to move. Can still use items, skills and attacks.' },
+    { id: 'stun', label: 'Stun', badge: 'STN', summary: 'Unable to act.', tick: { turn: 'lost' } },
+]);
+
+const AILMENT_MAP = new Map(AILMENTS.map((ailment) => [ailment.id, ailment]));
+
+// Elemental spells inflict these on a natural 20 (18+ against a weakness).
+export const ELEMENT_AILMENTS = Object.freeze({
+    Fire: 'burn',
+    Ice: 'chill',
+    Electricity: 'shock',
+    Wind: 'winded',
+    Earth: 'exhaustion',
+    Gravity: 'enervation',
+});
+
+// Words the skill list uses for each ailment ("chance to confuse", "Cures Seal").
+const AILMENT_WORDS = {
+    poison: 'poison',
+    bleed: 'bleed',
+    charm: 'charm',
+    confuse: 'confusion',
+    confusion: 'confusion',
+    berserk: 'berserk',
+    burn: 'burn',
+    shock: 'shock',
+    chill: 'chill',
+    winded: 'winded',
+    enervation: 'enervation',
+    exhaustion: 'exhaustion',
+    seal: 'sealed',
+    sealed: 'sealed',
+    blind: 'blind',
+    sleep: 'sleep',
+    snare: 'snare',
+    stun: 'stun',
+};
+
+function toNumber(value) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : 0;
+}
+
+function d(notation, randomInt) {
+    return rollDice(notation, randomInt ? { randomInt } : undefined).total;
+}
+
+export function findAilment(id) {
+    return AILMENT_MAP.get(id) || null;
+}
+
+/**
+ * How long an ailment lasts when the caster has the given WIS modifier:
+ * 2 + WIS/2 turns.
+ */
+export function ailmentDuration(wisMod = 0) {
+    return Math.max(1, Math.min(MAX_AILMENT_DURATION, 2 + Math.floor(toNumber(wisMod) / 2)));
+}
+
+/**
+ * The ailment a combat skill can inflict and the cures it offers, read from
+ * its element or its description. `chance` is the percentage the description
+ * states ("25% chance to inflict Poison"), or null for the (50+WIS)% skills.
+ * Returns null for skills that do neither.
+ * @returns {{ ailmentId: string | null, kind: 'element' | 'status' | null, chance: number | null, cures: string[] } | null}
+ */
+export function describeSkillAilments(skill) {
+    if (!skill || typeof skill !== 'object') return null;
+    const section = skill.source?.section || '';
+    const notes = typeof skill.notes === 'string' ? skill.notes : '';
+    const elementAilment = ELEMENT_AILMENTS[section];
+    if (elementAilment && /chance to cause/i.test(notes)) {
+        return { ailmentId: elementAilment, kind: 'element', chance: null, cures: [] };
+    }
+    const inflicts = /(?:(\d+)% )?chance to (?:inflict )?(\w+)/i.exec(notes);
+    const ailmentId = inflicts ? AILMENT_WORDS[inflicts[2].toLowerCase()] || null : null;
+    const curesMatch = /^Cures ([^.]+?) from/i.exec(notes);
+    const cures = curesMatch
+        ? curesMatch[1]
+              .split(/,|\band\b/)
+              .map((word) => AILMENT_WORDS[word.trim().toLowerCase()])
+              .filter(Boolean)
+        : [];
+    if (!ailmentId && cures.length === 0) return null;
+    return {
+        ailmentId,
+        kind: ailmentId ? 'status' : null,
+        chance: ailmentId && inflicts[1] ? Number(inflicts[1]) : null,
+        cures,
+    };
+}
+
+/**
+ * Roll whether a skill's ailment lands. Elemental spells need a natural 20 on
+ * 1d20 (18 against a weakness). Ailment skills have a (50 + WIS)% chance,
+ * resisted by the target's CON modifier, rolled on 1d100; skills that state
+ * their own chance use it as written.
+ *
+ * @param {{ kind: 'element' | 'status', chance?: number | null }} info from `describeSkillAilments`
+ * @param {{ weak?: boolean, wisMod?: number, conMod?: number, randomInt?: (sides: number) => number }} [options]
+ * @returns {{ success: boolean, dice: string, roll: number, target: number }}
+ */
+export function rollAilmentChance(info, { weak = false, wisMod = 0, conMod = 0, randomInt } = {}) {
+    if (info?.kind === 'element') {
+        const roll = d('1d20', randomInt);
+        const target = weak ? 18 : 20;
+        return { success: roll >= target, dice: '1d20', roll, target };
+    }
+    const roll = d('1d100', randomInt);
+    const base = info?.chance > 0 ? info.chance : 50 + toNumber(wisMod) - toNumber(conMod);
+    const target = Math.max(0, Math.min(100, base));
+    return { success: roll <= target, dice: '1d100', roll, target };
+}
+
+function normalizeAilmentEntry(raw) {
+    if (!raw || typeof raw !== 'object' || !AILMENT_MAP.has(raw.id)) return null;
+    const remaining = Math.round(toNumber(raw.remaining));
+    if (remaining < 1) return null;
+    return {
+        id: raw.id,
+        remaining: Math.min(MAX_AILMENT_DURATION, remaining),
+        stacks: Math.max(0, Math.min(MAX_BURN_STACKS, Math.round(toNumber(raw.stacks)))),
+        elapsed: Math.max(0, Math.round(toNumber(raw.elapsed))),
+        potency: Math.max(-99, Math.min(99, Math.round(toNumber(raw.potency)))),
+        sourceTokenId: typeof raw.sourceTokenId === 'string' ? raw.sourceTokenId : null,
+        appliedAt: typeof raw.appliedAt === 'string' ? raw.appliedAt : null,
+    };
+}
+
+/**
+ * Read a stored ailment list: unknown ailments, expired entries and
+ * duplicates are dropped.
+ */
+export function normalizeAilments(list) {
+    if (!Array.isArray(list)) return [];
+    const seen = new Set();
+    const out = [];
+    for (const raw of list) {
+        const entry = normalizeAilmentEntry(raw);
+        if (!entry || seen.has(entry.id)) continue;
+        seen.add(entry.id);
+        out.push(entry);
+    }
+    return out;
+}
+
+/**
+ * Add an ailment, or refresh it if the token already has it. Bleed always
+ * lasts `potency` (the target's CON modifier) turns.
+ */
+export function applyAilment(list, { id, duration, potency = 0, sourceTokenId = null }, now = new Date().toISOString()) {
+    const definition = findAilment(id);
+    if (!definition) throw new Error('invalid_ailment');
+    const current = normalizeAilments(list);
+    const turns = definition.tick?.fades ? Math.max(1, toNumber(potency)) : toNumber(duration) || ailmentDuration(0);
+    const existing = current.find((entry) => entry.id === id);
+    const next = normalizeAilmentEntry({
+        id,
+        remaining: turns,
+        stacks: existing?.stacks || 0,
+        elapsed: existing?.elapsed || 0,
+        potency,
+        sourceTokenId,
+        appliedAt: now,
+    });
+    return existing ? current.map((entry) => (entry.id === id ? next : entry)) : [...current, next];
+}
+
+export function removeAilment(list, id) {
+    return normalizeAilments(list).filter((entry) => entry.id !== id);
+}
+
+/**
+ * Start-of-turn effects for every ailment on a token. Returns the updated
+ * list and what happened, in order:
+ *   { type: 'damage' | 'heal', ailmentId, amount }
+ *   { type: 'turn_lost', ailmentId, roll }        roll is null when automatic
+ *   { type: 'turn_kept' | 'control_kept', ailmentId, roll }
+ *   { type: 'control_lost', ailmentId, roll }
+ *   { type: 'expired', ailmentId }
+ *
+ * @param {any[]} list
+ * @param {{ randomInt?: (sides: number) => number }} [options]
+ */
+export function tickAilments(list, { randomInt } = {}) {
+    const events = [];
+    const next = [];
+    for (const entry of normalizeAilments(list)) {
+        const tick = findAilment(entry.id).tick || {};
+        const updated = { ...entry, elapsed: entry.elapsed + 1, remaining: entry.remaining - 1 };
+        if (tick.damage) {
+            let amount = d(tick.damage, randomInt);
+            if (tick.stacks) amount += entry.stacks;
+            if (tick.potency) amount += entry.potency;
+            if (tick.fades) amount -= entry.elapsed;
+            if (amount > 0) events.push({ type: 'damage', ailmentId: entry.id, amount });
+            if (tick.stacks) updated.stacks = Math.min(MAX_BURN_STACKS, Math.floor(updated.elapsed / 2));
+        }
+        if (tick.heal) {
+            events.push({ type: 'heal', ailmentId: entry.id, amount: d(tick.heal, randomInt) });
+        }
+        if (tick.turn === 'lost') {
+            events.push({ type: 'turn_lost', ailmentId: entry.id, roll: null });
+        } else if (tick.turn === 'chance') {
+            const roll = d('1d20', randomInt);
+            events.push({ type: roll <= HALF_CHANCE_FAIL_AT ? 'turn_lost' : 'turn_kept', ailmentId: entry.id, roll });
+        }
+        if (tick.control) {
+            const roll = d('1d20', randomInt);
+            events.push({ type: roll <= HALF_CHANCE_FAIL_AT ? 'control_lost' : 'control_kept', ailmentId: entry.id, roll });
+        }
+        if (updated.remaining > 0) {
+            next.push(updated);
+        } else {
+            events.push({ type: 'expired', ailmentId: entry.id });
+        }
+    }
+    return { ailments: next, events };
+}
@@ -0,0 +1,127 @@
+// Stat buffs and debuffs from the Battle Math rules (Taru-/Raku-/Suku- with
+// -kaja/-nda), shared by the server (which applies, ticks and uses them in
+// attacks) and the client (which shows them on tokens).
+//
+// A token's buffs are stored as `{ atk: { stage, remaining }, ... }`. Each
+// stage is worth 20% and they stack to +/-3 (60%). Casting again moves the
+// stage and resets the timer to 2 + WIS/2 turns; a stat back at stage 0 is
+// dropped. Like ailments, timers count the buffed token's own turns.
+
+export const BUFF_STATS = Object.freeze(['atk', 'def', 'acc']);
+export const BUFF_STAT_LABELS = Object.freeze({ atk: 'ATK', def: 'DEF', acc: 'ACC/EVA' });
+export const BUFF_STEP = 0.2;
+export const MAX_BUFF_STAGES = 3;
+export const MAX_BUFF_DURATION = 99;
+
+const PREFIX_STATS = { taru: 'atk', raku: 'def', suku: 'acc' };
+
+function toNumber(value) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : 0;
+}
+
+function allStats(stages) {
+    return Object.fromEntries(BUFF_STATS.map((stat) => [stat, stages]));
+}
+
+/** 2 + WIS/2 turns, the same as ailments. */
+export function buffDuration(wisMod = 0) {
+    return Math.max(1, Math.min(MAX_BUFF_DURATION, 2 + Math.floor(toNumber(wisMod) / 2)));
+}
+
+/**
+ * What a buff skill does: stage changes per stat, or which side it clears
+ * (Dekaja removes buffs, Dekunda removes debuffs). Null for other skills.
+ * @returns {{ changes: Record<string, number>, clear: 'buffs' | 'debuffs' | null } | null}
+ */
+export function describeSkillBuffs(skill) {
+    const label = typeof skill?.label === 'string' ? skill.label.trim().toLowerCase() : '';
+    const match = /^(?:ma)?(taru|raku|suku)(kaja|nda)$/.exec(label);
+    if (match) {
+        return { changes: { [PREFIX_STATS[match[1]]]: match[2] === 'kaja' ? 1 : -1 }, clear: null };
+    }
+    if (label === 'luster candy') return { changes: allStats(1), clear: null };
+    if (label === 'debilitate') return { changes: allStats(-1), clear: null };
+    if (label === 'dekaja') return { changes: {}, clear: 'buffs' };
+    if (label === 'dekunda') return { changes: {}, clear: 'debuffs' };
+    return null;
+}
+
+/** Read stored buffs, dropping unknown stats, stage 0 and finished timers. */
+export function normalizeBuffs(raw) {
+    const out = {};
+    if (!raw || typeof raw !== 'object') return out;
+    for (const stat of BUFF_STATS) {
+        const entry = raw[stat];
+        if (!entry || typeof entry !== 'object') continue;
+        const stage = Math.max(-MAX_BUFF_STAGES, Math.min(MAX_BUFF_STAGES, Math.round(toNumber(entry.stage))));
+        const remaining = Math.min(MAX_BUFF_DURATION, Math.round(toNumber(entry.remaining)));
+        if (stage !== 0 && remaining > 0) out[stat] = { stage, remaining };
+    }
+    return out;
+}
+
+/** Move each listed stat by the given stages and reset its timer. */
+export function applyBuffChanges(buffs, changes, duration) {
+    const next = normalizeBuffs(buffs);
+    const turns = Math.max(1, Math.min(MAX_BUFF_DURATION, Math.round(toNumber(duration)) || buffDuration(0)));
+    for (const stat of BUFF_STATS) {
+        const change = Math.round(toNumber(changes?.[stat]));
+        if (!change) continue;
+        const stage = Math.max(-MAX_BUFF_STAGES, Math.min(MAX_BUFF_STAGES, (next[stat]?.stage || 0) + change));
+        if (stage === 0) delete next[stat];
+        else next[stat] = { stage, remaining: turns };
+    }
+    return next;
+}
+
+/** Drop every buff (`'buffs'`), every debuff (`'debuffs'`) or one stat. */
+export function clearBuffs(buffs, which) {
+    const current = normalizeBuffs(buffs);
+    const next = {};
+    for (const [stat, entry] of Object.entries(current)) {
+        const drop = which === 'buffs' ? entry.stage > 0 : which === 'debuffs' ? entry.stage < 0 : which === stat;
+        if (!drop) next[stat] = entry;
+    }
+    return next;
+}
+
+/**
+ * Count down a token's buffs at the start of its turn.
+ * @returns {{ buffs: object, expired: Array<{ stat: string, stage: number }> }}
+ */
+export function tickBuffs(buffs) {
+    const next = {};
+    const expired = [];
+    for (const [stat, entry] of Object.entries(normalizeBuffs(buffs))) {
+        if (entry.remaining > 1) next[stat] = { ...entry, remaining: entry.remaining - 1 };
+        else expired.push({ stat, stage: entry.stage });
+    }
+    return { buffs: next, expired };
+}
+
+/**
+ * Drop every token's stages when combat ends, so a fight's buffs do not carry
+ * into the next encounter.
+ * @returns {{ tokens: object[], cleared: Array<{ tokenId: string, label: string, buffs: object }> }}
+ */
+export function clearCombatBuffs(tokens) {
+    const cleared = [];
+    const next = (Array.isArray(tokens) ? tokens : []).map((token) => {
+        const buffs = normalizeBuffs(token?.buffs);
+        if (Object.keys(buffs).length === 0) return token;
+        cleared.push({ tokenId: token.id, label: token.label, buffs });
+        return { ...token, buffs: {} };
+    });
+    return { tokens: next, cleared };
+}
+
+/** The Buff% a stat's stage is worth, e.g. 0.4 for +2 or -0.2 for -1. */
+export function buffPercent(buffs, stat) {
+    return Math.round((normalizeBuffs(buffs)[stat]?.stage || 0) * BUFF_STEP * 100) / 100;
+}
+
+/** `ATK +2`, `DEF -1`. */
+export function formatBuffStage(stat, stage) {
+    return `${BUFF_STAT_LABELS[stat] || stat.toUpperCase()} ${stage > 0 ? '+' : ''}${stage}`;
+}
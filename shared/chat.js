@@ -0,0 +1,38 @@
+// Party chat threads, shared by the server (which stores and routes messages)
+// and the client (which groups them and counts unread ones).
+//
+// A thread key is `party`, `ooc` (the DM and co-DMs only) or
+// `whisper:<userId>`, naming the other person in a private conversation.
+
+export const CHAT_CHANNELS = Object.freeze(['party', 'ooc', 'whisper']);
+export const MAX_CHAT_MESSAGE_LENGTH = 2000;
+
+const WHISPER_PREFIX = 'whisper:';
+
+/**
+ * @param {string} thread
+ * @returns {{ channel: 'party' | 'ooc' } | { channel: 'whisper', peerId: string } | null}
+ */
+export function parseChatThread(thread) {
+    if (thread === 'party' || thread === 'ooc') return { channel: thread };
+    if (typeof thread === 'string' && thread.startsWith(WHISPER_PREFIX)) {
+        const peerId = thread.slice(WHISPER_PREFIX.length);
+        return peerId ? { channel: 'whisper', peerId } : null;
+    }
+    return null;
+}
+
+export function whisperThread(peerId) {
+    return `${WHISPER_PREFIX}${peerId}`;
+}
+
+/**
+ * The thread a stored message belongs to, as seen by `userId`.
+ * @param {{ channel: string, senderId: string, recipientId?: string | null }} message
+ * @param {string} userId
+ */
+export function chatThreadFor(message, userId) {
+    if (!message) return null;
+    if (message.channel !== 'whisper') return message.channel;
+    return whisperThread(message.senderId === userId ? message.recipientId : message.senderId);
+}
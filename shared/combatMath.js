@@ -0,0 +1,259 @@
+// Attack maths from the Battle Math rules, shared by the server (which
+// resolves attacks on the battle map) and the client (the skill calculator).
+//
+//   1. Accuracy: 1d20 + ACC - EVA against the number the DM calls (10 is
+//      average). A natural 20 always hits and crits; a natural 1 always misses.
+//   2. Damage: (tier roll + MOD x tier + ATK - DEF) x Buff%, rounded up last.
+//      Buff% starts at 1 and sums crits (+75%), affinities and buffs, so a
+//      critical hit on a weakness is x2.50.
+//   3. Affinities: reflect, drain, block, resist and weak, read from the
+//      target for the skill's element. Almighty has no affinity.
+//
+// Tracked -kaja/-nda stages (see buffs.js) add to Buff%: the attacker's ATK
+// minus the defender's DEF, and the accuracy roll scales by the attacker's
+// ACC stage minus the target's EVA stage. The attacker's ailments apply to
+// the same roll: Blind is -50% accuracy, Berserk is ACC -2 and ATK +2.
+
+import { buffPercent } from './buffs.js';
+import { rollDice } from './dice.js';
+
+export const COMBAT_TIER_INFO = {
+    WEAK: { label: 'Weak', dice: '1d6', modMultiplier: 1 },
+    MEDIUM: { label: 'Medium', dice: '2d8', modMultiplier: 2 },
+    HEAVY: { label: 'Heavy', dice: '3d12', modMultiplier: 3 },
+    SEVERE: { label: 'Severe', dice: '4d20', modMultiplier: 4 },
+};
+
+// From most to least protective.
+export const AFFINITIES = Object.freeze(['reflect', 'drain', 'block', 'resist', 'neutral', 'weak']);
+export const CRITICAL_BUFF = 0.75;
+export const DEFAULT_HIT_TARGET = 10;
+
+const AFFINITY_BUFFS = { weak: 0.75, resist: -0.5 };
+// Light and Dark roll an instakill chance instead of damage; affinities
+// scale that chance.
+const AFFINITY_CHANCE = { weak: 1.5, resist: 0.7 };
+const BLIND_ACCURACY = -0.5;
+const BERSERK_MODIFIER = 2;
+const DAMAGE_GROUPS = new Set(['Physical Skills', 'Magical Spells']);
+const INSTAKILL_ELEMENTS = new Set(['light', 'dark']);
+const PHYSICAL_ELEMENTS = new Set(['strike', 'slash', 'pierce', 'gun']);
+
+// Spellings used by the codex and demon sheets ("Electric", "Elec", "Phys").
+const ELEMENT_ALIASES = {
+    elec: 'electricity',
+    electric: 'electricity',
+    psy: 'psychic',
+    nuke: 'nuclear',
+    grav: 'gravity',
+};
+
+function toNumber(value) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : 0;
+}
+
+// Sums of 20% steps drift (1 + 0.4 - 0.2 = 1.2000000000000002), which would
+// tip the final round-up.
+function roundPercent(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export function computeCombatSkillDamage({ tier, abilityMod, roll, bonus = 0, buff = 1, critical = false }) {
+    const info = COMBAT_TIER_INFO[tier] || COMBAT_TIER_INFO.WEAK;
+    const rollValue = Number(roll);
+    const abilityValue = Number(abilityMod);
+    const bonusValue = Number(bonus);
+    let buffValue = Number(buff);
+    if (!Number.isFinite(rollValue) || !Number.isFinite(abilityValue) || !Number.isFinite(bonusValue)) {
+        return null;
+    }
+    if (!Number.isFinite(buffValue) || buffValue <= 0) {
+        buffValue = 1;
+    }
+    const abilityContribution = abilityValue * info.modMultiplier;
+    const base = rollValue + abilityContribution + bonusValue;
+    const critMultiplier = critical ? 1.75 : 1;
+    const preBuff = base * critMultiplier;
+    const total = Math.ceil(preBuff * buffValue);
+    return {
+        total,
+        baseRoll: rollValue,
+        abilityContribution,
+        bonus: bonusValue,
+        critMultiplier,
+        buffMultiplier: buffValue,
+        preBuff,
+    };
+}
+
+export function normalizeElement(value) {
+    const key = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return ELEMENT_ALIASES[key] || key;
+}
+
+/**
+ * The element a skill attacks with, or null when it is not an attack
+ * (heals, buffs, passives, ailment skills).
+ */
+export function skillElement(skill) {
+    if (!skill || !DAMAGE_GROUPS.has(skill.source?.group)) return null;
+    return normalizeElement(skill.source.section) || null;
+}
+
+/**
+ * How a combatant takes an element, from a `resistances` block
+ * (`{ weak: ['Fire'], reflect: ['Light'], ... }`). "Phys"/"Physical" covers
+ * Strike, Slash, Pierce and Gun.
+ */
+export function readAffinity(resistances, element) {
+    const target = normalizeElement(element);
+    if (!target || target === 'almighty' || !resistances || typeof resistances !== 'object') return 'neutral';
+    for (const affinity of AFFINITIES) {
+        const list = Array.isArray(resistances[affinity]) ? resistances[affinity] : [];
+        const matches = list.some((entry) => {
+            const value = normalizeElement(entry);
+            return value === target || ((value === 'phys' || value === 'physical') && PHYSICAL_ELEMENTS.has(target));
+        });
+        if (matches) return affinity;
+    }
+    return 'neutral';
+}
+
+function readInstakillChance(skill) {
+    const match = /(\d+)% chance to instakill/i.exec(skill?.notes || '');
+    return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Resolve one hit of a combat skill. Returns what happened and who it
+ * happened to; applying HP changes is up to the caller.
+ *
+ * A reflected attack cannot be evaded: it lands on the attacker, using their
+ * DEF and their own affinity (a second reflect becomes a block). `landed` is
+ * the affinity that applied in the end. Drain heals the one it lands on,
+ * except against Light and Dark, where it blocks.
+ *
+ * @param {{
+ *   skill: object,
+ *   abilityMod?: number,
+ *   acc?: number, eva?: number, atk?: number, def?: number,
+ *   hitTarget?: number,
+ *   affinity?: string,
+ *   attackerAffinity?: string,
+ *   attackerDef?: number,
+ *   attackerBuffs?: object, targetBuffs?: object,
+ *   attackerAilments?: Array<{ id: string }>,
+ *   buff?: number,
+ *   randomInt?: (sides: number) => number,
+ * }} options `attackerBuffs`/`targetBuffs` are tracked stages; `buff` is any
+ *   other Buff% (0.2 = +20%).
+ * @returns {{
+ *   element: string,
+ *   hit: { roll: number, total: number, target: number, accuracyBuff: number, ailments: string[], success: boolean, critical: boolean, fumble: boolean },
+ *   affinity: string, landed: string, reflected: boolean, recipient: 'target' | 'attacker',
+ *   outcome: 'miss' | 'block' | 'damage' | 'heal' | 'instakill' | 'survived',
+ *   amount: number, buffPercent: number,
+ *   damage: { dice: string, roll: number, abilityContribution: number, bonus: number, total: number } | null,
+ *   instakill: { chance: number, roll: number } | null,
+ * }}
+ */
+export function resolveSkillAttack({
+    skill,
+    abilityMod = 0,
+    acc = 0,
+    eva = 0,
+    atk = 0,
+    def = 0,
+    hitTarget = DEFAULT_HIT_TARGET,
+    affinity = 'neutral',
+    attackerAffinity = 'neutral',
+    attackerDef = 0,
+    attackerBuffs = null,
+    targetBuffs = null,
+    attackerAilments = null,
+    buff = 0,
+    randomInt,
+}) {
+    const element = skillElement(skill);
+    if (!element) throw new Error('not_an_attack');
+    const dice = (notation, variables) => rollDice(notation, { variables, randomInt });
+
+    const ailments = new Set((Array.isArray(attackerAilments) ? attackerAilments : []).map((entry) => entry?.id));
+    const berserk = ailments.has('berserk') ? BERSERK_MODIFIER : 0;
+    const blind = ailments.has('blind') ? BLIND_ACCURACY : 0;
+    const accuracy = dice('1d20+ACC-EVA', { ACC: toNumber(acc) - berserk, EVA: toNumber(eva) });
+    const accuracyBuff = roundPercent(buffPercent(attackerBuffs, 'acc') - buffPercent(targetBuffs, 'acc') + blind);
+    const total = accuracyBuff ? Math.ceil(accuracy.total * Math.max(0, 1 + accuracyBuff)) : accuracy.total;
+    const hit = {
+        roll: accuracy.natural,
+        total,
+        target: toNumber(hitTarget),
+        accuracyBuff,
+        ailments: ['blind', 'berserk'].filter((id) => ailments.has(id)),
+        success: !accuracy.fumble && (accuracy.critical || total >= toNumber(hitTarget)),
+        critical: accuracy.critical,
+        fumble: accuracy.fumble,
+    };
+    const result = {
+        element,
+        hit,
+        affinity: AFFINITIES.includes(affinity) && element !== 'almighty' ? affinity : 'neutral',
+        landed: 'neutral',
+        reflected: false,
+        recipient: 'target',
+        outcome: 'miss',
+        amount: 0,
+        buffPercent: 1,
+        damage: null,
+        instakill: null,
+    };
+    if (!hit.success) return result;
+
+    let landed = result.affinity;
+    let defense = toNumber(def);
+    let defenderBuffs = targetBuffs;
+    if (landed === 'reflect') {
+        result.reflected = true;
+        result.recipient = 'attacker';
+        landed = attackerAffinity === 'reflect' ? 'block' : AFFINITIES.includes(attackerAffinity) ? attackerAffinity : 'neutral';
+        defense = toNumber(attackerDef);
+        defenderBuffs = attackerBuffs;
+    }
+    result.landed = landed;
+    const instakill = INSTAKILL_ELEMENTS.has(element);
+    if (landed === 'block' || (landed === 'drain' && instakill)) {
+        result.outcome = 'block';
+        return result;
+    }
+
+    if (instakill) {
+        const chance = Math.min(100, Math.round(readInstakillChance(skill) * (AFFINITY_CHANCE[landed] || 1)));
+        const roll = dice('1d100').total;
+        result.instakill = { chance, roll };
+        result.outcome = roll <= chance ? 'instakill' : 'survived';
+        return result;
+    }
+
+    const tier = COMBAT_TIER_INFO[skill.tier] ? skill.tier : 'WEAK';
+    const tierRoll = dice(COMBAT_TIER_INFO[tier].dice).total;
+    const affinityBuff = landed === 'drain' ? 0 : AFFINITY_BUFFS[landed] || 0;
+    const stageBuff = buffPercent(attackerBuffs, 'atk') - buffPercent(defenderBuffs, 'def');
+    const multiplier = Math.max(
+        0,
+        roundPercent(1 + (hit.critical ? CRITICAL_BUFF : 0) + affinityBuff + stageBuff + toNumber(buff)),
+    );
+    const base = computeCombatSkillDamage({ tier, abilityMod, roll: tierRoll, bonus: toNumber(atk) + berserk - defense });
+    const amount = Math.max(0, Math.ceil(Math.max(0, base.preBuff) * multiplier));
+    result.buffPercent = multiplier;
+    result.damage = {
+        dice: COMBAT_TIER_INFO[tier].dice,
+        roll: tierRoll,
+        abilityContribution: base.abilityContribution,
+        bonus: base.bonus,
+        total: amount,
+    };
+    result.outcome = landed === 'drain' ? 'heal' : 'damage';
+    result.amount = amount;
+    return result;
+}
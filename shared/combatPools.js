@@ -0,0 +1,96 @@
+// HP/MP/TP pools for map combatants, shared by the server (which applies
+// damage and healing) and the client (which seeds enemy tokens and draws the
+// health bars).
+//
+// Pools use the same shape as a character's `resources`:
+//   { hp, maxHP, mp, maxMP, tp, maxTP }
+// Starting values follow the character sheet (HP 17 + CON + STR/2, MP 17 +
+// INT + WIS/2, TP 7 + DEX + CON/2) and each level after the first adds the
+// average of the level-up roll (1d4 + the same modifiers).
+
+export const COMBAT_POOLS = Object.freeze(['hp', 'mp', 'tp']);
+export const POOL_ADJUST_MODES = Object.freeze(['damage', 'heal']);
+export const MAX_POOL_VALUE = 9999;
+// Who sees health bars: only the DM table, the table plus everyone for party
+// tokens (players and their demons), or everyone for every token.
+export const HEALTH_BAR_VISIBILITY = Object.freeze(['table', 'party', 'all']);
+export const DEFAULT_HEALTH_BAR_VISIBILITY = 'party';
+
+const MAX_KEYS = { hp: 'maxHP', mp: 'maxMP', tp: 'maxTP' };
+const AVERAGE_D4 = 2.5;
+
+function toNumber(value) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : 0;
+}
+
+function clampPool(value) {
+    return Math.max(0, Math.min(MAX_POOL_VALUE, Math.round(toNumber(value))));
+}
+
+function modsFrom({ mods, stats } = {}) {
+    const read = (key) => {
+        if (mods && Number.isFinite(Number(mods[key]))) return Number(mods[key]);
+        const score = Number(stats?.[key]);
+        return Number.isFinite(score) ? Math.floor((score - 10) / 2) : 0;
+    };
+    return { STR: read('STR'), DEX: read('DEX'), CON: read('CON'), INT: read('INT'), WIS: read('WIS') };
+}
+
+/**
+ * Full pools for a demon or enemy of the given level. Pass ability modifiers
+ * as `mods`, or raw scores as `stats`.
+ *
+ * @param {{ level?: number, mods?: Record<string, number>, stats?: Record<string, number> }} source
+ */
+export function estimateCombatPools(source = {}) {
+    const mods = modsFrom(source);
+    const levels = Math.max(0, Math.floor(toNumber(source.level)) - 1);
+    const grow = (base, perLevel) => clampPool(Math.ceil(base + levels * (AVERAGE_D4 + perLevel)));
+    const maxHP = Math.max(1, grow(17 + mods.CON + mods.STR / 2, mods.CON + mods.STR / 2));
+    const maxMP = grow(17 + mods.INT + mods.WIS / 2, mods.INT + mods.WIS / 2);
+    const maxTP = grow(7 + mods.DEX + mods.CON / 2, (mods.DEX + mods.CON) / 2);
+    return { hp: maxHP, maxHP, mp: maxMP, maxMP, tp: maxTP, maxTP };
+}
+
+/**
+ * Read a stored pool object, filling gaps and keeping current values in range.
+ * Returns null when nothing usable is stored.
+ */
+export function normalizeCombatPools(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const out = {};
+    let found = false;
+    for (const pool of COMBAT_POOLS) {
+        const maxKey = MAX_KEYS[pool];
+        const hasMax = raw[maxKey] !== undefined && raw[maxKey] !== null && raw[maxKey] !== '';
+        const hasValue = raw[pool] !== undefined && raw[pool] !== null && raw[pool] !== '';
+        if (hasMax || hasValue) found = true;
+        const max = clampPool(hasMax ? raw[maxKey] : raw[pool]);
+        out[pool] = Math.min(max, clampPool(hasValue ? raw[pool] : max));
+        out[maxKey] = max;
+    }
+    return found ? out : null;
+}
+
+/**
+ * Apply damage or healing to one pool. Damage stops at 0 and healing at the
+ * pool's maximum (a pool without a maximum is not capped).
+ *
+ * @returns {{ resources: object, pool: string, before: number, after: number, max: number | null }}
+ */
+export function applyPoolDelta(resources, pool, amount, mode = 'damage') {
+    if (!COMBAT_POOLS.includes(pool)) throw new Error('invalid_pool');
+    if (!POOL_ADJUST_MODES.includes(mode)) throw new Error('invalid_mode');
+    const maxKey = MAX_KEYS[pool];
+    const source = resources && typeof resources === 'object' ? resources : {};
+    const before = clampPool(source[pool]);
+    const rawMax = Number(source[maxKey]);
+    const max = Number.isFinite(rawMax) && rawMax > 0 ? clampPool(rawMax) : null;
+    const delta = clampPool(Math.abs(toNumber(amount)));
+    let after = mode === 'damage' ? before - delta : before + delta;
+    after = Math.max(0, after);
+    if (mode === 'heal' && max !== null) after = Math.max(before, Math.min(max, after));
+    after = Math.min(MAX_POOL_VALUE, after);
+    return { resources: { ...source, [pool]: after }, pool, before, after, max };
+}
@@ -0,0 +1,347 @@
+// Dice notation shared by the server (which does the rolling) and the client
+// (which previews notation and renders results).
+//
+// Supported notation, case-insensitive:
+//   2d8, d20, d%          dice; a missing count means one die
+//   4d6kh3, 2d20kl1       keep the highest / lowest N dice
+//   +, -, *, /, ( )       arithmetic; the total is rounded up at the end
+//   MOD, STR, WIS, ...    variables supplied by the caller
+//   4x2d6                 multiple hits: roll the next term N times
+//
+// `Nx` binds to the term right after it, so `4x2d6+STR` is four 2d6 hits plus
+// STR once (a basic multi-hit weapon attack) while `3x(1d8+MOD)` adds MOD to
+// every hit.
+
+export const DICE_LIMITS = Object.freeze({
+    notationLength: 120,
+    diceCount: 100,
+    sides: 1000,
+    hits: 20,
+    totalDice: 500,
+});
+
+export class DiceNotationError extends Error {
+    constructor(message, code = 'invalid_notation') {
+        super(message);
+        this.name = 'DiceNotationError';
+        this.code = code;
+    }
+}
+
+const DICE_PATTERN = /^(\d*)d(\d+|%)(?:(kh|kl|k)(\d+))?/i;
+const REPEAT_PATTERN = /^(\d+)\s*[x×](?=\s*[\d(a-z])/i;
+const NUMBER_PATTERN = /^\d+(?:\.\d+)?/;
+const VARIABLE_PATTERN = /^[a-z_][a-z0-9_]*/i;
+
+function tokenize(text) {
+    const tokens = [];
+    let rest = text;
+    let position = 0;
+    const advance = (length) => {
+        rest = rest.slice(length);
+        position += length;
+    };
+    while (rest.length > 0) {
+        const space = /^\s+/.exec(rest);
+        if (space) {
+            advance(space[0].length);
+            continue;
+        }
+        let match = REPEAT_PATTERN.exec(rest);
+        if (match) {
+            tokens.push({ type: 'repeat', value: Number(match[1]), position });
+            advance(match[0].length);
+            continue;
+        }
+        match = DICE_PATTERN.exec(rest);
+        if (match) {
+            tokens.push({
+                type: 'dice',
+                count: match[1] === '' ? 1 : Number(match[1]),
+                sides: match[2] === '%' ? 100 : Number(match[2]),
+                keep: match[3] ? { mode: match[3].toLowerCase() === 'kl' ? 'kl' : 'kh', count: Number(match[4]) } : null,
+                text: match[0].toLowerCase(),
+                position,
+            });
+            advance(match[0].length);
+            continue;
+        }
+        match = NUMBER_PATTERN.exec(rest);
+        if (match) {
+            tokens.push({ type: 'number', value: Number(match[0]), position });
+            advance(match[0].length);
+            continue;
+        }
+        match = VARIABLE_PATTERN.exec(rest);
+        if (match) {
+            tokens.push({ type: 'variable', name: match[0].toUpperCase(), position });
+            advance(match[0].length);
+            continue;
+        }
+        if ('+-*/()'.includes(rest[0])) {
+            tokens.push({ type: 'op', value: rest[0], position });
+            advance(1);
+            continue;
+        }
+        throw new DiceNotationError(`Unexpected "${rest[0]}" at position ${position + 1}`);
+    }
+    return tokens;
+}
+
+function validateDiceToken(token) {
+    if (token.count < 1 || token.count > DICE_LIMITS.diceCount) {
+        throw new DiceNotationError(`Roll between 1 and ${DICE_LIMITS.diceCount} dice at a time`, 'too_many_dice');
+    }
+    if (token.sides < 2 || token.sides > DICE_LIMITS.sides) {
+        throw new DiceNotationError(`Dice need between 2 and ${DICE_LIMITS.sides} sides`, 'invalid_sides');
+    }
+    if (token.keep && (token.keep.count < 1 || token.keep.count > token.count)) {
+        throw new DiceNotationError(`Cannot keep ${token.keep.count} of ${token.count} dice`);
+    }
+}
+
+/**
+ * Parse dice notation into an expression tree.
+ * @param {string} notation
+ * @returns {{ notation: string, ast: any, variables: string[], diceCount: number }}
+ */
+export function parseDiceNotation(notation) {
+    const text = typeof notation === 'string' ? notation.trim() : '';
+    if (!text) throw new DiceNotationError('Enter a roll such as 2d8+MOD*2', 'empty_notation');
+    if (text.length > DICE_LIMITS.notationLength) {
+        throw new DiceNotationError(`Keep rolls under ${DICE_LIMITS.notationLength} characters`, 'notation_too_long');
+    }
+    const tokens = tokenize(text);
+    const variables = new Set();
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOp = (token, value) => token?.type === 'op' && token.value === value;
+    const fail = (token) => {
+        if (!token) throw new DiceNotationError('Roll ends unexpectedly');
+        const label = token.type === 'op' ? token.value : token.text || token.name || token.value;
+        throw new DiceNotationError(`Unexpected "${label}" at position ${token.position + 1}`);
+    };
+
+    // Every node records in `dice` how many dice one evaluation of it rolls.
+    function parseSum() {
+        let node = parseProduct();
+        while (isOp(peek(), '+') || isOp(peek(), '-')) {
+            const op = tokens[index++].value;
+            const right = parseProduct();
+            node = { type: 'binary', op, left: node, right, dice: node.dice + right.dice };
+        }
+        return node;
+    }
+
+    function parseProduct() {
+        let node = parseUnary();
+        while (isOp(peek(), '*') || isOp(peek(), '/')) {
+            const op = tokens[index++].value;
+            const right = parseUnary();
+            node = { type: 'binary', op, left: node, right, dice: node.dice + right.dice };
+        }
+        return node;
+    }
+
+    function parseUnary() {
+        if (isOp(peek(), '-')) {
+            index += 1;
+            const operand = parseUnary();
+            return { type: 'negate', operand, dice: operand.dice };
+        }
+        if (isOp(peek(), '+')) {
+            index += 1;
+            return parseUnary();
+        }
+        const token = peek();
+        if (token?.type === 'repeat') {
+            index += 1;
+            if (token.value < 1 || token.value > DICE_LIMITS.hits) {
+                throw new DiceNotationError(`Use between 1 and ${DICE_LIMITS.hits} hits`, 'too_many_hits');
+            }
+            const operand = parseAtom();
+            return { type: 'repeat', times: token.value, operand, dice: operand.dice * token.value };
+        }
+        return parseAtom();
+    }
+
+    function parseAtom() {
+        const token = tokens[index];
+        if (!token) fail(token);
+        index += 1;
+        switch (token.type) {
+            case 'number':
+                return { type: 'number', value: token.value, dice: 0 };
+            case 'variable':
+                variables.add(token.name);
+                return { type: 'variable', name: token.name, dice: 0 };
+            case 'dice':
+                validateDiceToken(token);
+                return {
+                    type: 'dice',
+                    count: token.count,
+                    sides: token.sides,
+                    keep: token.keep,
+                    text: token.text,
+                    dice: token.count,
+                };
+            case 'op':
+                if (token.value === '(') {
+                    const inner = parseSum();
+                    if (!isOp(peek(), ')')) fail(peek());
+                    index += 1;
+                    return inner;
+                }
+                return fail(token);
+            default:
+                return fail(token);
+        }
+    }
+
+    const ast = parseSum();
+    if (index < tokens.length) fail(tokens[index]);
+    const diceCount = ast.dice;
+    if (diceCount > DICE_LIMITS.totalDice) {
+        throw new DiceNotationError(`Rolls are limited to ${DICE_LIMITS.totalDice} dice`, 'too_many_dice');
+    }
+    return { notation: text, ast, variables: Array.from(variables), diceCount };
+}
+
+function defaultRandomInt(sides) {
+    const cryptoApi = globalThis.crypto;
+    if (!cryptoApi?.getRandomValues) {
+        return 1 + Math.floor(Math.random() * sides);
+    }
+    // Rejection sampling keeps every face equally likely.
+    const limit = Math.floor(0x100000000 / sides) * sides;
+    const buffer = new Uint32Array(1);
+    do {
+        cryptoApi.getRandomValues(buffer);
+    } while (buffer[0] >= limit);
+    return 1 + (buffer[0] % sides);
+}
+
+function normalizeVariables(raw) {
+    const out = {};
+    if (!raw || typeof raw !== 'object') return out;
+    for (const [key, value] of Object.entries(raw)) {
+        const num = Number(value);
+        if (Number.isFinite(num)) out[key.toUpperCase()] = num;
+    }
+    return out;
+}
+
+/**
+ * Roll dice notation.
+ *
+ * @param {string | ReturnType<typeof parseDiceNotation>} notation
+ * @param {{ variables?: Record<string, number>, randomInt?: (sides: number) => number }} [options]
+ *   `randomInt` returns a face between 1 and `sides`; it defaults to a
+ *   crypto-backed generator.
+ * @returns {{
+ *   notation: string,
+ *   total: number,
+ *   dice: Array<{ notation: string, sides: number, results: number[], kept: number[], total: number, hit: number | null }>,
+ *   hits: number[],
+ *   variables: Record<string, number>,
+ *   natural: number | null,
+ *   critical: boolean,
+ *   fumble: boolean,
+ * }}
+ */
+export function rollDice(notation, { variables, randomInt = defaultRandomInt } = {}) {
+    const parsed = typeof notation === 'string' ? parseDiceNotation(notation) : notation;
+    const values = normalizeVariables(variables);
+    const missing = parsed.variables.filter((name) => !Object.prototype.hasOwnProperty.call(values, name));
+    if (missing.length > 0) {
+        throw new DiceNotationError(`Unknown value: ${missing.join(', ')}`, 'unknown_variable');
+    }
+
+    const dice = [];
+    const hits = [];
+    let currentHit = null;
+
+    function evaluate(node) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'variable':
+                return values[node.name];
+            case 'negate':
+                return -evaluate(node.operand);
+            case 'binary': {
+                const left = evaluate(node.left);
+                const right = evaluate(node.right);
+                if (node.op === '+') return left + right;
+                if (node.op === '-') return left - right;
+                if (node.op === '*') return left * right;
+                if (right === 0) throw new DiceNotationError('Cannot divide by zero', 'division_by_zero');
+                return left / right;
+            }
+            case 'repeat': {
+                let sum = 0;
+                const outerHit = currentHit;
+                for (let i = 0; i < node.times; i += 1) {
+                    currentHit = outerHit ?? hits.length + 1;
+                    const value = evaluate(node.operand);
+                    if (outerHit === null) hits.push(value);
+                    sum += value;
+                }
+                currentHit = outerHit;
+                return sum;
+            }
+            case 'dice': {
+                const results = [];
+                for (let i = 0; i < node.count; i += 1) {
+                    results.push(randomInt(node.sides));
+                }
+                let kept = results;
+                if (node.keep) {
+                    const sorted = [...results].sort((a, b) => (node.keep.mode === 'kl' ? a - b : b - a));
+                    kept = sorted.slice(0, node.keep.count);
+                }
+                const total = kept.reduce((sum, value) => sum + value, 0);
+                dice.push({ notation: node.text, sides: node.sides, results, kept, total, hit: currentHit });
+                return total;
+            }
+            default:
+                throw new DiceNotationError('Unsupported roll');
+        }
+    }
+
+    const raw = evaluate(parsed.ast);
+    const usedVariables = {};
+    for (const name of parsed.variables) usedVariables[name] = values[name];
+
+    // A lone d20 decides criticals (20) and critical misses (1).
+    const d20s = dice.filter((entry) => entry.sides === 20);
+    const natural = d20s.length === 1 && d20s[0].kept.length === 1 ? d20s[0].kept[0] : null;
+
+    return {
+        notation: parsed.notation,
+        total: Math.ceil(raw),
+        dice,
+        hits,
+        variables: usedVariables,
+        natural,
+        critical: natural === 20,
+        fumble: natural === 1,
+    };
+}
+
+/**
+ * Short human-readable breakdown, e.g. `2d8 [3, 7] + 4 = 14`.
+ * @param {ReturnType<typeof rollDice>} result
+ */
+export function describeDiceRoll(result) {
+    if (!result) return '';
+    const parts = result.dice.map((entry) => {
+        const faces = entry.results.join(', ');
+        const prefix = entry.hit ? `#${entry.hit} ` : '';
+        return `${prefix}${entry.notation} [${faces}]`;
+    });
+    const vars = Object.entries(result.variables).map(([name, value]) => `${name} ${value}`);
+    const detail = [...parts, ...vars].join(' · ');
+    return detail ? `${detail} = ${result.total}` : String(result.total);
+}
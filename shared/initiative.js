@@ -0,0 +1,172 @@
+// Initiative and turn order, shared by the server (which rolls and stores the
+// order) and the client (which previews it).
+//
+// From the rules: everyone rolls 1d20 + DEX before combat and the biggest
+// number goes first. Ties go to the higher DEX modifier and are otherwise
+// re-rolled. A combatant who gained a first strike skips the roll and always
+// acts first; the rest of their side adds +15 to their rolls.
+//
+// A combat entry looks like
+//   { id, tokenId, label, initiative, roll, dexMod, bonus, tieBreaks, firstStrike, status }
+// where `initiative` is the total (null for hand-placed entries and first
+// strikes) and `status` is `ready`, `delayed` (skipped until they choose to
+// act) or `held` (readied; the hold lapses when their turn comes round).
+
+import { rollDice } from './dice.js';
+
+export const COMBAT_ENTRY_STATUSES = Object.freeze(['ready', 'delayed', 'held']);
+export const FIRST_STRIKE_PARTY_BONUS = 15;
+export const MAX_COMBAT_ENTRIES = 32;
+
+const MAX_TIE_BREAK_ROUNDS = 20;
+
+function toNumber(value) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : 0;
+}
+
+/**
+ * Sort comparator: negative when `a` acts before `b`.
+ */
+export function compareInitiative(a, b) {
+    if (!!a.firstStrike !== !!b.firstStrike) return a.firstStrike ? -1 : 1;
+    const aRolled = Number.isFinite(a.initiative);
+    const bRolled = Number.isFinite(b.initiative);
+    if (aRolled !== bRolled) return aRolled ? -1 : 1;
+    if (!aRolled) return 0;
+    if (a.initiative !== b.initiative) return b.initiative - a.initiative;
+    const dexDiff = toNumber(b.dexMod) - toNumber(a.dexMod);
+    if (dexDiff !== 0) return dexDiff;
+    const aBreaks = a.tieBreaks || [];
+    const bBreaks = b.tieBreaks || [];
+    for (let i = 0; i < Math.max(aBreaks.length, bBreaks.length); i += 1) {
+        const diff = toNumber(bBreaks[i]) - toNumber(aBreaks[i]);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Roll initiative for a group of combatants and return them in turn order.
+ * Ties that DEX does not settle are re-rolled until they are broken.
+ *
+ * @param {Array<{ dexMod?: number, bonus?: number, firstStrike?: boolean }>} combatants
+ * @param {{ randomInt?: (sides: number) => number }} [options]
+ */
+export function rollInitiative(combatants, { randomInt } = {}) {
+    const d20 = () => rollDice('1d20', randomInt ? { randomInt } : undefined).total;
+    const rolled = combatants.map((combatant) => {
+        const dexMod = toNumber(combatant.dexMod);
+        const bonus = toNumber(combatant.bonus);
+        if (combatant.firstStrike) {
+            return { ...combatant, dexMod, bonus, roll: null, initiative: null, tieBreaks: [], firstStrike: true };
+        }
+        const roll = d20();
+        return { ...combatant, dexMod, bonus, roll, initiative: roll + dexMod + bonus, tieBreaks: [], firstStrike: false };
+    });
+
+    for (let round = 0; round < MAX_TIE_BREAK_ROUNDS; round += 1) {
+        const sorted = [...rolled].sort(compareInitiative);
+        const tied = new Set();
+        for (let i = 1; i < sorted.length; i += 1) {
+            const prev = sorted[i - 1];
+            if (prev.firstStrike || compareInitiative(prev, sorted[i]) !== 0) continue;
+            tied.add(prev);
+            tied.add(sorted[i]);
+        }
+        if (tied.size === 0) break;
+        for (const entry of tied) entry.tieBreaks = [...entry.tieBreaks, d20()];
+    }
+    return rolled.sort(compareInitiative);
+}
+
+/**
+ * Index at which `entry` joins an existing order. Entries that were placed by
+ * hand keep their spot; the newcomer goes after everyone it does not beat.
+ */
+export function findInitiativeSlot(entries, entry) {
+    for (let i = 0; i < entries.length; i += 1) {
+        const existing = entries[i];
+        if (!Number.isFinite(existing.initiative) && !existing.firstStrike) continue;
+        if (compareInitiative(entry, existing) < 0) return i;
+    }
+    return entries.length;
+}
+
+function currentIndex(state) {
+    return state.active ? Math.max(0, Math.min(state.entries.length - 1, (state.turn || 1) - 1)) : -1;
+}
+
+/**
+ * Move to the next turn. Delayed entries are skipped; a held entry whose turn
+ * comes round loses the hold and acts.
+ * @param {{ active: boolean, turn: number, round: number, entries: any[] }} state
+ */
+export function advanceCombatTurn(state) {
+    const entries = state.entries.map((entry) => ({ ...entry }));
+    let round = Math.max(1, state.round || 1);
+    if (entries.length === 0) {
+        return { ...state, entries, turn: 1, round: round + 1 };
+    }
+    let index = currentIndex(state);
+    for (let step = 0; step < entries.length; step += 1) {
+        index += 1;
+        if (index >= entries.length) {
+            index = 0;
+            round += 1;
+        }
+        if (entries[index].status !== 'delayed') break;
+    }
+    if (entries[index].status === 'held') entries[index].status = 'ready';
+    return { ...state, entries, turn: index + 1, round };
+}
+
+/**
+ * Add an entry in initiative order, keeping the current turn on the same
+ * combatant.
+ */
+export function insertCombatEntry(state, entry) {
+    const entries = [...state.entries];
+    const index = findInitiativeSlot(entries, entry);
+    entries.splice(index, 0, entry);
+    const current = currentIndex(state);
+    const turn = state.active && index <= current ? state.turn + 1 : state.turn;
+    return { ...state, entries, turn };
+}
+
+/**
+ * Drop an entry. When it was the current turn, the next combatant is up.
+ */
+export function removeCombatEntry(state, entryId) {
+    const index = state.entries.findIndex((entry) => entry.id === entryId);
+    if (index === -1) return state;
+    const entries = state.entries.filter((_, i) => i !== index);
+    if (!state.active) return { ...state, entries };
+    const current = currentIndex(state);
+    let { turn, round } = state;
+    if (index < current) {
+        turn -= 1;
+    } else if (index === current && current >= entries.length) {
+        turn = 1;
+        round += 1;
+    }
+    return { ...state, entries, turn: Math.max(1, turn), round };
+}
+
+/**
+ * A delayed or held combatant acts now: they move in front of whoever is up
+ * and take the current turn. Whoever was up goes straight after them.
+ */
+export function actNowInCombat(state, entryId) {
+    const entry = state.entries.find((item) => item.id === entryId);
+    if (!entry || !state.active) return state;
+    const current = state.entries[currentIndex(state)];
+    if (current?.id === entryId) {
+        return { ...state, entries: state.entries.map((item) => (item.id === entryId ? { ...item, status: 'ready' } : item)) };
+    }
+    const entries = state.entries.filter((item) => item.id !== entryId);
+    const index = entries.findIndex((item) => item.id === current?.id);
+    const slot = index === -1 ? entries.length : index;
+    entries.splice(slot, 0, { ...entry, status: 'ready' });
+    return { ...state, entries, turn: slot + 1 };
+}
@@ -0,0 +1,202 @@
+// Minimal RFC 6902 JSON Patch support (add/remove/replace/test) used for game
+// change history on the server and, later, for realtime deltas on the client.
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneJson(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function escapeSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapeSegment(segment) {
+    return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+export function formatJsonPointer(segments) {
+    if (!Array.isArray(segments) || segments.length === 0) return '';
+    return `/${segments.map(escapeSegment).join('/')}`;
+}
+
+export function parseJsonPointer(pointer) {
+    if (typeof pointer !== 'string' || pointer === '') return [];
+    if (!pointer.startsWith('/')) throw new Error(`Invalid JSON pointer: ${pointer}`);
+    return pointer.slice(1).split('/').map(unescapeSegment);
+}
+
+export function jsonEqual(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a)) {
+        if (!Array.isArray(b) || a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i += 1) {
+            if (!jsonEqual(a[i], b[i])) return false;
+        }
+        return true;
+    }
+    if (isPlainObject(a)) {
+        if (!isPlainObject(b)) return false;
+        const keysA = Object.keys(a).filter((key) => a[key] !== undefined);
+        const keysB = Object.keys(b).filter((key) => b[key] !== undefined);
+        if (keysA.length !== keysB.length) return false;
+        for (const key of keysA) {
+            if (!jsonEqual(a[key], b[key])) return false;
+        }
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Read the value at a JSON pointer. Returns undefined when the path is missing.
+ */
+export function getJsonPointer(doc, pointer) {
+    let current = doc;
+    for (const segment of parseJsonPointer(pointer)) {
+        if (Array.isArray(current)) {
+            current = current[Number(segment)];
+        } else if (isPlainObject(current)) {
+            current = current[segment];
+        } else {
+            return undefined;
+        }
+    }
+    return current;
+}
+
+function diffArrays(before, after, path, ops) {
+    let start = 0;
+    while (start < before.length && start < after.length && jsonEqual(before[start], after[start])) {
+        start += 1;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && jsonEqual(before[endBefore - 1], after[endAfter - 1])) {
+        endBefore -= 1;
+        endAfter -= 1;
+    }
+    const removed = endBefore - start;
+    const added = endAfter - start;
+    if (removed === added) {
+        for (let i = start; i < endBefore; i += 1) {
+            diffValues(before[i], after[i], [...path, i], ops);
+        }
+        return;
+    }
+    for (let i = 0; i < removed; i += 1) {
+        ops.push({ op: 'remove', path: formatJsonPointer([...path, start]) });
+    }
+    for (let i = 0; i < added; i += 1) {
+        ops.push({ op: 'add', path: formatJsonPointer([...path, start + i]), value: cloneJson(after[start + i]) });
+    }
+}
+
+function diffValues(before, after, path, ops) {
+    if (jsonEqual(before, after)) return;
+    if (Array.isArray(before) && Array.isArray(after)) {
+        diffArrays(before, after, path, ops);
+        return;
+    }
+    if (isPlainObject(before) && isPlainObject(after)) {
+        for (const key of Object.keys(before)) {
+            if (before[key] === undefined) continue;
+            if (!Object.prototype.hasOwnProperty.call(after, key) || after[key] === undefined) {
+                ops.push({ op: 'remove', path: formatJsonPointer([...path, key]) });
+            }
+        }
+        for (const key of Object.keys(after)) {
+            if (after[key] === undefined) continue;
+            if (!Object.prototype.hasOwnProperty.call(before, key) || before[key] === undefined) {
+                ops.push({ op: 'add', path: formatJsonPointer([...path, key]), value: cloneJson(after[key]) });
+            } else {
+                diffValues(before[key], after[key], [...path, key], ops);
+            }
+        }
+        return;
+    }
+    ops.push({ op: 'replace', path: formatJsonPointer(path), value: cloneJson(after) });
+}
+
+/**
+ * Build the list of patch operations that turns `before` into `after`.
+ * Arrays are compared by trimming the common prefix/suffix so a single
+ * insertion or deletion produces a single add/remove operation.
+ */
+export function createJsonPatch(before, after) {
+    const ops = [];
+    diffValues(before, after, [], ops);
+    return ops;
+}
+
+/**
+ * Apply patch operations to a copy of `doc` and return the patched copy.
+ * Throws when a `test` operation fails or a path cannot be resolved.
+ */
+export function applyJsonPatch(doc, ops) {
+    let root = cloneJson(doc);
+    for (const operation of Array.isArray(ops) ? ops : []) {
+        const segments = parseJsonPointer(operation?.path);
+        if (operation.op === 'test') {
+            if (!jsonEqual(getJsonPointer(root, operation.path), operation.value)) {
+                const err = new Error(`JSON patch test failed at ${operation.path}`);
+                err.code = 'patch_test_failed';
+                throw err;
+            }
+            continue;
+        }
+        if (segments.length === 0) {
+            if (operation.op === 'remove') {
+                root = undefined;
+            } else {
+                root = cloneJson(operation.value);
+            }
+            continue;
+        }
+        const parent = getJsonPointer(root, formatJsonPointer(segments.slice(0, -1)));
+        const key = segments[segments.length - 1];
+        if (Array.isArray(parent)) {
+            const index = key === '-' ? parent.length : Number(key);
+            if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+                throw new Error(`Invalid array index in JSON patch path ${operation.path}`);
+            }
+            if (operation.op === 'add') {
+                parent.splice(index, 0, cloneJson(operation.value));
+            } else if (operation.op === 'remove') {
+                parent.splice(index, 1);
+            } else if (operation.op === 'replace') {
+                parent[index] = cloneJson(operation.value);
+            } else {
+                throw new Error(`Unsupported JSON patch operation: ${operation.op}`);
+            }
+        } else if (isPlainObject(parent)) {
+            if (operation.op === 'add' || operation.op === 'replace') {
+                parent[key] = cloneJson(operation.value);
+            } else if (operation.op === 'remove') {
+                delete parent[key];
+            } else {
+                throw new Error(`Unsupported JSON patch operation: ${operation.op}`);
+            }
+        } else {
+            throw new Error(`Cannot resolve JSON patch path ${operation.path}`);
+        }
+    }
+    return root;
+}
+
+/**
+ * Build the operations that undo `patch` given the document state it started from.
+ * The result begins with `test` operations so it only applies while every
+ * touched path still holds the value the original patch wrote.
+ */
+export function createInversePatch(before, after, patch) {
+    const tests = [];
+    for (const operation of Array.isArray(patch) ? patch : []) {
+        if (operation.op === 'add' || operation.op === 'replace') {
+            tests.push({ op: 'test', path: operation.path, value: getJsonPointer(after, operation.path) });
+        }
+    }
+    return [...tests, ...createJsonPatch(after, before)];
+}